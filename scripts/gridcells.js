@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * Grid cell firing maps and gridness scores without a browser
+ *
+ *   yarn gridcells --modules 4 --cells 4 --duration 1200 --seed 42
+ *   yarn gridcells --format csv --table cells --output cells.csv
+ *   yarn gridcells --trajectory-file session.csv --table spikes --format csv
+ *   yarn gridcells --trials 200 --noise-levels 0,2,5 --format csv --table errors
+ *
+ * JSON output holds the configuration, the modules, per-cell statistics
+ * (rates, gridness, measured spacing and orientation), every spike, the
+ * path, each cell's rate map and autocorrelogram, the decoded trajectory
+ * and, with --trials, decoding error by modules read and noise. CSV output
+ * is one table: cells (default), spikes, path, decoded or errors.
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { runGridCellExperiment, toCSV } from '../src/lib/simulation/index.js';
+
+const usage = `Usage: gridcells [options]
+
+  --modules <n>            grid modules (default 4)
+  --cells <n>              cells per module (default 4)
+  --spacing <m>            spacing of the first module in metres (default 0.3)
+  --ratio <r>              spacing ratio between modules (default 1.414)
+  --size <m>               side of the square arena in metres (default 1)
+  --duration <s>           length of the random walk in seconds (default 600)
+  --dt <s>                 time step in seconds (default 0.02)
+  --speed <m/s>            mean running speed (default 0.15)
+  --trajectory-file <file> replay a recorded path instead of the walk: CSV
+                           with columns t, x, y (header optional)
+  --max-rate <Hz>          firing rate at the field centres (default 15)
+  --noise <Hz>             background rate of every cell (default 0)
+  --bins <n>               rate map bins per side (default 30)
+  --smoothing <bins>       Gaussian smoothing of the maps (default 1.5)
+  --method <name>          decoder: likelihood (default) or population
+  --window <s>             decoding window in seconds (default 0.5)
+  --trials <n>             positions per point of the decoding error sweep
+                           (default 0, no sweep)
+  --noise-levels <list>    background rates of the sweep, comma separated
+                           (default 0,1,2,5)
+  --seed <seed>            random seed, number or text (default: random)
+  --format <json|csv>      output format (default json)
+  --table <name>           CSV table: cells, spikes, path, decoded or errors
+                           (default cells)
+  --output <file>          write to a file instead of stdout
+  --help                   show this message
+`;
+
+function fail(message) {
+	process.stderr.write(`${message}\n\n${usage}`);
+	process.exit(1);
+}
+
+function integer(value, name, min) {
+	const number = Number(value);
+	if (!Number.isInteger(number) || number < min) {
+		fail(`--${name} must be an integer >= ${min}`);
+	}
+	return number;
+}
+
+function positive(value, name) {
+	const number = Number(value);
+	if (!(number > 0 && Number.isFinite(number))) {
+		fail(`--${name} must be a positive number`);
+	}
+	return number;
+}
+
+let args;
+try {
+	({ values: args } = parseArgs({
+		options: {
+			modules: { type: 'string', default: '4' },
+			cells: { type: 'string', default: '4' },
+			spacing: { type: 'string', default: '0.3' },
+			ratio: { type: 'string', default: String(Math.SQRT2) },
+			size: { type: 'string', default: '1' },
+			duration: { type: 'string', default: '600' },
+			dt: { type: 'string', default: '0.02' },
+			speed: { type: 'string', default: '0.15' },
+			'trajectory-file': { type: 'string' },
+			'max-rate': { type: 'string', default: '15' },
+			noise: { type: 'string', default: '0' },
+			bins: { type: 'string', default: '30' },
+			smoothing: { type: 'string', default: '1.5' },
+			method: { type: 'string', default: 'likelihood' },
+			window: { type: 'string', default: '0.5' },
+			trials: { type: 'string', default: '0' },
+			'noise-levels': { type: 'string', default: '0,1,2,5' },
+			seed: { type: 'string' },
+			format: { type: 'string', default: 'json' },
+			table: { type: 'string', default: 'cells' },
+			output: { type: 'string' },
+			help: { type: 'boolean', default: false }
+		}
+	}));
+} catch (error) {
+	fail(error.message);
+}
+
+if (args.help) {
+	process.stdout.write(usage);
+	process.exit(0);
+}
+
+if (!['json', 'csv'].includes(args.format)) {
+	fail(`Unknown format: ${args.format}`);
+}
+if (!['cells', 'spikes', 'path', 'decoded', 'errors'].includes(args.table)) {
+	fail(`Unknown table: ${args.table}`);
+}
+if (!['likelihood', 'population'].includes(args.method)) {
+	fail(`Unknown method: ${args.method}`);
+}
+
+const options = {
+	modules: integer(args.modules, 'modules', 1),
+	cellsPerModule: integer(args.cells, 'cells', 1),
+	baseSpacing: positive(args.spacing, 'spacing'),
+	ratio: positive(args.ratio, 'ratio'),
+	size: positive(args.size, 'size'),
+	duration: positive(args.duration, 'duration'),
+	dt: positive(args.dt, 'dt'),
+	speed: positive(args.speed, 'speed'),
+	maxRate: positive(args['max-rate'], 'max-rate'),
+	noiseRate: Number(args.noise),
+	bins: integer(args.bins, 'bins', 4),
+	smoothing: Number(args.smoothing),
+	method: args.method,
+	window: positive(args.window, 'window'),
+	trials: integer(args.trials, 'trials', 0),
+	noiseLevels: args['noise-levels'].split(',').map(Number),
+	seed: args.seed
+};
+if (!(options.smoothing >= 0)) {
+	fail('--smoothing must be >= 0');
+}
+if (!(options.noiseRate >= 0)) {
+	fail('--noise must be >= 0');
+}
+if (!options.noiseLevels.every((level) => level >= 0)) {
+	fail('--noise-levels must be rates >= 0');
+}
+if (args.table === 'errors' && options.trials === 0) {
+	fail('--table errors needs --trials');
+}
+
+if (args['trajectory-file']) {
+	try {
+		options.trajectory = readFileSync(args['trajectory-file'], 'utf8');
+	} catch (error) {
+		fail(`Cannot read ${args['trajectory-file']}: ${error.message}`);
+	}
+}
+
+let result;
+try {
+	result = runGridCellExperiment(options);
+} catch (error) {
+	fail(error.message);
+}
+
+// Record the file rather than echoing its contents
+if (args['trajectory-file']) {
+	result.config.trajectory = args['trajectory-file'];
+}
+
+const output =
+	args.format === 'json' ? `${JSON.stringify(result, null, 2)}\n` : toCSV(result[args.table]);
+
+if (args.output) {
+	writeFileSync(args.output, output);
+	console.error(`Wrote ${args.output} (seed ${result.config.seed})`);
+} else {
+	process.stdout.write(output);
+}
@@ -0,0 +1,102 @@
+/**
+ * Complex arithmetic on [re, im] pairs
+ *
+ * Mirrors the WGSL library in ./wgsl.js function for function, so a value
+ * computed here matches what the generated shaders draw (up to f32
+ * rounding). Multivalued functions return their principal branch: log and
+ * arg take the argument in (-π, π], sqrt has a non-negative real part.
+ */
+
+export const ZERO = [0, 0];
+export const ONE = [1, 0];
+export const I = [0, 1];
+
+export function add(a, b) {
+	return [a[0] + b[0], a[1] + b[1]];
+}
+
+export function sub(a, b) {
+	return [a[0] - b[0], a[1] - b[1]];
+}
+
+export function neg(a) {
+	return [-a[0], -a[1]];
+}
+
+export function mul(a, b) {
+	return [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]];
+}
+
+export function div(a, b) {
+	const d = b[0] * b[0] + b[1] * b[1];
+	return [(a[0] * b[0] + a[1] * b[1]) / d, (a[1] * b[0] - a[0] * b[1]) / d];
+}
+
+export function abs(a) {
+	return Math.hypot(a[0], a[1]);
+}
+
+export function arg(a) {
+	return Math.atan2(a[1], a[0]);
+}
+
+export function conj(a) {
+	return [a[0], -a[1]];
+}
+
+export function exp(a) {
+	const r = Math.exp(a[0]);
+	return [r * Math.cos(a[1]), r * Math.sin(a[1])];
+}
+
+export function log(a) {
+	return [Math.log(abs(a)), arg(a)];
+}
+
+export function sqrt(a) {
+	const r = abs(a);
+	const re = Math.sqrt(0.5 * (r + a[0]));
+	const im = Math.sqrt(0.5 * (r - a[0]));
+	return [re, a[1] < 0 ? -im : im];
+}
+
+// a^b = exp(b log a), with 0^b = 0
+export function pow(a, b) {
+	if (a[0] === 0 && a[1] === 0) return [0, 0];
+	return exp(mul(b, log(a)));
+}
+
+// a^n for an integer n, by repeated squaring
+export function powi(a, n) {
+	let result = [1, 0];
+	let base = a;
+	for (let k = Math.abs(n); k > 0; k >>= 1) {
+		if (k & 1) result = mul(result, base);
+		base = mul(base, base);
+	}
+	return n < 0 ? div([1, 0], result) : result;
+}
+
+export function sin(a) {
+	return [Math.sin(a[0]) * Math.cosh(a[1]), Math.cos(a[0]) * Math.sinh(a[1])];
+}
+
+export function cos(a) {
+	return [Math.cos(a[0]) * Math.cosh(a[1]), -Math.sin(a[0]) * Math.sinh(a[1])];
+}
+
+export function tan(a) {
+	return div(sin(a), cos(a));
+}
+
+export function sinh(a) {
+	return [Math.sinh(a[0]) * Math.cos(a[1]), Math.cosh(a[0]) * Math.sin(a[1])];
+}
+
+export function cosh(a) {
+	return [Math.cosh(a[0]) * Math.cos(a[1]), Math.sinh(a[0]) * Math.sin(a[1])];
+}
+
+export function tanh(a) {
+	return div(sinh(a), cosh(a));
+}
@@ -0,0 +1,341 @@
+import * as C from './complex.js';
+
+/**
+ * Expressions in z
+ *
+ * Grammar, loosest binding first:
+ *
+ *   sum      = product (('+' | '-') product)*
+ *   product  = unary (('*' | '/') unary | power)*    - juxtaposition multiplies: 2z, z(z+1)
+ *   unary    = ('-' | '+') unary | power
+ *   power    = primary (('^' | '**') unary)?         - right-associative, so -z^2 = -(z^2)
+ *   primary  = number | name | name '(' sum (',' sum)* ')' | '(' sum ')'
+ *
+ * Names are the variables z and t (time, real), the constants i, pi and e,
+ * and the functions in FUNCTIONS. The AST is plain data:
+ *
+ *   { type: 'number', value: [re, im] }
+ *   { type: 'variable', name }
+ *   { type: 'negate', argument }
+ *   { type: 'binary', operator, left, right }
+ *   { type: 'call', name, args }
+ */
+
+// Keeps generated shaders a reasonable size
+export const MAX_NODES = 256;
+
+export const VARIABLES = ['z', 't'];
+
+export const CONSTANTS = {
+	i: [0, 1],
+	pi: [Math.PI, 0],
+	e: [Math.E, 0]
+};
+
+// evaluate works on [re, im] pairs (./complex.js), wgsl names the
+// matching function in the shader library (./wgsl.js)
+export const FUNCTIONS = {
+	exp: { arity: 1, evaluate: C.exp, wgsl: 'c_exp' },
+	log: { arity: 1, evaluate: C.log, wgsl: 'c_log' },
+	sqrt: { arity: 1, evaluate: C.sqrt, wgsl: 'c_sqrt' },
+	pow: { arity: 2, evaluate: C.pow, wgsl: 'c_pow' },
+	sin: { arity: 1, evaluate: C.sin, wgsl: 'c_sin' },
+	cos: { arity: 1, evaluate: C.cos, wgsl: 'c_cos' },
+	tan: { arity: 1, evaluate: C.tan, wgsl: 'c_tan' },
+	sinh: { arity: 1, evaluate: C.sinh, wgsl: 'c_sinh' },
+	cosh: { arity: 1, evaluate: C.cosh, wgsl: 'c_cosh' },
+	tanh: { arity: 1, evaluate: C.tanh, wgsl: 'c_tanh' },
+	conj: { arity: 1, evaluate: C.conj, wgsl: 'c_conj' },
+	abs: { arity: 1, evaluate: (a) => [C.abs(a), 0], wgsl: 'c_abs' },
+	arg: { arity: 1, evaluate: (a) => [C.arg(a), 0], wgsl: 'c_arg' },
+	re: { arity: 1, evaluate: (a) => [a[0], 0], wgsl: 'c_re' },
+	im: { arity: 1, evaluate: (a) => [a[1], 0], wgsl: 'c_im' }
+};
+
+// Largest finite f32, so every literal survives the trip into a shader
+const MAX_LITERAL = 3.4028234663852886e38;
+
+// Integer exponents up to this size use repeated squaring, which is exact
+// where exp(n log z) is not and stays defined at z = 0
+const MAX_INTEGER_EXPONENT = 64;
+
+export class ExpressionError extends Error {
+	constructor(message, position) {
+		super(`${message} at column ${position + 1}`);
+		this.name = 'ExpressionError';
+		this.reason = message;
+		this.position = position;
+	}
+}
+
+function tokenize(text) {
+	const tokens = [];
+	let position = 0;
+
+	while (position < text.length) {
+		const rest = text.slice(position);
+
+		const space = /^\s+/.exec(rest);
+		if (space) {
+			position += space[0].length;
+			continue;
+		}
+
+		const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(rest);
+		if (number) {
+			const value = Number(number[0]);
+			if (value > MAX_LITERAL) {
+				throw new ExpressionError(`Number ${number[0]} is too large`, position);
+			}
+			tokens.push({ type: 'number', value, position });
+			position += number[0].length;
+			continue;
+		}
+
+		const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest);
+		if (name) {
+			tokens.push({ type: 'name', value: name[0], position });
+			position += name[0].length;
+			continue;
+		}
+
+		const operator = rest.startsWith('**') ? '**' : rest[0];
+		if (operator === '**' || '+-*/^(),'.includes(operator)) {
+			tokens.push({ type: 'operator', value: operator === '**' ? '^' : operator, position });
+			position += operator.length;
+			continue;
+		}
+
+		throw new ExpressionError(`Unexpected character '${rest[0]}'`, position);
+	}
+
+	tokens.push({ type: 'end', value: null, position });
+	return tokens;
+}
+
+function describe(token) {
+	return token.type === 'end' ? 'end of expression' : `'${token.value}'`;
+}
+
+/**
+ * Parse an expression into an AST
+ *
+ * @param {string} text
+ * @returns {Object} AST node, see the top of this file
+ * @throws {ExpressionError} With the position of the offending token
+ */
+export function parseExpression(text) {
+	const tokens = tokenize(String(text));
+	let index = 0;
+	let nodes = 0;
+
+	const peek = () => tokens[index];
+	const next = () => tokens[index++];
+	const isOperator = (token, value) => token.type === 'operator' && token.value === value;
+
+	function node(properties, token) {
+		if (++nodes > MAX_NODES) {
+			throw new ExpressionError(
+				`Expression is too long (more than ${MAX_NODES} terms)`,
+				token.position
+			);
+		}
+		return properties;
+	}
+
+	function expect(value) {
+		const token = next();
+		if (!isOperator(token, value)) {
+			throw new ExpressionError(`Expected '${value}' but found ${describe(token)}`, token.position);
+		}
+	}
+
+	function parseSum() {
+		let left = parseProduct();
+		while (isOperator(peek(), '+') || isOperator(peek(), '-')) {
+			const token = next();
+			left = node({ type: 'binary', operator: token.value, left, right: parseProduct() }, token);
+		}
+		return left;
+	}
+
+	function parseProduct() {
+		let left = parseUnary();
+		for (;;) {
+			const token = peek();
+			if (isOperator(token, '*') || isOperator(token, '/')) {
+				next();
+				left = node({ type: 'binary', operator: token.value, left, right: parseUnary() }, token);
+			} else if (token.type === 'number' || token.type === 'name' || isOperator(token, '(')) {
+				left = node({ type: 'binary', operator: '*', left, right: parsePower() }, token);
+			} else {
+				return left;
+			}
+		}
+	}
+
+	function parseUnary() {
+		const token = peek();
+		if (isOperator(token, '-')) {
+			next();
+			return node({ type: 'negate', argument: parseUnary() }, token);
+		}
+		if (isOperator(token, '+')) {
+			next();
+			return parseUnary();
+		}
+		return parsePower();
+	}
+
+	function parsePower() {
+		const base = parsePrimary();
+		const token = peek();
+		if (!isOperator(token, '^')) return base;
+		next();
+		return node({ type: 'binary', operator: '^', left: base, right: parseUnary() }, token);
+	}
+
+	function parsePrimary() {
+		const token = next();
+
+		if (token.type === 'number') {
+			return node({ type: 'number', value: [token.value, 0] }, token);
+		}
+
+		if (isOperator(token, '(')) {
+			const inner = parseSum();
+			expect(')');
+			return inner;
+		}
+
+		if (token.type === 'name') {
+			const name = token.value;
+
+			if (FUNCTIONS[name]) {
+				if (!isOperator(peek(), '(')) {
+					throw new ExpressionError(`Expected '(' after ${name}`, peek().position);
+				}
+				next();
+				const args = [parseSum()];
+				while (isOperator(peek(), ',')) {
+					next();
+					args.push(parseSum());
+				}
+				expect(')');
+
+				const { arity } = FUNCTIONS[name];
+				if (args.length !== arity) {
+					const expected = `${arity} argument${arity === 1 ? '' : 's'}`;
+					throw new ExpressionError(
+						`${name} takes ${expected}, not ${args.length}`,
+						token.position
+					);
+				}
+				return node({ type: 'call', name, args }, token);
+			}
+
+			if (VARIABLES.includes(name)) {
+				return node({ type: 'variable', name }, token);
+			}
+
+			if (CONSTANTS[name]) {
+				return node({ type: 'number', value: CONSTANTS[name] }, token);
+			}
+
+			throw new ExpressionError(`Unknown name '${name}'`, token.position);
+		}
+
+		throw new ExpressionError(`Unexpected ${describe(token)}`, token.position);
+	}
+
+	const ast = parseSum();
+	if (peek().type !== 'end') {
+		throw new ExpressionError(`Unexpected ${describe(peek())}`, peek().position);
+	}
+	return ast;
+}
+
+/**
+ * Validate an expression without keeping the AST
+ *
+ * @param {string} text
+ * @returns {string|null} Error message, or null when the expression parses
+ */
+export function validateExpression(text) {
+	try {
+		parseExpression(text);
+		return null;
+	} catch (error) {
+		if (error instanceof ExpressionError) return error.message;
+		throw error;
+	}
+}
+
+/**
+ * The exponent of a power node when it is a small integer literal, which
+ * both evaluators turn into repeated multiplication
+ *
+ * @param {Object} node Exponent node
+ * @returns {number|null}
+ */
+export function integerExponent(node) {
+	if (node.type === 'negate') {
+		const n = integerExponent(node.argument);
+		return n === null ? null : -n;
+	}
+	if (node.type !== 'number' || node.value[1] !== 0) return null;
+	const n = node.value[0];
+	return Number.isInteger(n) && Math.abs(n) <= MAX_INTEGER_EXPONENT ? n : null;
+}
+
+const BINARY = {
+	'+': C.add,
+	'-': C.sub,
+	'*': C.mul,
+	'/': C.div,
+	'^': C.pow
+};
+
+function compileNode(node) {
+	switch (node.type) {
+		case 'number': {
+			const { value } = node;
+			return () => value;
+		}
+		case 'variable':
+			return node.name === 'z' ? (z) => z : (z, t) => [t, 0];
+		case 'negate': {
+			const argument = compileNode(node.argument);
+			return (z, t) => C.neg(argument(z, t));
+		}
+		case 'binary': {
+			const left = compileNode(node.left);
+			if (node.operator === '^') {
+				const n = integerExponent(node.right);
+				if (n !== null) return (z, t) => C.powi(left(z, t), n);
+			}
+			const right = compileNode(node.right);
+			const operation = BINARY[node.operator];
+			return (z, t) => operation(left(z, t), right(z, t));
+		}
+		case 'call': {
+			const { evaluate } = FUNCTIONS[node.name];
+			const args = node.args.map(compileNode);
+			return (z, t) => evaluate(...args.map((argument) => argument(z, t)));
+		}
+		default:
+			throw new Error(`Unknown expression node '${node.type}'`);
+	}
+}
+
+/**
+ * Compile an expression into a JavaScript function
+ *
+ * @param {string|Object} source Expression text or a parsed AST
+ * @returns {function(number[], number=): number[]} (z, t) => f(z) as [re, im]
+ */
+export function compileExpression(source) {
+	const ast = typeof source === 'string' ? parseExpression(source) : source;
+	const evaluate = compileNode(ast);
+	return (z, t = 0) => evaluate(z, t);
+}
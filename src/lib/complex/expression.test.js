@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest';
+import {
+	parseExpression,
+	compileExpression,
+	validateExpression,
+	integerExponent,
+	ExpressionError,
+	MAX_NODES
+} from './expression.js';
+import { toWGSL, formatFloat, generateFunctionWGSL } from './wgsl.js';
+
+const wgsl = (text) => toWGSL(parseExpression(text));
+
+// Position of the error an expression throws
+const errorAt = (text) => {
+	try {
+		parseExpression(text);
+	} catch (error) {
+		expect(error).toBeInstanceOf(ExpressionError);
+		return { reason: error.reason, position: error.position };
+	}
+	throw new Error(`'${text}' parsed`);
+};
+
+// A sum of `terms` copies of z, which parses into 2 * terms - 1 nodes
+const sumOf = (terms) => Array(terms).fill('z').join('+');
+
+describe('parseExpression', () => {
+	it('binds powers tighter than negation', () => {
+		expect(parseExpression('-z^2')).toEqual({
+			type: 'negate',
+			argument: {
+				type: 'binary',
+				operator: '^',
+				left: { type: 'variable', name: 'z' },
+				right: { type: 'number', value: [2, 0] }
+			}
+		});
+		expect(compileExpression('-z^2')([0, 1])).toEqual([1, -0]);
+	});
+
+	it('binds powers tighter than juxtaposition', () => {
+		expect(wgsl('2z^2')).toBe('c_mul(vec2<f32>(2.0, 0.0), c_powi(z, 2))');
+		expect(compileExpression('2z^2')([3, 0])).toEqual([18, 0]);
+	});
+
+	it('multiplies juxtaposed numbers, names and parentheses', () => {
+		expect(wgsl('z(z+1)')).toBe('c_mul(z, (z + vec2<f32>(1.0, 0.0)))');
+		expect(wgsl('2pi z')).toBe(wgsl('2 * pi * z'));
+		expect(compileExpression('2 i z')([1, 0])).toEqual([0, 2]);
+	});
+
+	it('reads powers right to left and ** as ^', () => {
+		expect(compileExpression('2^3^2')([0, 0])[0]).toBeCloseTo(512, 9);
+		expect(parseExpression('z**2')).toEqual(parseExpression('z^2'));
+	});
+
+	it('reads t as a real variable and knows i, pi and e', () => {
+		const f = compileExpression('t + i pi + e');
+		expect(f([0, 0], 2)).toEqual([2 + Math.E, Math.PI]);
+	});
+
+	it('reports the column of the offending token', () => {
+		expect(errorAt('z +')).toEqual({ reason: 'Unexpected end of expression', position: 3 });
+		expect(errorAt('sin z')).toEqual({ reason: "Expected '(' after sin", position: 4 });
+		expect(errorAt('z + foo(z)')).toEqual({ reason: "Unknown name 'foo'", position: 4 });
+		expect(errorAt('pow(z)')).toEqual({ reason: 'pow takes 2 arguments, not 1', position: 0 });
+		expect(errorAt('(z')).toEqual({
+			reason: "Expected ')' but found end of expression",
+			position: 2
+		});
+		expect(errorAt('z $ 2')).toEqual({ reason: "Unexpected character '$'", position: 2 });
+		expect(errorAt('z)')).toEqual({ reason: "Unexpected ')'", position: 1 });
+		expect(errorAt('1 + 1e39')).toEqual({ reason: 'Number 1e39 is too large', position: 4 });
+	});
+
+	it('gives a one-based column in the message', () => {
+		expect(validateExpression('sin z')).toBe("Expected '(' after sin at column 5");
+		expect(validateExpression('sin(z)')).toBeNull();
+	});
+
+	it(`stops at ${MAX_NODES} nodes`, () => {
+		const terms = (MAX_NODES + 1) / 2;
+		expect(() => parseExpression(sumOf(Math.floor(terms)))).not.toThrow();
+		expect(errorAt(sumOf(Math.floor(terms) + 1)).reason).toBe(
+			`Expression is too long (more than ${MAX_NODES} terms)`
+		);
+	});
+});
+
+describe('integerExponent', () => {
+	const exponent = (text) => integerExponent(parseExpression(`z^${text}`).right);
+
+	it('accepts small integer literals, negated or not', () => {
+		expect(exponent('3')).toBe(3);
+		expect(exponent('-3')).toBe(-3);
+		expect(exponent('(-(2))')).toBe(-2);
+		expect(exponent('64')).toBe(64);
+		expect(exponent('0')).toBe(0);
+	});
+
+	it('leaves everything else to the general power', () => {
+		expect(exponent('2.5')).toBeNull();
+		expect(exponent('65')).toBeNull();
+		expect(exponent('i')).toBeNull();
+		expect(exponent('z')).toBeNull();
+		expect(exponent('(1+1)')).toBeNull();
+	});
+
+	it('selects c_powi in WGSL and exact powers in JavaScript', () => {
+		expect(wgsl('z^-3')).toBe('c_powi(z, -3)');
+		expect(wgsl('z^2.5')).toBe('c_pow(z, vec2<f32>(2.5, 0.0))');
+		expect(wgsl('z^65')).toBe('c_pow(z, vec2<f32>(65.0, 0.0))');
+
+		// exp(n log z) is undefined at 0 and inexact elsewhere; repeated squaring is neither
+		expect(compileExpression('z^3')([0, 0])).toEqual([0, 0]);
+		expect(compileExpression('z^4')([0, 1])).toEqual([1, 0]);
+		expect(compileExpression('z^-2')([2, 0])).toEqual([0.25, 0]);
+	});
+});
+
+describe('WGSL generation', () => {
+	it('writes every float literal with a decimal point or an exponent', () => {
+		expect(formatFloat(3)).toBe('3.0');
+		expect(formatFloat(-2)).toBe('-2.0');
+		expect(formatFloat(0.5)).toBe('0.5');
+		expect(formatFloat(1e-7)).toBe('1e-7');
+		expect(formatFloat(1e21)).toBe('1e+21');
+		expect(wgsl('0')).toBe('vec2<f32>(0.0, 0.0)');
+		expect(wgsl('i')).toBe('vec2<f32>(0.0, 1.0)');
+	});
+
+	it('calls the library functions and wraps t as a complex number', () => {
+		expect(wgsl('sin(t) + conj(z)')).toBe('(c_sin(vec2<f32>(t, 0.0)) + c_conj(z))');
+		expect(wgsl('pow(z, 1/z)')).toBe('c_pow(z, c_div(vec2<f32>(1.0, 0.0), z))');
+		expect(wgsl('-z')).toBe('(-z)');
+	});
+
+	it('wraps the expression in a function of z and t', () => {
+		expect(generateFunctionWGSL('z^2 + 1', 'f')).toBe(
+			'fn f(z: vec2<f32>, t: f32) -> vec2<f32> {\n' +
+				'    return (c_powi(z, 2) + vec2<f32>(1.0, 0.0));\n' +
+				'}\n'
+		);
+	});
+
+	it('rejects bad input before generating anything', () => {
+		expect(() => generateFunctionWGSL('z +')).toThrow(ExpressionError);
+	});
+});
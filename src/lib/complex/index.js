@@ -0,0 +1,55 @@
+// Complex functions of z: arithmetic, an expression parser and WGSL codegen. No DOM or WebGPU, usable from Node
+export * as complex from './complex.js';
+export {
+	parseExpression,
+	validateExpression,
+	compileExpression,
+	integerExponent,
+	ExpressionError,
+	FUNCTIONS,
+	CONSTANTS,
+	VARIABLES,
+	MAX_NODES
+} from './expression.js';
+export {
+	WGSL_COMPLEX_LIBRARY,
+	WGSL_DOMAIN_COLORING,
+	toWGSL,
+	generateFunctionWGSL,
+	formatFloat
+} from './wgsl.js';
+export { findZerosAndPoles } from './winding.js';
+export { zeta, riemannSiegelTheta, hardyZ, findCriticalZeros, WGSL_ZETA } from './zeta.js';
+export {
+	branchedFunction,
+	branchPoints,
+	buildRiemannSurface,
+	continuePath
+} from './riemannSurface.js';
+export {
+	parsePeriodMatrix,
+	periodMatrix,
+	validatePeriodMatrix,
+	PeriodMatrixError,
+	thetaFunction,
+	riemannTheta,
+	quasiPeriodFactor,
+	thetaErrorBound,
+	summationRadius,
+	packThetaParams,
+	latticePoints,
+	MAX_GENUS,
+	THETA_MAX_POINTS,
+	THETA_PARAMS_FLOATS,
+	WGSL_THETA
+} from './theta.js';
+export {
+	KP_GENUS,
+	KPError,
+	validateKPMatrix,
+	kpThetaSolution,
+	kpSolitons,
+	kpField,
+	packKPWave,
+	WGSL_KP
+} from './kp.js';
@@ -0,0 +1,377 @@
+import {
+	latticePoints,
+	parsePeriodMatrix,
+	periodMatrix,
+	PeriodMatrixError,
+	thetaFunction
+} from './theta.js';
+
+/**
+ * Solutions of the Kadomtsev–Petviashvili equation
+ *
+ *   (-4u_t + 6uu_x + u_xxx)_x + 3u_yy = 0
+ *
+ * as u = 2 ∂²_x log τ. In Hirota's bilinear form this is
+ *
+ *   (D_x⁴ - 4 D_x D_t + 3 D_y² + d) τ·τ = 0
+ *
+ * for a constant d, and it has two families of solutions here:
+ *
+ * Quasi-periodic: τ = θ(Ux + Vy + Wt + D | Ω) for genus 2. Not every U, V,
+ * W fit a period matrix; by the addition formula θ(z + w)θ(z - w) =
+ * Σ_n θ̂[n](z) θ̂[n](w), with θ̂[n](w) = θ[n/2, 0](2w | 2Ω), τ solves the
+ * bilinear equation exactly when
+ *
+ *   (∂_U⁴ - 4 ∂_U ∂_W + 3 ∂_V² + d) θ̂[n](0) = 0   for n ∈ {0, 1}²
+ *
+ * (Dubrovin 1981; Deconinck and Segur 1998). These four equations are
+ * linear in W and d, so with U and V₁ chosen they fix V₂ by one quadratic
+ * and then W and d. Ω must be purely imaginary for u to be real.
+ *
+ * Solitons: τ = 1 + e^η₁ (+ e^η₂ + A₁₂ e^(η₁+η₂)), η = kx + ly + ωt + φ,
+ * with ω = (k⁴ + 3l²) / 4k from the dispersion relation and Hirota's
+ * phase shift A₁₂; the sanity check for the theta solutions.
+ */
+
+export const KP_GENUS = 2;
+
+// Characteristics n/2 of the four theta constants θ̂[n]
+const CHARACTERISTICS = [
+	[0, 0],
+	[0.5, 0],
+	[0, 0.5],
+	[0.5, 0.5]
+];
+
+// Accuracy of the theta constants, well below anything the shader resolves
+const CONSTANT_TOLERANCE = 1e-14;
+
+export class KPError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'KPError';
+	}
+}
+
+/**
+ * Check a period matrix for the KP theta solutions
+ *
+ * @param {string} text See parsePeriodMatrix
+ * @returns {string|null} The error message, or null
+ */
+export function validateKPMatrix(text) {
+	try {
+		const omega = parsePeriodMatrix(text);
+		if (omega.genus !== KP_GENUS) return `KP waves need genus ${KP_GENUS}, not ${omega.genus}`;
+		if (omega.real.some((row) => row.some((value) => value !== 0))) {
+			return 'Re Ω must be 0 for a real wave';
+		}
+		return null;
+	} catch (error) {
+		if (error instanceof PeriodMatrixError) return error.message;
+		throw error;
+	}
+}
+
+/**
+ * The genus 2 theta solution through U and V₁
+ *
+ * Of the two roots V₂ the smaller is taken.
+ *
+ * @param {Object} omega Genus 2, purely imaginary (see validateKPMatrix)
+ * @param {Object} vectors
+ *   U     - [U₁, U₂]
+ *   V1    - first component of V
+ *   phase - D (default [0, 0])
+ * @returns {Object} { kind: 'theta', omega, U, V, W, D, d }
+ * @throws {KPError} When no real V₂ fits
+ */
+export function kpThetaSolution(omega, { U, V1, phase = [0, 0] }) {
+	// With Ω = iY the constants are sums of exp(-2π kᵀYk) over k = m + n/2;
+	// each derivative brings down 4πi kᵀ(direction)
+	const doubled = periodMatrix(
+		omega.real.map((row) => row.map((value) => 2 * value)),
+		omega.imag.map((row) => row.map((value) => 2 * value))
+	);
+	const { radius } = thetaFunction(doubled, { tolerance: CONSTANT_TOLERANCE });
+	const scale = (4 * Math.PI) ** 2;
+
+	// Per characteristic: Σ w, Σ w (kU)⁴, Σ w (kU) k_j, Σ w k_i k_j
+	const constants = CHARACTERISTICS.map((characteristic) => {
+		const sums = { E: 0, A: 0, B: [0, 0], C: [0, 0, 0] };
+		for (const m of latticePoints(doubled, characteristic, radius)) {
+			const k = [m[0] + characteristic[0], m[1] + characteristic[1]];
+			const w = Math.exp(-2 * Math.PI * quadratic(omega.imag, k));
+			const kU = k[0] * U[0] + k[1] * U[1];
+			sums.E += w;
+			sums.A += w * kU ** 4;
+			sums.B[0] += w * kU * k[0];
+			sums.B[1] += w * kU * k[1];
+			sums.C[0] += w * k[0] * k[0];
+			sums.C[1] += w * k[0] * k[1];
+			sums.C[2] += w * k[1] * k[1];
+		}
+		return sums;
+	});
+
+	// Equation n: scale² A + 4 scale (B·W) - 3 scale VᵀCV + d E = 0,
+	// columns of the linear part: W₁, W₂, d
+	const M = constants.map(({ B, E }) => [4 * scale * B[0], 4 * scale * B[1], E]);
+	const left = leftNullVector(M);
+
+	// ℓ·(equations) = 0 leaves a V₂² + b V₂ + c = 0
+	const project = (select) => constants.reduce((sum, entry, n) => sum + left[n] * select(entry), 0);
+	const a = -3 * scale * project(({ C }) => C[2]);
+	const b = -6 * scale * V1 * project(({ C }) => C[1]);
+	const c = scale * scale * project(({ A }) => A) - 3 * scale * V1 * V1 * project(({ C }) => C[0]);
+
+	const discriminant = b * b - 4 * a * c;
+	if (!(discriminant >= 0) || a === 0) {
+		throw new KPError('No real wave for this U and V₁');
+	}
+	const root = Math.sqrt(discriminant);
+	const roots = [(-b + root) / (2 * a), (-b - root) / (2 * a)];
+	const V = [V1, Math.abs(roots[0]) < Math.abs(roots[1]) ? roots[0] : roots[1]];
+
+	// The remaining equations are consistent: solve them in least squares
+	const rhs = constants.map(
+		({ A, C }) =>
+			-(
+				scale * scale * A -
+				3 * scale * (V[0] * V[0] * C[0] + 2 * V[0] * V[1] * C[1] + V[1] * V[1] * C[2])
+			)
+	);
+	const [W1, W2, d] = leastSquares(M, rhs);
+
+	return { kind: 'theta', omega, U: [...U], V, W: [W1, W2], D: [...phase], d };
+}
+
+/**
+ * One or two line solitons
+ *
+ * @param {Object[]} waves [{ k, l, phase }], one or two
+ * @returns {Object} { kind: 'solitons', waves: [{ k, l, omega, phase }], logA }
+ * @throws {KPError} When a k is 0 or the pair interacts singularly (A₁₂ ≤ 0)
+ */
+export function kpSolitons(waves) {
+	const withFrequency = waves.map(({ k, l, phase = 0 }) => {
+		if (k === 0) throw new KPError('Soliton wave numbers k must not be 0');
+		return { k, l, omega: dispersion(k, l), phase };
+	});
+
+	let logA = 0;
+	if (withFrequency.length === 2) {
+		const [first, second] = withFrequency;
+		const A =
+			-hirota(first.k - second.k, first.l - second.l, first.omega - second.omega) /
+			hirota(first.k + second.k, first.l + second.l, first.omega + second.omega);
+		if (!(A > 0) || !Number.isFinite(A)) {
+			throw new KPError('These solitons interact singularly (A₁₂ ≤ 0)');
+		}
+		logA = Math.log(A);
+	}
+
+	return { kind: 'solitons', waves: withFrequency, logA };
+}
+
+/**
+ * u(x, y, t) of a solution, in double precision; the reference for WGSL_KP
+ *
+ * @param {Object} solution From kpThetaSolution or kpSolitons
+ * @returns {Function} (x, y, t) => u
+ */
+export function kpField(solution) {
+	if (solution.kind === 'solitons') {
+		return (x, y, t) => solitonField(solution, x, y, t);
+	}
+
+	const { omega, U, V, W, D } = solution;
+	const { radius } = thetaFunction(omega, { tolerance: CONSTANT_TOLERANCE });
+	const points = latticePoints(omega, [0, 0], radius);
+	const weights = points.map((n) => Math.exp(-Math.PI * quadratic(omega.imag, n)));
+
+	return (x, y, t) => {
+		const z = [0, 1].map((i) => U[i] * x + V[i] * y + W[i] * t + D[i]);
+		// θ and its x derivatives; real, as Ω = iY
+		let value = 0;
+		let first = 0;
+		let second = 0;
+		points.forEach((n, index) => {
+			const phase = 2 * Math.PI * (n[0] * z[0] + n[1] * z[1]);
+			const s = 2 * Math.PI * (n[0] * U[0] + n[1] * U[1]);
+			value += weights[index] * Math.cos(phase);
+			first -= weights[index] * s * Math.sin(phase);
+			second -= weights[index] * s * s * Math.cos(phase);
+		});
+		return (2 * (second * value - first * first)) / (value * value);
+	};
+}
+
+/**
+ * A solution packed as KPWave, see WGSL_KP
+ *
+ * @param {Object|null} solution From kpThetaSolution or kpSolitons; null draws u = 0
+ * @param {number} speed Units of t per unit of shader time
+ * @returns {Float32Array} 20 floats
+ */
+export function packKPWave(solution, speed = 1) {
+	const data = new Float32Array(20);
+	if (!solution) {
+		data[16] = -1;
+	} else if (solution.kind === 'theta') {
+		data.set([...solution.U, ...solution.V, ...solution.W, ...solution.D]);
+		data[16] = 0;
+	} else {
+		solution.waves.forEach(({ k, l, omega, phase }, index) => {
+			data.set([k, l, omega, phase], 8 + index * 4);
+		});
+		data[16] = solution.waves.length;
+		data[17] = solution.logA;
+	}
+	data[18] = speed;
+	return data;
+}
+
+// ω of a line soliton e^(kx + ly + ωt)
+function dispersion(k, l) {
+	return (k ** 4 + 3 * l * l) / (4 * k);
+}
+
+// The bilinear operator's polynomial, P(D_x, D_y, D_t) without d
+function hirota(k, l, omega) {
+	return k ** 4 - 4 * k * omega + 3 * l * l;
+}
+
+// τ and its x derivatives from exponents scaled by the largest, so nothing overflows
+function solitonField({ waves, logA }, x, y, t) {
+	const etas = waves.map(({ k, l, omega, phase }) => k * x + l * y + omega * t + phase);
+	const terms = [{ exponent: 0, k: 0 }];
+	waves.forEach(({ k }, index) => terms.push({ exponent: etas[index], k }));
+	if (waves.length === 2) {
+		terms.push({ exponent: etas[0] + etas[1] + logA, k: waves[0].k + waves[1].k });
+	}
+
+	const largest = Math.max(...terms.map(({ exponent }) => exponent));
+	let value = 0;
+	let first = 0;
+	let second = 0;
+	for (const { exponent, k } of terms) {
+		const weight = Math.exp(exponent - largest);
+		value += weight;
+		first += k * weight;
+		second += k * k * weight;
+	}
+	return (2 * (second * value - first * first)) / (value * value);
+}
+
+function quadratic(M, v) {
+	return M[0][0] * v[0] * v[0] + 2 * M[0][1] * v[0] * v[1] + M[1][1] * v[1] * v[1];
+}
+
+// ℓ with ℓᵀM = 0 for a 4×3 M: signed 3×3 minors, as for a cross product
+function leftNullVector(M) {
+	return M.map((_, skip) => {
+		const rows = M.filter((__, index) => index !== skip);
+		return (skip % 2 === 0 ? 1 : -1) * determinant3(rows);
+	});
+}
+
+function determinant3([a, b, c]) {
+	return (
+		a[0] * (b[1] * c[2] - b[2] * c[1]) -
+		a[1] * (b[0] * c[2] - b[2] * c[0]) +
+		a[2] * (b[0] * c[1] - b[1] * c[0])
+	);
+}
+
+// x minimizing |Mx - r|, from the normal equations
+function leastSquares(M, r) {
+	const columns = M[0].length;
+	const normal = Array.from({ length: columns }, (_, i) =>
+		Array.from({ length: columns }, (__, j) => M.reduce((sum, row) => sum + row[i] * row[j], 0))
+	);
+	const right = Array.from({ length: columns }, (_, i) =>
+		M.reduce((sum, row, n) => sum + row[i] * r[n], 0)
+	);
+
+	// Gaussian elimination with partial pivoting
+	for (let i = 0; i < columns; i++) {
+		let pivot = i;
+		for (let k = i + 1; k < columns; k++) {
+			if (Math.abs(normal[k][i]) > Math.abs(normal[pivot][i])) pivot = k;
+		}
+		[normal[i], normal[pivot]] = [normal[pivot], normal[i]];
+		[right[i], right[pivot]] = [right[pivot], right[i]];
+		for (let k = i + 1; k < columns; k++) {
+			const factor = normal[k][i] / normal[i][i];
+			for (let j = i; j < columns; j++) normal[k][j] -= factor * normal[i][j];
+			right[k] -= factor * right[i];
+		}
+	}
+	const x = new Array(columns).fill(0);
+	for (let i = columns - 1; i >= 0; i--) {
+		let sum = right[i];
+		for (let j = i + 1; j < columns; j++) sum -= normal[i][j] * x[j];
+		x[i] = sum / normal[i][i];
+	}
+	return x;
+}
+
+/**
+ * u = 2 ∂²_x log τ in WGSL, on c_theta_jet of ./theta.js for the theta
+ * solutions. The including shader binds
+ *
+ *   var<uniform> kpWave: KPWave
+ *
+ * filled by packKPWave, and theta: ThetaParams with the solution's Ω.
+ */
+export const WGSL_KP = /* wgsl */ `
+struct KPWave {
+    thetaUV: vec4<f32>,     // U, V of the theta solution
+    thetaWD: vec4<f32>,     // W, D
+    soliton1: vec4<f32>,    // k, l, ω, phase of each soliton
+    soliton2: vec4<f32>,
+    info: vec4<f32>,        // kind (-1 none, 0 theta, 1 or 2 solitons), log A₁₂, speed, unused
+}
+
+// u of the theta solution; θ is real because Re Ω = 0
+fn kpThetaWave(x: f32, y: f32, t: f32) -> f32 {
+    let U = kpWave.thetaUV.xy;
+    let z = U * x + kpWave.thetaUV.zw * y + kpWave.thetaWD.xy * t + kpWave.thetaWD.zw;
+    let jet = c_theta_jet(vec3<f32>(z, 0.0), vec3<f32>(0.0), vec3<f32>(U, 0.0));
+    let value = jet.value.x;
+    return 2.0 * (jet.second.x * value - jet.first.x * jet.first.x) / (value * value);
+}
+
+// u of one or two solitons, the exponents scaled by the largest so nothing overflows
+fn kpSolitonWave(x: f32, y: f32, t: f32) -> f32 {
+    let s1 = kpWave.soliton1;
+    let s2 = kpWave.soliton2;
+    let eta1 = s1.x * x + s1.y * y + s1.z * t + s1.w;
+    let eta2 = s2.x * x + s2.y * y + s2.z * t + s2.w;
+    let two = kpWave.info.x > 1.5;
+
+    // Terms 1, e^η₁, e^η₂, A₁₂ e^(η₁+η₂) with the k their x derivatives bring down
+    let exponents = vec4<f32>(0.0, eta1, select(-1e30, eta2, two), select(-1e30, eta1 + eta2 + kpWave.info.y, two));
+    let k = vec4<f32>(0.0, s1.x, s2.x, s1.x + s2.x);
+    let largest = max(max(exponents.x, exponents.y), max(exponents.z, exponents.w));
+    let weights = exp(exponents - largest);
+
+    let value = dot(weights, vec4<f32>(1.0));
+    let first = dot(weights, k);
+    let second = dot(weights, k * k);
+    return 2.0 * (second * value - first * first) / (value * value);
+}
+
+// u at a point of the plane, t in shader time
+fn kpWaveHeight(position: vec2<f32>, time: f32) -> f32 {
+    let t = time * kpWave.info.z;
+    if (kpWave.info.x < -0.5) {
+        return 0.0;
+    }
+    if (kpWave.info.x < 0.5) {
+        return kpThetaWave(position.x, position.y, t);
+    }
+    return kpSolitonWave(position.x, position.y, t);
+}
+`;
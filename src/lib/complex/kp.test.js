@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import { kpThetaSolution, kpSolitons, kpField, validateKPMatrix, KPError } from './kp.js';
+import { parsePeriodMatrix } from './theta.js';
+
+// The Grid Code defaults
+const OMEGA = parsePeriodMatrix('i, -0.5i; -0.5i, i');
+const U = [0.5, 0.2];
+const V1 = 0.4;
+
+const POINTS = [
+	[0.3, 0.7, 0.1],
+	[1.1, -0.4, 0.5],
+	[-2, 1, 2]
+];
+
+/**
+ * (-4u_t + 6uu_x + u_xxx)_x + 3u_yy at (x, y, t) by central differences
+ * of step h, which are off by O(h²)
+ */
+function kpResidual(u, [x, y, t], h) {
+	const at = (dx, dy = 0, dt = 0) => u(x + dx * h, y + dy * h, t + dt * h);
+	const ux = (at(1) - at(-1)) / (2 * h);
+	const uxx = (at(1) - 2 * at(0) + at(-1)) / h ** 2;
+	const uxxxx = (at(2) - 4 * at(1) + 6 * at(0) - 4 * at(-1) + at(-2)) / h ** 4;
+	const uyy = (at(0, 1) - 2 * at(0) + at(0, -1)) / h ** 2;
+	const uxt = (at(1, 0, 1) - at(1, 0, -1) - at(-1, 0, 1) + at(-1, 0, -1)) / (4 * h * h);
+	return -4 * uxt + 6 * (ux * ux + at(0) * uxx) + uxxxx + 3 * uyy;
+}
+
+// Richardson extrapolation over h, h/2 and h/4 removes the h² and h⁴ errors
+function extrapolatedResidual(u, point, h = 0.02) {
+	const [r1, r2, r3] = [h, h / 2, h / 4].map((step) => kpResidual(u, point, step));
+	const a = (4 * r2 - r1) / 3;
+	const b = (4 * r3 - r2) / 3;
+	return (16 * b - a) / 15;
+}
+
+describe('kpThetaSolution', () => {
+	const solution = kpThetaSolution(OMEGA, { U, V1 });
+
+	it('keeps U and V₁ and takes the smaller root V₂', () => {
+		expect(solution.U).toEqual(U);
+		expect(solution.V[0]).toBe(V1);
+		expect(solution.V[1]).toBeCloseTo(-0.33693, 5);
+	});
+
+	it('solves KP, with a finite-difference residual that falls as h²', () => {
+		const u = kpField(solution);
+		for (const point of POINTS) {
+			const ratio = kpResidual(u, point, 0.01) / kpResidual(u, point, 0.005);
+			expect(ratio).toBeGreaterThan(3.5);
+			expect(ratio).toBeLessThan(4.5);
+			expect(Math.abs(extrapolatedResidual(u, point))).toBeLessThan(2e-3);
+		}
+	});
+
+	it('stops solving KP when V₂ is off by 1%', () => {
+		const u = kpField({ ...solution, V: [V1, solution.V[1] * 1.01] });
+		const residuals = POINTS.map((point) => Math.abs(extrapolatedResidual(u, point)));
+		expect(Math.max(...residuals)).toBeGreaterThan(2e-2);
+	});
+
+	it('throws when no real V₂ fits', () => {
+		expect(() => kpThetaSolution(OMEGA, { U: [2, 2], V1 })).toThrow(KPError);
+		expect(() => kpThetaSolution(OMEGA, { U: [2, 2], V1 })).toThrow(
+			'No real wave for this U and V₁'
+		);
+	});
+});
+
+describe('kpSolitons', () => {
+	const families = {
+		'1-soliton': [{ k: 1, l: 1.5 }],
+		'2-soliton': [
+			{ k: 1, l: 1.5 },
+			{ k: 1, l: -1.5 }
+		]
+	};
+
+	for (const [name, waves] of Object.entries(families)) {
+		it(`solves KP with the ${name}`, () => {
+			const u = kpField(kpSolitons(waves));
+			for (const point of POINTS) {
+				expect(Math.abs(kpResidual(u, point, 0.02))).toBeLessThan(1e-3);
+				expect(Math.abs(extrapolatedResidual(u, point))).toBeLessThan(5e-5);
+			}
+		});
+	}
+
+	it('takes ω from the dispersion relation', () => {
+		const [wave] = kpSolitons([{ k: 2, l: 1 }]).waves;
+		expect(wave.omega).toBeCloseTo((16 + 3) / 8, 12);
+	});
+
+	it('throws for k = 0 and singular interactions', () => {
+		expect(() => kpSolitons([{ k: 0, l: 1 }])).toThrow('Soliton wave numbers k must not be 0');
+		for (const pair of [
+			[
+				{ k: 1, l: 1 },
+				{ k: 1, l: 1 }
+			],
+			[
+				{ k: 1, l: 1 },
+				{ k: -1, l: 1 }
+			]
+		]) {
+			expect(() => kpSolitons(pair)).toThrow(KPError);
+			expect(() => kpSolitons(pair)).toThrow('These solitons interact singularly (A₁₂ ≤ 0)');
+		}
+	});
+});
+
+describe('validateKPMatrix', () => {
+	it('accepts purely imaginary genus 2 matrices only', () => {
+		expect(validateKPMatrix('i, -0.5i; -0.5i, i')).toBeNull();
+		expect(validateKPMatrix('i')).toBe('KP waves need genus 2, not 1');
+		expect(validateKPMatrix('i, 0.5; 0.5, i')).toBe('Re Ω must be 0 for a real wave');
+	});
+});
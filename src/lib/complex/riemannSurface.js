@@ -0,0 +1,237 @@
+import * as C from './complex.js';
+import { compileExpression } from './expression.js';
+import { findZerosAndPoles } from './winding.js';
+
+/**
+ * Multi-sheeted Riemann surfaces
+ *
+ * A branched function is given by all of its values at a point: the n roots
+ * of w^n = p(z), or log z + 2πik for a window of k. Every grid vertex stores
+ * all of them, and the mesh is stitched by analytic continuation instead of
+ * by cutting: each cell is walked corner to corner, always taking the value
+ * nearest the previous one. Across a branch cut that lands on another
+ * sheet's vertex, so the sheets join up the way the function does. A
+ * cell holding a branch point is left open: the walk around its corners
+ * ends on another sheet than it started on.
+ *
+ * Sheet k at a vertex is the k-th value in the order below (the principal
+ * branch first), so sheet colors change at the principal branch cuts.
+ */
+
+/**
+ * Describe a branched function
+ *
+ * @param {Object} spec
+ *   kind       - 'sqrt' | 'cbrt' | 'log' | 'algebraic'
+ *   degree     - n in w^n = p(z), algebraic only
+ *   expression - p(z), algebraic only
+ *   sheets     - number of log sheets (default 3)
+ * @returns {Object} { sheets, cyclic, values(z, out) }; values
+ *   writes the sheets' [re, im] pairs into out. Cyclic functions come back
+ *   to their starting sheet after enough loops; log never does.
+ * @throws {ExpressionError} When the algebraic expression does not parse
+ */
+export function branchedFunction({ kind, degree = 2, expression = 'z', sheets = 3 }) {
+	if (kind === 'log') {
+		const offset = Math.floor(sheets / 2);
+		return {
+			sheets,
+			cyclic: false,
+			values(z, out) {
+				const [re, im] = C.log(z);
+				for (let k = 0; k < sheets; k++) {
+					out[2 * k] = re;
+					out[2 * k + 1] = im + 2 * Math.PI * (k - offset);
+				}
+				return out;
+			}
+		};
+	}
+
+	const n = kind === 'sqrt' ? 2 : kind === 'cbrt' ? 3 : degree;
+	const p = kind === 'algebraic' ? compileExpression(expression) : (z) => z;
+	const turns = Array.from({ length: n }, (_, k) => C.exp([0, (2 * Math.PI * k) / n]));
+
+	return {
+		sheets: n,
+		cyclic: true,
+		values(z, out) {
+			const q = p(z);
+			// Principal n-th root; 0 stays 0, where log would give -inf
+			const root = q[0] === 0 && q[1] === 0 ? C.ZERO : C.exp(C.div(C.log(q), [n, 0]));
+			for (let k = 0; k < n; k++) {
+				const [re, im] = C.mul(root, turns[k]);
+				out[2 * k] = re;
+				out[2 * k + 1] = im;
+			}
+			return out;
+		}
+	};
+}
+
+/**
+ * Branch points inside bounds: zeros and poles of p(z) whose order n does
+ * not divide, and 0 for log
+ *
+ * @param {Object} spec See branchedFunction
+ * @param {Object} bounds xmin, xmax, ymin, ymax
+ * @returns {Object[]} { x, y, order }, order of the zero (negative for poles)
+ */
+export function branchPoints(spec, bounds) {
+	if (spec.kind !== 'algebraic') return [{ x: 0, y: 0, order: 1 }];
+
+	const p = compileExpression(spec.expression);
+	const { zeros, poles } = findZerosAndPoles((z) => p(z), bounds);
+	return [...zeros, ...poles]
+		.filter((point) => point.winding % spec.degree !== 0)
+		.map(({ x, y, winding }) => ({ x, y, order: winding }));
+}
+
+// Smallest distance between two values at each vertex
+function valueGaps(values, vertices, n) {
+	const gaps = new Float64Array(vertices);
+	for (let v = 0; v < vertices; v++) {
+		const offset = 2 * v * n;
+		let gap = Infinity;
+		for (let k = 1; k < n; k++) {
+			for (let j = 0; j < k; j++) {
+				gap = Math.min(
+					gap,
+					Math.hypot(
+						values[offset + 2 * k] - values[offset + 2 * j],
+						values[offset + 2 * k + 1] - values[offset + 2 * j + 1]
+					)
+				);
+			}
+		}
+		gaps[v] = gap;
+	}
+	return gaps;
+}
+
+// Sheet of vertex v nearest w, or -1 when the step is over half the gap
+// between its values - a continuation that runs off the sheets kept, or
+// one that skips over a branch point
+function nearestSheet(values, gaps, n, v, w) {
+	let best = -1;
+	let bestDistance = Infinity;
+
+	for (let k = 0; k < n; k++) {
+		const offset = 2 * (v * n + k);
+		const distance = Math.hypot(values[offset] - w[0], values[offset + 1] - w[1]);
+		if (distance < bestDistance) {
+			best = k;
+			bestDistance = distance;
+		}
+	}
+
+	return Number.isFinite(bestDistance) && bestDistance <= gaps[v] / 2 ? best : -1;
+}
+
+/**
+ * Sample every sheet on a grid and stitch them into one triangle mesh
+ *
+ * @param {Object} fn From branchedFunction
+ * @param {Object} options
+ *   bounds     - xmin, xmax, ymin, ymax of the z-plane
+ *   resolution - vertices per side (default 160)
+ * @returns {Object} { resolution, sheets, values, indices }: values holds
+ *   [re, im] per vertex and sheet, vertex v's sheet k at 2 * (v * sheets + k);
+ *   indices are triangles over v * sheets + k
+ */
+export function buildRiemannSurface(fn, { bounds, resolution = 160 }) {
+	const { xmin, xmax, ymin, ymax } = bounds;
+	const n = fn.sheets;
+	const values = new Float64Array(resolution * resolution * n * 2);
+	const scratch = new Float64Array(n * 2);
+
+	for (let j = 0; j < resolution; j++) {
+		for (let i = 0; i < resolution; i++) {
+			const z = [
+				xmin + ((xmax - xmin) * i) / (resolution - 1),
+				ymin + ((ymax - ymin) * j) / (resolution - 1)
+			];
+			values.set(fn.values(z, scratch), (j * resolution + i) * n * 2);
+		}
+	}
+
+	const gaps = valueGaps(values, resolution * resolution, n);
+	const indices = [];
+	const value = (v, k) => [values[2 * (v * n + k)], values[2 * (v * n + k) + 1]];
+
+	for (let j = 0; j < resolution - 1; j++) {
+		for (let i = 0; i < resolution - 1; i++) {
+			const a = j * resolution + i;
+			const b = a + 1;
+			const c = a + resolution + 1;
+			const d = a + resolution;
+
+			for (let k = 0; k < n; k++) {
+				const wa = value(a, k);
+				if (!Number.isFinite(wa[0]) || !Number.isFinite(wa[1])) continue;
+
+				// Continue around the cell, a -> b -> c -> d -> a
+				const kb = nearestSheet(values, gaps, n, b, wa);
+				const kc = kb < 0 ? -1 : nearestSheet(values, gaps, n, c, value(b, kb));
+				const kd = kc < 0 ? -1 : nearestSheet(values, gaps, n, d, value(c, kc));
+				const back = kd < 0 ? -1 : nearestSheet(values, gaps, n, a, value(d, kd));
+
+				// Coming back on another sheet means the cell holds a branch point
+				if (back !== k) continue;
+
+				indices.push(a * n + k, b * n + kb, c * n + kc);
+				indices.push(a * n + k, c * n + kc, d * n + kd);
+			}
+		}
+	}
+
+	return { resolution, sheets: n, values, indices: Uint32Array.from(indices) };
+}
+
+// Paths start a little off the real axis, where the principal branch cuts
+// of most typed functions lie and the starting sheet would be ambiguous
+const START_ANGLE = 0.25;
+
+/**
+ * Continue a value around a circle, counterclockwise
+ *
+ * @param {Object} fn From branchedFunction
+ * @param {Object} options
+ *   center - [x, y]
+ *   radius
+ *   turns  - number of loops
+ *   steps  - points per loop (default 128)
+ *   sheet  - starting sheet (default 0)
+ * @returns {Object[]} { z, w, sheet } for each point, turns * steps + 1 of them;
+ *   sheet is the vertex order of branchedFunction, so it shows the monodromy
+ */
+export function continuePath(fn, { center, radius, turns, steps = 128, sheet = 0 }) {
+	const n = fn.sheets;
+	const scratch = new Float64Array(n * 2);
+	const path = [];
+
+	let w = null;
+	for (let s = 0; s <= turns * steps; s++) {
+		const angle = START_ANGLE + (2 * Math.PI * s) / steps;
+		const z = [center[0] + radius * Math.cos(angle), center[1] + radius * Math.sin(angle)];
+		fn.values(z, scratch);
+
+		// Nearest value, without the jump check: the circle stays clear of the branch point
+		let k = sheet;
+		if (w) {
+			let bestDistance = Infinity;
+			for (let m = 0; m < n; m++) {
+				const distance = Math.hypot(scratch[2 * m] - w[0], scratch[2 * m + 1] - w[1]);
+				if (distance < bestDistance) {
+					bestDistance = distance;
+					k = m;
+				}
+			}
+		}
+
+		w = [scratch[2 * k], scratch[2 * k + 1]];
+		path.push({ z, w, sheet: k });
+	}
+
+	return path;
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+	branchedFunction,
+	branchPoints,
+	buildRiemannSurface,
+	continuePath
+} from './riemannSurface.js';
+
+// The branch point at 0 sits in the middle of a cell
+const BOUNDS = { xmin: -2, xmax: 2, ymin: -2, ymax: 2 };
+const RESOLUTION = 40;
+const CELLS = (RESOLUTION - 1) ** 2;
+
+const KINDS = [
+	{ kind: 'sqrt', sheets: 2 },
+	{ kind: 'cbrt', sheets: 3 },
+	{ kind: 'log', sheets: 3 }
+];
+
+// z of a mesh index (vertex * sheets + sheet)
+const pointOf = (index, sheets) => {
+	const v = Math.floor(index / sheets);
+	const i = v % RESOLUTION;
+	const j = Math.floor(v / RESOLUTION);
+	return [
+		BOUNDS.xmin + ((BOUNDS.xmax - BOUNDS.xmin) * i) / (RESOLUTION - 1),
+		BOUNDS.ymin + ((BOUNDS.ymax - BOUNDS.ymin) * j) / (RESOLUTION - 1)
+	];
+};
+
+// Whether [x, y] lies inside or on the triangle pqr
+const contains = (p, q, r, [x, y]) => {
+	const side = (a, b) => (b[0] - a[0]) * (y - a[1]) - (b[1] - a[1]) * (x - a[0]);
+	const s = [side(p, q), side(q, r), side(r, p)];
+	return s.every((value) => value >= 0) || s.every((value) => value <= 0);
+};
+
+const sheetsAfter = (fn, options) => {
+	const steps = 64;
+	const path = continuePath(fn, { steps, ...options });
+	return Array.from({ length: options.turns + 1 }, (_, turn) => path[turn * steps].sheet);
+};
+
+describe('continuePath', () => {
+	for (const { kind } of KINDS) {
+		it(`comes back to the starting sheet of ${kind} around a loop without a branch point`, () => {
+			const fn = branchedFunction({ kind });
+			for (let sheet = 0; sheet < fn.sheets; sheet++) {
+				const loop = { center: [1, 1], radius: 0.5, turns: 1, sheet };
+				expect(sheetsAfter(fn, loop)).toEqual([sheet, sheet]);
+			}
+		});
+	}
+
+	it('moves one sheet per loop around the branch point', () => {
+		const loop = { center: [0, 0], radius: 1, turns: 3 };
+		expect(sheetsAfter(branchedFunction({ kind: 'sqrt' }), loop)).toEqual([0, 1, 0, 1]);
+		expect(sheetsAfter(branchedFunction({ kind: 'cbrt' }), loop)).toEqual([0, 1, 2, 0]);
+
+		// log never comes back; the window of sheets runs out instead
+		expect(sheetsAfter(branchedFunction({ kind: 'log', sheets: 5 }), loop)).toEqual([0, 1, 2, 3]);
+	});
+});
+
+describe('buildRiemannSurface', () => {
+	for (const { kind, sheets } of KINDS) {
+		it(`leaves the ${kind} branch cell open`, () => {
+			const fn = branchedFunction({ kind });
+			const { indices } = buildRiemannSurface(fn, { bounds: BOUNDS, resolution: RESOLUTION });
+
+			expect(indices.length / 3).toBeLessThan(2 * CELLS * sheets);
+			for (let t = 0; t < indices.length; t += 3) {
+				const [p, q, r] = [indices[t], indices[t + 1], indices[t + 2]].map((index) =>
+					pointOf(index, sheets)
+				);
+				expect(contains(p, q, r, [0, 0])).toBe(false);
+			}
+		});
+	}
+
+	it('closes every cell away from the branch point', () => {
+		// sqrt: only the branch cell is missing, on both sheets
+		const fn = branchedFunction({ kind: 'sqrt' });
+		const { indices } = buildRiemannSurface(fn, { bounds: BOUNDS, resolution: RESOLUTION });
+		expect(indices.length / 3).toBe(2 * 2 * (CELLS - 1));
+	});
+
+	it('stitches the sheets across the branch cut', () => {
+		// Some triangle of sqrt joins a vertex of one sheet to a vertex of the other
+		const fn = branchedFunction({ kind: 'sqrt' });
+		const { indices } = buildRiemannSurface(fn, { bounds: BOUNDS, resolution: RESOLUTION });
+		let mixed = false;
+		for (let t = 0; t < indices.length && !mixed; t += 3) {
+			const sheets = new Set([indices[t] % 2, indices[t + 1] % 2, indices[t + 2] % 2]);
+			mixed = sheets.size > 1;
+		}
+		expect(mixed).toBe(true);
+	});
+});
+
+describe('branchPoints', () => {
+	it('finds the zeros of p(z) whose order the degree does not divide', () => {
+		const spec = { kind: 'algebraic', degree: 2, expression: '(z^2 - 1)(z - i)^2' };
+		const points = branchPoints(spec, BOUNDS).sort((a, b) => a.x - b.x);
+
+		expect(points.map((point) => point.order)).toEqual([1, 1]);
+		expect(points[0].x).toBeCloseTo(-1, 2);
+		expect(points[1].x).toBeCloseTo(1, 2);
+		for (const point of points) expect(point.y).toBeCloseTo(0, 2);
+	});
+});
@@ -0,0 +1,580 @@
+import { compileExpression, ExpressionError, parseExpression } from './expression.js';
+
+/**
+ * The Riemann theta function
+ *
+ *   θ(z|Ω) = Σ_{n ∈ Z^g} exp(πi nᵀΩn + 2πi nᵀz)
+ *
+ * for z ∈ C^g and a g×g period matrix Ω = X + iY, symmetric with Y
+ * positive definite. With z = x + iy and c = Y⁻¹y it factors as
+ *
+ *   θ(z|Ω) = exp(π yᵀY⁻¹y) · Σ_n exp(πi nᵀXn + 2πi nᵀx) exp(-π (n + c)ᵀY(n + c))
+ *
+ * and the second factor, the oscillatory part θ̂, is bounded. Its sum runs
+ * over the lattice points inside the ellipsoid π (n + c)ᵀY(n + c) < R²,
+ * with R from the bound of Deconinck, Heil, Bobenko, van Hoeij and Schmies,
+ * "Computing Riemann theta functions" (Math. Comp. 73, 2004):
+ *
+ *   |θ̂ - θ̂_R| ≤ (g/2) (2/ρ)^g Γ(g/2, (R - ρ/2)²)   for R ≥ (√g + ρ)/2
+ *
+ * where ρ = min √π |Tn| over n ≠ 0, Y = TᵀT, is the shortest vector of the
+ * lattice and Γ(s, x) the upper incomplete gamma function. Genus 1 to
+ * MAX_GENUS; the ellipsoid is enumerated coordinate by coordinate on the
+ * Cholesky factor T, so every evaluation sums only the points it needs.
+ *
+ * WGSL_THETA sums a fixed point set instead, uploaded with
+ * packThetaParams, that covers the ellipsoid for every shift c.
+ */
+
+export const MAX_GENUS = 3;
+
+// Lattice points the shaders can sum; ThetaParams holds this many
+export const THETA_MAX_POINTS = 256;
+
+// Floats in ThetaParams before the points: header, X, Y and Y⁻¹ as mat3x3
+const THETA_HEADER_FLOATS = 4 + 3 * 12;
+
+export const THETA_PARAMS_FLOATS = THETA_HEADER_FLOATS + THETA_MAX_POINTS * 4;
+
+// Period matrices only need to be symmetric up to rounding of the input
+const SYMMETRY_TOLERANCE = 1e-9;
+
+export class PeriodMatrixError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'PeriodMatrixError';
+	}
+}
+
+/**
+ * Parse a period matrix: rows separated by ';', entries by ',', every
+ * entry a constant expression such as 0.5 + i or i sqrt(3)/2
+ *
+ * @param {string} text e.g. 'i, 0.5i; 0.5i, i'
+ * @returns {Object} { genus, real, imag }, X and Y as arrays of rows
+ * @throws {PeriodMatrixError} When it does not parse, is not square and
+ *   symmetric, or Y is not positive definite
+ */
+export function parsePeriodMatrix(text) {
+	const rows = String(text)
+		.split(';')
+		.map((row) => row.split(','));
+	const genus = rows.length;
+
+	if (genus > MAX_GENUS) {
+		throw new PeriodMatrixError(`Genus ${genus} is above the maximum of ${MAX_GENUS}`);
+	}
+
+	const real = [];
+	const imag = [];
+	rows.forEach((row, i) => {
+		if (row.length !== genus) {
+			throw new PeriodMatrixError(`Row ${i + 1} has ${row.length} entries, expected ${genus}`);
+		}
+		real.push([]);
+		imag.push([]);
+		row.forEach((entry, j) => {
+			const [re, im] = evaluateEntry(entry, i, j);
+			real[i].push(re);
+			imag[i].push(im);
+		});
+	});
+
+	return periodMatrix(real, imag);
+}
+
+/**
+ * Check a period matrix given by its real and imaginary parts
+ *
+ * @param {number[][]} real X
+ * @param {number[][]} imag Y
+ * @returns {Object} { genus, real, imag }
+ * @throws {PeriodMatrixError}
+ */
+export function periodMatrix(real, imag) {
+	const genus = real.length;
+	if (genus < 1 || genus > MAX_GENUS) {
+		throw new PeriodMatrixError(`Genus must be between 1 and ${MAX_GENUS}`);
+	}
+
+	for (let i = 0; i < genus; i++) {
+		for (let j = 0; j < i; j++) {
+			const scale = 1 + Math.abs(real[i][j]) + Math.abs(imag[i][j]);
+			if (
+				Math.abs(real[i][j] - real[j][i]) > SYMMETRY_TOLERANCE * scale ||
+				Math.abs(imag[i][j] - imag[j][i]) > SYMMETRY_TOLERANCE * scale
+			) {
+				throw new PeriodMatrixError(
+					`Ω is not symmetric: entries (${i + 1}, ${j + 1}) and (${j + 1}, ${i + 1}) differ`
+				);
+			}
+		}
+	}
+
+	if (!cholesky(imag)) {
+		throw new PeriodMatrixError('Im Ω is not positive definite');
+	}
+
+	return { genus, real, imag };
+}
+
+/**
+ * Check a period matrix for a string parameter's validate
+ *
+ * @param {string} text
+ * @returns {string|null} The error message, or null if it is a period matrix
+ */
+export function validatePeriodMatrix(text) {
+	try {
+		parsePeriodMatrix(text);
+		return null;
+	} catch (error) {
+		if (error instanceof PeriodMatrixError) return error.message;
+		throw error;
+	}
+}
+
+function evaluateEntry(entry, i, j) {
+	const position = `Entry (${i + 1}, ${j + 1})`;
+	if (!entry.trim()) {
+		throw new PeriodMatrixError(`${position} is empty`);
+	}
+
+	let ast;
+	try {
+		ast = parseExpression(entry);
+	} catch (error) {
+		if (error instanceof ExpressionError)
+			throw new PeriodMatrixError(`${position}: ${error.reason}`);
+		throw error;
+	}
+	if (usesVariable(ast)) {
+		throw new PeriodMatrixError(`${position} must be a constant`);
+	}
+
+	const value = compileExpression(ast)([0, 0]);
+	if (!Number.isFinite(value[0]) || !Number.isFinite(value[1])) {
+		throw new PeriodMatrixError(`${position} is not finite`);
+	}
+	return value;
+}
+
+function usesVariable(node) {
+	switch (node.type) {
+		case 'variable':
+			return true;
+		case 'negate':
+			return usesVariable(node.argument);
+		case 'binary':
+			return usesVariable(node.left) || usesVariable(node.right);
+		case 'call':
+			return node.args.some(usesVariable);
+		default:
+			return false;
+	}
+}
+
+/**
+ * Prepare θ(·|Ω) for evaluation
+ *
+ * @param {Object} omega From parsePeriodMatrix or periodMatrix
+ * @param {Object} options
+ *   tolerance - bound on the error of the oscillatory part θ̂ (default 1e-12)
+ * @returns {Object} { genus, radius, bound, rho, evaluate(z), oscillatory(z) };
+ *   z is an array of g [re, im] pairs. oscillatory returns θ̂ and the
+ *   exponent π yᵀY⁻¹y separately, for points where θ itself overflows.
+ */
+export function thetaFunction(omega, { tolerance = 1e-12 } = {}) {
+	const { genus, real, imag } = omega;
+	const T = cholesky(imag);
+	const inverse = invert(imag);
+	const rho = shortestVector(T);
+	const radius = summationRadius(genus, rho, tolerance);
+	const limit = (radius * radius) / Math.PI; // (n + c)ᵀY(n + c) below this
+
+	function oscillatory(z) {
+		const x = z.map((value) => value[0]);
+		const y = z.map((value) => value[1]);
+		const c = multiply(inverse, y);
+
+		let re = 0;
+		let im = 0;
+		enumerateEllipsoid(T, c, limit, (n) => {
+			const phase = Math.PI * (quadratic(real, n) + 2 * dot(n, x));
+			const shifted = n.map((value, i) => value + c[i]);
+			const magnitude = Math.exp(-Math.PI * quadratic(imag, shifted));
+			re += magnitude * Math.cos(phase);
+			im += magnitude * Math.sin(phase);
+		});
+
+		return { value: [re, im], exponent: Math.PI * dot(y, c) };
+	}
+
+	return {
+		genus,
+		radius,
+		rho,
+		bound: thetaErrorBound(genus, rho, radius),
+		oscillatory,
+		evaluate(z) {
+			const { value, exponent } = oscillatory(z);
+			const scale = Math.exp(exponent);
+			return [value[0] * scale, value[1] * scale];
+		}
+	};
+}
+
+/**
+ * θ(z|Ω); for many points prefer thetaFunction, which prepares Ω once
+ *
+ * @param {number[][]} z g [re, im] pairs
+ * @param {Object} omega From parsePeriodMatrix or periodMatrix
+ * @param {Object} options See thetaFunction
+ * @returns {number[]} [re, im]
+ */
+export function riemannTheta(z, omega, options) {
+	return thetaFunction(omega, options).evaluate(z);
+}
+
+/**
+ * The lattice points n with π (n + c)ᵀY(n + c) < R², for sums of one's own
+ * over the ellipsoid; thetaFunction's radius bounds the error of θ̂
+ *
+ * @param {Object} omega
+ * @param {number[]} center c
+ * @param {number} radius R
+ * @returns {number[][]}
+ */
+export function latticePoints(omega, center, radius) {
+	const points = [];
+	enumerateEllipsoid(cholesky(omega.imag), center, (radius * radius) / Math.PI, (n) =>
+		points.push([...n])
+	);
+	return points;
+}
+
+/**
+ * exp(-πi kᵀΩk - 2πi kᵀz), the factor θ picks up from z to z + Ωk:
+ * θ(z + m + Ωk) = quasiPeriodFactor(z, Ω, k) θ(z) for integer m and k
+ *
+ * @param {number[][]} z g [re, im] pairs
+ * @param {Object} omega
+ * @param {number[]} k Integer vector
+ * @returns {number[]} [re, im]
+ */
+export function quasiPeriodFactor(z, omega, k) {
+	const x = z.map((value) => value[0]);
+	const y = z.map((value) => value[1]);
+	// -πi (kᵀXk + i kᵀYk) - 2πi (kᵀx + i kᵀy)
+	const re = Math.PI * (quadratic(omega.imag, k) + 2 * dot(k, y));
+	const im = -Math.PI * (quadratic(omega.real, k) + 2 * dot(k, x));
+	const magnitude = Math.exp(re);
+	return [magnitude * Math.cos(im), magnitude * Math.sin(im)];
+}
+
+/**
+ * The error bound above for a summation radius R
+ *
+ * @param {number} genus
+ * @param {number} rho Shortest lattice vector, √π |Tn|
+ * @param {number} radius R
+ * @returns {number} Infinity where the bound does not hold
+ */
+export function thetaErrorBound(genus, rho, radius) {
+	if (radius < (Math.sqrt(genus) + rho) / 2) return Infinity;
+	const x = (radius - rho / 2) ** 2;
+	return (genus / 2) * (2 / rho) ** genus * upperGamma(genus / 2, x);
+}
+
+/**
+ * The smallest summation radius whose error bound is below tolerance
+ *
+ * @param {number} genus
+ * @param {number} rho Shortest lattice vector, √π |Tn|
+ * @param {number} tolerance
+ * @returns {number} R
+ */
+export function summationRadius(genus, rho, tolerance) {
+	let low = (Math.sqrt(genus) + rho) / 2;
+	if (thetaErrorBound(genus, rho, low) <= tolerance) return low;
+
+	let high = low + 1;
+	while (thetaErrorBound(genus, rho, high) > tolerance) {
+		low = high;
+		high *= 2;
+	}
+	for (let iteration = 0; iteration < 60 && high - low > 1e-9 * high; iteration++) {
+		const middle = (low + high) / 2;
+		if (thetaErrorBound(genus, rho, middle) > tolerance) low = middle;
+		else high = middle;
+	}
+	return high;
+}
+
+/**
+ * The lattice points the shaders sum, and Ω, packed as ThetaParams
+ *
+ * The points cover the ellipsoid around every shift: the shader moves them
+ * by the integer nearest to -c, which leaves a shift f in [-1/2, 1/2]^g,
+ * so the radius grows by the largest √π |Tf| there. When more points than maxPoints are needed
+ * the nearest are kept, and bound reports what that achieves.
+ *
+ * @param {Object} omega
+ * @param {Object} options
+ *   tolerance - for θ̂ (default 1e-4, about what f32 resolves)
+ *   maxPoints - default THETA_MAX_POINTS
+ * @returns {Object} { data, count, radius, bound, peak }; data is a
+ *   Float32Array of THETA_PARAMS_FLOATS when maxPoints is the default
+ */
+export function packThetaParams(omega, { tolerance = 1e-4, maxPoints = THETA_MAX_POINTS } = {}) {
+	const { genus, real, imag } = omega;
+	const T = cholesky(imag);
+	const rho = shortestVector(T);
+	let radius = summationRadius(genus, rho, tolerance);
+
+	// |Tf| is convex in f, so largest at a corner of the box
+	let reach = 0;
+	for (let corner = 0; corner < 2 ** genus; corner++) {
+		const f = Array.from({ length: genus }, (_, i) => ((corner >> i) & 1) - 0.5);
+		reach = Math.max(reach, quadratic(imag, f));
+	}
+	const margin = Math.sqrt(Math.PI * reach);
+
+	const points = [];
+	const limit = (radius + margin) ** 2 / Math.PI;
+	enumerateEllipsoid(T, new Array(genus).fill(0), limit, (n) => {
+		points.push({ n: [...n], length: quadratic(imag, n) });
+	});
+
+	if (points.length > maxPoints) {
+		// Keep the nearest; the radius they cover for every shift is what is left after the margin
+		points.sort((a, b) => a.length - b.length);
+		const covered = Math.sqrt(Math.PI * points[maxPoints].length);
+		points.length = maxPoints;
+		radius = Math.max(0, covered - margin);
+	}
+
+	// Σ exp(-π nᵀYn), the largest |θ| takes for real z
+	const peak = points.reduce((sum, { length }) => sum + Math.exp(-Math.PI * length), 0);
+
+	const data = new Float32Array(THETA_HEADER_FLOATS + maxPoints * 4);
+	data.set([genus, points.length, peak, 0]);
+	const inverse = invert(imag);
+	[real, imag, inverse].forEach((matrix, m) => {
+		for (let column = 0; column < genus; column++) {
+			for (let row = 0; row < genus; row++) {
+				data[4 + m * 12 + column * 4 + row] = matrix[row][column];
+			}
+		}
+	});
+	points.forEach(({ n }, k) => data.set(n, THETA_HEADER_FLOATS + k * 4));
+
+	return { data, count: points.length, radius, bound: thetaErrorBound(genus, rho, radius), peak };
+}
+
+// Upper triangular T with Y = TᵀT, or null if Y is not positive definite
+function cholesky(Y) {
+	const g = Y.length;
+	const T = Array.from({ length: g }, () => new Array(g).fill(0));
+	for (let i = 0; i < g; i++) {
+		let diagonal = Y[i][i];
+		for (let k = 0; k < i; k++) diagonal -= T[k][i] * T[k][i];
+		if (!(diagonal > 0)) return null;
+		T[i][i] = Math.sqrt(diagonal);
+
+		for (let j = i + 1; j < g; j++) {
+			let sum = Y[i][j];
+			for (let k = 0; k < i; k++) sum -= T[k][i] * T[k][j];
+			T[i][j] = sum / T[i][i];
+		}
+	}
+	return T;
+}
+
+// Inverse of a small positive definite matrix, by Gauss–Jordan
+function invert(M) {
+	const g = M.length;
+	const A = M.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+	for (let i = 0; i < g; i++) {
+		const pivot = A[i][i];
+		for (let j = 0; j < 2 * g; j++) A[i][j] /= pivot;
+		for (let k = 0; k < g; k++) {
+			if (k === i) continue;
+			const factor = A[k][i];
+			for (let j = 0; j < 2 * g; j++) A[k][j] -= factor * A[i][j];
+		}
+	}
+	return A.map((row) => row.slice(g));
+}
+
+// ρ = min √π |Tn| over n ≠ 0; the shortest unit vector bounds the search
+function shortestVector(T) {
+	const g = T.length;
+	let best = Infinity;
+	for (let i = 0; i < g; i++) {
+		let length = 0;
+		for (let k = 0; k <= i; k++) length += T[k][i] * T[k][i];
+		best = Math.min(best, length);
+	}
+
+	enumerateEllipsoid(T, new Array(g).fill(0), best * (1 + 1e-12), (n) => {
+		if (n.every((value) => value === 0)) return;
+		let length = 0;
+		for (let i = 0; i < g; i++) {
+			let row = 0;
+			for (let j = i; j < g; j++) row += T[i][j] * n[j];
+			length += row * row;
+		}
+		best = Math.min(best, length);
+	});
+	return Math.sqrt(Math.PI * best);
+}
+
+/**
+ * Call visit(n) for every integer n with |T(n + c)|² < limit, the last
+ * coordinate outermost. n is reused between calls.
+ */
+function enumerateEllipsoid(T, c, limit, visit) {
+	const g = T.length;
+	const n = new Array(g).fill(0);
+
+	function level(i, remaining) {
+		// |T(n + c)|² = Σ_i (T_ii (n_i + c_i) + Σ_{j>i} T_ij (n_j + c_j))²
+		let offset = 0;
+		for (let j = i + 1; j < g; j++) offset += T[i][j] * (n[j] + c[j]);
+		const center = -c[i] - offset / T[i][i];
+		const halfWidth = Math.sqrt(Math.max(remaining, 0)) / T[i][i];
+
+		for (let k = Math.ceil(center - halfWidth); k <= Math.floor(center + halfWidth); k++) {
+			n[i] = k;
+			const term = T[i][i] * (k - center);
+			const left = remaining - term * term;
+			if (left < 0) continue;
+			if (i === 0) visit(n);
+			else level(i - 1, left);
+		}
+		n[i] = 0;
+	}
+
+	level(g - 1, limit);
+}
+
+// Γ(s, x) for s a positive multiple of 1/2: from Γ(1/2, x) = √π erfc(√x)
+// and Γ(1, x) = e^-x by Γ(s + 1, x) = s Γ(s, x) + x^s e^-x
+function upperGamma(s, x) {
+	let a = Number.isInteger(s) ? 1 : 0.5;
+	let value = a === 1 ? Math.exp(-x) : Math.sqrt(Math.PI) * erfc(Math.sqrt(x));
+	while (a < s) {
+		value = a * value + x ** a * Math.exp(-x);
+		a += 1;
+	}
+	return value;
+}
+
+// Complementary error function, relative error below 1.2e-7 (Numerical Recipes' erfcc)
+const ERFC_COEFFICIENTS = [
+	-1.26551223, 1.00002368, 0.37409196, 0.09678418, -0.18628806, 0.27886807, -1.13520398, 1.48851587,
+	-0.82215223, 0.17087277
+];
+
+function erfc(x) {
+	const z = Math.abs(x);
+	const t = 1 / (1 + 0.5 * z);
+	let polynomial = 0;
+	for (let k = ERFC_COEFFICIENTS.length - 1; k >= 0; k--) {
+		polynomial = polynomial * t + ERFC_COEFFICIENTS[k];
+	}
+	const value = t * Math.exp(-z * z + polynomial);
+	return x >= 0 ? value : 2 - value;
+}
+
+function dot(a, b) {
+	let sum = 0;
+	for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+	return sum;
+}
+
+function quadratic(M, v) {
+	let sum = 0;
+	for (let i = 0; i < v.length; i++) {
+		for (let j = 0; j < v.length; j++) sum += v[i] * M[i][j] * v[j];
+	}
+	return sum;
+}
+
+function multiply(M, v) {
+	return M.map((row) => dot(row, v));
+}
+
+/**
+ * θ(z|Ω) in WGSL, for genus up to 3 with z as vec3 real and imaginary
+ * parts (unused coordinates zero). The including shader binds
+ *
+ *   var<uniform> theta: ThetaParams
+ *
+ * filled by packThetaParams. Only the points are summed, moved to the
+ * ellipsoid around -c, so the error is the bound packThetaParams reports.
+ */
+export const WGSL_THETA = /* wgsl */ `
+const THETA_MAX_POINTS = ${THETA_MAX_POINTS};
+
+struct ThetaParams {
+    header: vec4<f32>,          // genus, point count, Σ exp(-π nᵀYn), unused
+    real: mat3x3<f32>,          // X = Re Ω, zero beyond the genus
+    imag: mat3x3<f32>,          // Y = Im Ω
+    imagInverse: mat3x3<f32>,   // Y⁻¹
+    points: array<vec4<f32>, THETA_MAX_POINTS>, // Lattice points n in xyz
+}
+
+// The oscillatory part exp(-π yᵀY⁻¹y) θ(x + iy|Ω), bounded by theta.header.z
+fn c_theta_hat(x: vec3<f32>, y: vec3<f32>) -> vec2<f32> {
+    let c = theta.imagInverse * y;
+    let shift = round(c);
+    // θ has period 1 in every x, and small phases keep f32 accurate
+    let xr = x - floor(x);
+
+    var sum = vec2<f32>(0.0);
+    let count = u32(theta.header.y);
+    for (var k = 0u; k < count; k++) {
+        let n = theta.points[k].xyz - shift;
+        let f = n + c;
+        let phase = 3.14159265 * (dot(n, theta.real * n) + 2.0 * dot(n, xr));
+        let magnitude = exp(-3.14159265 * dot(f, theta.imag * f));
+        sum += magnitude * vec2<f32>(cos(phase), sin(phase));
+    }
+    return sum;
+}
+
+// θ̂ and its first two derivatives along a real direction d, which log θ
+// shares with log θ̂
+struct ThetaJet {
+    value: vec2<f32>,
+    first: vec2<f32>,
+    second: vec2<f32>,
+}
+
+fn c_theta_jet(x: vec3<f32>, y: vec3<f32>, d: vec3<f32>) -> ThetaJet {
+    let c = theta.imagInverse * y;
+    let shift = round(c);
+    let xr = x - floor(x);
+
+    var jet = ThetaJet(vec2<f32>(0.0), vec2<f32>(0.0), vec2<f32>(0.0));
+    let count = u32(theta.header.y);
+    for (var k = 0u; k < count; k++) {
+        let n = theta.points[k].xyz - shift;
+        let f = n + c;
+        let phase = 3.14159265 * (dot(n, theta.real * n) + 2.0 * dot(n, xr));
+        let term = exp(-3.14159265 * dot(f, theta.imag * f)) * vec2<f32>(cos(phase), sin(phase));
+        // Each derivative brings down 2πi nᵀd
+        let s = 6.2831853 * dot(n, d);
+        jet.value += term;
+        jet.first += s * vec2<f32>(-term.y, term.x);
+        jet.second -= s * s * term;
+    }
+    return jet;
+}
+
+fn c_theta(x: vec3<f32>, y: vec3<f32>) -> vec2<f32> {
+    return exp(3.14159265 * dot(y, theta.imagInverse * y)) * c_theta_hat(x, y);
+}
+`;
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import {
+	periodMatrix,
+	parsePeriodMatrix,
+	thetaFunction,
+	riemannTheta,
+	quasiPeriodFactor,
+	summationRadius,
+	thetaErrorBound
+} from './theta.js';
+import { createRandom } from '../utils/random.js';
+
+// One period matrix per genus, Y positive definite and X not zero
+const OMEGAS = [
+	periodMatrix([[0.3]], [[1.1]]),
+	periodMatrix(
+		[
+			[0.2, -0.5],
+			[-0.5, 0.1]
+		],
+		[
+			[1.3, 0.4],
+			[0.4, 0.9]
+		]
+	),
+	periodMatrix(
+		[
+			[0.1, 0.25, -0.3],
+			[0.25, -0.2, 0.15],
+			[-0.3, 0.15, 0.4]
+		],
+		[
+			[1.2, 0.3, -0.2],
+			[0.3, 1.0, 0.25],
+			[-0.2, 0.25, 1.4]
+		]
+	)
+];
+
+const mul = (a, b) => [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]];
+const size = (a) => Math.hypot(a[0], a[1]);
+const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+// A few points z ∈ C^g, not too far from the real subspace
+const samplePoints = (genus, seed) => {
+	const random = createRandom(seed);
+	return Array.from({ length: 5 }, () =>
+		Array.from({ length: genus }, () => [random.range(-1, 1), random.range(-0.6, 0.6)])
+	);
+};
+
+// z + m + Ωk for integer m and k
+const shift = (z, omega, m, k) =>
+	z.map(([re, im], i) => [
+		re + m[i] + omega.real[i].reduce((sum, value, j) => sum + value * k[j], 0),
+		im + omega.imag[i].reduce((sum, value, j) => sum + value * k[j], 0)
+	]);
+
+describe('riemannTheta', () => {
+	it('matches the closed form θ(0|i) = π^(1/4) / Γ(3/4)', () => {
+		const value = riemannTheta([[0, 0]], parsePeriodMatrix('i'));
+		expect(value[0]).toBeCloseTo(1.086434811213308, 12);
+		expect(value[1]).toBeCloseTo(0, 12);
+	});
+
+	OMEGAS.forEach((omega) => {
+		describe(`genus ${omega.genus}`, () => {
+			const theta = thetaFunction(omega);
+			const zero = new Array(omega.genus).fill(0);
+			const unit = (i) => zero.map((_, j) => (i === j ? 1 : 0));
+
+			it('is periodic in every integer shift', () => {
+				for (const z of samplePoints(omega.genus, 1)) {
+					const value = theta.evaluate(z);
+					for (const m of [unit(0), unit(omega.genus - 1), zero.map((_, i) => i - 2)]) {
+						const shifted = theta.evaluate(shift(z, omega, m, zero));
+						expect(distance(shifted, value)).toBeLessThan(1e-10 * (1 + size(value)));
+					}
+				}
+			});
+
+			it('picks up the quasi-period factor along Ω', () => {
+				for (const z of samplePoints(omega.genus, 2)) {
+					const value = theta.evaluate(z);
+					for (const k of [unit(0), unit(omega.genus - 1), zero.map((_, i) => 1 - i)]) {
+						const m = zero.map((_, i) => (i % 2 ? -1 : 1));
+						const shifted = theta.evaluate(shift(z, omega, m, k));
+						const expected = mul(quasiPeriodFactor(z, omega, k), value);
+						expect(distance(shifted, expected)).toBeLessThan(1e-9 * (1 + size(expected)));
+					}
+				}
+			});
+
+			it('is even', () => {
+				for (const z of samplePoints(omega.genus, 3)) {
+					const negated = z.map(([re, im]) => [-re, -im]);
+					expect(distance(theta.evaluate(negated), theta.evaluate(z))).toBeLessThan(1e-10);
+				}
+			});
+		});
+	});
+});
+
+describe('summationRadius', () => {
+	OMEGAS.forEach((omega) => {
+		it(`keeps the truncation error within its bound in genus ${omega.genus}`, () => {
+			const exact = thetaFunction(omega, { tolerance: 1e-15 });
+			for (const tolerance of [1e-2, 1e-4, 1e-8]) {
+				const truncated = thetaFunction(omega, { tolerance });
+				expect(truncated.bound).toBeLessThanOrEqual(tolerance);
+				expect(truncated.radius).toBeLessThan(exact.radius);
+
+				for (const z of samplePoints(omega.genus, 4)) {
+					const error = distance(truncated.oscillatory(z).value, exact.oscillatory(z).value);
+					expect(error).toBeLessThanOrEqual(truncated.bound + 1e-15);
+				}
+			}
+		});
+	});
+
+	it('returns the smallest radius that meets the tolerance', () => {
+		for (const genus of [1, 2, 3]) {
+			for (const tolerance of [1e-3, 1e-12]) {
+				const radius = summationRadius(genus, 1.5, tolerance);
+				expect(thetaErrorBound(genus, 1.5, radius)).toBeLessThanOrEqual(tolerance);
+				expect(thetaErrorBound(genus, 1.5, radius * (1 - 1e-6))).toBeGreaterThan(tolerance);
+			}
+		}
+	});
+
+	it('does not claim a bound below the valid radius', () => {
+		expect(thetaErrorBound(2, 1, 0.5)).toBe(Infinity);
+	});
+});
@@ -0,0 +1,204 @@
+import { FUNCTIONS, integerExponent, parseExpression } from './expression.js';
+
+/**
+ * WGSL code generation for expressions in z
+ *
+ * Complex numbers are vec2<f32> (re, im). The library below matches
+ * ./complex.js; generated code only calls into it, so a shader needs the
+ * library followed by the generated function.
+ */
+
+export const WGSL_COMPLEX_LIBRARY = /* wgsl */ `
+fn c_mul(a: vec2<f32>, b: vec2<f32>) -> vec2<f32> {
+    return vec2<f32>(a.x * b.x - a.y * b.y, a.x * b.y + a.y * b.x);
+}
+
+fn c_div(a: vec2<f32>, b: vec2<f32>) -> vec2<f32> {
+    let d = dot(b, b);
+    return vec2<f32>(a.x * b.x + a.y * b.y, a.y * b.x - a.x * b.y) / d;
+}
+
+fn c_conj(a: vec2<f32>) -> vec2<f32> {
+    return vec2<f32>(a.x, -a.y);
+}
+
+fn c_abs(a: vec2<f32>) -> vec2<f32> {
+    return vec2<f32>(length(a), 0.0);
+}
+
+fn c_arg(a: vec2<f32>) -> vec2<f32> {
+    return vec2<f32>(atan2(a.y, a.x), 0.0);
+}
+
+fn c_re(a: vec2<f32>) -> vec2<f32> {
+    return vec2<f32>(a.x, 0.0);
+}
+
+fn c_im(a: vec2<f32>) -> vec2<f32> {
+    return vec2<f32>(a.y, 0.0);
+}
+
+fn c_exp(a: vec2<f32>) -> vec2<f32> {
+    return exp(a.x) * vec2<f32>(cos(a.y), sin(a.y));
+}
+
+// Principal branch, argument in (-pi, pi]
+fn c_log(a: vec2<f32>) -> vec2<f32> {
+    return vec2<f32>(log(length(a)), atan2(a.y, a.x));
+}
+
+// Principal branch, non-negative real part
+fn c_sqrt(a: vec2<f32>) -> vec2<f32> {
+    let r = length(a);
+    let re = sqrt(max(0.5 * (r + a.x), 0.0));
+    let im = sqrt(max(0.5 * (r - a.x), 0.0));
+    return vec2<f32>(re, select(im, -im, a.y < 0.0));
+}
+
+fn c_pow(a: vec2<f32>, b: vec2<f32>) -> vec2<f32> {
+    if (a.x == 0.0 && a.y == 0.0) {
+        return vec2<f32>(0.0, 0.0);
+    }
+    return c_exp(c_mul(b, c_log(a)));
+}
+
+// Integer powers by repeated squaring
+fn c_powi(a: vec2<f32>, n: i32) -> vec2<f32> {
+    var result = vec2<f32>(1.0, 0.0);
+    var base = a;
+    var k = abs(n);
+    loop {
+        if (k == 0) {
+            break;
+        }
+        if ((k & 1) == 1) {
+            result = c_mul(result, base);
+        }
+        base = c_mul(base, base);
+        k = k >> 1u;
+    }
+    if (n < 0) {
+        return c_div(vec2<f32>(1.0, 0.0), result);
+    }
+    return result;
+}
+
+fn c_sin(a: vec2<f32>) -> vec2<f32> {
+    return vec2<f32>(sin(a.x) * cosh(a.y), cos(a.x) * sinh(a.y));
+}
+
+fn c_cos(a: vec2<f32>) -> vec2<f32> {
+    return vec2<f32>(cos(a.x) * cosh(a.y), -sin(a.x) * sinh(a.y));
+}
+
+fn c_tan(a: vec2<f32>) -> vec2<f32> {
+    return c_div(c_sin(a), c_cos(a));
+}
+
+fn c_sinh(a: vec2<f32>) -> vec2<f32> {
+    return vec2<f32>(sinh(a.x) * cos(a.y), cosh(a.x) * sin(a.y));
+}
+
+fn c_cosh(a: vec2<f32>) -> vec2<f32> {
+    return vec2<f32>(cosh(a.x) * cos(a.y), sinh(a.x) * sin(a.y));
+}
+
+fn c_tanh(a: vec2<f32>) -> vec2<f32> {
+    return c_div(c_sinh(a), c_cosh(a));
+}
+`;
+
+/**
+ * Domain coloring of a complex value: hue is arg w (red on the positive
+ * reals), brightness ramps up within each doubling of |w| so contours of
+ * log|w| show as bands, and grid lines mark multiples of gridSpacing in
+ * Re w and Im w (0 turns them off).
+ *
+ * Fragment stage only, as it uses fwidth.
+ */
+export const WGSL_DOMAIN_COLORING = /* wgsl */ `
+fn c_hue(h: f32) -> vec3<f32> {
+    let k = vec3<f32>(0.0, 2.0 / 3.0, 1.0 / 3.0);
+    return clamp(abs(fract(h + k) * 6.0 - 3.0) - 1.0, vec3<f32>(0.0), vec3<f32>(1.0));
+}
+
+fn domainColor(w: vec2<f32>, gridSpacing: f32) -> vec3<f32> {
+    // Derivatives first, while control flow is still uniform
+    let cell = w / max(gridSpacing, 1e-6);
+    let cellWidth = max(fwidth(cell), vec2<f32>(1e-6));
+
+    let hue = fract(atan2(w.y, w.x) / 6.2831853 + 1.0);
+    let band = fract(clamp(log2(length(w)), -64.0, 64.0));
+    var color = c_hue(hue) * (0.6 + 0.4 * band);
+
+    if (gridSpacing > 0.0) {
+        let distanceToLine = abs(fract(cell - 0.5) - 0.5) / cellWidth;
+        let line = 1.0 - clamp(min(distanceToLine.x, distanceToLine.y), 0.0, 1.0);
+        color = mix(color, vec3<f32>(1.0), 0.6 * line);
+    }
+
+    return color;
+}
+`;
+
+// WGSL float literals need a decimal point or an exponent
+export function formatFloat(value) {
+	const text = String(value);
+	return /[.e]/.test(text) ? text : `${text}.0`;
+}
+
+function complexLiteral([re, im]) {
+	return `vec2<f32>(${formatFloat(re)}, ${formatFloat(im)})`;
+}
+
+const BINARY = {
+	'*': 'c_mul',
+	'/': 'c_div',
+	'^': 'c_pow'
+};
+
+/**
+ * Translate an AST into a WGSL expression of type vec2<f32>
+ *
+ * Expects `z: vec2<f32>` and `t: f32` in scope.
+ *
+ * @param {Object} node AST from parseExpression
+ * @returns {string}
+ */
+export function toWGSL(node) {
+	switch (node.type) {
+		case 'number':
+			return complexLiteral(node.value);
+		case 'variable':
+			return node.name === 'z' ? 'z' : 'vec2<f32>(t, 0.0)';
+		case 'negate':
+			return `(-${toWGSL(node.argument)})`;
+		case 'binary': {
+			const left = toWGSL(node.left);
+			if (node.operator === '+' || node.operator === '-') {
+				return `(${left} ${node.operator} ${toWGSL(node.right)})`;
+			}
+			if (node.operator === '^') {
+				const n = integerExponent(node.right);
+				if (n !== null) return `c_powi(${left}, ${n})`;
+			}
+			return `${BINARY[node.operator]}(${left}, ${toWGSL(node.right)})`;
+		}
+		case 'call':
+			return `${FUNCTIONS[node.name].wgsl}(${node.args.map(toWGSL).join(', ')})`;
+		default:
+			throw new Error(`Unknown expression node '${node.type}'`);
+	}
+}
+
+/**
+ * Generate a WGSL function computing an expression
+ *
+ * @param {string|Object} source Expression text or a parsed AST
+ * @param {string} name Function name
+ * @returns {string} `fn name(z: vec2<f32>, t: f32) -> vec2<f32>`, without the library
+ */
+export function generateFunctionWGSL(source, name = 'userFunction') {
+	const ast = typeof source === 'string' ? parseExpression(source) : source;
+	return `fn ${name}(z: vec2<f32>, t: f32) -> vec2<f32> {\n    return ${toWGSL(ast)};\n}\n`;
+}
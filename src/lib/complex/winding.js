@@ -0,0 +1,189 @@
+/**
+ * Zeros and poles by winding number
+ *
+ * The change of arg f is summed around the boundary of each cell of a grid.
+ * A total of 2πn means the cell holds zeros (n > 0) or poles (n < 0) of
+ * combined order |n| - the argument principle, which for functions that are
+ * not holomorphic counts the index of their isolated zeros instead. Points
+ * that share a cell are reported once, with their combined order; points
+ * that cannot be located (see placePoint) are left out.
+ *
+ * Boundary segments are bisected until arg f changes by at most π/4 along
+ * each piece, so fast rotation near a high-order zero is not aliased. A
+ * segment that never settles crosses a branch cut or passes through a zero
+ * or pole; its cell is skipped.
+ */
+
+const MAX_STEP = Math.PI / 4;
+const MAX_BISECTIONS = 10;
+
+// Shifts the grid off "round" coordinates, where zeros and poles of
+// hand-written functions tend to sit, so they are not on a cell edge
+const GRID_OFFSET = [0.381966, 0.309017];
+
+function wrapAngle(angle) {
+	return angle - 2 * Math.PI * Math.round(angle / (2 * Math.PI));
+}
+
+function isUsable(w) {
+	const modulus = Math.hypot(w[0], w[1]);
+	return Number.isFinite(modulus) && modulus > 0;
+}
+
+// Change of arg f from a to b, or NaN when it cannot be resolved
+function segmentWinding(f, a, fa, b, fb, depth) {
+	if (!isUsable(fa) || !isUsable(fb)) return NaN;
+
+	const step = wrapAngle(Math.atan2(fb[1], fb[0]) - Math.atan2(fa[1], fa[0]));
+	if (Math.abs(step) <= MAX_STEP) return step;
+	if (depth === 0) return NaN;
+
+	const m = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+	const fm = f(m);
+	return segmentWinding(f, a, fa, m, fm, depth - 1) + segmentWinding(f, m, fm, b, fb, depth - 1);
+}
+
+/**
+ * Winding number of f around a rectangle, counterclockwise
+ *
+ * @param {function(number[]): number[]} f
+ * @param {number[]} rectangle [x0, y0, x1, y1]
+ * @param {number} samples Initial points per side
+ * @returns {number|null} null when the boundary cannot be resolved
+ */
+export function rectangleWinding(f, [x0, y0, x1, y1], samples = 4) {
+	const points = [];
+	for (let k = 0; k < samples; k++) points.push([x0 + ((x1 - x0) * k) / samples, y0]);
+	for (let k = 0; k < samples; k++) points.push([x1, y0 + ((y1 - y0) * k) / samples]);
+	for (let k = 0; k < samples; k++) points.push([x1 - ((x1 - x0) * k) / samples, y1]);
+	for (let k = 0; k < samples; k++) points.push([x0, y1 - ((y1 - y0) * k) / samples]);
+
+	const values = points.map(f);
+	let total = 0;
+	for (let k = 0; k < points.length; k++) {
+		const next = (k + 1) % points.length;
+		total += segmentWinding(f, points[k], values[k], points[next], values[next], MAX_BISECTIONS);
+	}
+
+	return Number.isNaN(total) ? null : Math.round(total / (2 * Math.PI));
+}
+
+function reciprocal([re, im]) {
+	const d = re * re + im * im;
+	return [re / d, -im / d];
+}
+
+// Newton's method on g: R² -> R² with a finite-difference Jacobian, so it
+// also works for maps that are not holomorphic; stays inside box
+function newton(g, [x, y], [x0, y0, x1, y1], h) {
+	let w = g([x, y]);
+	for (let iteration = 0; iteration < 50; iteration++) {
+		const wx = g([x + h, y]);
+		const wy = g([x, y + h]);
+		const a = (wx[0] - w[0]) / h;
+		const b = (wy[0] - w[0]) / h;
+		const c = (wx[1] - w[1]) / h;
+		const d = (wy[1] - w[1]) / h;
+		const det = a * d - b * c;
+		const dx = -(d * w[0] - b * w[1]) / det;
+		const dy = -(a * w[1] - c * w[0]) / det;
+		if (!Number.isFinite(dx) || !Number.isFinite(dy)) break;
+
+		const next = [Math.min(x1, Math.max(x0, x + dx)), Math.min(y1, Math.max(y0, y + dy))];
+		const value = g(next);
+
+		// Landing exactly on a singularity of g gives NaN; keep the last good point
+		if (!Number.isFinite(value[0]) || !Number.isFinite(value[1])) break;
+
+		[x, y] = next;
+		w = value;
+		if (Math.abs(dx) + Math.abs(dy) < h * 1e-3) break;
+	}
+
+	return { x, y, residual: Math.hypot(w[0], w[1]) };
+}
+
+/**
+ * Place the point in a cell with nonzero winding and tell zeros from poles
+ * by where |f| goes: to 0 at a zero, to infinity at a pole. (For holomorphic
+ * f the sign of the winding already says which; for other maps it does not,
+ * e.g. conj(z) winds -1 around its zero.) Returns null when neither search
+ * converges, as near an essential singularity or where f oscillates faster
+ * than the grid resolves.
+ */
+function placePoint(f, [x0, y0, x1, y1]) {
+	const w = x1 - x0;
+	const h = y1 - y0;
+	const center = [(x0 + x1) / 2, (y0 + y1) / 2];
+	const box = [x0 - w, y0 - h, x1 + w, y1 + h]; // Neighbors too, for points on an edge
+	const step = w * 1e-5;
+
+	const corners = [
+		[x0, y0],
+		[x1, y0],
+		[x1, y1],
+		[x0, y1]
+	].map((corner) => Math.hypot(...f(corner)));
+	const scale = Math.max(...corners.filter(Number.isFinite));
+
+	const zero = newton(f, center, box, step);
+	if (zero.residual <= 1e-6 * scale) return { x: zero.x, y: zero.y, kind: 'zero' };
+
+	const pole = newton((z) => reciprocal(f(z)), center, box, step);
+	if (pole.residual <= 1e-6 / Math.min(...corners)) return { x: pole.x, y: pole.y, kind: 'pole' };
+
+	return null;
+}
+
+/**
+ * Find zeros and poles of f in a rectangle
+ *
+ * @param {function(number[]): number[]} f z => f(z), both [re, im]
+ * @param {Object} bounds xmin, xmax, ymin, ymax
+ * @param {Object} options
+ *   resolution - cells per side (default 48)
+ *   samples    - initial points per cell side (default 4)
+ *   maxResults - stop after this many points (default 32)
+ * @returns {{zeros: Object[], poles: Object[]}} Points { x, y, order, winding };
+ *   winding is signed, e.g. -1 at the zero of conj(z)
+ */
+export function findZerosAndPoles(
+	f,
+	{ xmin, xmax, ymin, ymax },
+	{ resolution = 48, samples = 4, maxResults = 32 } = {}
+) {
+	const hx = (xmax - xmin) / resolution;
+	const hy = (ymax - ymin) / resolution;
+	const found = { zero: [], pole: [] };
+	let count = 0;
+
+	for (let j = 0; j < resolution && count < maxResults; j++) {
+		for (let i = 0; i < resolution && count < maxResults; i++) {
+			const x0 = xmin + (i + GRID_OFFSET[0]) * hx;
+			const y0 = ymin + (j + GRID_OFFSET[1]) * hy;
+			const cell = [x0, y0, x0 + hx, y0 + hy];
+
+			const winding = rectangleWinding(f, cell, samples);
+			if (!winding) continue;
+
+			const point = placePoint(f, cell);
+			if (!point) continue;
+			const { x, y, kind } = point;
+
+			// A point next to a cell edge can have its winding split between
+			// the two cells; both searches end on it, so merge them
+			const twin = found[kind].find(
+				(point) => Math.abs(point.x - x) < hx && Math.abs(point.y - y) < hy
+			);
+			if (twin) {
+				twin.winding += winding;
+				twin.order = Math.abs(twin.winding);
+			} else {
+				found[kind].push({ x, y, order: Math.abs(winding), winding });
+				count++;
+			}
+		}
+	}
+
+	return { zeros: found.zero, poles: found.pole };
+}
@@ -0,0 +1,235 @@
+import * as C from './complex.js';
+
+/**
+ * The Riemann zeta function
+ *
+ * ζ(s) by Euler–Maclaurin summation: the first N - 1 terms of Σ n^-s
+ * directly, the rest as an integral plus Bernoulli corrections,
+ *
+ *   ζ(s) ≈ Σ_{n<N} n^-s + N^(1-s)/(s-1) + N^-s/2
+ *          + Σ_k B_2k/(2k)! s(s+1)...(s+2k-2) N^(-s-2k+1)
+ *
+ * The corrections shrink like (|s| / 2πN)^2k, so N grows with |s|: about
+ * |s| terms for double precision. Valid for every s but the pole at 1;
+ * it loses accuracy only far left of the critical strip, where the terms
+ * grow like N^-σ.
+ *
+ * On the critical line ζ(1/2 + it) = e^(-iθ(t)) Z(t), with the
+ * Riemann–Siegel theta θ and Hardy's Z real, so the nontrivial zeros on
+ * the line are the sign changes of Z.
+ *
+ * WGSL_ZETA is the same sum in f32 for the shaders, with fewer
+ * corrections and terms.
+ */
+
+// B_2k / (2k)!, k = 1..8
+const BERNOULLI = [
+	1 / 12,
+	-1 / 720,
+	1 / 30240,
+	-1 / 1209600,
+	1 / 47900160,
+	-691 / 1307674368000,
+	1 / 74724249600,
+	-3617 / 10670622842880000
+];
+
+// |s| / (2πN) at most this, so the last correction is below 1e-13 or so
+const TAIL_RATIO = 0.15;
+const MIN_TERMS = 10;
+
+/**
+ * @param {number[]} s [σ, t]
+ * @returns {number[]} ζ(s) as [re, im]; [Infinity, 0] at s = 1
+ */
+export function zeta(s) {
+	if (s[0] === 1 && s[1] === 0) return [Infinity, 0];
+
+	const size = Math.hypot(s[0] + 2 * BERNOULLI.length, s[1]);
+	const N = Math.max(MIN_TERMS, Math.ceil(size / (2 * Math.PI * TAIL_RATIO)));
+
+	// n^-s = exp(-s log n)
+	let re = 0;
+	let im = 0;
+	for (let n = 1; n < N; n++) {
+		const magnitude = Math.exp(-s[0] * Math.log(n));
+		const phase = -s[1] * Math.log(n);
+		re += magnitude * Math.cos(phase);
+		im += magnitude * Math.sin(phase);
+	}
+
+	const logN = Math.log(N);
+	const powerN = C.exp([-s[0] * logN, -s[1] * logN]); // N^-s
+	let sum = [re, im];
+	sum = C.add(sum, C.div(C.mul(powerN, [N, 0]), [s[0] - 1, s[1]]));
+	sum = C.add(sum, [powerN[0] / 2, powerN[1] / 2]);
+
+	// term_k = s(s+1)...(s+2k-2) N^(-s-2k+1), built up two factors at a time
+	let term = C.div(C.mul(s, powerN), [N, 0]);
+	for (let k = 0; k < BERNOULLI.length; k++) {
+		sum = C.add(sum, [BERNOULLI[k] * term[0], BERNOULLI[k] * term[1]]);
+		const a = [s[0] + 2 * k + 1, s[1]];
+		const b = [s[0] + 2 * k + 2, s[1]];
+		term = C.div(C.mul(term, C.mul(a, b)), [N * N, 0]);
+	}
+
+	return sum;
+}
+
+/**
+ * Riemann–Siegel theta, θ(t) = arg Γ(1/4 + it/2) - (t/2) log π, from the
+ * Stirling series; error below 1e-11
+ *
+ * @param {number} t
+ * @returns {number}
+ */
+export function riemannSiegelTheta(t) {
+	const sign = t < 0 ? -1 : 1;
+	const u = Math.abs(t);
+
+	// arg Γ(z) = arg Γ(z + m) - Σ arg(z + k), with |z + m| large enough for Stirling
+	const m = u < 20 ? 10 : 0;
+	const z = [0.25 + m, u / 2];
+	let theta = 0;
+	for (let k = 0; k < m; k++) {
+		theta -= Math.atan2(z[1], 0.25 + k);
+	}
+
+	// Im of (z - 1/2) log z - z + 1/(12z) - 1/(360z^3) + 1/(1260z^5) - 1/(1680z^7)
+	const logZ = C.log(z);
+	const inverse = C.div(C.ONE, z);
+	const inverse2 = C.mul(inverse, inverse);
+	let series = [-1 / 1680, 0];
+	for (const coefficient of [1 / 1260, -1 / 360, 1 / 12]) {
+		series = C.add([coefficient, 0], C.mul(inverse2, series));
+	}
+	series = C.mul(inverse, series);
+	theta += C.mul([z[0] - 0.5, z[1]], logZ)[1] - z[1] + series[1];
+
+	return sign * (theta - (u / 2) * Math.log(Math.PI));
+}
+
+/**
+ * Hardy's Z(t) = e^(iθ(t)) ζ(1/2 + it), real for real t
+ *
+ * @param {number} t
+ * @returns {number}
+ */
+export function hardyZ(t) {
+	const theta = riemannSiegelTheta(t);
+	const value = zeta([0.5, t]);
+	return value[0] * Math.cos(theta) - value[1] * Math.sin(theta);
+}
+
+/**
+ * Find the zeros of ζ on the critical line between t0 and t1
+ *
+ * Z is sampled at a fraction of the mean zero spacing 2π / log(t/2π) and
+ * every sign change refined by the Illinois variant of regula falsi. Two
+ * zeros closer than a sample step can still be missed.
+ *
+ * @param {number} t0
+ * @param {number} t1
+ * @param {Object} options
+ *   samplesPerZero - samples per mean zero spacing (default 8)
+ *   tolerance      - of the zero heights (default 1e-10)
+ *   maxResults     - stop after this many zeros (default 200)
+ * @returns {number[]} Heights t > 0 of the zeros, ascending
+ */
+export function findCriticalZeros(
+	t0,
+	t1,
+	{ samplesPerZero = 8, tolerance = 1e-10, maxResults = 200 } = {}
+) {
+	const zeros = [];
+	// There are no zeros on the line below the first at t ≈ 14.13
+	let t = Math.max(t0, 10);
+	let z = hardyZ(t);
+
+	while (t < t1 && zeros.length < maxResults) {
+		const spacing = (2 * Math.PI) / Math.log(Math.max(t, 20) / (2 * Math.PI));
+		const next = Math.min(t + spacing / samplesPerZero, t1);
+		const zNext = hardyZ(next);
+
+		if (z === 0) {
+			zeros.push(t);
+		} else if (Math.sign(z) !== Math.sign(zNext) && zNext !== 0) {
+			zeros.push(refineZero(t, next, z, zNext, tolerance));
+		}
+
+		t = next;
+		z = zNext;
+	}
+
+	return zeros;
+}
+
+// Zero of Z in [a, b], where it changes sign
+function refineZero(a, b, za, zb, tolerance) {
+	let side = 0;
+	for (let iteration = 0; iteration < 100 && b - a > tolerance; iteration++) {
+		const c = (a * zb - b * za) / (zb - za);
+		const zc = hardyZ(c);
+		if (zc === 0) return c;
+
+		// Halve the value kept twice in a row, so the interval closes from both ends
+		if (Math.sign(zc) === Math.sign(zb)) {
+			b = c;
+			zb = zc;
+			if (side === -1) za /= 2;
+			side = -1;
+		} else {
+			a = c;
+			za = zc;
+			if (side === 1) zb /= 2;
+			side = 1;
+		}
+		if (Math.abs(b - a) <= tolerance || Math.abs(zc) < 1e-15) return c;
+	}
+	return (a + b) / 2;
+}
+
+/**
+ * ζ(s) in WGSL, on the complex library of ./wgsl.js: Euler–Maclaurin with
+ * six corrections and at most ZETA_MAX_TERMS terms, enough for |t| up to
+ * about 1900. In f32 the phases t log n limit it to a relative error of
+ * about 1e-6 at t = 100 and 1e-4 at t = 1000.
+ */
+export const WGSL_ZETA = /* wgsl */ `
+const ZETA_MAX_TERMS = 1024;
+const ZETA_BERNOULLI = array<f32, 6>(
+    0.083333333,        // 1/12
+    -0.0013888889,      // -1/720
+    3.3068783e-5,       // 1/30240
+    -8.2671958e-7,      // -1/1209600
+    2.0876757e-8,       // 1/47900160
+    -5.2841901e-10      // -691/1307674368000
+);
+
+fn c_zeta(s: vec2<f32>) -> vec2<f32> {
+    // |s + 12| / (2 pi N) <= 0.3: the last correction is near f32 rounding
+    let size = length(s + vec2<f32>(12.0, 0.0));
+    let N = i32(clamp(ceil(size / (6.2831853 * 0.3)), 8.0, f32(ZETA_MAX_TERMS)));
+
+    var sum = vec2<f32>(0.0);
+    for (var n = 1; n < N; n++) {
+        let logn = log(f32(n));
+        sum += exp(-s.x * logn) * vec2<f32>(cos(s.y * logn), -sin(s.y * logn));
+    }
+
+    let n = f32(N);
+    let powerN = exp(-s.x * log(n)) * vec2<f32>(cos(s.y * log(n)), -sin(s.y * log(n)));
+    sum += c_div(powerN * n, s - vec2<f32>(1.0, 0.0));
+    sum += 0.5 * powerN;
+
+    var term = c_mul(s, powerN) / n;
+    for (var k = 0; k < 6; k++) {
+        sum += ZETA_BERNOULLI[k] * term;
+        let a = s + vec2<f32>(f32(2 * k + 1), 0.0);
+        let b = s + vec2<f32>(f32(2 * k + 2), 0.0);
+        term = c_mul(term, c_mul(a, b)) / (n * n);
+    }
+
+    return sum;
+}
+`;
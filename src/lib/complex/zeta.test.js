@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { zeta, hardyZ, riemannSiegelTheta, findCriticalZeros } from './zeta.js';
+
+// Heights of the first nontrivial zeros (Odlyzko's tables)
+const ZEROS = [
+	14.1347251417347, 21.0220396387716, 25.0108575801457, 30.4248761258595, 32.9350615877392
+];
+
+describe('zeta', () => {
+	it('matches the known values on the real axis', () => {
+		expect(zeta([2, 0])[0]).toBeCloseTo(Math.PI ** 2 / 6, 12);
+		expect(zeta([4, 0])[0]).toBeCloseTo(Math.PI ** 4 / 90, 12);
+		expect(zeta([0.5, 0])[0]).toBeCloseTo(-1.46035450880959, 12);
+		expect(zeta([0, 0])[0]).toBeCloseTo(-0.5, 12);
+		expect(zeta([-1, 0])[0]).toBeCloseTo(-1 / 12, 12);
+		expect(zeta([2, 0])[1]).toBe(0);
+	});
+
+	it('has a pole at 1', () => {
+		expect(zeta([1, 0])).toEqual([Infinity, 0]);
+	});
+
+	it('is small at the zeros and conjugate below the axis', () => {
+		for (const t of ZEROS) {
+			const value = zeta([0.5, t]);
+			expect(Math.hypot(value[0], value[1])).toBeLessThan(1e-9);
+		}
+		const above = zeta([0.3, 40]);
+		const below = zeta([0.3, -40]);
+		expect(below[0]).toBeCloseTo(above[0], 12);
+		expect(below[1]).toBeCloseTo(-above[1], 12);
+	});
+});
+
+describe('hardyZ', () => {
+	it('changes sign at the known zero heights', () => {
+		for (const t of ZEROS) {
+			expect(Math.sign(hardyZ(t - 1e-4))).toBe(-Math.sign(hardyZ(t + 1e-4)));
+		}
+	});
+
+	it('is |ζ| on the critical line', () => {
+		const value = zeta([0.5, 50]);
+		expect(Math.abs(hardyZ(50))).toBeCloseTo(Math.hypot(value[0], value[1]), 12);
+	});
+
+	it('uses the Riemann-Siegel theta', () => {
+		// θ(t) ~ (t/2) log(t/2π) - t/2 - π/8 + 1/(48t)
+		const t = 1000;
+		const asymptotic = (t / 2) * Math.log(t / (2 * Math.PI)) - t / 2 - Math.PI / 8 + 1 / (48 * t);
+		expect(riemannSiegelTheta(t)).toBeCloseTo(asymptotic, 8);
+		expect(riemannSiegelTheta(-t)).toBe(-riemannSiegelTheta(t));
+	});
+});
+
+describe('findCriticalZeros', () => {
+	it('finds the first zeros on the critical line', () => {
+		const zeros = findCriticalZeros(0, 34);
+		expect(zeros).toHaveLength(ZEROS.length);
+		zeros.forEach((t, i) => expect(t).toBeCloseTo(ZEROS[i], 9));
+	});
+
+	it('searches only the given range', () => {
+		const zeros = findCriticalZeros(20, 26);
+		expect(zeros).toHaveLength(2);
+		expect(zeros[0]).toBeCloseTo(ZEROS[1], 9);
+		expect(zeros[1]).toBeCloseTo(ZEROS[2], 9);
+	});
+
+	it('stops after maxResults zeros', () => {
+		expect(findCriticalZeros(0, 100, { maxResults: 3 })).toHaveLength(3);
+	});
+
+	it('finds all 29 zeros below height 100', () => {
+		expect(findCriticalZeros(0, 100)).toHaveLength(29);
+	});
+});
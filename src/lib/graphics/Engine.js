@@ -66,7 +66,8 @@ class Engine {
 		return resource;
 	}
 
-	async start(SceneClass, cameraConfig = {}) {
+	// options.seed: seed for the experience's random stream (fresh if omitted)
+	async start(SceneClass, cameraConfig = {}, options = {}) {
 		// Clean up any existing resources first
 		if (this.device || this.context) {
 			this.cleanup();
@@ -122,6 +123,7 @@ class Engine {
 			// Make sure camera controller is available in the resource manager
 			this.resourceManager.cameraController = this.cameraController;
 			this.resourceManager.canvas = this.canvas;
+			this.resourceManager.seed = options.seed ?? null;
 			
 			this.resourceManager.initialize(this.canvas.width, this.canvas.height);
 	
@@ -1,5 +1,5 @@
 // Camera.js
-import { mat4, vec3 } from 'gl-matrix';
+import { mat4, vec3, vec4 } from 'gl-matrix';
 import { registerResource, unregisterResource } from '../utils/MemoryManager.js';
 
 export default class Camera {
@@ -8,6 +8,7 @@ export default class Camera {
 		this.projectionMatrix = mat4.create();
 		this.viewMatrix = mat4.create();
 		this.position = vec3.fromValues(0, 0, 0); // Positioned along the z-axis
+		this.target = vec3.fromValues(0, 0, 0); // Point the view is centred on
 		this.aspect = width / height;
 		this.isActive = true; // Flag to track if camera is active
 		
@@ -77,17 +78,41 @@ export default class Camera {
 	}
 
 	updateProjection(fov = Math.PI / 4, near = 0.1, far = 100000) {
+		this.fov = fov; // Vertical, radians; read by level of detail selection
 		mat4.perspective(this.projectionMatrix, fov, this.aspect, near, far);
 		this.updateBuffers(); // Synchronize buffer with projection matrix
 	}
 
 	updateView() {
-		const target = vec3.fromValues(0, 0, 0); // Looking at the origin
 		const up = vec3.fromValues(0, 1, 0); // Y-axis is up
-		mat4.lookAt(this.viewMatrix, this.position, target, up);
+		mat4.lookAt(this.viewMatrix, this.position, this.target, up);
 		this.updateBuffers(); // Synchronize buffer with view matrix
 	}
 
+	/**
+	 * World-space ray through a point on the canvas
+	 * @param {number} x - 0 (left) to 1 (right)
+	 * @param {number} y - 0 (top) to 1 (bottom)
+	 * @returns {{origin: vec3, direction: vec3}} direction is normalized
+	 */
+	getPickingRay(x, y) {
+		const inverse = mat4.create();
+		mat4.multiply(inverse, this.projectionMatrix, this.viewMatrix);
+		mat4.invert(inverse, inverse);
+
+		// Unproject the point on the near and far planes
+		const unproject = (depth) => {
+			const point = vec4.fromValues(x * 2 - 1, 1 - y * 2, depth, 1);
+			vec4.transformMat4(point, point, inverse);
+			return vec3.fromValues(point[0] / point[3], point[1] / point[3], point[2] / point[3]);
+		};
+		const origin = unproject(-1);
+		const direction = vec3.subtract(vec3.create(), unproject(1), origin);
+		vec3.normalize(direction, direction);
+
+		return { origin, direction };
+	}
+
 	updateBuffers() {
 		if (!this.device || !this.isActive) {
 			return;
@@ -42,6 +42,9 @@ export default class CameraController {
 		this.lastMouseX = 0;
 		this.lastMouseY = 0;
 
+		// Called with the orbit state whenever the camera moves
+		this.listeners = new Set();
+
 		// Only update camera position if it's not already set
 		if (!camera || !camera.position || 
 		    (camera.position[0] === 0 && camera.position[1] === 0 && camera.position[2] === 0)) {
@@ -100,7 +103,58 @@ export default class CameraController {
 		const z = this.target[2] + this.distance * Math.sin(this.phi) * Math.sin(this.theta);
 
 		this.camera.position = vec3.fromValues(x, y, z);
+		this.camera.target = vec3.fromValues(this.target[0], this.target[1], this.target[2]);
 		this.camera.updateView();
+
+		if (this.listeners && this.listeners.size > 0) {
+			const state = this.getState();
+			this.listeners.forEach((listener) => listener(state));
+		}
+	}
+
+	// Orbit state as plain numbers
+	getState() {
+		return {
+			theta: this.theta,
+			phi: this.phi,
+			distance: this.distance,
+			target: [this.target[0], this.target[1], this.target[2]]
+		};
+	}
+
+	/**
+	 * Move the camera to a saved orbit state. Missing or non-finite fields
+	 * keep their current value; phi and distance are clamped to the same
+	 * limits as mouse interaction.
+	 */
+	setState(state = {}) {
+		const finite = (value) => typeof value === 'number' && Number.isFinite(value);
+
+		if (finite(state.theta)) {
+			this.theta = state.theta;
+		}
+
+		if (finite(state.phi)) {
+			this.phi = Math.max(0.1, Math.min(Math.PI - 0.1, state.phi));
+		}
+
+		if (finite(state.distance) && state.distance > 0) {
+			const zoom = state.distance / this.baseDistance;
+			this.currentZoom = Math.min(Math.max(zoom, 0.1), 100.0);
+			this.distance = zoom === this.currentZoom ? state.distance : this.baseDistance * this.currentZoom;
+		}
+
+		if (Array.isArray(state.target) && state.target.length === 3 && state.target.every(finite)) {
+			this.target = vec3.fromValues(state.target[0], state.target[1], state.target[2]);
+		}
+
+		this.updateCameraPosition();
+	}
+
+	// Subscribe to camera moves; returns an unsubscribe function
+	onChange(listener) {
+		this.listeners.add(listener);
+		return () => this.listeners?.delete(listener);
 	}
 
 	updateAspect(width, height) {
@@ -119,6 +173,7 @@ export default class CameraController {
 		
 		// Clear target reference
 		this.target = null;
+		this.listeners.clear();
 	
 	}
 }
@@ -1,31 +1,5 @@
-// Camera configurations for all experiences
-export const cameraConfigs = {
-  Flocking: {
-    position: { x: 0, y: 2000, z: 4000 },
-    fov: 40 * (Math.PI / 180),
-    baseDistance: 4000.0  // Large distance for bird flocking view
-  },
-  NeuralNet: {
-    position: { x: 0, y: 350, z: 550 },
-    fov: 45 * (Math.PI / 180),
-    baseDistance: 75900.0    // Medium distance for network visualization
-  },
-  Wikiground: {
-    position: { x: 0, y: 0, z: 10 },
-    fov: 50 * (Math.PI / 180),
-    baseDistance: 500.0    // Medium-close for disk view
-  },
-  Riemann: {
-    position: { x: 0, y: -4, z: 4 },
-    fov: 45 * (Math.PI / 180),
-    baseDistance: 3.0  // Close distance for surface detail viewing
-  },
-  GridCode: {
-    position: { x: 0, y: -4, z: 4 },
-    fov: 45 * (Math.PI / 180),
-    baseDistance: 3.0  // Same as Riemann for consistent viewing
-  }
-};
+// Camera configurations live with each experience definition (see experiences/registry.js)
+import { getExperienceDefinition } from '../experiences/registry.js';
 
 // Default camera config
 export const defaultCameraConfig = {
@@ -34,7 +8,7 @@ export const defaultCameraConfig = {
   baseDistance: 20.0
 };
 
-// Get camera config by experience name
+// Get camera config by experience id (case-insensitive, so 'Flocking' still resolves)
 export function getCameraConfig(experienceName) {
-  return cameraConfigs[experienceName] || defaultCameraConfig;
-} 
\ No newline at end of file
+  return getExperienceDefinition(experienceName)?.camera || defaultCameraConfig;
+} 
@@ -8,6 +8,11 @@ class InteractionManager {
 		this.lastMouseX = 0;
 		this.lastMouseY = 0;
 
+		// Pointer state for clicks and hover, routed to the experience
+		this.press = null; // Where a left press on the canvas started
+		this.hovering = false;
+		this.clickTolerance = 4; // Pixels a press may move and still count as a click
+
 		// Bind methods once
 		this.handleResize = this.handleResize.bind(this);
 		this.handleMouseMove = this.handleMouseMove.bind(this);
@@ -42,6 +47,8 @@ class InteractionManager {
 		this.isDragging = false;
 		this.lastMouseX = 0;
 		this.lastMouseY = 0;
+		this.press = null;
+		this.hovering = false;
 		
 		// Reset store values if possible
 		try {
@@ -70,10 +77,23 @@ class InteractionManager {
 		}
 	}
 
-	handleMouseMove(event) {
+	// Pointer in canvas coordinates (0-1 across and down) plus what experiences need
+	getPointer(event) {
 		const rect = this.canvas.getBoundingClientRect();
-		const mouseX = (event.clientX - rect.left) / rect.width;
-		const mouseY = (event.clientY - rect.top) / rect.height;
+		return {
+			x: (event.clientX - rect.left) / rect.width,
+			y: (event.clientY - rect.top) / rect.height,
+			clientX: event.clientX,
+			clientY: event.clientY,
+			shiftKey: event.shiftKey,
+			altKey: event.altKey
+		};
+	}
+
+	handleMouseMove(event) {
+		const pointer = this.getPointer(event);
+		const mouseX = pointer.x;
+		const mouseY = pointer.y;
 
 		mousePosition.set({ x: mouseX, y: mouseY });
 
@@ -86,10 +106,23 @@ class InteractionManager {
 		if (this.isDragging && this.engine?.cameraController) {
 			this.engine.cameraController.handleMouseMove(mouseX, mouseY);
 		}
+
+		// Hover while over the canvas and not rotating the camera
+		const experience = this.engine?.experience;
+		if (!this.isDragging && event.target === this.canvas) {
+			this.hovering = true;
+			experience?.handlePointerMove?.(pointer);
+		} else if (this.hovering) {
+			this.hovering = false;
+			experience?.handlePointerLeave?.();
+		}
 	}
 
 	handleMouseDown(event) {
 		this.isDragging = true;
+		this.press = event.button === 0 && event.target === this.canvas
+			? { x: event.clientX, y: event.clientY }
+			: null;
 
 		const rect = this.canvas.getBoundingClientRect();
 		const mouseX = (event.clientX - rect.left) / rect.width;
@@ -103,13 +136,23 @@ class InteractionManager {
 		}
 	}
 
-	handleMouseUp() {
+	handleMouseUp(event) {
 		this.isDragging = false;
 
 		// Notify the engine's camera controller
 		if (this.engine) {
 			this.engine.cameraController.endDrag();
 		}
+
+		// A press and release on the canvas without a drag is a click
+		const press = this.press;
+		this.press = null;
+		if (press && event.target === this.canvas) {
+			const moved = Math.hypot(event.clientX - press.x, event.clientY - press.y);
+			if (moved <= this.clickTolerance) {
+				this.engine?.experience?.handleClick?.(this.getPointer(event));
+			}
+		}
 	}
 
 	handleMouseWheel(event) {
@@ -0,0 +1,327 @@
+/**
+ * Declarative experience parameters
+ *
+ * An experience describes its tunable values as a schema and owns a
+ * ParameterSet built from it. The set validates every write, packs values
+ * into the uniform buffers they belong to, and notifies subscribers, so the
+ * generic ParameterPanel can render and drive any experience.
+ *
+ * Schema entry:
+ *
+ *   {
+ *     key: 'zetaScale',
+ *     label: 'Frequency Scale',
+ *     type: 'float',                // 'float' | 'int' | 'enum' | 'bool' | 'string'
+ *     default: 4.0,
+ *     min: 1, max: 100, step: 1,    // numeric types
+ *     unit: 'rad',                  // optional, shown next to the value
+ *     precision: 2,                 // optional, decimals shown in the panel
+ *     options: [{ value: 0, label: 'log(p)' }], // enum only
+ *     control: 'buttons',           // optional enum widget: 'buttons' | 'select'
+ *     maxLength: 200,               // optional, string only
+ *     validate: (text) => null,     // optional, string only: error message or null
+ *     placeholder: 'f(z)',          // optional, string only
+ *     group: 'Zeta Parameters',     // optional panel section
+ *     visible: (values) => values.surface === 'zeta', // optional
+ *     uniform: { buffer: 'zetaParams', index: 1 }     // optional, float slot
+ *   }
+ */
+
+const TYPES = ['float', 'int', 'enum', 'bool', 'string'];
+
+/**
+ * Check a schema entry and fill in defaults. Throws on malformed entries.
+ */
+export function normalizeParameter(definition) {
+	if (!definition || typeof definition.key !== 'string' || !definition.key) {
+		throw new Error('Parameter definition must have a key');
+	}
+
+	const { key, type } = definition;
+
+	if (!TYPES.includes(type)) {
+		throw new Error(`Parameter '${key}' has unknown type: ${type}`);
+	}
+
+	if (type === 'enum' && (!Array.isArray(definition.options) || definition.options.length === 0)) {
+		throw new Error(`Enum parameter '${key}' must list its options`);
+	}
+
+	if ((type === 'float' || type === 'int') && !(definition.min <= definition.max)) {
+		throw new Error(`Parameter '${key}' needs a min <= max range`);
+	}
+
+	if (type === 'string' && definition.uniform) {
+		throw new Error(`String parameter '${key}' cannot live in a uniform buffer`);
+	}
+
+	if (definition.uniform) {
+		const { buffer, index } = definition.uniform;
+		if (typeof buffer !== 'string' || !Number.isInteger(index) || index < 0) {
+			throw new Error(`Parameter '${key}' has an invalid uniform slot`);
+		}
+		if (type === 'enum' && definition.options.some((option) => typeof option.value !== 'number')) {
+			throw new Error(
+				`Enum parameter '${key}' packs into a uniform, so its values must be numbers`
+			);
+		}
+	}
+
+	const normalized = {
+		label: key,
+		unit: '',
+		group: null,
+		visible: null,
+		uniform: null,
+		...definition
+	};
+
+	if (type === 'int' || type === 'float') {
+		normalized.step =
+			definition.step ?? (type === 'int' ? 1 : (definition.max - definition.min) / 100);
+	}
+
+	if (type === 'enum') {
+		normalized.control =
+			definition.control || (definition.options.length <= 3 ? 'buttons' : 'select');
+	}
+
+	const fallback =
+		type === 'enum'
+			? definition.options[0].value
+			: type === 'bool'
+			? false
+			: type === 'string'
+			? ''
+			: definition.min;
+	normalized.default = coerceParameter(normalized, definition.default ?? fallback, fallback);
+
+	return Object.freeze(normalized);
+}
+
+/**
+ * Coerce a raw value into the range or option set of a parameter.
+ * Numbers are clamped (ints rounded); enums fall back when the value is not
+ * one of the options. Strings are accepted so form and URL input work as-is.
+ * String parameters fall back when too long or rejected by their validate.
+ */
+export function coerceParameter(definition, value, fallback = definition.default) {
+	switch (definition.type) {
+		case 'bool':
+			if (value === 'false' || value === '0') return false;
+			return Boolean(value);
+
+		case 'enum': {
+			const option = definition.options.find((o) => String(o.value) === String(value));
+			return option ? option.value : fallback;
+		}
+
+		case 'string': {
+			const text = String(value ?? '');
+			if (definition.maxLength !== undefined && text.length > definition.maxLength) return fallback;
+			return definition.validate?.(text) ? fallback : text;
+		}
+
+		default: {
+			let number = typeof value === 'number' ? value : parseFloat(value);
+			if (!Number.isFinite(number)) return fallback;
+			if (definition.type === 'int') number = Math.round(number);
+			return Math.max(definition.min, Math.min(definition.max, number));
+		}
+	}
+}
+
+class ParameterSet {
+	constructor(schema) {
+		this.definitions = new Map();
+		for (const entry of schema) {
+			const definition = normalizeParameter(entry);
+			if (this.definitions.has(definition.key)) {
+				throw new Error(`Duplicate parameter key: ${definition.key}`);
+			}
+			this.definitions.set(definition.key, definition);
+		}
+
+		this.values = {};
+		for (const definition of this.definitions.values()) {
+			this.values[definition.key] = definition.default;
+		}
+
+		// name -> { device, buffer, data }
+		this.buffers = new Map();
+		this.subscribers = new Set();
+		this.watchers = new Map();
+	}
+
+	// Schema entries in declaration order
+	get schema() {
+		return Array.from(this.definitions.values());
+	}
+
+	has(key) {
+		return this.definitions.has(key);
+	}
+
+	get(key) {
+		return this.values[key];
+	}
+
+	// Plain copy of the current values
+	getValues() {
+		return { ...this.values };
+	}
+
+	// Whether a parameter should currently be shown
+	isVisible(key) {
+		const definition = this.definitions.get(key);
+		return !!definition && (!definition.visible || definition.visible(this.values));
+	}
+
+	/**
+	 * Validate and store one value. Returns the value actually stored.
+	 */
+	set(key, value) {
+		const accepted = this.assign(key, value);
+		if (accepted.changed) {
+			this.flush(accepted.buffers);
+			this.notify([key]);
+		}
+		return this.values[key];
+	}
+
+	/**
+	 * Set several values at once, writing each touched buffer only once.
+	 * Unknown keys are ignored.
+	 */
+	update(values) {
+		const changedKeys = [];
+		const buffers = new Set();
+
+		for (const key in values) {
+			if (!this.definitions.has(key)) continue;
+			const accepted = this.assign(key, values[key]);
+			if (accepted.changed) {
+				changedKeys.push(key);
+				accepted.buffers.forEach((name) => buffers.add(name));
+			}
+		}
+
+		if (changedKeys.length > 0) {
+			this.flush(buffers);
+			this.notify(changedKeys);
+		}
+		return this.getValues();
+	}
+
+	// Restore every parameter to its schema default
+	reset() {
+		const defaults = {};
+		for (const definition of this.definitions.values()) {
+			defaults[definition.key] = definition.default;
+		}
+		return this.update(defaults);
+	}
+
+	assign(key, value) {
+		const definition = this.definitions.get(key);
+		if (!definition) {
+			console.warn(`Unknown parameter: ${key}`);
+			return { changed: false, buffers: [] };
+		}
+
+		const next = coerceParameter(definition, value, this.values[key]);
+		if (next === this.values[key]) {
+			return { changed: false, buffers: [] };
+		}
+
+		this.values[key] = next;
+		return { changed: true, buffers: definition.uniform ? [definition.uniform.buffer] : [] };
+	}
+
+	/**
+	 * Pack the parameters that live in a uniform buffer into a float array.
+	 * Slots not owned by a parameter stay zero (struct padding).
+	 */
+	pack(name) {
+		let length = 0;
+		for (const definition of this.definitions.values()) {
+			if (definition.uniform?.buffer === name) {
+				length = Math.max(length, definition.uniform.index + 1);
+			}
+		}
+
+		// Uniform buffers are sized in 16-byte rows
+		const data = new Float32Array(Math.ceil(length / 4) * 4);
+		for (const definition of this.definitions.values()) {
+			if (definition.uniform?.buffer === name) {
+				const value = this.values[definition.key];
+				data[definition.uniform.index] = typeof value === 'boolean' ? Number(value) : value;
+			}
+		}
+		return data;
+	}
+
+	/**
+	 * Attach a GPU buffer to a uniform name and upload the current values.
+	 * Later writes to parameters in that buffer are uploaded automatically.
+	 */
+	bindBuffer(name, device, buffer) {
+		if (!device || !buffer) {
+			console.error(`Cannot bind parameter buffer '${name}' without a device and buffer`);
+			return false;
+		}
+
+		this.buffers.set(name, { device, buffer });
+		this.flush([name]);
+		return true;
+	}
+
+	unbindBuffer(name) {
+		this.buffers.delete(name);
+	}
+
+	flush(names) {
+		for (const name of names) {
+			const binding = this.buffers.get(name);
+			if (!binding) continue;
+			binding.device.queue.writeBuffer(binding.buffer, 0, this.pack(name));
+		}
+	}
+
+	/**
+	 * Call a function whenever one parameter changes. Returns an unsubscribe.
+	 */
+	watch(key, callback) {
+		if (!this.watchers.has(key)) {
+			this.watchers.set(key, new Set());
+		}
+		this.watchers.get(key).add(callback);
+		return () => this.watchers.get(key)?.delete(callback);
+	}
+
+	/**
+	 * Svelte store contract: subscribers receive a copy of all values
+	 */
+	subscribe(run) {
+		this.subscribers.add(run);
+		run(this.getValues());
+		return () => this.subscribers.delete(run);
+	}
+
+	notify(keys) {
+		for (const key of keys) {
+			this.watchers.get(key)?.forEach((callback) => callback(this.values[key], key));
+		}
+
+		const values = this.getValues();
+		this.subscribers.forEach((run) => run(values));
+	}
+
+	cleanup() {
+		this.buffers.clear();
+		this.subscribers.clear();
+		this.watchers.clear();
+	}
+}
+
+export default ParameterSet;
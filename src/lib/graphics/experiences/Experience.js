@@ -1,4 +1,6 @@
 import { registerResource, unregisterResource, cleanupResource } from '../utils/MemoryManager.js';
+import ParameterSet from '../core/ParameterSet.js';
+import { createRandom, normalizeSeed } from '../../utils/random.js';
 
 class Experience {
 	constructor(device, resourceManager) {
@@ -28,6 +30,16 @@ class Experience {
 		this.loadingProgress = 0;
 		this.loadingMessage = "Initializing...";
 		
+		// Tunable values, see defineParameters()
+		this.parameters = null;
+		
+		// Seeded random stream. The seed comes from the engine (e.g. a shared
+		// link) or is picked fresh; subclasses that draw from it set
+		// usesRandomSeed so the seed is shown and carried in the URL.
+		this.random = createRandom(normalizeSeed(resourceManager?.seed));
+		this.seed = this.random.seed;
+		this.usesRandomSeed = false;
+		
 		// Register this experience with the memory manager
 		registerResource(this, 'experiences', this.name);
 		
@@ -37,6 +49,12 @@ class Experience {
 		}
 	}
 	
+	// Declare the experience's tunable parameters from a schema
+	defineParameters(schema) {
+		this.parameters = new ParameterSet(schema);
+		return this.parameters;
+	}
+	
 	// Track a resource for automatic cleanup
 	trackResource(resource, type = 'others') {
 		if (!resource) return resource;
@@ -153,6 +171,22 @@ class Experience {
 		// Override in subclasses
 	}
 	
+	// Pointer events from the InteractionManager. Subclasses take a pointer
+	// with x and y in canvas coordinates (0-1, from the top left),
+	// clientX/clientY and the shift and alt keys.
+	handlePointerMove() {
+		// Override in subclasses
+	}
+	
+	handlePointerLeave() {
+		// Override in subclasses
+	}
+	
+	// A click on the canvas that didn't drag the camera, with the same pointer
+	handleClick() {
+		// Override in subclasses
+	}
+	
 	// Initialize the experience
 	async initialize() {
 		this.initialized = true;
@@ -186,6 +220,10 @@ class Experience {
 		});
 		this.pipelines = [];
 
+		if (this.parameters) {
+			this.parameters.cleanup();
+		}
+
 		// Clean up all tracked resources
 		for (const type in this.resources) {
 			const resources = this.resources[type];
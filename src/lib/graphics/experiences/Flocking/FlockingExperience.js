@@ -4,22 +4,30 @@ import Experience from '../Experience';
 import BirdGeometry from './BirdGeometry';
 import PredatorGeometry from './PredatorGeometry';
 import GuidingLineGeometry from './GuidingLineGeometry'
+import ObstacleGeometry from './ObstacleGeometry';
 import FlockingPipeline from './FlockingPipeline';
+import parameterSchema from './parameters.js';
+import { MAX_PREDATORS } from './predatorStrategies.js';
+import { MAX_SPECIES, assignSpecies } from './species.js';
+import { WIND_TEXTURE_SIZE, worldHalfSize, placeObstacles, turbulenceField } from './world.js';
 
 class FlockingExperience extends Experience {
     constructor(device, resourceManager) {
         super(device, resourceManager);
 
-        this.birdCount = 8192; // Adjusted for performance
+        // Steering weights, flock size and level of detail; the uniforms are bound once the pipeline is created
+        this.defineParameters(parameterSchema);
+        this.birdCount = this.parameters.get('birdCount');
         this.lastTime = performance.now(); // Initialize lastTime
 
         // Timer variables
         this.targetChangeInterval = 10000; // 10 seconds in milliseconds
         this.lastTargetChangeTime = this.lastTime;
 
-        // Separate storage for birds and predator
-        this.birds = []; // Array to hold all bird geometries
-        this.predator = null; // Single reference for the predator
+        // One bird mesh, drawn instanced for the whole flock, and one for the predators
+        this.bird = null;
+        this.predator = null;
+        this.obstacles = null; // Unit sphere, box and ground, drawn per obstacle
 
         // Get initial dimensions from the viewport buffer
         const viewportArray = new Float32Array(2);
@@ -37,12 +45,37 @@ class FlockingExperience extends Experience {
             this.canvas
         );
 
-        this.addBirds();
+        // Initial flock and predator targets are drawn from the experience seed
+        this.usesRandomSeed = true;
+        this.targetRandom = this.random.fork('targets');
+
+        this.parameters.watch('birdCount', (birdCount) => this.setBirdCount(birdCount));
+        this.parameters.watch('predatorCount', (predatorCount) => this.pipeline.setPredatorCount(predatorCount));
+        for (let i = 0; i < MAX_PREDATORS; i++) {
+            this.parameters.watch(`predator${i + 1}Strategy`, (strategy) => this.pipeline.updatePredator(i, { strategy }));
+            this.parameters.watch(`predator${i + 1}Speed`, (speed) => this.pipeline.updatePredator(i, { speed }));
+        }
+
+        // Which bird is of which species and which are informed, dealt again when the mix changes
+        const speciesMix = ['speciesCount', 'leaderFraction', 'goalBShare'];
+        for (let i = 0; i < MAX_SPECIES; i++) speciesMix.push(`species${i + 1}Share`);
+        speciesMix.forEach((key) => this.parameters.watch(key, () => this.assignSpecies()));
+
+        // Obstacles are placed again when their number or size or the world changes
+        ['sphereCount', 'boxCount', 'obstacleSize', 'worldSize'].forEach((key) =>
+            this.parameters.watch(key, () => this.placeObstacles())
+        );
+        this.parameters.watch('ground', (ground) => this.pipeline.setGroundVisible(ground));
+
+        this.addBird();
         this.addPredator();
 
         this.guidingLine = new GuidingLineGeometry(this.device);
         this.addObject(this.guidingLine);
 
+        this.obstacles = new ObstacleGeometry(this.device);
+        this.addObject(this.obstacles);
+
         // Bind the visibility change handler
         document.addEventListener('visibilitychange', this.handleVisibilityChange.bind(this));
     }
@@ -50,57 +83,121 @@ class FlockingExperience extends Experience {
     async initialize() {
         // Initialize the pipeline
         await this.pipeline.initialize();
+        this.parameters.bindBuffer('flockingParams', this.device, this.pipeline.flockingParamsBuffer);
+        this.parameters.bindBuffer('birdLOD', this.device, this.pipeline.birdLODBuffer);
+        this.parameters.bindBuffer('speciesParams', this.device, this.pipeline.speciesParamsBuffer);
+        this.parameters.bindBuffer('worldParams', this.device, this.pipeline.worldParamsBuffer);
+        this.pipeline.setGroundVisible(this.parameters.get('ground'));
+        this.pipeline.updateWindField(turbulenceField(WIND_TEXTURE_SIZE, this.random.fork('wind')));
+
+        this.scatterBirds();
+        this.placePredators();
+        this.placeObstacles();
+        this.initialized = true;
+    }
 
-        // Generate initial positions and velocities for birds
-        const initialPositions = [];
-        const initialVelocities = [];
-        const initialPhases = [];
-        const bounds = 2500;
-        const boundsHalf = bounds / 2;
+    // Place every predator there can be, the first at the origin and the rest on
+    // a ring around it, each after a random bird; predatorCount picks how many fly
+    placePredators() {
+        const radius = 1500 * Math.cbrt(this.birdCount / 8192);
+        const predators = Array.from({ length: MAX_PREDATORS }, (_, i) => {
+            const angle = (2 * Math.PI * i) / (MAX_PREDATORS - 1);
+            return {
+                position: i === 0 ? [0, 0, 0] : [radius * Math.cos(angle), 0, radius * Math.sin(angle)],
+                strategy: this.parameters.get(`predator${i + 1}Strategy`),
+                prey: Math.floor(this.targetRandom() * this.birdCount),
+                speed: this.parameters.get(`predator${i + 1}Speed`)
+            };
+        });
+
+        this.pipeline.initializePredators(predators);
+        this.pipeline.setPredatorCount(this.parameters.get('predatorCount'));
+    }
+
+    // Scatter spheres and boxes through the world; the same seed gives the same obstacles
+    placeObstacles() {
+        if (!this.pipeline.obstaclesBuffer) return;
+
+        const sphereCount = this.parameters.get('sphereCount');
+        const boxCount = this.parameters.get('boxCount');
+        const data = placeObstacles({
+            sphereCount,
+            boxCount,
+            size: this.parameters.get('obstacleSize'),
+            halfSize: worldHalfSize(this.parameters.get('worldSize'), this.birdCount),
+            random: this.random.fork('obstacles')
+        });
+        this.pipeline.updateObstacles(data, { sphereCount, boxCount });
+    }
+
+    // Fill the bird buffers with a new flock; the same seed and size give the same flock
+    scatterBirds() {
+        // Random positions in the world box, which grows with the flock so its density stays the same
+        const boundsHalf = worldHalfSize(this.parameters.get('worldSize'), this.birdCount);
+        const bounds = boundsHalf * 2;
+        const random = this.random.fork('birds');
+
+        const positions = new Float32Array(this.birdCount * 4);
+        const velocities = new Float32Array(this.birdCount * 4);
+        const phases = new Float32Array(this.birdCount);
+        const colors = new Float32Array(this.birdCount * 4);
 
         for (let i = 0; i < this.birdCount; i++) {
-            // Random positions within bounds
-            const posX = Math.random() * bounds - boundsHalf;
-            const posY = Math.random() * bounds - boundsHalf;
-            const posZ = Math.random() * bounds - boundsHalf;
-            initialPositions.push([posX, posY, posZ]);
+            positions[i * 4] = random() * bounds - boundsHalf;
+            positions[i * 4 + 1] = random() * bounds - boundsHalf;
+            positions[i * 4 + 2] = random() * bounds - boundsHalf;
 
             // Random velocities with a small magnitude
-            const velX = (Math.random() - 0.5);
-            const velY = (Math.random() - 0.5);
-            const velZ = (Math.random() - 0.5);
-            initialVelocities.push([velX, velY, velZ]);
-
-            // Random wing phases
-            const wingPhase = 0;
-            initialPhases.push(wingPhase);
+            velocities[i * 4] = random() - 0.5;
+            velocities[i * 4 + 1] = random() - 0.5;
+            velocities[i * 4 + 2] = random() - 0.5;
+
+            // Random wing phases, so the flock does not flap in step
+            phases[i] = random() * 2 * Math.PI;
+
+            // The species' color, a little lighter or darker per bird
+            const shade = 0.35 + random() * 1.3;
+            colors.set([shade, shade, shade * 1.1, 1], i * 4);
         }
 
-        // Initialize position and velocity buffers in the pipeline
-        this.pipeline.initializeBirdBuffers(initialPositions, initialVelocities, initialPhases);
+        this.pipeline.initializeBirdBuffers(positions, velocities, phases, colors);
+        this.assignSpecies();
+    }
 
-        const initialPredatorPosition = new Float32Array([0.0, 0.0, 0.0]); // Starting at origin
-        const initialPredatorVelocity = new Float32Array([0.0, 0.0, 0.0]); // Initially stationary
+    // Deal out species and goals; the same seed and mix give the same birds
+    assignSpecies() {
+        if (!this.pipeline.speciesBuffer) return;
+
+        const speciesCount = this.parameters.get('speciesCount');
+        const shares = Array.from({ length: speciesCount }, (_, i) => this.parameters.get(`species${i + 1}Share`));
+        const tags = assignSpecies(this.birdCount, {
+            shares,
+            leaderFraction: this.parameters.get('leaderFraction'),
+            goalBShare: this.parameters.get('goalBShare'),
+            random: this.random.fork('species')
+        });
+        this.pipeline.updateSpecies(tags);
+    }
 
-        // Initialize predator position and velocity buffers in the pipeline
-        this.pipeline.initializePredatorBuffers(initialPredatorPosition, initialPredatorVelocity);
+    setBirdCount(birdCount) {
+        this.birdCount = birdCount;
+        this.pipeline.setBirdCount(birdCount);
 
-        // Set initial targetIndex to a random bird
-        const initialTargetIndex = Math.floor(Math.random() * this.birdCount);
-        this.pipeline.updateTargetIndex(initialTargetIndex);
+        // Before initialize() the pipeline only takes the count
+        if (!this.initialized) return;
+        this.scatterBirds();
+        this.placeObstacles();
+        this.changeTarget();
     }
 
-    addBirds() {
-        // Add multiple birds to the scene and store references
-        for (let i = 0; i < this.birdCount; i++) {
-            const bird = new BirdGeometry(this.device);
-            this.birds.push(bird);
-            this.addObject(bird);
-        }
+    addBird() {
+        // A single mesh shared by every bird
+        this.bird = new BirdGeometry(this.device);
+        this.addObject(this.bird);
     }
 
     addPredator() {
-        // Add a single predator to the scene and store its reference
+        // A single mesh shared by every predator
         const predator = new PredatorGeometry(this.device);
         this.predator = predator;
         this.addObject(predator);
@@ -130,9 +227,6 @@ class FlockingExperience extends Experience {
             this.lastTargetChangeTime = now;
         }
 
-        // Optionally, adjust flocking parameters dynamically here
-        // Example: this.pipeline.setFlockingParameters(separation, alignment, cohesion, centerGravity);
-
         // Render the pipeline (includes compute pass and render pass)
         const depthView = this.resourceManager.getDepthTextureView();
         const passDescriptor = {
@@ -152,17 +246,15 @@ class FlockingExperience extends Experience {
             }
         };
 
-        this.pipeline.render(commandEncoder, passDescriptor, this.birds, this.predator, textureView, depthView);
+        this.pipeline.render(commandEncoder, passDescriptor, this.bird, this.predator, this.obstacles, textureView, depthView);
     }
 
     changeTarget() {
-        // Select a new target index different from the current one
-        let newTargetIndex = Math.floor(Math.random() * this.birdCount);
-
-        // Update the target index in the pipeline
-        this.pipeline.updateTargetIndex(newTargetIndex);
-
-        // console.log(`Predator target changed to bird index: ${newTargetIndex}`);
+        // Give every predator a new random prey; only some strategies chase it
+        for (let i = 0; i < MAX_PREDATORS; i++) {
+            const prey = Math.floor(this.targetRandom() * this.birdCount);
+            this.pipeline.updatePredator(i, { prey });
+        }
     }
 
     handleVisibilityChange() {
@@ -177,13 +269,11 @@ class FlockingExperience extends Experience {
             this.pipeline.cleanup();
         }
 
-        // Cleanup birds
-        this.birds.forEach((bird) => {
-            if (bird.cleanup) {
-                bird.cleanup();
-            }
-        });
-        this.birds = [];
+        // Cleanup bird mesh
+        if (this.bird) {
+            this.bird.cleanup();
+            this.bird = null;
+        }
 
         // Cleanup predator
         if (this.predator) {
@@ -191,6 +281,15 @@ class FlockingExperience extends Experience {
             this.predator = null;
         }
 
+        if (this.obstacles) {
+            this.obstacles.cleanup();
+            this.obstacles = null;
+        }
+
+        if (this.parameters) {
+            this.parameters.cleanup();
+        }
+
         document.removeEventListener('visibilitychange', this.handleVisibilityChange.bind(this));
     }
 
@@ -3,752 +3,1096 @@
 import Pipeline from '../../pipelines/Pipeline';
 import PredatorCamera from '../../camera/PredatorCamera'; // Import the new PredatorCamera class
 import { vec3 } from 'gl-matrix';
+import { SpatialHash, WGSL_SPATIAL_HASH } from '../../utils/spatialHash.js';
+import {
+	MAX_PREDATORS,
+	PREDATOR_BYTES,
+	PREDATOR_STRATEGY_OFFSET,
+	PREDATOR_PREY_OFFSET,
+	PREDATOR_SPEED_OFFSET,
+	WGSL_PREDATORS
+} from './predatorStrategies.js';
+import { SPECIES_PARAMS_FLOATS, WGSL_SPECIES } from './species.js';
+import { OBSTACLES_FLOATS, WIND_TEXTURE_SIZE, WGSL_WORLD } from './world.js';
+
+// Floats of the worldParams uniform, see world.js
+const WORLD_PARAMS_FLOATS = 12;
+
+// NEIGHBOR_RADIUS in flockingShader.wgsl; the spatial hash cells must be at least this wide
+const NEIGHBOR_RADIUS = 250.0;
 
 export default class FlockingPipeline extends Pipeline {
-    constructor(device, camera, viewportBuffer, mouseBuffer, birdCount, canvasWidth, canvasHeight) {
-        super(device);
-        this.camera = camera;
-        this.predatorCamera = new PredatorCamera(device); // Initialize the predator camera
-        this.viewportBuffer = viewportBuffer;
-        this.mouseBuffer = mouseBuffer;
-        this.birdCount = birdCount;
-
-        // Store canvas dimensions with fallback values
-        this.canvasWidth = Math.max(1, canvasWidth || 800);
-        this.canvasHeight = Math.max(1, canvasHeight || 600);
-
-        // Buffers for bird-specific data
-        this.phaseBuffer = null; // For wing flapping animation
-        this.positionBuffer = null; // For bird positions
-        this.velocityBuffer = null; // For bird velocities
-
-        // Predator Buffers
-        this.predatorPositionBuffer = null;
-        this.predatorVelocityBuffer = null;
-        this.targetIndexBuffer = null;
-
-        // Compute Pipeline related
-        this.flockingComputePipeline = null;
-        this.flockingComputeBindGroup = null;
-        this.huntingComputePipeline = null;
-        this.huntingComputeBindGroup = null;
-        this.deltaTimeBuffer = null;
-
-        // Render Pipelines
-        this.birdPipeline = null;
-        this.predatorPipeline = null;
-
-        // Bind Groups
-        this.birdBindGroup = null;
-        this.predatorBindGroup = null;
-
-        this.guidingLineBindGroup = null; // Bind group for guiding line
-        this.backgroundBindGroup = null; // Bind group for background
-
-        // Shader code strings
-        this.birdShaderCode = null;
-        this.predatorShaderCode = null;
-        this.flockingShaderCode = null;
-        this.huntingShaderCode = null;
-        this.backgroundShaderCode = null;
-        this.guidingLineShaderCode = null;
-
-        // Flocking Parameters
-        this.flockingParamsBuffer = null;
-        this.flockingParams = {
-            separation: 250.0,
-            alignment: 5.0,
-            cohesion: 10.0, 
-            centerGravity: new Float32Array([0.0, 0.0, 0.0, 0.0]) // Ensure vec4
-        };
-
-        this.currentTargetIndex = 0; // Add this line
-    }
-
-    async initialize() {
-        const format = navigator.gpu.getPreferredCanvasFormat();
-        const { projectionBuffer, viewBuffer } = this.camera.getBuffers();
-
-        // Fetch shaders first
-        await this.fetchShaders();
-        if (!this.birdShaderCode || !this.predatorShaderCode || !this.flockingShaderCode || !this.huntingShaderCode || !this.backgroundShaderCode || !this.guidingLineShaderCode) {
-            console.error("Failed to load one or more shaders. Initialization cannot proceed.");
-            return;
-        }
-
-        // Create buffers for bird phases, positions, and velocities
-        this.phaseBuffer = this.device.createBuffer({
-            size: this.birdCount * Float32Array.BYTES_PER_ELEMENT,
-            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
-            label: 'Phase Buffer'
-        });
-
-        this.positionBuffer = this.device.createBuffer({
-            size: this.birdCount * 3 * Float32Array.BYTES_PER_ELEMENT,
-            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
-            label: 'Position Buffer'
-        });
-
-        this.velocityBuffer = this.device.createBuffer({
-            size: this.birdCount * 3 * Float32Array.BYTES_PER_ELEMENT, // Each velocity has x, y, z
-            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
-            label: 'Velocity Buffer'
-        });
-
-        // Create predator buffers
-        this.predatorPositionBuffer = this.device.createBuffer({
-            size: 3 * Float32Array.BYTES_PER_ELEMENT,
-            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
-            label: 'Predator Position Buffer'
-        });
-
-        this.predatorVelocityBuffer = this.device.createBuffer({
-            size: 3 * Float32Array.BYTES_PER_ELEMENT,
-            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
-            label: 'Predator Velocity Buffer'
-        });
-
-        // Create a buffer to hold the targetIndex (u32)
-        this.targetIndexBuffer = this.device.createBuffer({
-            size: 4, // Size of a single u32
-            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-            label: 'Target Index Buffer'
-        });
-
-        // Guiding Line Buffer (3 vec3<f32>)
-        this.guidingLineBuffer = this.device.createBuffer({
-            size: 2 * 4 * Float32Array.BYTES_PER_ELEMENT, // 2 vertices, each with x, y, z + padding
-            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
-            label: 'Guiding Line Buffer'
-        });
-
-        // Initialize Compute Shaders
-        await this.initializeFlockingComputePipeline();
-        await this.initializeHuntingComputePipeline();
-
-        // Initialize Render Shader Pipelines
-        await this.initializeRenderPipelines(format, projectionBuffer, viewBuffer);
-
-        // Initialize predator camera projection
-        this.predatorCamera.updateProjection();
-    }
-
-    async fetchShaders() {
-        try {
-            const [
-                birdResponse,
-                predatorResponse,
-                flockingResponse,
-                huntingResponse,
-                backgroundResponse,
-                guidingLineResponse
-            ] = await Promise.all([
-                fetch('/shaders/flocking/birdShader.wgsl'),
-                fetch('/shaders/flocking/predatorShader.wgsl'),
-                fetch('/shaders/flocking/flockingShader.wgsl'),
-                fetch('/shaders/flocking/huntingShader.wgsl'),
-                fetch('/shaders/flocking/backgroundShader.wgsl'),
-                fetch('/shaders/flocking/guidingLineShader.wgsl')
-            ]);
-
-            if (!birdResponse.ok) throw new Error(`Failed to fetch birdShader.wgsl: ${birdResponse.statusText}`);
-            this.birdShaderCode = await birdResponse.text();
-
-            if (!predatorResponse.ok) throw new Error(`Failed to fetch predatorShader.wgsl: ${predatorResponse.statusText}`);
-            this.predatorShaderCode = await predatorResponse.text();
-
-            if (!flockingResponse.ok) throw new Error(`Failed to fetch flockingShader.wgsl: ${flockingResponse.statusText}`);
-            this.flockingShaderCode = await flockingResponse.text();
-
-            if (!huntingResponse.ok) throw new Error(`Failed to fetch huntingShader.wgsl: ${huntingResponse.statusText}`);
-            this.huntingShaderCode = await huntingResponse.text();
-
-            if (!backgroundResponse.ok) throw new Error(`Failed to fetch backgroundShader.wgsl: ${backgroundResponse.statusText}`);
-            this.backgroundShaderCode = await backgroundResponse.text();
-
-            if (!guidingLineResponse.ok) throw new Error(`Failed to fetch guidingLineShader.wgsl: ${guidingLineResponse.statusText}`);
-            this.guidingLineShaderCode = await guidingLineResponse.text();
-
-        } catch (error) {
-            console.error("Error loading flocking shaders:", error);
-            // Set all to null or handle error appropriately so initialize can check
-            this.birdShaderCode = null;
-            this.predatorShaderCode = null;
-            this.flockingShaderCode = null;
-            this.huntingShaderCode = null;
-            this.backgroundShaderCode = null;
-            this.guidingLineShaderCode = null;
-        }
-    }
-
-    async initializeFlockingComputePipeline() {
-        // Create a shader module for the compute shader
-        const computeModule = this.device.createShaderModule({
-            code: this.flockingShaderCode
-        });
-
-        // Create a bind group layout for the compute shader
-        const flockingComputeBindGroupLayout = this.device.createBindGroupLayout({
-            entries: [
-                { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } }, // deltaTime
-                { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }, // positions
-                { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }, // velocities
-                { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }, // phases
-                { binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } }, // flocking parameters
-                { binding: 5, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } }, // predatorPosition
-                { binding: 6, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } }, // predatorVelocity
-            ]
-        });
-
-        // Create the compute pipeline
-        this.flockingComputePipeline = this.device.createComputePipeline({
-            layout: this.device.createPipelineLayout({
-                bindGroupLayouts: [flockingComputeBindGroupLayout]
-            }),
-            compute: {
-                module: computeModule,
-                entryPoint: 'main'
-            }
-        });
-
-        // Create a buffer for deltaTime (uniform)
-        this.deltaTimeBuffer = this.device.createBuffer({
-            size: 4, // size of f32
-            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-            label: 'Delta Time Buffer'
-        });
-
-        // Create a buffer for flocking parameters (uniform)
-        this.flockingParamsBuffer = this.device.createBuffer({
-            size: 8 * Float32Array.BYTES_PER_ELEMENT, // 32 bytes (8 floats)
-            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-            label: 'Flocking Parameters Buffer'
-        });
-
-        // Initialize flocking parameters
-        this.updateFlockingParams();
-
-        // Create the compute bind group
-        this.flockingComputeBindGroup = this.device.createBindGroup({
-            layout: flockingComputeBindGroupLayout,
-            entries: [
-                { binding: 0, resource: { buffer: this.deltaTimeBuffer } },
-                { binding: 1, resource: { buffer: this.positionBuffer } },
-                { binding: 2, resource: { buffer: this.velocityBuffer } },
-                { binding: 3, resource: { buffer: this.phaseBuffer } },
-                { binding: 4, resource: { buffer: this.flockingParamsBuffer } },
-                { binding: 5, resource: { buffer: this.predatorPositionBuffer } },
-                { binding: 6, resource: { buffer: this.predatorVelocityBuffer } },
-            ]
-        });
-    }
-
-    async initializeHuntingComputePipeline() {
-        // Create shader module
-        const huntingModule = this.device.createShaderModule({
-            code: this.huntingShaderCode
-        });
-
-        // Define bind group layout matching the shader bindings
-        const huntingComputeBindGroupLayout = this.device.createBindGroupLayout({
-            entries: [
-                { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }, // positions
-                { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }, // predatorPosition
-                { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }, // predatorVelocity
-                { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } }, // targetIndex
-                { binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }, // guidingLineBuffer
-            ]
-        });
-
-        // Create the compute pipeline
-        this.huntingComputePipeline = this.device.createComputePipeline({
-            layout: this.device.createPipelineLayout({
-                bindGroupLayouts: [huntingComputeBindGroupLayout]
-            }),
-            compute: {
-                module: huntingModule,
-                entryPoint: 'main'
-            }
-        });
-
-        // Create the bind group
-        this.huntingComputeBindGroup = this.device.createBindGroup({
-            layout: huntingComputeBindGroupLayout,
-            entries: [
-                { binding: 0, resource: { buffer: this.positionBuffer } },
-                { binding: 1, resource: { buffer: this.predatorPositionBuffer } },
-                { binding: 2, resource: { buffer: this.predatorVelocityBuffer } },
-                { binding: 3, resource: { buffer: this.targetIndexBuffer } },
-                { binding: 4, resource: { buffer: this.guidingLineBuffer } },
-            ]
-        });
-    }
-
-    async initializeRenderPipelines(format, projectionBuffer, viewBuffer) {
-        // Create Bind Group Layout for Birds
-        const birdBindGroupLayout = this.device.createBindGroupLayout({
-            label: 'Birds Bind Group Layout',
-            entries: [
-                { binding: 0, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } }, // Projection Matrix
-                { binding: 1, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } }, // View Matrix
-                { binding: 2, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform' } }, // Viewport Size
-                { binding: 3, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } }, // Position Buffer
-                { binding: 4, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } }, // Phase Buffer
-                { binding: 5, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform' } }, // Mouse Buffer
-                { binding: 6, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } }, // Velocity Buffer
-            ]
-        });
-
-        // Create Bind Group Layout for Predator
-        const predatorBindGroupLayout = this.device.createBindGroupLayout({
-            label: 'Predator Bind Group Layout',
-            entries: [
-                { binding: 0, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } }, // Projection Matrix
-                { binding: 1, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } }, // View Matrix
-                { binding: 2, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform' } }, // Viewport Size
-                { binding: 3, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } }, // Predator Position Buffer
-                { binding: 4, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } }, // Predator Velocity Buffer
-            ]
-        });
-
-        // Create Bind Group Layout for Background
-        const backgroundBindGroupLayout = this.device.createBindGroupLayout({
-            label: 'Background Bind Group Layout',
-            entries: [] // No bindings needed as the gradient is fixed
-        });
-
-        // -----------------------
-        // 1. Create the Bird Render Pipeline
-        // -----------------------
-        this.birdPipeline = this.device.createRenderPipeline({
-            label: 'Bird Render Pipeline',
-            layout: this.device.createPipelineLayout({ bindGroupLayouts: [birdBindGroupLayout] }),
-            vertex: {
-                module: this.device.createShaderModule({ code: this.birdShaderCode }),
-                entryPoint: 'vertex_main',
-                buffers: [
-                    {
-                        arrayStride: 12, // 3 floats for position
-                        attributes: [
-                            { shaderLocation: 0, offset: 0, format: 'float32x3' }, // vertexPosition
-                        ]
-                    }
-                ]
-            },
-            
-            fragment: {
-                module: this.device.createShaderModule({ code: this.birdShaderCode }),
-                entryPoint: 'fragment_main',
-                targets: [{ format }]
-            },
-            depthStencil: {
-                format: 'depth24plus',
-                depthWriteEnabled: true,
-                depthCompare: 'less'
-            }
-        });
-
-        // -----------------------
-        // 2. Create the Predator Render Pipeline
-        // -----------------------
-        this.predatorPipeline = this.device.createRenderPipeline({
-            label: 'Predator Render Pipeline',
-            layout: this.device.createPipelineLayout({ bindGroupLayouts: [predatorBindGroupLayout] }),
-            vertex: {
-                module: this.device.createShaderModule({ code: this.predatorShaderCode }),
-                entryPoint: 'vertex_main',
-                buffers: [
-                    {
-                        arrayStride: 12, // Each vertex is 3 floats (x, y, z)
-                        attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }]
-                    }
-                ]
-            },
-            fragment: {
-                module: this.device.createShaderModule({ code: this.predatorShaderCode }),
-                entryPoint: 'fragment_main',
-                targets: [{ format }]
-            },
-            depthStencil: {
-                format: 'depth24plus',
-                depthWriteEnabled: true,
-                depthCompare: 'less'
-            }
-        });
-
-        // Create Bind Group for Birds
-        this.birdBindGroup = this.device.createBindGroup({
-            layout: birdBindGroupLayout,
-            entries: [
-                { binding: 0, resource: { buffer: projectionBuffer } },
-                { binding: 1, resource: { buffer: viewBuffer } },
-                { binding: 2, resource: { buffer: this.viewportBuffer } },
-                { binding: 3, resource: { buffer: this.positionBuffer } },
-                { binding: 4, resource: { buffer: this.phaseBuffer } },
-                { binding: 5, resource: { buffer: this.mouseBuffer } },
-                { binding: 6, resource: { buffer: this.velocityBuffer } },
-            ]
-        });
-
-        // Create Bind Group for Predator
-        this.predatorBindGroup = this.device.createBindGroup({
-            layout: predatorBindGroupLayout,
-            entries: [
-                { binding: 0, resource: { buffer: projectionBuffer } },
-                { binding: 1, resource: { buffer: viewBuffer } },
-                { binding: 2, resource: { buffer: this.viewportBuffer } },
-                { binding: 3, resource: { buffer: this.predatorPositionBuffer } },
-                { binding: 4, resource: { buffer: this.predatorVelocityBuffer } },
-            ]
-        });
-
-        // -----------------------
-        // 3. Create the Guiding Line Render Pipeline
-        // -----------------------
-        const guidingLineBindGroupLayout = this.device.createBindGroupLayout({
-            label: 'Guiding Line Bind Group Layout',
-            entries: [
-                { binding: 0, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } }, // Projection Matrix
-                { binding: 1, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } }, // View Matrix
-                { binding: 2, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } }, // Guiding Line Buffer
-            ]
-        });
-
-        // Create the Guiding Line Render Pipeline
-        this.guidingLinePipeline = this.device.createRenderPipeline({
-            label: 'Guiding Line Render Pipeline',
-            layout: this.device.createPipelineLayout({ bindGroupLayouts: [guidingLineBindGroupLayout] }),
-            vertex: {
-                module: this.device.createShaderModule({ code: this.guidingLineShaderCode }),
-                entryPoint: 'vertex_main',
-                buffers: [
-                    {
-                        arrayStride: 12, // Each vertex is 3 floats (x, y, z)
-                        attributes: [
-                            { shaderLocation: 0, offset: 0, format: 'float32x3' }
-                        ]
-                    }
-                ]
-            },
-            fragment: {
-                module: this.device.createShaderModule({ code: this.guidingLineShaderCode }),
-                entryPoint: 'fragment_main',
-                targets: [{ format }]
-            },
-            primitive: {
-                topology: 'line-strip',
-                stripIndexFormat: undefined,
-                frontFace: 'cw',
-                cullMode: 'none'
-            },
-            depthStencil: {
-                format: 'depth24plus',
-                depthWriteEnabled: true,
-                depthCompare: 'less'
-            }
-        });
-
-        // Create Bind Group for Guiding Line
-        this.guidingLineBindGroup = this.device.createBindGroup({
-            layout: guidingLineBindGroupLayout,
-            entries: [
-                { binding: 0, resource: { buffer: projectionBuffer } },
-                { binding: 1, resource: { buffer: viewBuffer } },
-                { binding: 2, resource: { buffer: this.guidingLineBuffer } },
-            ]
-        });
-
-        // -----------------------
-        // 4. Create the Background Render Pipeline
-        // -----------------------
-        this.backgroundPipeline = this.device.createRenderPipeline({
-            label: 'Background Render Pipeline',
-            layout: this.device.createPipelineLayout({ bindGroupLayouts: [backgroundBindGroupLayout] }),
-            vertex: {
-                module: this.device.createShaderModule({ code: this.backgroundShaderCode }),
-                entryPoint: 'vertex_main',
-                buffers: [] // No vertex buffers needed
-            },
-            fragment: {
-                module: this.device.createShaderModule({ code: this.backgroundShaderCode }),
-                entryPoint: 'fragment_main',
-                targets: [{ format }]
-            },
-            primitive: {
-                topology: 'triangle-list',
-                stripIndexFormat: undefined,
-                frontFace: 'ccw',
-                cullMode: 'none'
-            },
-            depthStencil: {
-                format: 'depth24plus',
-                depthWriteEnabled: false, // Background doesn't write to depth
-                depthCompare: 'always'     // Always pass depth test to render first
-            }
-        });
-
-        this.backgroundBindGroup = this.device.createBindGroup({
-            layout: backgroundBindGroupLayout,
-            entries: [] // No bindings
-        });
-        
-    }
-
-    runComputePasses(commandEncoder) {
-        // Update flocking and positions via compute shader
-        const flockingPass = commandEncoder.beginComputePass();
-        flockingPass.setPipeline(this.flockingComputePipeline);
-        flockingPass.setBindGroup(0, this.flockingComputeBindGroup);
-        const workgroupSize = 64;
-        const workgroups = Math.ceil(this.birdCount / workgroupSize);
-        flockingPass.dispatchWorkgroups(workgroups);
-        flockingPass.end();
-
-        // Update predator via. hunting shader
-        const huntingPass = commandEncoder.beginComputePass();
-        huntingPass.setPipeline(this.huntingComputePipeline);
-        huntingPass.setBindGroup(0, this.huntingComputeBindGroup);
-        huntingPass.dispatchWorkgroups(1); // Single workgroup as per shader
-        huntingPass.end();
-    }
-
-    render(commandEncoder, passDescriptor, birds, predator, textureView, depthView) {
-        // Execute compute passes
-        this.runComputePasses(commandEncoder);
-
-        // Track positions in JavaScript
-        let predatorPosition = vec3.create();
-        let targetPosition = vec3.create();
-
-        // Create staging buffers and a separate encoder for position reading
-        {
-            const positionEncoder = this.device.createCommandEncoder();
-            const stagingGuidingLineBuffer = this.device.createBuffer({
-                size: 32, // 2 vec4s (source and target)
-                usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
-                label: 'Staging Guiding Line Buffer'
-            });
-
-            // Copy the entire guiding line buffer (contains both positions)
-            positionEncoder.copyBufferToBuffer(
-                this.guidingLineBuffer, 0,
-                stagingGuidingLineBuffer, 0, 32
-            );
-
-            // Submit position copying commands
-            this.device.queue.submit([positionEncoder.finish()]);
-
-            // Read positions
-            stagingGuidingLineBuffer.mapAsync(GPUMapMode.READ).then(() => {
-                const positions = new Float32Array(stagingGuidingLineBuffer.getMappedRange());
-                
-                // First vec4 is predator position, second vec4 is target position
-                const predatorPosition = vec3.fromValues(positions[0], positions[1], positions[2]);
-                const targetPosition = vec3.fromValues(positions[4], positions[5], positions[6]);
-
-                // Update camera
-                this.predatorCamera.updateFromPositionAndTarget(predatorPosition, targetPosition);
-
-                // Cleanup staging buffer
-                stagingGuidingLineBuffer.unmap();
-                stagingGuidingLineBuffer.destroy();
-            });
-        }
-
-        // Begin main render pass
-        const passEncoder = commandEncoder.beginRenderPass(passDescriptor);
-
-        // Render main scene
-        passEncoder.setViewport(0, 0, this.canvasWidth, this.canvasHeight, 0.0, 1.0);
-        
-        // -----------------------
-        // 1. Render Background
-        // -----------------------
-        passEncoder.setPipeline(this.backgroundPipeline);
-        passEncoder.setBindGroup(0, this.backgroundBindGroup);
-        passEncoder.draw(3, 1, 0, 0);
-
-        // -----------------------
-        // 2. Render Birds
-        // -----------------------
-        passEncoder.setPipeline(this.birdPipeline);
-        passEncoder.setBindGroup(0, this.birdBindGroup);
-
-        // Assuming all birds share the same geometry
-        if (birds.length > 0) {
-            const firstBird = birds[0];
-            passEncoder.setVertexBuffer(0, firstBird.getVertexBuffer());
-            passEncoder.setIndexBuffer(firstBird.getIndexBuffer(), 'uint16');
-
-            // Use instancing to draw all birds in a single call
-            passEncoder.drawIndexed(firstBird.getIndexCount(), this.birdCount, 0, 0, 0);
-        }
-
-        // -----------------------
-        // 3. Render Predator
-        // -----------------------
-        passEncoder.setPipeline(this.predatorPipeline);
-        passEncoder.setBindGroup(0, this.predatorBindGroup);
-
-        if (predator) {
-            passEncoder.setVertexBuffer(0, predator.getVertexBuffer());
-            passEncoder.setIndexBuffer(predator.getIndexBuffer(), 'uint16');
-
-            // Single instance for predator
-            passEncoder.drawIndexed(predator.getIndexCount(), 1, 0, 0, 0);
-        }
-
-        // -----------------------
-        // 4. Render Guiding Line
-        // -----------------------
-        passEncoder.setPipeline(this.guidingLinePipeline);
-        passEncoder.setBindGroup(0, this.guidingLineBindGroup);
-        passEncoder.draw(2, 1, 0, 0); // Draw two vertices
-
-        passEncoder.end();
-
-        // Begin PIP render pass
-        const predatorPassEncoder = commandEncoder.beginRenderPass({
-            colorAttachments: [{
-                view: textureView,
-                loadOp: 'load',
-                storeOp: 'store'
-            }],
-            depthStencilAttachment: {
-                view: depthView,
-                depthLoadOp: 'clear',
-                depthClearValue: 1.0,
-                depthStoreOp: 'store'
-            }
-        });
-
-        // Set viewport for PIP
-        const pipSize = Math.max(Math.min(this.canvasWidth, this.canvasHeight) * 0.4, 300);
-        const padding = 20;
-        const pipX = padding;
-        const pipY = Math.max(padding, this.canvasHeight - pipSize - padding);
-        predatorPassEncoder.setViewport(
-            pipX, pipY,
-            Math.max(1, pipSize),
-            Math.max(1, pipSize),
-            0.0, 1.0
-        );
-
-        // Create bind group with predator camera matrices
-        const predatorBindGroup = this.device.createBindGroup({
-            layout: this.birdPipeline.getBindGroupLayout(0),
-            entries: [
-                { binding: 0, resource: { buffer: this.predatorCamera.projectionBuffer }},
-                { binding: 1, resource: { buffer: this.predatorCamera.viewBuffer }},
-                { binding: 2, resource: { buffer: this.viewportBuffer }},
-                { binding: 3, resource: { buffer: this.positionBuffer }},
-                { binding: 4, resource: { buffer: this.phaseBuffer }},
-                { binding: 5, resource: { buffer: this.mouseBuffer }},
-                { binding: 6, resource: { buffer: this.velocityBuffer }}
-            ]
-        });
-
-        // Render scene from predator's perspective
-        predatorPassEncoder.setPipeline(this.backgroundPipeline);
-        predatorPassEncoder.setBindGroup(0, this.backgroundBindGroup);
-        predatorPassEncoder.draw(3, 1, 0, 0);
-
-        predatorPassEncoder.setPipeline(this.birdPipeline);
-        predatorPassEncoder.setBindGroup(0, predatorBindGroup);
-
-        if (birds.length > 0) {
-            const firstBird = birds[0];
-            predatorPassEncoder.setVertexBuffer(0, firstBird.getVertexBuffer());
-            predatorPassEncoder.setIndexBuffer(firstBird.getIndexBuffer(), 'uint16');
-            predatorPassEncoder.drawIndexed(firstBird.getIndexCount(), this.birdCount, 0, 0, 0);
-        }
-
-        predatorPassEncoder.end();
-    }
-
-    updateFlockingParams() {
-        // Update flocking parameters buffer
-        const params = new Float32Array([
-            this.flockingParams.separation,
-            this.flockingParams.alignment,
-            this.flockingParams.cohesion,
-            this.flockingParams.centerGravity[0],
-            this.flockingParams.centerGravity[1],
-            this.flockingParams.centerGravity[2],
-            this.flockingParams.centerGravity[3],
-            0.0 // Padding
-        ]);
-        this.device.queue.writeBuffer(this.flockingParamsBuffer, 0, params);
-    }
-    
-    initializeBirdBuffers(initialPositions, initialVelocities, initialPhases) {
-        // Method to initialize position and velocity buffers
-        const posArray = new Float32Array(initialPositions.flat());
-        this.device.queue.writeBuffer(this.positionBuffer, 0, posArray);
-
-        const velArray = new Float32Array(initialVelocities.flat());
-        this.device.queue.writeBuffer(this.velocityBuffer, 0, velArray);
-
-        const phaseArray = new Float32Array(initialPhases.flat());
-        this.device.queue.writeBuffer(this.phaseBuffer, 0, phaseArray);
-    }
-
-    initializePredatorBuffers(initialPredatorPosition, initialPredatorVelocity) {
-        // Initialize predator position and velocity
-        this.device.queue.writeBuffer(this.predatorPositionBuffer, 0, initialPredatorPosition);
-        this.device.queue.writeBuffer(this.predatorVelocityBuffer, 0, initialPredatorVelocity);
-
-        // Initialize targetIndex to 0
-        this.device.queue.writeBuffer(
-            this.targetIndexBuffer,
-            0,
-            new Uint32Array([0])
-        );
-    }
-
-    setFlockingParameters(separation, alignment, cohesion, centerGravity = [0.0, 0.0, 0.0, 0.0]) {
-        // Update flocking parameters
-        this.flockingParams.separation = separation;
-        this.flockingParams.alignment = alignment;
-        this.flockingParams.cohesion = cohesion;
-        this.flockingParams.centerGravity = new Float32Array(centerGravity);
-        this.updateFlockingParams();
-    }
-
-    updateDeltaTime(deltaTime) {
-        // Update the deltaTime buffer
-        const deltaTimeArray = new Float32Array([deltaTime]);
-        this.device.queue.writeBuffer(this.deltaTimeBuffer, 0, deltaTimeArray);
-    }
-
-    updateTargetIndex(newIndex) {
-        // Update both the buffer and our local copy
-        const buffer = new Uint32Array([newIndex]);
-        this.device.queue.writeBuffer(this.targetIndexBuffer, 0, buffer);
-        this.currentTargetIndex = newIndex;
-    }
-
-    cleanup() {
-        if (this.phaseBuffer) this.phaseBuffer.destroy();
-        if (this.positionBuffer) this.positionBuffer.destroy();
-        if (this.velocityBuffer) this.velocityBuffer.destroy();
-        if (this.predatorPositionBuffer) this.predatorPositionBuffer.destroy();
-        if (this.predatorVelocityBuffer) this.predatorVelocityBuffer.destroy();
-        if (this.flockingParamsBuffer) this.flockingParamsBuffer.destroy();
-
-        // Cleanup predator camera
-        this.predatorCamera.cleanup();
-
-        super.cleanup();
-    }
-
-    updateViewportDimensions(width, height) {
-        // Update stored dimensions
-        this.canvasWidth = Math.max(1, width);
-        this.canvasHeight = Math.max(1, height);
-        
-        // Update predator camera aspect ratio
-        this.predatorCamera.aspect = 1; // Keep it square for the PIP view
-        this.predatorCamera.updateProjection();
-    }
-}
\ No newline at end of file
+	constructor(device, camera, viewportBuffer, mouseBuffer, birdCount, canvasWidth, canvasHeight) {
+		super(device);
+		this.camera = camera;
+		this.predatorCamera = new PredatorCamera(device); // Initialize the predator camera
+		this.viewportBuffer = viewportBuffer;
+		this.mouseBuffer = mouseBuffer;
+		this.birdCount = birdCount;
+
+		// Store canvas dimensions with fallback values
+		this.canvasWidth = Math.max(1, canvasWidth || 800);
+		this.canvasHeight = Math.max(1, canvasHeight || 600);
+
+		// Buffers for bird-specific data
+		this.phaseBuffer = null; // For wing flapping animation
+		this.positionBuffer = null; // For bird positions
+		this.velocityBuffer = null; // For bird velocities
+		this.colorBuffer = null; // Per-bird shade of its species' color
+		this.speciesBuffer = null; // Per-bird species and goal, see species.js
+		this.speciesParamsBuffer = null; // Species, affinities and goals (uniform)
+		this.spatialHash = null; // Neighbor search for the flocking pass
+		this.birdLODBuffer = null; // Sprite distance, sprites on, sprite size
+
+		// The world, see world.js
+		this.worldParamsBuffer = null; // Ground, walls, avoidance and wind (uniform)
+		this.obstaclesBuffer = null; // Spheres and boxes (uniform)
+		this.windTexture = null; // Turbulence, a tiling 3D texture
+		this.sphereCount = 0;
+		this.boxCount = 0;
+		this.groundVisible = false;
+
+		// Predators: an array of Predator structs, and how many of them fly
+		this.predatorBuffer = null;
+		this.huntParamsBuffer = null;
+		this.predatorCount = 0;
+		this.deltaTime = 0;
+
+		// Compute Pipeline related
+		this.flockingComputePipeline = null;
+		this.flockingComputeBindGroup = null;
+		this.huntingComputePipeline = null;
+		this.huntingComputeBindGroup = null;
+		this.deltaTimeBuffer = null;
+
+		// Render Pipelines
+		this.birdPipeline = null;
+		this.spritePipeline = null; // Distant birds as point sprites
+		this.predatorPipeline = null;
+
+		// Bind Groups
+		this.birdBindGroup = null;
+		this.birdPredatorViewBindGroup = null; // Birds seen by the predator camera
+		this.predatorBindGroup = null;
+		this.obstacleBindGroup = null;
+		this.obstaclePredatorViewBindGroup = null; // Obstacles seen by the predator camera
+
+		this.guidingLineBindGroup = null; // Bind group for guiding line
+		this.backgroundBindGroup = null; // Bind group for background
+
+		// Shader code strings
+		this.birdShaderCode = null;
+		this.predatorShaderCode = null;
+		this.flockingShaderCode = null;
+		this.huntingShaderCode = null;
+		this.backgroundShaderCode = null;
+		this.guidingLineShaderCode = null;
+		this.obstacleShaderCode = null;
+
+		// Flocking Parameters
+		this.flockingParamsBuffer = null;
+	}
+
+	async initialize() {
+		const format = navigator.gpu.getPreferredCanvasFormat();
+		const { projectionBuffer, viewBuffer } = this.camera.getBuffers();
+
+		// Fetch shaders first
+		await this.fetchShaders();
+		if (
+			!this.birdShaderCode ||
+			!this.predatorShaderCode ||
+			!this.flockingShaderCode ||
+			!this.huntingShaderCode ||
+			!this.backgroundShaderCode ||
+			!this.guidingLineShaderCode ||
+			!this.obstacleShaderCode
+		) {
+			console.error('Failed to load one or more shaders. Initialization cannot proceed.');
+			return;
+		}
+
+		// Bird buffers and the spatial hash over them, recreated when the count changes
+		this.createBirdBuffers();
+
+		// Room for every predator there can be, see predatorStrategies.js
+		this.predatorBuffer = this.device.createBuffer({
+			size: MAX_PREDATORS * PREDATOR_BYTES,
+			usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+			label: 'Predator Buffer'
+		});
+
+		// Predator count, bird count and deltaTime (uniform)
+		this.huntParamsBuffer = this.device.createBuffer({
+			size: 4 * Uint32Array.BYTES_PER_ELEMENT,
+			usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+			label: 'Hunt Parameters Buffer'
+		});
+		this.writeHuntParams();
+
+		// Everything about the species but which bird is which (uniform), see species.js
+		this.speciesParamsBuffer = this.device.createBuffer({
+			size: SPECIES_PARAMS_FLOATS * Float32Array.BYTES_PER_ELEMENT,
+			usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+			label: 'Species Parameters Buffer'
+		});
+
+		// The world's scalars (uniform), see parameters.js, and its obstacles
+		this.worldParamsBuffer = this.device.createBuffer({
+			size: WORLD_PARAMS_FLOATS * Float32Array.BYTES_PER_ELEMENT,
+			usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+			label: 'World Parameters Buffer'
+		});
+
+		this.obstaclesBuffer = this.device.createBuffer({
+			size: OBSTACLES_FLOATS * Float32Array.BYTES_PER_ELEMENT,
+			usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+			label: 'Obstacles Buffer'
+		});
+
+		// Read with textureLoad and blended in the shader, so it need not be filterable
+		this.windTexture = this.device.createTexture({
+			size: [WIND_TEXTURE_SIZE, WIND_TEXTURE_SIZE, WIND_TEXTURE_SIZE],
+			dimension: '3d',
+			format: 'rgba32float',
+			usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
+			label: 'Wind Texture'
+		});
+
+		// Level of detail of the birds (uniform), see parameters.js
+		this.birdLODBuffer = this.device.createBuffer({
+			size: 4 * Float32Array.BYTES_PER_ELEMENT,
+			usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+			label: 'Bird LOD Buffer'
+		});
+
+		// Initialize Compute Shaders
+		await this.initializeFlockingComputePipeline();
+		await this.initializeHuntingComputePipeline();
+
+		// Initialize Render Shader Pipelines
+		await this.initializeRenderPipelines(format, projectionBuffer, viewBuffer);
+
+		// Initialize predator camera projection
+		this.predatorCamera.updateProjection();
+	}
+
+	createBirdBuffers() {
+		// Buffers for bird phases, positions, velocities and colors; array<vec3<f32>>
+		// has a 16-byte stride in WGSL, so positions and velocities take 4 floats each
+		this.phaseBuffer = this.device.createBuffer({
+			size: this.birdCount * Float32Array.BYTES_PER_ELEMENT,
+			usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+			label: 'Phase Buffer'
+		});
+
+		this.positionBuffer = this.device.createBuffer({
+			size: this.birdCount * 4 * Float32Array.BYTES_PER_ELEMENT,
+			usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+			label: 'Position Buffer'
+		});
+
+		this.velocityBuffer = this.device.createBuffer({
+			size: this.birdCount * 4 * Float32Array.BYTES_PER_ELEMENT, // x, y, z and padding
+			usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+			label: 'Velocity Buffer'
+		});
+
+		this.colorBuffer = this.device.createBuffer({
+			size: this.birdCount * 4 * Float32Array.BYTES_PER_ELEMENT, // r, g, b, a
+			usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+			label: 'Color Buffer'
+		});
+
+		this.speciesBuffer = this.device.createBuffer({
+			size: this.birdCount * Uint32Array.BYTES_PER_ELEMENT, // Tag: species, then goal
+			usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+			label: 'Species Buffer'
+		});
+
+		// Bin, sort and index the birds each frame, so the flocking pass only visits nearby cells
+		this.spatialHash = new SpatialHash(this.device, {
+			positionBuffer: this.positionBuffer,
+			velocityBuffer: this.velocityBuffer,
+			count: this.birdCount,
+			cellSize: NEIGHBOR_RADIUS,
+			label: 'Flock Spatial Hash'
+		});
+	}
+
+	destroyBirdBuffers() {
+		if (this.phaseBuffer) this.phaseBuffer.destroy();
+		if (this.positionBuffer) this.positionBuffer.destroy();
+		if (this.velocityBuffer) this.velocityBuffer.destroy();
+		if (this.colorBuffer) this.colorBuffer.destroy();
+		if (this.speciesBuffer) this.speciesBuffer.destroy();
+		if (this.spatialHash) this.spatialHash.cleanup();
+		this.phaseBuffer = null;
+		this.positionBuffer = null;
+		this.velocityBuffer = null;
+		this.colorBuffer = null;
+		this.speciesBuffer = null;
+		this.spatialHash = null;
+	}
+
+	// Replace the flock with one of another size; its buffers start out empty
+	setBirdCount(birdCount) {
+		if (birdCount === this.birdCount) return;
+
+		// Before initialize() the count only sizes the buffers yet to be created
+		if (!this.birdBindGroupLayout) {
+			this.birdCount = birdCount;
+			return;
+		}
+
+		this.destroyBirdBuffers();
+		this.birdCount = birdCount;
+		this.createBirdBuffers();
+
+		this.createFlockingBindGroup();
+		this.createHuntingBindGroup();
+		this.createBirdBindGroups();
+		this.writeHuntParams();
+	}
+
+	async fetchShaders() {
+		try {
+			const [
+				birdResponse,
+				predatorResponse,
+				flockingResponse,
+				huntingResponse,
+				backgroundResponse,
+				guidingLineResponse,
+				obstacleResponse
+			] = await Promise.all([
+				fetch('/shaders/flocking/birdShader.wgsl'),
+				fetch('/shaders/flocking/predatorShader.wgsl'),
+				fetch('/shaders/flocking/flockingShader.wgsl'),
+				fetch('/shaders/flocking/huntingShader.wgsl'),
+				fetch('/shaders/flocking/backgroundShader.wgsl'),
+				fetch('/shaders/flocking/guidingLineShader.wgsl'),
+				fetch('/shaders/flocking/obstacleShader.wgsl')
+			]);
+
+			if (!birdResponse.ok)
+				throw new Error(`Failed to fetch birdShader.wgsl: ${birdResponse.statusText}`);
+			this.birdShaderCode = await birdResponse.text();
+
+			if (!predatorResponse.ok)
+				throw new Error(`Failed to fetch predatorShader.wgsl: ${predatorResponse.statusText}`);
+			this.predatorShaderCode = await predatorResponse.text();
+
+			if (!flockingResponse.ok)
+				throw new Error(`Failed to fetch flockingShader.wgsl: ${flockingResponse.statusText}`);
+			this.flockingShaderCode = await flockingResponse.text();
+
+			if (!huntingResponse.ok)
+				throw new Error(`Failed to fetch huntingShader.wgsl: ${huntingResponse.statusText}`);
+			this.huntingShaderCode = await huntingResponse.text();
+
+			if (!backgroundResponse.ok)
+				throw new Error(`Failed to fetch backgroundShader.wgsl: ${backgroundResponse.statusText}`);
+			this.backgroundShaderCode = await backgroundResponse.text();
+
+			if (!guidingLineResponse.ok)
+				throw new Error(
+					`Failed to fetch guidingLineShader.wgsl: ${guidingLineResponse.statusText}`
+				);
+			this.guidingLineShaderCode = await guidingLineResponse.text();
+
+			if (!obstacleResponse.ok)
+				throw new Error(`Failed to fetch obstacleShader.wgsl: ${obstacleResponse.statusText}`);
+			this.obstacleShaderCode = await obstacleResponse.text();
+		} catch (error) {
+			console.error('Error loading flocking shaders:', error);
+			// Set all to null or handle error appropriately so initialize can check
+			this.birdShaderCode = null;
+			this.predatorShaderCode = null;
+			this.flockingShaderCode = null;
+			this.huntingShaderCode = null;
+			this.backgroundShaderCode = null;
+			this.guidingLineShaderCode = null;
+			this.obstacleShaderCode = null;
+		}
+	}
+
+	async initializeFlockingComputePipeline() {
+		// Create a shader module for the compute shader
+		const computeModule = this.device.createShaderModule({
+			code: WGSL_SPATIAL_HASH + WGSL_PREDATORS + WGSL_SPECIES + WGSL_WORLD + this.flockingShaderCode
+		});
+
+		// Create a bind group layout for the compute shader
+		this.flockingComputeBindGroupLayout = this.device.createBindGroupLayout({
+			entries: [
+				{ binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } }, // deltaTime
+				{ binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }, // positions
+				{ binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }, // velocities
+				{ binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }, // phases
+				{ binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } }, // flocking parameters
+				{ binding: 5, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } }, // predators
+				{ binding: 6, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } }, // hunt parameters
+				{ binding: 7, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } }, // spatial hash parameters
+				{ binding: 8, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } }, // cellStarts
+				{ binding: 9, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } }, // sortedPositions
+				{ binding: 10, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } }, // sortedVelocities
+				{ binding: 11, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } }, // species
+				{ binding: 12, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } }, // species parameters
+				{ binding: 13, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } }, // world parameters
+				{ binding: 14, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } }, // obstacles
+				{
+					binding: 15,
+					visibility: GPUShaderStage.COMPUTE,
+					texture: { sampleType: 'unfilterable-float', viewDimension: '3d' }
+				} // wind
+			]
+		});
+
+		// Create the compute pipeline
+		this.flockingComputePipeline = this.device.createComputePipeline({
+			layout: this.device.createPipelineLayout({
+				bindGroupLayouts: [this.flockingComputeBindGroupLayout]
+			}),
+			compute: {
+				module: computeModule,
+				entryPoint: 'main'
+			}
+		});
+
+		// Create a buffer for deltaTime (uniform)
+		this.deltaTimeBuffer = this.device.createBuffer({
+			size: 4, // size of f32
+			usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+			label: 'Delta Time Buffer'
+		});
+
+		// Create a buffer for flocking parameters (uniform)
+		this.flockingParamsBuffer = this.device.createBuffer({
+			size: 8 * Float32Array.BYTES_PER_ELEMENT, // 32 bytes (8 floats)
+			usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+			label: 'Flocking Parameters Buffer'
+		});
+
+		this.createFlockingBindGroup();
+	}
+
+	createFlockingBindGroup() {
+		this.flockingComputeBindGroup = this.device.createBindGroup({
+			layout: this.flockingComputeBindGroupLayout,
+			entries: [
+				{ binding: 0, resource: { buffer: this.deltaTimeBuffer } },
+				{ binding: 1, resource: { buffer: this.positionBuffer } },
+				{ binding: 2, resource: { buffer: this.velocityBuffer } },
+				{ binding: 3, resource: { buffer: this.phaseBuffer } },
+				{ binding: 4, resource: { buffer: this.flockingParamsBuffer } },
+				{ binding: 5, resource: { buffer: this.predatorBuffer } },
+				{ binding: 6, resource: { buffer: this.huntParamsBuffer } },
+				{ binding: 7, resource: { buffer: this.spatialHash.paramsBuffer } },
+				{ binding: 8, resource: { buffer: this.spatialHash.cellStartsBuffer } },
+				{ binding: 9, resource: { buffer: this.spatialHash.sortedPositionsBuffer } },
+				{ binding: 10, resource: { buffer: this.spatialHash.sortedVelocitiesBuffer } },
+				{ binding: 11, resource: { buffer: this.speciesBuffer } },
+				{ binding: 12, resource: { buffer: this.speciesParamsBuffer } },
+				{ binding: 13, resource: { buffer: this.worldParamsBuffer } },
+				{ binding: 14, resource: { buffer: this.obstaclesBuffer } },
+				{ binding: 15, resource: this.windTexture.createView({ dimension: '3d' }) }
+			]
+		});
+	}
+
+	async initializeHuntingComputePipeline() {
+		// Create shader module
+		const huntingModule = this.device.createShaderModule({
+			code: WGSL_SPATIAL_HASH + WGSL_PREDATORS + this.huntingShaderCode
+		});
+
+		// Define bind group layout matching the shader bindings
+		this.huntingComputeBindGroupLayout = this.device.createBindGroupLayout({
+			entries: [
+				{ binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } }, // hunt parameters
+				{ binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } }, // positions
+				{ binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } }, // velocities
+				{ binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }, // predators
+				{ binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } }, // spatial hash parameters
+				{ binding: 5, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } }, // cellStarts
+				{ binding: 6, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } } // sortedPositions
+			]
+		});
+
+		// Create the compute pipeline
+		this.huntingComputePipeline = this.device.createComputePipeline({
+			layout: this.device.createPipelineLayout({
+				bindGroupLayouts: [this.huntingComputeBindGroupLayout]
+			}),
+			compute: {
+				module: huntingModule,
+				entryPoint: 'main'
+			}
+		});
+
+		this.createHuntingBindGroup();
+	}
+
+	createHuntingBindGroup() {
+		this.huntingComputeBindGroup = this.device.createBindGroup({
+			layout: this.huntingComputeBindGroupLayout,
+			entries: [
+				{ binding: 0, resource: { buffer: this.huntParamsBuffer } },
+				{ binding: 1, resource: { buffer: this.positionBuffer } },
+				{ binding: 2, resource: { buffer: this.velocityBuffer } },
+				{ binding: 3, resource: { buffer: this.predatorBuffer } },
+				{ binding: 4, resource: { buffer: this.spatialHash.paramsBuffer } },
+				{ binding: 5, resource: { buffer: this.spatialHash.cellStartsBuffer } },
+				{ binding: 6, resource: { buffer: this.spatialHash.sortedPositionsBuffer } }
+			]
+		});
+	}
+
+	async initializeRenderPipelines(format, projectionBuffer, viewBuffer) {
+		// Kept for the bird bind groups, which follow the bird buffers
+		this.projectionBuffer = projectionBuffer;
+		this.viewBuffer = viewBuffer;
+
+		// Create Bind Group Layout for Birds
+		this.birdBindGroupLayout = this.device.createBindGroupLayout({
+			label: 'Birds Bind Group Layout',
+			entries: [
+				{ binding: 0, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } }, // Projection Matrix
+				{ binding: 1, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } }, // View Matrix
+				{ binding: 2, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform' } }, // Viewport Size
+				{ binding: 3, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } }, // Position Buffer
+				{ binding: 4, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } }, // Phase Buffer
+				{ binding: 5, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform' } }, // Mouse Buffer
+				{ binding: 6, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } }, // Velocity Buffer
+				{ binding: 7, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } }, // Color Buffer
+				{ binding: 8, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } }, // Bird LOD
+				{ binding: 9, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } }, // Species Buffer
+				{ binding: 10, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } } // Species Parameters
+			]
+		});
+
+		// Create Bind Group Layout for Predator
+		const predatorBindGroupLayout = this.device.createBindGroupLayout({
+			label: 'Predator Bind Group Layout',
+			entries: [
+				{ binding: 0, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } }, // Projection Matrix
+				{ binding: 1, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } }, // View Matrix
+				{ binding: 2, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform' } }, // Viewport Size
+				{ binding: 3, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } } // Predator Buffer
+			]
+		});
+
+		// Create Bind Group Layout for Background
+		const backgroundBindGroupLayout = this.device.createBindGroupLayout({
+			label: 'Background Bind Group Layout',
+			entries: [] // No bindings needed as the gradient is fixed
+		});
+
+		// -----------------------
+		// 1. Create the Bird Render Pipeline
+		// -----------------------
+		this.birdPipeline = this.device.createRenderPipeline({
+			label: 'Bird Render Pipeline',
+			layout: this.device.createPipelineLayout({ bindGroupLayouts: [this.birdBindGroupLayout] }),
+			vertex: {
+				module: this.device.createShaderModule({ code: WGSL_SPECIES + this.birdShaderCode }),
+				entryPoint: 'vertex_main',
+				buffers: [
+					{
+						arrayStride: 12, // 3 floats for position
+						attributes: [
+							{ shaderLocation: 0, offset: 0, format: 'float32x3' } // vertexPosition
+						]
+					}
+				]
+			},
+
+			fragment: {
+				module: this.device.createShaderModule({ code: WGSL_SPECIES + this.birdShaderCode }),
+				entryPoint: 'fragment_main',
+				targets: [{ format }]
+			},
+			depthStencil: {
+				format: 'depth24plus',
+				depthWriteEnabled: true,
+				depthCompare: 'less'
+			}
+		});
+
+		// Distant birds: one camera-facing quad each, no vertex buffers
+		this.spritePipeline = this.device.createRenderPipeline({
+			label: 'Bird Sprite Render Pipeline',
+			layout: this.device.createPipelineLayout({ bindGroupLayouts: [this.birdBindGroupLayout] }),
+			vertex: {
+				module: this.device.createShaderModule({ code: WGSL_SPECIES + this.birdShaderCode }),
+				entryPoint: 'sprite_vertex',
+				buffers: []
+			},
+			fragment: {
+				module: this.device.createShaderModule({ code: WGSL_SPECIES + this.birdShaderCode }),
+				entryPoint: 'sprite_fragment',
+				targets: [{ format }]
+			},
+			primitive: {
+				topology: 'triangle-list',
+				cullMode: 'none'
+			},
+			depthStencil: {
+				format: 'depth24plus',
+				depthWriteEnabled: true,
+				depthCompare: 'less'
+			}
+		});
+
+		// -----------------------
+		// 2. Create the Predator Render Pipeline
+		// -----------------------
+		this.predatorPipeline = this.device.createRenderPipeline({
+			label: 'Predator Render Pipeline',
+			layout: this.device.createPipelineLayout({ bindGroupLayouts: [predatorBindGroupLayout] }),
+			vertex: {
+				module: this.device.createShaderModule({ code: WGSL_PREDATORS + this.predatorShaderCode }),
+				entryPoint: 'vertex_main',
+				buffers: [
+					{
+						arrayStride: 12, // Each vertex is 3 floats (x, y, z)
+						attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }]
+					}
+				]
+			},
+			fragment: {
+				module: this.device.createShaderModule({ code: WGSL_PREDATORS + this.predatorShaderCode }),
+				entryPoint: 'fragment_main',
+				targets: [{ format }]
+			},
+			depthStencil: {
+				format: 'depth24plus',
+				depthWriteEnabled: true,
+				depthCompare: 'less'
+			}
+		});
+
+		// Create Bind Groups for Birds
+		this.createBirdBindGroups();
+
+		// Create Bind Group for Predator
+		this.predatorBindGroup = this.device.createBindGroup({
+			layout: predatorBindGroupLayout,
+			entries: [
+				{ binding: 0, resource: { buffer: projectionBuffer } },
+				{ binding: 1, resource: { buffer: viewBuffer } },
+				{ binding: 2, resource: { buffer: this.viewportBuffer } },
+				{ binding: 3, resource: { buffer: this.predatorBuffer } }
+			]
+		});
+
+		// -----------------------
+		// 3. Create the Guiding Line Render Pipeline
+		// -----------------------
+		const guidingLineBindGroupLayout = this.device.createBindGroupLayout({
+			label: 'Guiding Line Bind Group Layout',
+			entries: [
+				{ binding: 0, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } }, // Projection Matrix
+				{ binding: 1, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } }, // View Matrix
+				{ binding: 2, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } } // Predator Buffer
+			]
+		});
+
+		// Create the Guiding Line Render Pipeline
+		this.guidingLinePipeline = this.device.createRenderPipeline({
+			label: 'Guiding Line Render Pipeline',
+			layout: this.device.createPipelineLayout({ bindGroupLayouts: [guidingLineBindGroupLayout] }),
+			vertex: {
+				module: this.device.createShaderModule({
+					code: WGSL_PREDATORS + this.guidingLineShaderCode
+				}),
+				entryPoint: 'vertex_main',
+				buffers: [] // Ends read from the predator buffer
+			},
+			fragment: {
+				module: this.device.createShaderModule({
+					code: WGSL_PREDATORS + this.guidingLineShaderCode
+				}),
+				entryPoint: 'fragment_main',
+				targets: [{ format }]
+			},
+			primitive: {
+				topology: 'line-strip',
+				stripIndexFormat: undefined,
+				frontFace: 'cw',
+				cullMode: 'none'
+			},
+			depthStencil: {
+				format: 'depth24plus',
+				depthWriteEnabled: true,
+				depthCompare: 'less'
+			}
+		});
+
+		// Create Bind Group for Guiding Line
+		this.guidingLineBindGroup = this.device.createBindGroup({
+			layout: guidingLineBindGroupLayout,
+			entries: [
+				{ binding: 0, resource: { buffer: projectionBuffer } },
+				{ binding: 1, resource: { buffer: viewBuffer } },
+				{ binding: 2, resource: { buffer: this.predatorBuffer } }
+			]
+		});
+
+		// -----------------------
+		// 4. Create the Background Render Pipeline
+		// -----------------------
+		this.backgroundPipeline = this.device.createRenderPipeline({
+			label: 'Background Render Pipeline',
+			layout: this.device.createPipelineLayout({ bindGroupLayouts: [backgroundBindGroupLayout] }),
+			vertex: {
+				module: this.device.createShaderModule({ code: this.backgroundShaderCode }),
+				entryPoint: 'vertex_main',
+				buffers: [] // No vertex buffers needed
+			},
+			fragment: {
+				module: this.device.createShaderModule({ code: this.backgroundShaderCode }),
+				entryPoint: 'fragment_main',
+				targets: [{ format }]
+			},
+			primitive: {
+				topology: 'triangle-list',
+				stripIndexFormat: undefined,
+				frontFace: 'ccw',
+				cullMode: 'none'
+			},
+			depthStencil: {
+				format: 'depth24plus',
+				depthWriteEnabled: false, // Background doesn't write to depth
+				depthCompare: 'always' // Always pass depth test to render first
+			}
+		});
+
+		this.backgroundBindGroup = this.device.createBindGroup({
+			layout: backgroundBindGroupLayout,
+			entries: [] // No bindings
+		});
+
+		// -----------------------
+		// 5. Create the Obstacle Render Pipelines
+		// -----------------------
+		this.initializeObstaclePipelines(format);
+	}
+
+	// Spheres, boxes and ground: one pipeline each over the same bindings and vertex layout
+	initializeObstaclePipelines(format) {
+		const obstacleBindGroupLayout = this.device.createBindGroupLayout({
+			label: 'Obstacle Bind Group Layout',
+			entries: [
+				{ binding: 0, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } }, // Projection Matrix
+				{ binding: 1, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } }, // View Matrix
+				{ binding: 2, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } }, // World Parameters
+				{ binding: 3, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } } // Obstacles
+			]
+		});
+
+		const module = this.device.createShaderModule({ code: WGSL_WORLD + this.obstacleShaderCode });
+		const layout = this.device.createPipelineLayout({
+			bindGroupLayouts: [obstacleBindGroupLayout]
+		});
+		const obstaclePipeline = (entryPoint, label) =>
+			this.device.createRenderPipeline({
+				label,
+				layout,
+				vertex: {
+					module,
+					entryPoint,
+					buffers: [
+						{
+							arrayStride: 24, // Position and normal
+							attributes: [
+								{ shaderLocation: 0, offset: 0, format: 'float32x3' },
+								{ shaderLocation: 1, offset: 12, format: 'float32x3' }
+							]
+						}
+					]
+				},
+				fragment: {
+					module,
+					entryPoint: 'fragment_main',
+					targets: [{ format }]
+				},
+				depthStencil: {
+					format: 'depth24plus',
+					depthWriteEnabled: true,
+					depthCompare: 'less'
+				}
+			});
+
+		this.spherePipeline = obstaclePipeline('sphere_vertex', 'Sphere Render Pipeline');
+		this.boxPipeline = obstaclePipeline('box_vertex', 'Box Render Pipeline');
+		this.groundPipeline = obstaclePipeline('ground_vertex', 'Ground Render Pipeline');
+
+		const obstacleBindGroup = (projectionBuffer, viewBuffer) =>
+			this.device.createBindGroup({
+				layout: obstacleBindGroupLayout,
+				entries: [
+					{ binding: 0, resource: { buffer: projectionBuffer } },
+					{ binding: 1, resource: { buffer: viewBuffer } },
+					{ binding: 2, resource: { buffer: this.worldParamsBuffer } },
+					{ binding: 3, resource: { buffer: this.obstaclesBuffer } }
+				]
+			});
+
+		this.obstacleBindGroup = obstacleBindGroup(this.projectionBuffer, this.viewBuffer);
+		this.obstaclePredatorViewBindGroup = obstacleBindGroup(
+			this.predatorCamera.projectionBuffer,
+			this.predatorCamera.viewBuffer
+		);
+	}
+
+	// Birds seen by the main camera and by the predator camera
+	createBirdBindGroups() {
+		const birdBindGroup = (projectionBuffer, viewBuffer) =>
+			this.device.createBindGroup({
+				layout: this.birdBindGroupLayout,
+				entries: [
+					{ binding: 0, resource: { buffer: projectionBuffer } },
+					{ binding: 1, resource: { buffer: viewBuffer } },
+					{ binding: 2, resource: { buffer: this.viewportBuffer } },
+					{ binding: 3, resource: { buffer: this.positionBuffer } },
+					{ binding: 4, resource: { buffer: this.phaseBuffer } },
+					{ binding: 5, resource: { buffer: this.mouseBuffer } },
+					{ binding: 6, resource: { buffer: this.velocityBuffer } },
+					{ binding: 7, resource: { buffer: this.colorBuffer } },
+					{ binding: 8, resource: { buffer: this.birdLODBuffer } },
+					{ binding: 9, resource: { buffer: this.speciesBuffer } },
+					{ binding: 10, resource: { buffer: this.speciesParamsBuffer } }
+				]
+			});
+
+		this.birdBindGroup = birdBindGroup(this.projectionBuffer, this.viewBuffer);
+		this.birdPredatorViewBindGroup = birdBindGroup(
+			this.predatorCamera.projectionBuffer,
+			this.predatorCamera.viewBuffer
+		);
+	}
+
+	// Every bird twice: the mesh, which skips distant birds, then the sprites, which skip near ones
+	drawBirds(passEncoder, bird, bindGroup) {
+		if (!bird) return;
+
+		passEncoder.setPipeline(this.birdPipeline);
+		passEncoder.setBindGroup(0, bindGroup);
+		passEncoder.setVertexBuffer(0, bird.getVertexBuffer());
+		passEncoder.setIndexBuffer(bird.getIndexBuffer(), 'uint16');
+		passEncoder.drawIndexed(bird.getIndexCount(), this.birdCount, 0, 0, 0);
+
+		passEncoder.setPipeline(this.spritePipeline);
+		passEncoder.setBindGroup(0, bindGroup);
+		passEncoder.draw(6, this.birdCount, 0, 0);
+	}
+
+	// The ground and every sphere and box
+	drawObstacles(passEncoder, obstacles, bindGroup) {
+		if (!obstacles) return;
+
+		const draw = (pipeline, mesh, instances) => {
+			if (instances === 0) return;
+			passEncoder.setPipeline(pipeline);
+			passEncoder.setBindGroup(0, bindGroup);
+			passEncoder.setVertexBuffer(0, mesh.vertexBuffer);
+			passEncoder.setIndexBuffer(mesh.indexBuffer, 'uint16');
+			passEncoder.drawIndexed(mesh.indexCount, instances, 0, 0, 0);
+		};
+
+		draw(this.groundPipeline, obstacles.ground, this.groundVisible ? 1 : 0);
+		draw(this.spherePipeline, obstacles.sphere, this.sphereCount);
+		draw(this.boxPipeline, obstacles.box, this.boxCount);
+	}
+
+	runComputePasses(commandEncoder) {
+		// Sort the birds into the spatial hash
+		this.spatialHash.encode(commandEncoder);
+
+		// Update flocking and positions via compute shader
+		const flockingPass = commandEncoder.beginComputePass();
+		flockingPass.setPipeline(this.flockingComputePipeline);
+		flockingPass.setBindGroup(0, this.flockingComputeBindGroup);
+		const workgroupSize = 64;
+		const workgroups = Math.ceil(this.birdCount / workgroupSize);
+		flockingPass.dispatchWorkgroups(workgroups);
+		flockingPass.end();
+
+		// Update the predators via the hunting shader, one workgroup each
+		if (this.predatorCount === 0) return;
+		const huntingPass = commandEncoder.beginComputePass();
+		huntingPass.setPipeline(this.huntingComputePipeline);
+		huntingPass.setBindGroup(0, this.huntingComputeBindGroup);
+		huntingPass.dispatchWorkgroups(this.predatorCount);
+		huntingPass.end();
+	}
+
+	render(commandEncoder, passDescriptor, bird, predator, obstacles, textureView, depthView) {
+		// Execute compute passes
+		this.runComputePasses(commandEncoder);
+
+		// The predator camera rides on the first predator, looking where it heads
+		if (this.predatorCount > 0) {
+			const positionEncoder = this.device.createCommandEncoder();
+			const stagingPredatorBuffer = this.device.createBuffer({
+				size: PREDATOR_BYTES,
+				usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+				label: 'Staging Predator Buffer'
+			});
+
+			// Copy the first Predator struct
+			positionEncoder.copyBufferToBuffer(
+				this.predatorBuffer,
+				0,
+				stagingPredatorBuffer,
+				0,
+				PREDATOR_BYTES
+			);
+
+			// Submit position copying commands
+			this.device.queue.submit([positionEncoder.finish()]);
+
+			// Read positions
+			stagingPredatorBuffer.mapAsync(GPUMapMode.READ).then(() => {
+				const predator = new Float32Array(stagingPredatorBuffer.getMappedRange());
+
+				// position at float 0, aim at float 8
+				const predatorPosition = vec3.fromValues(predator[0], predator[1], predator[2]);
+				const aimPosition = vec3.fromValues(predator[8], predator[9], predator[10]);
+
+				// Update camera
+				this.predatorCamera.updateFromPositionAndTarget(predatorPosition, aimPosition);
+
+				// Cleanup staging buffer
+				stagingPredatorBuffer.unmap();
+				stagingPredatorBuffer.destroy();
+			});
+		}
+
+		// Begin main render pass
+		const passEncoder = commandEncoder.beginRenderPass(passDescriptor);
+
+		// Render main scene
+		passEncoder.setViewport(0, 0, this.canvasWidth, this.canvasHeight, 0.0, 1.0);
+
+		// -----------------------
+		// 1. Render Background
+		// -----------------------
+		passEncoder.setPipeline(this.backgroundPipeline);
+		passEncoder.setBindGroup(0, this.backgroundBindGroup);
+		passEncoder.draw(3, 1, 0, 0);
+
+		// -----------------------
+		// 2. Render Birds
+		// -----------------------
+		// One shared mesh, instanced from the compute buffers
+		this.drawBirds(passEncoder, bird, this.birdBindGroup);
+		this.drawObstacles(passEncoder, obstacles, this.obstacleBindGroup);
+
+		// -----------------------
+		// 3. Render Predators
+		// -----------------------
+		if (predator && this.predatorCount > 0) {
+			passEncoder.setPipeline(this.predatorPipeline);
+			passEncoder.setBindGroup(0, this.predatorBindGroup);
+			passEncoder.setVertexBuffer(0, predator.getVertexBuffer());
+			passEncoder.setIndexBuffer(predator.getIndexBuffer(), 'uint16');
+
+			// One instance per predator
+			passEncoder.drawIndexed(predator.getIndexCount(), this.predatorCount, 0, 0, 0);
+
+			// -----------------------
+			// 4. Render Guiding Lines
+			// -----------------------
+			passEncoder.setPipeline(this.guidingLinePipeline);
+			passEncoder.setBindGroup(0, this.guidingLineBindGroup);
+			passEncoder.draw(2, this.predatorCount, 0, 0); // Two vertices per predator
+		}
+
+		passEncoder.end();
+
+		// Begin PIP render pass
+		const predatorPassEncoder = commandEncoder.beginRenderPass({
+			colorAttachments: [
+				{
+					view: textureView,
+					loadOp: 'load',
+					storeOp: 'store'
+				}
+			],
+			depthStencilAttachment: {
+				view: depthView,
+				depthLoadOp: 'clear',
+				depthClearValue: 1.0,
+				depthStoreOp: 'store'
+			}
+		});
+
+		// Set viewport for PIP
+		const pipSize = Math.max(Math.min(this.canvasWidth, this.canvasHeight) * 0.4, 300);
+		const padding = 20;
+		const pipX = padding;
+		const pipY = Math.max(padding, this.canvasHeight - pipSize - padding);
+		predatorPassEncoder.setViewport(
+			pipX,
+			pipY,
+			Math.max(1, pipSize),
+			Math.max(1, pipSize),
+			0.0,
+			1.0
+		);
+
+		// Render scene from predator's perspective
+		predatorPassEncoder.setPipeline(this.backgroundPipeline);
+		predatorPassEncoder.setBindGroup(0, this.backgroundBindGroup);
+		predatorPassEncoder.draw(3, 1, 0, 0);
+
+		// Scene is rendered with the predator camera matrices
+		this.drawBirds(predatorPassEncoder, bird, this.birdPredatorViewBindGroup);
+		this.drawObstacles(predatorPassEncoder, obstacles, this.obstaclePredatorViewBindGroup);
+
+		predatorPassEncoder.end();
+	}
+
+	initializeBirdBuffers(positions, velocities, phases, colors) {
+		// Positions, velocities and colors take 4 floats per bird, phases 1
+		this.device.queue.writeBuffer(this.positionBuffer, 0, positions);
+		this.device.queue.writeBuffer(this.velocityBuffer, 0, velocities);
+		this.device.queue.writeBuffer(this.phaseBuffer, 0, phases);
+		this.device.queue.writeBuffer(this.colorBuffer, 0, colors);
+	}
+
+	// One tag per bird, from assignSpecies in species.js
+	updateSpecies(tags) {
+		if (!this.speciesBuffer) return;
+		this.device.queue.writeBuffer(this.speciesBuffer, 0, tags);
+	}
+
+	/**
+	 * Replace the spheres and boxes
+	 *
+	 * @param {ArrayBuffer} data From placeObstacles in world.js
+	 * @param {Object} counts { sphereCount, boxCount }, as packed in data
+	 */
+	updateObstacles(data, { sphereCount, boxCount }) {
+		if (!this.obstaclesBuffer) return;
+		this.device.queue.writeBuffer(this.obstaclesBuffer, 0, data);
+		this.sphereCount = sphereCount;
+		this.boxCount = boxCount;
+	}
+
+	// Whether the ground is drawn; the flocking shader reads worldParams.ground itself
+	setGroundVisible(visible) {
+		this.groundVisible = visible;
+	}
+
+	// WIND_TEXTURE_SIZE³ texels of rgba, from turbulenceField in world.js
+	updateWindField(field) {
+		if (!this.windTexture) return;
+		const size = WIND_TEXTURE_SIZE;
+		this.device.queue.writeTexture(
+			{ texture: this.windTexture },
+			field,
+			{ bytesPerRow: size * 4 * Float32Array.BYTES_PER_ELEMENT, rowsPerImage: size },
+			[size, size, size]
+		);
+	}
+
+	/**
+	 * Place the predators and set how they hunt; the ones past the list stop flying
+	 *
+	 * @param {Object[]} predators { position: [x, y, z], strategy, prey, speed } each
+	 */
+	initializePredators(predators) {
+		const data = new ArrayBuffer(MAX_PREDATORS * PREDATOR_BYTES);
+		predators.slice(0, MAX_PREDATORS).forEach((predator, i) => {
+			const floats = new Float32Array(data, i * PREDATOR_BYTES, PREDATOR_BYTES / 4);
+			floats.set(predator.position, 0);
+			floats.set(predator.position, 8); // aim
+			floats[PREDATOR_SPEED_OFFSET / 4] = predator.speed;
+			const words = new Uint32Array(data, i * PREDATOR_BYTES, PREDATOR_BYTES / 4);
+			words[PREDATOR_STRATEGY_OFFSET / 4] = predator.strategy;
+			words[PREDATOR_PREY_OFFSET / 4] = predator.prey;
+		});
+		this.device.queue.writeBuffer(this.predatorBuffer, 0, data);
+		this.setPredatorCount(predators.length);
+	}
+
+	// Fly the first predatorCount predators, leaving them where they are
+	setPredatorCount(predatorCount) {
+		this.predatorCount = Math.min(predatorCount, MAX_PREDATORS);
+		this.writeHuntParams();
+	}
+
+	// Change how a predator hunts without moving it
+	updatePredator(index, { strategy, prey, speed }) {
+		if (!this.predatorBuffer) return;
+		const offset = index * PREDATOR_BYTES;
+		if (strategy !== undefined) {
+			this.device.queue.writeBuffer(
+				this.predatorBuffer,
+				offset + PREDATOR_STRATEGY_OFFSET,
+				new Uint32Array([strategy])
+			);
+		}
+		if (prey !== undefined) {
+			this.device.queue.writeBuffer(
+				this.predatorBuffer,
+				offset + PREDATOR_PREY_OFFSET,
+				new Uint32Array([prey])
+			);
+		}
+		if (speed !== undefined) {
+			this.device.queue.writeBuffer(
+				this.predatorBuffer,
+				offset + PREDATOR_SPEED_OFFSET,
+				new Float32Array([speed])
+			);
+		}
+	}
+
+	writeHuntParams() {
+		if (!this.huntParamsBuffer) return;
+		const params = new ArrayBuffer(16);
+		new Uint32Array(params, 0, 2).set([this.predatorCount, this.birdCount]);
+		new Float32Array(params, 8, 1)[0] = this.deltaTime;
+		this.device.queue.writeBuffer(this.huntParamsBuffer, 0, params);
+	}
+
+	updateDeltaTime(deltaTime) {
+		// Update the deltaTime buffer
+		const deltaTimeArray = new Float32Array([deltaTime]);
+		this.device.queue.writeBuffer(this.deltaTimeBuffer, 0, deltaTimeArray);
+		this.deltaTime = deltaTime;
+		this.writeHuntParams();
+	}
+
+	cleanup() {
+		this.destroyBirdBuffers();
+		if (this.birdLODBuffer) this.birdLODBuffer.destroy();
+		if (this.speciesParamsBuffer) this.speciesParamsBuffer.destroy();
+		if (this.worldParamsBuffer) this.worldParamsBuffer.destroy();
+		if (this.obstaclesBuffer) this.obstaclesBuffer.destroy();
+		if (this.windTexture) this.windTexture.destroy();
+		if (this.predatorBuffer) this.predatorBuffer.destroy();
+		if (this.huntParamsBuffer) this.huntParamsBuffer.destroy();
+		if (this.flockingParamsBuffer) this.flockingParamsBuffer.destroy();
+
+		// Cleanup predator camera
+		this.predatorCamera.cleanup();
+
+		super.cleanup();
+	}
+
+	updateViewportDimensions(width, height) {
+		// Update stored dimensions
+		this.canvasWidth = Math.max(1, width);
+		this.canvasHeight = Math.max(1, height);
+
+		// Update predator camera aspect ratio
+		this.predatorCamera.aspect = 1; // Keep it square for the PIP view
+		this.predatorCamera.updateProjection();
+	}
+}
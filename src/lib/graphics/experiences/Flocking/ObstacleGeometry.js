@@ -0,0 +1,155 @@
+// ObstacleGeometry.js
+//
+// Unit meshes for the world (see world.js): a sphere of radius 1, a cube of
+// half extent 1 and a flat grid over [-1, 1]² for the ground, each vertex a
+// position and a normal. obstacleShader.wgsl places and scales them.
+
+const SPHERE_STACKS = 16;
+const SPHERE_SLICES = 24;
+const GROUND_CELLS = 64;
+
+function sphereMesh() {
+	const vertices = [];
+	const indices = [];
+	for (let stack = 0; stack <= SPHERE_STACKS; stack++) {
+		const theta = (stack / SPHERE_STACKS) * Math.PI;
+		for (let slice = 0; slice <= SPHERE_SLICES; slice++) {
+			const phi = (slice / SPHERE_SLICES) * 2 * Math.PI;
+			const x = Math.sin(theta) * Math.cos(phi);
+			const y = Math.cos(theta);
+			const z = Math.sin(theta) * Math.sin(phi);
+			vertices.push(x, y, z, x, y, z); // On a unit sphere the normal is the position
+		}
+	}
+	const row = SPHERE_SLICES + 1;
+	for (let stack = 0; stack < SPHERE_STACKS; stack++) {
+		for (let slice = 0; slice < SPHERE_SLICES; slice++) {
+			const a = stack * row + slice;
+			const b = a + row;
+			indices.push(a, b, a + 1, a + 1, b, b + 1);
+		}
+	}
+	return { vertices, indices };
+}
+
+function boxMesh() {
+	const vertices = [];
+	const indices = [];
+	// Each face: its normal and two axes spanning it
+	const faces = [
+		[
+			[1, 0, 0],
+			[0, 1, 0],
+			[0, 0, 1]
+		],
+		[
+			[-1, 0, 0],
+			[0, 0, 1],
+			[0, 1, 0]
+		],
+		[
+			[0, 1, 0],
+			[0, 0, 1],
+			[1, 0, 0]
+		],
+		[
+			[0, -1, 0],
+			[1, 0, 0],
+			[0, 0, 1]
+		],
+		[
+			[0, 0, 1],
+			[1, 0, 0],
+			[0, 1, 0]
+		],
+		[
+			[0, 0, -1],
+			[0, 1, 0],
+			[1, 0, 0]
+		]
+	];
+	faces.forEach(([normal, u, v], face) => {
+		for (const [su, sv] of [
+			[-1, -1],
+			[1, -1],
+			[1, 1],
+			[-1, 1]
+		]) {
+			vertices.push(
+				normal[0] + su * u[0] + sv * v[0],
+				normal[1] + su * u[1] + sv * v[1],
+				normal[2] + su * u[2] + sv * v[2],
+				...normal
+			);
+		}
+		const first = face * 4;
+		indices.push(first, first + 1, first + 2, first, first + 2, first + 3);
+	});
+	return { vertices, indices };
+}
+
+function groundMesh() {
+	const vertices = [];
+	const indices = [];
+	for (let row = 0; row <= GROUND_CELLS; row++) {
+		for (let column = 0; column <= GROUND_CELLS; column++) {
+			const x = (column / GROUND_CELLS) * 2 - 1;
+			const z = (row / GROUND_CELLS) * 2 - 1;
+			vertices.push(x, 0, z, 0, 1, 0); // Height and normal come from the height field
+		}
+	}
+	const width = GROUND_CELLS + 1;
+	for (let row = 0; row < GROUND_CELLS; row++) {
+		for (let column = 0; column < GROUND_CELLS; column++) {
+			const a = row * width + column;
+			indices.push(a, a + width, a + 1, a + 1, a + width, a + width + 1);
+		}
+	}
+	return { vertices, indices };
+}
+
+export default class ObstacleGeometry {
+	constructor(device) {
+		this.device = device;
+		this.sphere = this.createMesh(sphereMesh(), 'Sphere');
+		this.box = this.createMesh(boxMesh(), 'Box');
+		this.ground = this.createMesh(groundMesh(), 'Ground');
+	}
+
+	createMesh({ vertices, indices }, label) {
+		const vertexData = new Float32Array(vertices);
+		const vertexBuffer = this.device.createBuffer({
+			size: vertexData.byteLength,
+			usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
+			mappedAtCreation: true,
+			label: `${label} Vertex Buffer`
+		});
+		new Float32Array(vertexBuffer.getMappedRange()).set(vertexData);
+		vertexBuffer.unmap();
+
+		// Index buffers are padded to a multiple of 4 bytes
+		const indexData = new Uint16Array(Math.ceil(indices.length / 2) * 2);
+		indexData.set(indices);
+		const indexBuffer = this.device.createBuffer({
+			size: indexData.byteLength,
+			usage: GPUBufferUsage.INDEX | GPUBufferUsage.COPY_DST,
+			mappedAtCreation: true,
+			label: `${label} Index Buffer`
+		});
+		new Uint16Array(indexBuffer.getMappedRange()).set(indexData);
+		indexBuffer.unmap();
+
+		return { vertexBuffer, indexBuffer, indexCount: indices.length };
+	}
+
+	cleanup() {
+		for (const mesh of [this.sphere, this.box, this.ground]) {
+			if (!mesh) continue;
+			mesh.vertexBuffer.destroy();
+			mesh.indexBuffer.destroy();
+		}
+		this.sphere = null;
+		this.box = null;
+		this.ground = null;
+	}
+}
@@ -0,0 +1,25 @@
+export default {
+	id: 'flocking',
+	name: 'FLOCKING',
+	title: 'Flocking Simulation',
+	description:
+		'Simulation of collective motion in flocks using parallel compute shaders. Simple local rules generate complex global murmurations; cute emergent behavior in natural systems.',
+	color: '#00bfff',
+	order: 1,
+	camera: {
+		position: { x: 0, y: 2000, z: 4000 },
+		fov: 40 * (Math.PI / 180),
+		baseDistance: 4000.0 // Large distance for bird flocking view
+	},
+	shaders: [
+		'/shaders/flocking/birdShader.wgsl',
+		'/shaders/flocking/predatorShader.wgsl',
+		'/shaders/flocking/flockingShader.wgsl',
+		'/shaders/flocking/huntingShader.wgsl',
+		'/shaders/flocking/backgroundShader.wgsl',
+		'/shaders/flocking/guidingLineShader.wgsl',
+		'/shaders/flocking/obstacleShader.wgsl'
+	],
+	load: () => import('./FlockingExperience.js'),
+	controls: () => import('./FlockingControls.svelte')
+};
@@ -0,0 +1,562 @@
+// Parameter schema for the flocking experience
+
+import { MAX_PREDATORS, PREDATOR_STRATEGIES, strategyIndex } from './predatorStrategies.js';
+import {
+	MAX_SPECIES,
+	SPECIES_FLOATS,
+	SPECIES_SEPARATION,
+	SPECIES_ALIGNMENT,
+	SPECIES_COHESION,
+	SPECIES_SIZE,
+	SPECIES_COLOR,
+	SPECIES_SPEED,
+	SPECIES_AFFINITIES,
+	SPECIES_LEADER_WEIGHT,
+	SPECIES_GOAL_A,
+	SPECIES_GOAL_B,
+	SPECIES_COLORS
+} from './species.js';
+import {
+	MAX_SPHERES,
+	MAX_BOXES,
+	WORLD_GROUND,
+	WORLD_GROUND_LEVEL,
+	WORLD_TERRAIN_HEIGHT,
+	WORLD_TERRAIN_SCALE,
+	WORLD_WALLS,
+	WORLD_AVOID_DISTANCE,
+	WORLD_AVOID_STRENGTH,
+	WORLD_WIND_MODE,
+	WORLD_WIND_STRENGTH,
+	WORLD_WIND_DIRECTION,
+	WORLD_WIND_SCALE,
+	WIND_MODES
+} from './world.js';
+
+// flockingParams mirrors the WGSL struct: three f32 weights and the escape
+// strength, then centerGravity as a vec4 aligned to the next 16-byte row (xyz = center,
+// w = pull strength). The center stays at the origin. birdLOD holds the
+// sprite distance, whether sprites are on, and the sprite size.
+// speciesParams is laid out in species.js, worldParams in world.js.
+const hasSprites = (values) => values.sprites;
+const hasLeaders = (values) => values.leaderFraction > 0;
+const hasObstacles = (values) => values.sphereCount > 0 || values.boxCount > 0;
+const hasGround = (values) => values.ground;
+const hasWind = (values) => values.windMode > 0;
+
+// Each predator starts out with its own strategy, the later ones herding together
+const defaultStrategies = [
+	'random',
+	'nearest',
+	'densest',
+	'intercept',
+	'herd',
+	'herd',
+	'herd',
+	'herd'
+];
+
+// Each species starts out with its own color
+const defaultColors = ['Black', 'Rust', 'White', 'Ochre'];
+
+// Share, steering, speed, size and color of species i, 1-based, shown while it flies
+const speciesParameters = (i) => {
+	const slot = (offset) => ({ buffer: 'speciesParams', index: (i - 1) * SPECIES_FLOATS + offset });
+	const flies = (values) => values.speciesCount >= i;
+	const multiplier = (key, label, offset) => ({
+		key: `species${i}${key}`,
+		label: `Species ${i} ${label}`,
+		type: 'float',
+		default: 1,
+		min: 0,
+		max: 3,
+		step: 0.05,
+		precision: 2,
+		group: 'Species',
+		uniform: slot(offset),
+		visible: flies
+	});
+
+	return [
+		{
+			key: `species${i}Share`,
+			label: `Species ${i} share`,
+			type: 'float',
+			default: 1,
+			min: 0,
+			max: 10,
+			step: 0.1,
+			precision: 1,
+			group: 'Species',
+			visible: (values) => values.speciesCount > 1 && flies(values)
+		},
+		multiplier('Separation', 'separation ×', SPECIES_SEPARATION),
+		multiplier('Alignment', 'alignment ×', SPECIES_ALIGNMENT),
+		multiplier('Cohesion', 'cohesion ×', SPECIES_COHESION),
+		{
+			key: `species${i}Speed`,
+			label: `Species ${i} top speed`,
+			type: 'float',
+			default: 100,
+			min: 20,
+			max: 200,
+			step: 5,
+			precision: 0,
+			group: 'Species',
+			uniform: slot(SPECIES_SPEED),
+			visible: flies
+		},
+		{
+			key: `species${i}Size`,
+			label: `Species ${i} size`,
+			type: 'float',
+			default: 1,
+			min: 0.25,
+			max: 4,
+			step: 0.05,
+			precision: 2,
+			group: 'Species',
+			uniform: slot(SPECIES_SIZE),
+			visible: flies
+		},
+		{
+			key: `species${i}Color`,
+			label: `Species ${i} color`,
+			type: 'enum',
+			default: SPECIES_COLORS.findIndex(({ label }) => label === defaultColors[i - 1]),
+			control: 'select',
+			options: SPECIES_COLORS.map(({ label }, value) => ({ value, label })),
+			group: 'Species',
+			uniform: slot(SPECIES_COLOR),
+			visible: flies
+		}
+	];
+};
+
+// How species i takes neighbors of species j, 1-based; each flocks fully with its own kind
+const affinityParameter = (i, j) => ({
+	key: `affinity${i}${j}`,
+	label: `Species ${i} → ${j}`,
+	type: 'float',
+	default: i === j ? 1 : 0,
+	min: -1,
+	max: 1,
+	step: 0.05,
+	precision: 2,
+	group: 'Species affinities',
+	uniform: { buffer: 'speciesParams', index: SPECIES_AFFINITIES + (i - 1) * 4 + (j - 1) },
+	visible: (values) => values.speciesCount > 1 && values.speciesCount >= Math.max(i, j)
+});
+
+const speciesIndices = Array.from({ length: MAX_SPECIES }, (_, i) => i + 1);
+
+// Strategy and speed of predator i, 1-based, shown while it flies
+const predatorParameters = (i) => [
+	{
+		key: `predator${i}Strategy`,
+		label: `Predator ${i}`,
+		type: 'enum',
+		default: strategyIndex(defaultStrategies[i - 1]),
+		control: 'select',
+		options: PREDATOR_STRATEGIES.map(({ label }, value) => ({ value, label })),
+		group: 'Predators',
+		visible: (values) => values.predatorCount >= i
+	},
+	{
+		key: `predator${i}Speed`,
+		label: `Predator ${i} speed`,
+		type: 'float',
+		default: 600,
+		min: 100,
+		max: 2000,
+		step: 50,
+		precision: 0,
+		group: 'Predators',
+		visible: (values) => values.predatorCount >= i
+	}
+];
+
+export default [
+	// Changing the size rebuilds the bird buffers and scatters a new flock
+	{
+		key: 'birdCount',
+		label: 'Birds',
+		type: 'enum',
+		default: 8192,
+		control: 'select',
+		options: [
+			{ value: 8192, label: '8,192' },
+			{ value: 32768, label: '32,768' },
+			{ value: 131072, label: '131,072' },
+			{ value: 524288, label: '524,288' },
+			{ value: 1048576, label: '1,048,576' }
+		],
+		group: 'Flocking'
+	},
+	{
+		key: 'separation',
+		label: 'Separation',
+		type: 'float',
+		default: 250.0,
+		min: 0,
+		max: 1000,
+		step: 5,
+		precision: 0,
+		group: 'Flocking',
+		uniform: { buffer: 'flockingParams', index: 0 }
+	},
+	{
+		key: 'alignment',
+		label: 'Alignment',
+		type: 'float',
+		default: 5.0,
+		min: 0,
+		max: 20,
+		step: 0.5,
+		precision: 1,
+		group: 'Flocking',
+		uniform: { buffer: 'flockingParams', index: 1 }
+	},
+	{
+		key: 'cohesion',
+		label: 'Cohesion',
+		type: 'float',
+		default: 10.0,
+		min: 0,
+		max: 40,
+		step: 0.5,
+		precision: 1,
+		group: 'Flocking',
+		uniform: { buffer: 'flockingParams', index: 2 }
+	},
+	{
+		key: 'centerPull',
+		label: 'Center Pull',
+		type: 'float',
+		default: 1.25,
+		min: 0,
+		max: 5,
+		step: 0.05,
+		precision: 2,
+		group: 'Flocking',
+		uniform: { buffer: 'flockingParams', index: 7 }
+	},
+
+	// Predators hunting the flock, see predatorStrategies.js
+	{
+		key: 'predatorCount',
+		label: 'Predators',
+		type: 'int',
+		default: 1,
+		min: 0,
+		max: MAX_PREDATORS,
+		step: 1,
+		group: 'Predators'
+	},
+	{
+		key: 'escape',
+		label: 'Escape strength',
+		type: 'float',
+		default: 1,
+		min: 0,
+		max: 5,
+		step: 0.05,
+		precision: 2,
+		group: 'Predators',
+		uniform: { buffer: 'flockingParams', index: 3 }
+	},
+	...Array.from({ length: MAX_PREDATORS }, (_, i) => predatorParameters(i + 1)).flat(),
+
+	// Species dealt out to the flock, see species.js; changing the mix deals again
+	{
+		key: 'speciesCount',
+		label: 'Species',
+		type: 'int',
+		default: 1,
+		min: 1,
+		max: MAX_SPECIES,
+		step: 1,
+		group: 'Species'
+	},
+	...speciesIndices.flatMap((i) => speciesParameters(i)),
+	...speciesIndices.flatMap((i) => speciesIndices.map((j) => affinityParameter(i, j))),
+
+	// Informed birds steering towards a goal direction, as in Couzin et al. 2005
+	{
+		key: 'leaderFraction',
+		label: 'Informed birds',
+		type: 'float',
+		default: 0,
+		min: 0,
+		max: 0.5,
+		step: 0.01,
+		precision: 2,
+		group: 'Leaders'
+	},
+	{
+		key: 'leaderWeight',
+		label: 'Goal weight',
+		type: 'float',
+		default: 10,
+		min: 0,
+		max: 50,
+		step: 0.5,
+		precision: 1,
+		group: 'Leaders',
+		uniform: { buffer: 'speciesParams', index: SPECIES_LEADER_WEIGHT },
+		visible: hasLeaders
+	},
+	{
+		key: 'goalA',
+		label: 'Goal A direction',
+		type: 'float',
+		default: 0,
+		min: 0,
+		max: 360,
+		step: 5,
+		precision: 0,
+		unit: '°',
+		group: 'Leaders',
+		uniform: { buffer: 'speciesParams', index: SPECIES_GOAL_A },
+		visible: hasLeaders
+	},
+	// Informed birds split between two goals, for conflicting information
+	{
+		key: 'goalBShare',
+		label: 'Informed of goal B',
+		type: 'float',
+		default: 0,
+		min: 0,
+		max: 1,
+		step: 0.05,
+		precision: 2,
+		group: 'Leaders',
+		visible: hasLeaders
+	},
+	{
+		key: 'goalB',
+		label: 'Goal B direction',
+		type: 'float',
+		default: 90,
+		min: 0,
+		max: 360,
+		step: 5,
+		precision: 0,
+		unit: '°',
+		group: 'Leaders',
+		uniform: { buffer: 'speciesParams', index: SPECIES_GOAL_B },
+		visible: (values) => hasLeaders(values) && values.goalBShare > 0
+	},
+
+	// The world: obstacles, ground and walls the birds steer clear of, see world.js
+	{
+		key: 'worldSize',
+		label: 'World size',
+		type: 'float',
+		default: 2500,
+		min: 1000,
+		max: 10000,
+		step: 100,
+		precision: 0,
+		group: 'World'
+	},
+	{
+		key: 'sphereCount',
+		label: 'Spheres',
+		type: 'int',
+		default: 0,
+		min: 0,
+		max: MAX_SPHERES,
+		step: 1,
+		group: 'World'
+	},
+	{
+		key: 'boxCount',
+		label: 'Boxes',
+		type: 'int',
+		default: 0,
+		min: 0,
+		max: MAX_BOXES,
+		step: 1,
+		group: 'World'
+	},
+	{
+		key: 'obstacleSize',
+		label: 'Obstacle size',
+		type: 'float',
+		default: 0.1,
+		min: 0.02,
+		max: 0.3,
+		step: 0.01,
+		precision: 2,
+		group: 'World',
+		visible: hasObstacles
+	},
+	{
+		key: 'ground',
+		label: 'Ground',
+		type: 'bool',
+		default: false,
+		group: 'World',
+		uniform: { buffer: 'worldParams', index: WORLD_GROUND }
+	},
+	{
+		key: 'groundLevel',
+		label: 'Ground level',
+		type: 'float',
+		default: -1,
+		min: -2,
+		max: 0.5,
+		step: 0.05,
+		precision: 2,
+		group: 'World',
+		uniform: { buffer: 'worldParams', index: WORLD_GROUND_LEVEL },
+		visible: hasGround
+	},
+	{
+		key: 'terrainHeight',
+		label: 'Hill height',
+		type: 'float',
+		default: 0.2,
+		min: 0,
+		max: 1,
+		step: 0.05,
+		precision: 2,
+		group: 'World',
+		uniform: { buffer: 'worldParams', index: WORLD_TERRAIN_HEIGHT },
+		visible: hasGround
+	},
+	{
+		key: 'terrainScale',
+		label: 'Hill width',
+		type: 'float',
+		default: 0.5,
+		min: 0.1,
+		max: 2,
+		step: 0.05,
+		precision: 2,
+		group: 'World',
+		uniform: { buffer: 'worldParams', index: WORLD_TERRAIN_SCALE },
+		visible: hasGround
+	},
+	{
+		key: 'walls',
+		label: 'Walls',
+		type: 'bool',
+		default: false,
+		group: 'World',
+		uniform: { buffer: 'worldParams', index: WORLD_WALLS }
+	},
+	{
+		key: 'avoidDistance',
+		label: 'Avoid distance',
+		type: 'float',
+		default: 300,
+		min: 50,
+		max: 1000,
+		step: 10,
+		precision: 0,
+		group: 'World',
+		uniform: { buffer: 'worldParams', index: WORLD_AVOID_DISTANCE }
+	},
+	{
+		key: 'avoidStrength',
+		label: 'Avoid strength',
+		type: 'float',
+		default: 20,
+		min: 0,
+		max: 100,
+		step: 1,
+		precision: 0,
+		group: 'World',
+		uniform: { buffer: 'worldParams', index: WORLD_AVOID_STRENGTH }
+	},
+
+	// Wind carrying the birds along, analytic or read from a 3D texture
+	{
+		key: 'windMode',
+		label: 'Wind',
+		type: 'enum',
+		default: 0,
+		control: 'select',
+		options: WIND_MODES,
+		group: 'Wind',
+		uniform: { buffer: 'worldParams', index: WORLD_WIND_MODE }
+	},
+	{
+		key: 'windStrength',
+		label: 'Wind strength',
+		type: 'float',
+		default: 300,
+		min: 0,
+		max: 2000,
+		step: 10,
+		precision: 0,
+		group: 'Wind',
+		uniform: { buffer: 'worldParams', index: WORLD_WIND_STRENGTH },
+		visible: hasWind
+	},
+	{
+		key: 'windDirection',
+		label: 'Wind direction',
+		type: 'float',
+		default: 0,
+		min: 0,
+		max: 360,
+		step: 5,
+		precision: 0,
+		unit: '°',
+		group: 'Wind',
+		uniform: { buffer: 'worldParams', index: WORLD_WIND_DIRECTION },
+		visible: (values) => values.windMode === 1 || values.windMode === 2
+	},
+	{
+		key: 'windScale',
+		label: 'Wind scale',
+		type: 'float',
+		default: 0.5,
+		min: 0.1,
+		max: 2,
+		step: 0.05,
+		precision: 2,
+		group: 'Wind',
+		uniform: { buffer: 'worldParams', index: WORLD_WIND_SCALE },
+		visible: (values) => values.windMode === 3 || values.windMode === 4
+	},
+
+	// Distant birds as flat round sprites instead of meshes
+	{
+		key: 'sprites',
+		label: 'Sprites far away',
+		type: 'bool',
+		default: true,
+		group: 'Rendering',
+		uniform: { buffer: 'birdLOD', index: 1 }
+	},
+	{
+		key: 'spriteDistance',
+		label: 'Sprite distance',
+		type: 'float',
+		default: 6000,
+		min: 500,
+		max: 20000,
+		step: 100,
+		precision: 0,
+		group: 'Rendering',
+		uniform: { buffer: 'birdLOD', index: 0 },
+		visible: hasSprites
+	},
+	{
+		key: 'spriteSize',
+		label: 'Sprite size',
+		type: 'float',
+		default: 12,
+		min: 2,
+		max: 40,
+		step: 1,
+		precision: 0,
+		group: 'Rendering',
+		uniform: { buffer: 'birdLOD', index: 2 },
+		visible: hasSprites
+	}
+];
@@ -0,0 +1,149 @@
+/**
+ * Predators and how they choose where to fly
+ *
+ * Every predator is one Predator struct in a storage buffer. Each frame the
+ * hunting shader gives each predator a workgroup, which sums up the flock
+ * for it (its assigned bird, the nearest bird, the flock's centre and
+ * spread, the fullest spatial hash bucket) into a Hunt, and the predator's
+ * strategy turns the Hunt into the point it steers towards.
+ *
+ * A strategy is an entry of PREDATOR_STRATEGIES: an id, a label and a
+ * colour, and the body of a WGSL function of `hunt: Hunt` returning that
+ * point. WGSL_PREDATORS gathers them behind predatorAim(), so adding an
+ * entry here is all a new strategy takes.
+ */
+
+// Predators the buffer holds; predatorCount picks how many fly
+export const MAX_PREDATORS = 8;
+
+// Bytes per Predator struct, and the offsets of the fields set from JavaScript
+export const PREDATOR_BYTES = 48;
+export const PREDATOR_STRATEGY_OFFSET = 12;
+export const PREDATOR_PREY_OFFSET = 28;
+export const PREDATOR_SPEED_OFFSET = 44;
+
+// flockingShader.wgsl moves a bird by its velocity times this per second
+const BIRD_VELOCITY_SCALE = 11.0;
+
+export const PREDATOR_STRATEGIES = [
+	{
+		id: 'random',
+		label: 'Random target',
+		color: [1.0, 0.0, 0.0],
+		// The bird it was given, changed every few seconds
+		aim: 'return hunt.prey;'
+	},
+	{
+		id: 'nearest',
+		label: 'Nearest bird',
+		color: [1.0, 0.5, 0.0],
+		aim: 'return hunt.nearest;'
+	},
+	{
+		id: 'densest',
+		label: 'Densest region',
+		color: [1.0, 0.0, 1.0],
+		// Where the most birds share a cell of the spatial hash
+		aim: 'return hunt.densest;'
+	},
+	{
+		id: 'intercept',
+		label: 'Intercept',
+		color: [1.0, 1.0, 0.0],
+		// Where the prey will be by the time the predator gets there, to first order
+		aim: /* wgsl */ `
+        let arrival = length(hunt.prey - hunt.predator.position) / max(hunt.predator.speed, 1.0);
+        return hunt.prey + hunt.preyVelocity * arrival;`
+	},
+	{
+		id: 'herd',
+		label: 'Herd (cooperative)',
+		color: [0.0, 1.0, 1.0],
+		// The herders share out stations on a ring around the flock, and press it together from all sides
+		aim: /* wgsl */ `
+        let angle = 6.28318530718 * (f32(hunt.peerRank) + 0.5) / f32(max(hunt.peers, 1u));
+        let radius = max(hunt.spread * 1.2, 200.0);
+        return hunt.centroid + vec3<f32>(cos(angle), 0.0, sin(angle)) * radius;`
+	}
+];
+
+/**
+ * Index of a strategy, as stored in Predator.strategy
+ *
+ * @param {string} id
+ * @returns {number}
+ */
+export function strategyIndex(id) {
+	const index = PREDATOR_STRATEGIES.findIndex((strategy) => strategy.id === id);
+	if (index < 0) throw new Error(`Unknown predator strategy: ${id}`);
+	return index;
+}
+
+// aimNearest for 'nearest'
+const aimFunction = (strategy) => `aim${strategy.id[0].toUpperCase()}${strategy.id.slice(1)}`;
+
+const wgslVector = (color) => `vec3<f32>(${color.map((value) => value.toFixed(3)).join(', ')})`;
+
+export const WGSL_PREDATORS = /* wgsl */ `
+// Predators, see Flocking/predatorStrategies.js
+struct Predator {
+    position: vec3<f32>,
+    strategy: u32,        // Index into PREDATOR_STRATEGIES
+    velocity: vec3<f32>,  // Units per second
+    prey: u32,            // Bird pursued by the random and intercept strategies
+    aim: vec3<f32>,       // Point it steered towards last frame
+    speed: f32,           // Units per second
+}
+
+struct HuntParams {
+    predatorCount: u32,
+    birdCount: u32,
+    deltaTime: f32,
+    _pad: f32,
+}
+
+// What a predator knows of the flock this frame
+struct Hunt {
+    index: u32,
+    predator: Predator,
+    prey: vec3<f32>,            // Position of its prey bird
+    preyVelocity: vec3<f32>,    // Units per second
+    nearest: vec3<f32>,
+    centroid: vec3<f32>,
+    spread: f32,                // RMS distance of the birds from the centroid
+    densest: vec3<f32>,
+    peers: u32,                 // Predators with this one's strategy, itself included
+    peerRank: u32,              // Its place among them
+}
+
+const BIRD_VELOCITY_SCALE: f32 = ${BIRD_VELOCITY_SCALE.toFixed(1)};
+
+${PREDATOR_STRATEGIES.map(
+	(strategy) => `// ${strategy.label}
+fn ${aimFunction(strategy)}(hunt: Hunt) -> vec3<f32> {
+    ${strategy.aim
+			.trim()
+			.split('\n')
+			.map((line) => line.trim())
+			.join('\n    ')}
+}`
+).join('\n\n')}
+
+fn predatorAim(hunt: Hunt) -> vec3<f32> {
+    switch (hunt.predator.strategy) {
+${PREDATOR_STRATEGIES.map(
+	(strategy, index) => `        case ${index}u: { return ${aimFunction(strategy)}(hunt); }`
+).join('\n')}
+        default: { return hunt.prey; }
+    }
+}
+
+fn strategyColor(strategy: u32) -> vec3<f32> {
+    switch (strategy) {
+${PREDATOR_STRATEGIES.map(
+	(strategy, index) => `        case ${index}u: { return ${wgslVector(strategy.color)}; }`
+).join('\n')}
+        default: { return vec3<f32>(1.0, 0.0, 0.0); }
+    }
+}
+`;
@@ -0,0 +1,139 @@
+/**
+ * Species of bird in the flock, and the informed leaders among them
+ *
+ * Every bird has a tag in a storage buffer: its species in the low byte,
+ * and in the next the goal it is informed of, 0 for none. Each species
+ * scales the flock-wide steering weights, has its own speed limit, size and
+ * colour, and treats the neighbours of every species with an affinity, 1 to
+ * flock with them fully, 0 to ignore them but for separation, negative to
+ * shun them. Informed birds also steer towards a goal direction, as in
+ * Couzin et al. 2005, with two goals for conflicting information.
+ *
+ * All of it but the tags is one uniform, speciesParams, filled from
+ * parameters.js; the SPECIES_* offsets are its float slots.
+ */
+
+// Species the uniform holds; speciesCount picks how many fly
+export const MAX_SPECIES = 4;
+
+// Floats per Species struct, and the slots of its fields
+export const SPECIES_FLOATS = 8;
+export const SPECIES_SEPARATION = 0;
+export const SPECIES_ALIGNMENT = 1;
+export const SPECIES_COHESION = 2;
+export const SPECIES_SIZE = 3;
+export const SPECIES_COLOR = 4;
+export const SPECIES_SPEED = 5;
+
+// Slots of the affinity matrix, one vec4 row per species, and of the leaders
+export const SPECIES_AFFINITIES = MAX_SPECIES * SPECIES_FLOATS;
+export const SPECIES_LEADER_WEIGHT = SPECIES_AFFINITIES + MAX_SPECIES * 4;
+export const SPECIES_GOAL_A = SPECIES_LEADER_WEIGHT + 1;
+export const SPECIES_GOAL_B = SPECIES_LEADER_WEIGHT + 2;
+
+// Whole uniform, in floats
+export const SPECIES_PARAMS_FLOATS = SPECIES_LEADER_WEIGHT + 4;
+
+// Goals an informed bird can know; tag >> 8
+export const GOAL_NONE = 0;
+export const GOAL_A = 1;
+export const GOAL_B = 2;
+
+// Colours a species can take; each bird's own shade multiplies them
+export const SPECIES_COLORS = [
+	{ label: 'Black', color: [0.06, 0.06, 0.06] },
+	{ label: 'Rust', color: [0.45, 0.15, 0.05] },
+	{ label: 'White', color: [0.85, 0.85, 0.85] },
+	{ label: 'Ochre', color: [0.55, 0.4, 0.1] },
+	{ label: 'Slate', color: [0.15, 0.2, 0.35] }
+];
+
+/**
+ * Tag of a bird, as stored in the species buffer
+ *
+ * @param {number} species Index below MAX_SPECIES
+ * @param {number} goal GOAL_NONE, GOAL_A or GOAL_B
+ * @returns {number}
+ */
+export function speciesTag(species, goal = GOAL_NONE) {
+	return species | (goal << 8);
+}
+
+/**
+ * Deal out species and goals to a flock
+ *
+ * Species come in proportion to their shares; informed birds are drawn from
+ * the whole flock, a goalBShare of them informed of goal B, the rest of A.
+ *
+ * @param {number} count Birds
+ * @param {Object} options { shares (one per species flying), leaderFraction, goalBShare, random }
+ * @returns {Uint32Array} One tag per bird
+ */
+export function assignSpecies(
+	count,
+	{ shares = [1], leaderFraction = 0, goalBShare = 0, random = Math.random } = {}
+) {
+	const total = shares.reduce((sum, share) => sum + share, 0);
+	const bounds = [];
+	let cumulative = 0;
+	shares.forEach((share) => {
+		cumulative += total > 0 ? share / total : 1 / shares.length;
+		bounds.push(cumulative);
+	});
+
+	const tags = new Uint32Array(count);
+	for (let i = 0; i < count; i++) {
+		const draw = random();
+		let species = bounds.findIndex((bound) => draw < bound);
+		if (species < 0) species = shares.length - 1;
+
+		let goal = GOAL_NONE;
+		if (random() < leaderFraction) {
+			goal = random() < goalBShare ? GOAL_B : GOAL_A;
+		}
+		tags[i] = speciesTag(species, goal);
+	}
+	return tags;
+}
+
+const wgslVector = (color) => `vec3<f32>(${color.map((value) => value.toFixed(3)).join(', ')})`;
+
+export const WGSL_SPECIES = /* wgsl */ `
+// Species and leaders, see Flocking/species.js
+struct Species {
+    separation: f32,  // Multiples of the flock-wide steering weights
+    alignment: f32,
+    cohesion: f32,
+    size: f32,        // Scale of the bird mesh and sprite
+    color: f32,       // Index into SPECIES_COLORS
+    speedLimit: f32,
+    _pad0: f32,
+    _pad1: f32,
+}
+
+struct SpeciesParams {
+    species: array<Species, ${MAX_SPECIES}>,
+    affinities: array<vec4<f32>, ${MAX_SPECIES}>,  // [i][j]: how species i takes a neighbour of species j
+    leaderWeight: f32,                             // Pull of an informed bird towards its goal
+    goalA: f32,                                    // Goal directions, degrees round the vertical
+    goalB: f32,
+    _pad: f32,
+}
+
+fn tagSpecies(tag: u32) -> u32 {
+    return tag & 0xffu;
+}
+
+fn tagGoal(tag: u32) -> u32 {
+    return (tag >> 8u) & 0xffu;
+}
+
+fn speciesColor(color: f32) -> vec3<f32> {
+    switch (u32(color)) {
+${SPECIES_COLORS.map(
+	({ color }, index) => `        case ${index}u: { return ${wgslVector(color)}; }`
+).join('\n')}
+        default: { return ${wgslVector(SPECIES_COLORS[0].color)}; }
+    }
+}
+`;
@@ -0,0 +1,278 @@
+/**
+ * The world the flock flies in: obstacles, ground and wind
+ *
+ * The world is a box round the origin, worldSize on a side for 8192 birds
+ * and growing with the cube root of the flock, so its density stays the
+ * same. In it stand spheres and boxes, placed from the seed, and below a
+ * ground of rolling hills, a height field. Birds steer away from all of
+ * them along the gradient of their signed distance, and are carried by the
+ * wind: steady, shearing with height, a vortex, or turbulence read from a
+ * 3D texture.
+ *
+ * Two uniforms describe it: worldParams, the scalars of parameters.js, and
+ * obstacles, written here from the seed. WGSL_WORLD reads both, so every
+ * shader prefixed with it declares `worldParams` and `obstacles`.
+ */
+
+// Obstacles the uniform holds of each kind
+export const MAX_SPHERES = 8;
+export const MAX_BOXES = 8;
+
+// Floats of the obstacles uniform: three vec4 arrays, then the counts and the half size
+export const OBSTACLES_FLOATS = (MAX_SPHERES + 2 * MAX_BOXES) * 4 + 4;
+
+// Float slots of worldParams
+export const WORLD_GROUND = 0;
+export const WORLD_GROUND_LEVEL = 1;
+export const WORLD_TERRAIN_HEIGHT = 2;
+export const WORLD_TERRAIN_SCALE = 3;
+export const WORLD_WALLS = 4;
+export const WORLD_AVOID_DISTANCE = 5;
+export const WORLD_AVOID_STRENGTH = 6;
+export const WORLD_WIND_MODE = 7;
+export const WORLD_WIND_STRENGTH = 8;
+export const WORLD_WIND_DIRECTION = 9;
+export const WORLD_WIND_SCALE = 10;
+
+export const WIND_MODES = [
+	{ value: 0, label: 'None' },
+	{ value: 1, label: 'Steady' },
+	{ value: 2, label: 'Shear' },
+	{ value: 3, label: 'Vortex' },
+	{ value: 4, label: 'Turbulence (3D texture)' }
+];
+
+// Texels per side of the turbulence texture
+export const WIND_TEXTURE_SIZE = 32;
+
+// Birds the world is worldSize wide for
+const REFERENCE_BIRDS = 8192;
+
+/**
+ * Half the side of the world box
+ *
+ * @param {number} worldSize Side for 8192 birds
+ * @param {number} birdCount
+ * @returns {number}
+ */
+export function worldHalfSize(worldSize, birdCount) {
+	return (worldSize / 2) * Math.cbrt(birdCount / REFERENCE_BIRDS);
+}
+
+/**
+ * Spheres and boxes scattered through the world, packed for the obstacles uniform
+ *
+ * @param {Object} options
+ *   sphereCount, boxCount - up to MAX_SPHERES and MAX_BOXES
+ *   size                  - typical radius or half extent, in world half sizes
+ *   halfSize              - from worldHalfSize
+ *   random                - () => [0, 1)
+ * @returns {ArrayBuffer} OBSTACLES_FLOATS floats, the counts as u32
+ */
+export function placeObstacles({
+	sphereCount = 0,
+	boxCount = 0,
+	size = 0.1,
+	halfSize = 1250,
+	random = Math.random
+} = {}) {
+	const data = new ArrayBuffer(OBSTACLES_FLOATS * 4);
+	const floats = new Float32Array(data);
+	const words = new Uint32Array(data);
+	const spheres = Math.min(sphereCount, MAX_SPHERES);
+	const boxes = Math.min(boxCount, MAX_BOXES);
+
+	// Anywhere in the inner part of the world, a half to one and a half times the typical size
+	const coordinate = () => (random() * 2 - 1) * 0.8 * halfSize;
+	const extent = () => size * halfSize * (0.5 + random());
+
+	for (let i = 0; i < spheres; i++) {
+		floats.set([coordinate(), coordinate(), coordinate(), extent()], i * 4);
+	}
+
+	const boxCenters = MAX_SPHERES * 4;
+	const boxSizes = boxCenters + MAX_BOXES * 4;
+	for (let i = 0; i < boxes; i++) {
+		floats.set([coordinate(), coordinate(), coordinate(), random() * Math.PI], boxCenters + i * 4);
+		floats.set([extent(), extent(), extent(), 0], boxSizes + i * 4);
+	}
+
+	const counts = boxSizes + MAX_BOXES * 4;
+	words[counts] = spheres;
+	words[counts + 1] = boxes;
+	floats[counts + 2] = halfSize;
+	return data;
+}
+
+/**
+ * A divergence-free wind that tiles, for the turbulence texture
+ *
+ * A sum of plane waves of whole wavelengths across the tile, each blowing
+ * across its own direction of travel, so none of them piles air up; longer
+ * waves are stronger. Scaled so the strongest gust is 1.
+ *
+ * @param {number} size Texels per side
+ * @param {Function} random () => [0, 1)
+ * @param {number} modes Plane waves summed
+ * @returns {Float32Array} size³ texels of rgba, xyz the wind
+ */
+export function turbulenceField(size, random = Math.random, modes = 12) {
+	const waves = [];
+	while (waves.length < modes) {
+		const k = [0, 0, 0].map(() => Math.floor(random() * 7) - 3);
+		const length = Math.hypot(...k);
+		if (length === 0) continue;
+
+		// Amplitude across k: the cross product of k with a random direction
+		const r = [random() - 0.5, random() - 0.5, random() - 0.5];
+		const a = [k[1] * r[2] - k[2] * r[1], k[2] * r[0] - k[0] * r[2], k[0] * r[1] - k[1] * r[0]];
+		const norm = Math.hypot(...a);
+		if (norm === 0) continue;
+
+		waves.push({ k, a: a.map((value) => value / norm / length), phase: random() * 2 * Math.PI });
+	}
+
+	const field = new Float32Array(size * size * size * 4);
+	let strongest = 0;
+	for (let z = 0; z < size; z++) {
+		for (let y = 0; y < size; y++) {
+			for (let x = 0; x < size; x++) {
+				const wind = [0, 0, 0];
+				for (const { k, a, phase } of waves) {
+					const s = Math.sin((2 * Math.PI * (k[0] * x + k[1] * y + k[2] * z)) / size + phase);
+					wind[0] += a[0] * s;
+					wind[1] += a[1] * s;
+					wind[2] += a[2] * s;
+				}
+				const texel = ((z * size + y) * size + x) * 4;
+				field.set(wind, texel);
+				field[texel + 3] = 1;
+				strongest = Math.max(strongest, Math.hypot(...wind));
+			}
+		}
+	}
+
+	if (strongest > 0) {
+		for (let i = 0; i < field.length; i += 4) {
+			field[i] /= strongest;
+			field[i + 1] /= strongest;
+			field[i + 2] /= strongest;
+		}
+	}
+	return field;
+}
+
+export const WGSL_WORLD = /* wgsl */ `
+// The world, see Flocking/world.js; the shader declares worldParams and obstacles
+struct WorldParams {
+    ground: f32,          // 1 for the ground, 0 for none
+    groundLevel: f32,     // Height of the ground, in world half sizes
+    terrainHeight: f32,   // Height of the hills, in world half sizes
+    terrainScale: f32,    // Width of the hills, in world sizes
+    walls: f32,           // 1 to keep the birds inside the world box
+    avoidDistance: f32,   // Birds start to turn away this far from an obstacle
+    avoidStrength: f32,
+    windMode: f32,        // Index into WIND_MODES
+    windStrength: f32,    // Units per second
+    windDirection: f32,   // Degrees round the vertical
+    windScale: f32,       // Vortex core or turbulence tile, in world sizes
+    _pad: f32,
+}
+
+struct Obstacles {
+    spheres: array<vec4<f32>, ${MAX_SPHERES}>,     // xyz centre, w radius
+    boxCenters: array<vec4<f32>, ${MAX_BOXES}>,    // xyz centre, w turn round the vertical
+    boxSizes: array<vec4<f32>, ${MAX_BOXES}>,      // xyz half extents
+    sphereCount: u32,
+    boxCount: u32,
+    halfSize: f32,                              // Half the side of the world box
+    _pad: f32,
+}
+
+// Distance reported where there is nothing
+const FAR: f32 = 1e9;
+
+// A vector turned round the vertical
+fn turnY(v: vec3<f32>, angle: f32) -> vec3<f32> {
+    let c = cos(angle);
+    let s = sin(angle);
+    return vec3<f32>(c * v.x + s * v.z, v.y, -s * v.x + c * v.z);
+}
+
+fn sdSphere(p: vec3<f32>, sphere: vec4<f32>) -> f32 {
+    return length(p - sphere.xyz) - sphere.w;
+}
+
+fn sdBox(p: vec3<f32>, center: vec4<f32>, halfSize: vec3<f32>) -> f32 {
+    let q = abs(turnY(p - center.xyz, -center.w)) - halfSize;
+    return length(max(q, vec3<f32>(0.0))) + min(max(q.x, max(q.y, q.z)), 0.0);
+}
+
+// Height of the ground: a few waves across each other, at most terrainHeight above groundLevel
+fn groundHeight(x: f32, z: f32) -> f32 {
+    let frequency = 6.28318530718 / max(worldParams.terrainScale * 2.0 * obstacles.halfSize, 1.0);
+    let u = x * frequency;
+    let v = z * frequency;
+    let hills = 0.5 * sin(u) * cos(v)
+        + 0.3 * sin(2.1 * (0.6 * u + 0.8 * v) + 1.3)
+        + 0.2 * cos(3.7 * (-0.7 * u + 0.5 * v) + 0.4);
+    return (worldParams.groundLevel + worldParams.terrainHeight * hills) * obstacles.halfSize;
+}
+
+// Signed distance to the nearest obstacle, ground or wall
+fn worldDistance(p: vec3<f32>) -> f32 {
+    var d = FAR;
+    for (var i = 0u; i < obstacles.sphereCount; i = i + 1u) {
+        d = min(d, sdSphere(p, obstacles.spheres[i]));
+    }
+    for (var i = 0u; i < obstacles.boxCount; i = i + 1u) {
+        d = min(d, sdBox(p, obstacles.boxCenters[i], obstacles.boxSizes[i].xyz));
+    }
+    if (worldParams.ground > 0.5) {
+        // Height above the ground, shrunk as the slopes are no steeper than about 45°
+        d = min(d, (p.y - groundHeight(p.x, p.z)) * 0.7);
+    }
+    if (worldParams.walls > 0.5) {
+        d = min(d, -sdBox(p, vec4<f32>(0.0), vec3<f32>(obstacles.halfSize)));
+    }
+    return d;
+}
+
+// Direction away from the nearest obstacle, from four samples of the distance
+fn worldNormal(p: vec3<f32>) -> vec3<f32> {
+    let h = 1.0;
+    let k = vec2<f32>(1.0, -1.0);
+    let gradient = k.xyy * worldDistance(p + k.xyy * h)
+        + k.yyx * worldDistance(p + k.yyx * h)
+        + k.yxy * worldDistance(p + k.yxy * h)
+        + k.xxx * worldDistance(p + k.xxx * h);
+    let size = length(gradient);
+    return select(vec3<f32>(0.0), gradient / size, size > 0.0);
+}
+
+// Wind that needs no texture; turbulence is read by the shader that binds it
+fn analyticWind(p: vec3<f32>) -> vec3<f32> {
+    let azimuth = radians(worldParams.windDirection);
+    let direction = vec3<f32>(cos(azimuth), 0.0, sin(azimuth));
+    switch (u32(worldParams.windMode)) {
+        case 1u: {
+            return direction * worldParams.windStrength;
+        }
+        case 2u: {
+            // Calm at the bottom of the world, twice the strength at the top
+            let height = (p.y + obstacles.halfSize) / obstacles.halfSize;
+            return direction * worldParams.windStrength * clamp(height, 0.0, 2.0);
+        }
+        case 3u: {
+            // Round the vertical axis, fastest at the edge of the core
+            let radius = max(worldParams.windScale * 2.0 * obstacles.halfSize, 1.0);
+            let r = length(p.xz) / radius;
+            let tangent = normalize(vec3<f32>(-p.z, 0.0, p.x) + vec3<f32>(1e-6, 0.0, 0.0));
+            return tangent * worldParams.windStrength * 2.0 * r / (1.0 + r * r);
+        }
+        default: {
+            return vec3<f32>(0.0);
+        }
+    }
+}
+`;
@@ -1,5 +1,37 @@
 import Experience from '../Experience.js';
 import GridCodePipeline from './GridCodePipeline.js';
+import parameterSchema from './parameters.js';
+import { QuadtreeLOD } from '../../utils/quadtreeLOD.js';
+import { packThetaParams, parsePeriodMatrix } from '../../../complex/theta.js';
+import { KPError, kpSolitons, kpThetaSolution, packKPWave } from '../../../complex/kp.js';
+import GridCellSimulation from '../../../simulation/GridCellSimulation.js';
+import GridDecoder from '../../../simulation/GridDecoder.js';
+import {
+    gridModules,
+    randomWalk,
+    parseTrajectory,
+    replayTrajectory
+} from '../../../simulation/gridCells.js';
+
+// Parameters the KP solution is built from, see updateKP
+const KP_PARAMETERS = [
+    'kpMode',
+    'kpPeriodMatrix',
+    'kpU1',
+    'kpU2',
+    'kpV1',
+    'kpSpeed',
+    'solitonK1',
+    'solitonL1',
+    'solitonK2',
+    'solitonL2'
+];
+
+// Parameters the grid cell simulation is built from; changing one starts it over
+const SIMULATION_PARAMETERS = ['simModules', 'simCells', 'simSpacing', 'simRatio', 'simSpeed'];
+
+// Parameters of the position decoder; the decoded trajectory restarts when one changes
+const DECODING_PARAMETERS = ['decodeMethod', 'decodeModules', 'decodeWindow', 'simNoise'];
 
 class GridCodeExperience extends Experience {
     constructor(device, resourceManager) {
@@ -28,21 +60,40 @@ class GridCodeExperience extends Experience {
             this.resourceManager.experiences.gridcode = this;
         }
         
-        // Grid resolution - reduced for better performance during debugging
-        this.resolution = 200; // 50x50 grid (reduced from 100x100)
-        this.totalVertices = this.resolution * this.resolution;
-        this.totalIndices = (this.resolution - 1) * (this.resolution - 1) * 6; // 2 triangles per grid cell
-        
-        // KP shader parameters
-        this.kpParams = {
-            scaleIndex: 2, // Default scale index (middle scale)
-            distortion: 0  // Default distortion (none)
-        };
+        // KP shader parameters, bound to the pipeline's buffer once it exists
+        this.defineParameters(parameterSchema);
+        
+        // Lattice points summed for the current period matrix, see updateTheta
+        this.theta = null;
+        this.parameters.watch('periodMatrix', () => this.updateTheta());
+        
+        // The KP solution on show, or why there is none, see updateKP
+        this.kp = null;
+        this.parameters.watch('kpMode', () => this.updateTheta());
+        this.parameters.watch('kpPeriodMatrix', () => this.updateTheta());
+        KP_PARAMETERS.forEach((key) => this.parameters.watch(key, () => this.updateKP()));
+        
+        // Virtual rat and grid cell modules, stepped while 'simulate' is on;
+        // every build draws from fresh forks of the seed
+        this.usesRandomSeed = true;
+        this.recordedTrajectory = null; // Parsed trajectory file, replayed instead of the walk
+        Object.assign(this, this.createGridCellSimulation());
+        this.resetTimer = null;
+        SIMULATION_PARAMETERS.forEach((key) => this.parameters.watch(key, () => this.scheduleGridCellReset()));
+        this.parameters.watch('simMaxRate', (value) => {
+            this.gridCells.maxRate = value;
+            this.decoder.maxRate = value;
+            this.decoder.reset();
+        });
+        this.parameters.watch('simNoise', (value) => {
+            this.gridCells.noiseRate = value;
+        });
+        DECODING_PARAMETERS.forEach((key) => this.parameters.watch(key, () => this.decoder.reset()));
         
         // Animation time
         this.time = 0;
         
-        // Create vertex and index buffers
+        // Create the quadtree patches the grid is drawn with
         this.createBuffers();
         
         // Create uniform buffer for time
@@ -84,83 +135,155 @@ class GridCodeExperience extends Experience {
     }
     
     createBuffers() {
-        // Create vertices for the grid
-        const vertices = new Float32Array(this.totalVertices * 3); // x, y, z for each vertex
+        // The [-2, 2] grid as quadtree patches, finer where the camera is close
+        this.lod = new QuadtreeLOD(this.device, {
+            label: 'Grid Code',
+            position: (u, v) => [u * 4 - 2, v * 4 - 2, 0],
+            heightRange: 0.3,
+            maxPatches: 128,
+            maxLevel: 6
+        });
+    }
+    
+    // Upload Ω and the lattice points the shader sums θ over; the KP θ wave
+    // has a period matrix of its own
+    updateTheta() {
+        // The parameters only ever hold valid period matrices
+        const key = this.parameters.get('kpMode') === 1 ? 'kpPeriodMatrix' : 'periodMatrix';
+        const omega = parsePeriodMatrix(this.parameters.get(key));
+        const { data, count, radius, bound } = packThetaParams(omega);
+        this.theta = { genus: omega.genus, count, radius, bound };
+        
+        if (this.pipeline?.thetaParamsBuffer) {
+            this.device.queue.writeBuffer(this.pipeline.thetaParamsBuffer, 0, data);
+        }
         
-        // Generate a flat grid initially - match Riemann's approach
-        for (let y = 0; y < this.resolution; y++) {
-            for (let x = 0; x < this.resolution; x++) {
-                const index = (y * this.resolution + x) * 3;
-                
-                // Map grid coordinates to [-2, 2] range - CENTERED EXACTLY
-                const xPos = (x / (this.resolution - 1)) * 4 - 2;
-                const yPos = (y / (this.resolution - 1)) * 4 - 2;
-                
-                // Set vertex position (flat grid)
-                vertices[index] = xPos;     // x
-                vertices[index + 1] = yPos; // y
-                vertices[index + 2] = 0;    // z (flat)
-            }
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('gridcode-theta-update', { detail: this.theta }));
         }
+    }
+    
+    // Solve for the KP wave of the current mode and upload it; a wave the
+    // parameters admit no solution for draws flat, with the reason shown
+    updateKP() {
+        const mode = this.parameters.get('kpMode');
+        const values = this.parameters.getValues();
+        let solution = null;
+        let error = null;
         
-        // Create vertex buffer
-        this.vertexBuffer = this.device.createBuffer({
-            size: vertices.byteLength,
-            usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
-            mappedAtCreation: true
-        });
-        new Float32Array(this.vertexBuffer.getMappedRange()).set(vertices);
-        this.vertexBuffer.unmap();
-        
-        // Create indices for the grid
-        const indices = new Uint32Array(this.totalIndices);
-        let indexCount = 0;
-        
-        for (let i = 0; i < this.resolution - 1; i++) {
-            for (let j = 0; j < this.resolution - 1; j++) {
-                const topLeft = i * this.resolution + j;
-                const topRight = topLeft + 1;
-                const bottomLeft = (i + 1) * this.resolution + j;
-                const bottomRight = bottomLeft + 1;
-                
-                // First triangle (top-left, bottom-left, bottom-right)
-                indices[indexCount++] = topLeft;
-                indices[indexCount++] = bottomLeft;
-                indices[indexCount++] = bottomRight;
-                
-                // Second triangle (top-left, bottom-right, top-right)
-                indices[indexCount++] = topLeft;
-                indices[indexCount++] = bottomRight;
-                indices[indexCount++] = topRight;
+        try {
+            if (mode === 1) {
+                solution = kpThetaSolution(parsePeriodMatrix(values.kpPeriodMatrix), {
+                    U: [values.kpU1, values.kpU2],
+                    V1: values.kpV1
+                });
+            } else if (mode >= 2) {
+                const waves = [{ k: values.solitonK1, l: values.solitonL1 }];
+                if (mode === 3) waves.push({ k: values.solitonK2, l: values.solitonL2 });
+                solution = kpSolitons(waves);
             }
+        } catch (e) {
+            if (!(e instanceof KPError)) throw e;
+            error = e.message;
         }
         
-        // Create index buffer
-        this.indexBuffer = this.device.createBuffer({
-            size: indices.byteLength,
-            usage: GPUBufferUsage.INDEX | GPUBufferUsage.COPY_DST,
-            mappedAtCreation: true
-        });
-        new Uint32Array(this.indexBuffer.getMappedRange()).set(indices);
-        this.indexBuffer.unmap();
-    }
-    
-    // Function to update KP scale
-    updateKPScale(scaleIndex) {
-        this.kpParams.scaleIndex = scaleIndex;
+        this.kp = {
+            mode,
+            V: solution?.V ?? null,
+            W: solution?.W ?? null,
+            A: solution?.kind === 'solitons' && mode === 3 ? Math.exp(solution.logA) : null,
+            error
+        };
         
-        if (this.pipeline) {
-            this.pipeline.updateKPParams(scaleIndex, this.kpParams.distortion);
+        if (this.pipeline?.kpWaveBuffer) {
+            this.device.queue.writeBuffer(this.pipeline.kpWaveBuffer, 0, packKPWave(solution, values.kpSpeed));
+        }
+        
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('gridcode-kp-update', { detail: this.kp }));
         }
     }
     
-    // Function to update KP distortion
-    updateKPDistortion(distortion) {
-        this.kpParams.distortion = distortion;
+    /**
+     * Grid cell modules, the trajectory that drives them and the decoder
+     * reading them, from the simulation parameters and the seed
+     */
+    createGridCellSimulation() {
+        const values = this.parameters.getValues();
+        const modules = gridModules({
+            modules: values.simModules,
+            cellsPerModule: values.simCells,
+            baseSpacing: values.simSpacing,
+            ratio: values.simRatio,
+            random: this.random.fork('modules')
+        });
+        const trajectory = this.recordedTrajectory
+            ? replayTrajectory(this.recordedTrajectory)
+            : randomWalk({ speed: values.simSpeed, random: this.random.fork('walk') });
+        
+        const gridCells = new GridCellSimulation(modules, trajectory, {
+            maxRate: values.simMaxRate,
+            noiseRate: values.simNoise,
+            random: this.random.fork('spikes')
+        });
+        const decoder = new GridDecoder(modules, { size: trajectory.size, maxRate: values.simMaxRate });
         
-        if (this.pipeline) {
-            this.pipeline.updateKPParams(this.kpParams.scaleIndex, distortion);
-        }
+        return { gridCells, decoder };
+    }
+    
+    // Decoder settings from the parameters, see GridDecoder.observe
+    getDecoding() {
+        return {
+            method: this.parameters.get('decodeMethod'),
+            modules: this.parameters.get('decodeModules'),
+            window: this.parameters.get('decodeWindow'),
+            noiseRate: this.parameters.get('simNoise')
+        };
+    }
+    
+    // Start over once a slider has settled; building the decoder takes a moment
+    scheduleGridCellReset() {
+        if (this.resetTimer) clearTimeout(this.resetTimer);
+        this.resetTimer = setTimeout(() => {
+            this.resetTimer = null;
+            this.resetGridCells();
+        }, 150);
+    }
+    
+    // Start the simulation over, e.g. when its parameters change
+    resetGridCells() {
+        Object.assign(this, this.createGridCellSimulation());
+        this.dispatchGridCells();
+    }
+    
+    /**
+     * Replay a recorded trajectory (CSV of t, x, y, see parseTrajectory)
+     * instead of the random walk. Throws if the file cannot be parsed.
+     */
+    loadTrajectory(text, name = 'file') {
+        this.recordedTrajectory = { ...parseTrajectory(text), name };
+        this.resetGridCells();
+    }
+    
+    // Back to the random walk
+    clearTrajectory() {
+        this.recordedTrajectory = null;
+        this.resetGridCells();
+    }
+    
+    dispatchGridCells() {
+        if (typeof window === 'undefined') return;
+        
+        window.dispatchEvent(new CustomEvent('gridcode-simulation-update', {
+            detail: {
+                // Shared with the simulation and decoder, so only read them
+                simulation: this.gridCells,
+                decoder: this.decoder,
+                decoding: this.getDecoding(),
+                trajectory: this.recordedTrajectory?.name ?? null,
+                running: this.parameters.get('simulate')
+            }
+        }));
     }
     
     async initialize() {
@@ -169,6 +292,9 @@ class GridCodeExperience extends Experience {
         try {
             // Create the pipeline
             this.pipeline = new GridCodePipeline(this.device, this.resourceManager);
+            this.parameters.bindBuffer('kpParams', this.device, this.pipeline.kpParamsBuffer);
+            this.updateTheta();
+            this.updateKP();
             
             // Initialize the pipeline
             const success = await this.pipeline.initialize();
@@ -179,9 +305,6 @@ class GridCodeExperience extends Experience {
             
             this.updateLoadingState(true, "Pipeline initialized", 50);
             
-            // Set initial KP parameters
-            this.pipeline.updateKPParams(this.kpParams.scaleIndex, this.kpParams.distortion);
-            
             // Set up camera target to center of grid without overriding position
             this.updateLoadingState(true, "Configuring camera...", 90);
             if (this.resourceManager && this.resourceManager.camera) {
@@ -220,6 +343,16 @@ class GridCodeExperience extends Experience {
             // Update time (for subtle animation)
             this.time += 0.01;
             
+            // Move the rat on and let the grid cells fire
+            if (this.parameters.get('simulate') && this.gridCells) {
+                const steps = this.parameters.get('simStepsPerFrame');
+                const decoding = this.getDecoding();
+                for (let i = 0; i < steps && !this.gridCells.finished; i++) {
+                    if (this.gridCells.step() >= 0) this.decoder.observe(this.gridCells, decoding);
+                }
+                this.dispatchGridCells();
+            }
+            
             // Skip buffer updates if we're not active
             if (!this.isActive || !this.uniformBuffer) {
                 return;
@@ -232,16 +365,16 @@ class GridCodeExperience extends Experience {
                 new Float32Array([0, 0, 0, this.time])
             );
             
+            // Pick the patches for the current view
+            this.lod.update(this.resourceManager.camera, this.resourceManager.depthTexture?.height);
+            
             // Render using pipeline with the KP shader
             this.pipeline.render(
                 commandEncoder,
                 textureView,
                 depthTextureView,
-                this.vertexBuffer,
-                this.indexBuffer,
-                this.uniformBuffer,
-                this.totalIndices,
-                'kp' // Always use KP shader
+                this.lod,
+                this.uniformBuffer
             );
         } catch (error) {
             console.error("Error in Grid Code render:", error);
@@ -296,20 +429,9 @@ class GridCodeExperience extends Experience {
         }
         
         // Clean up buffers - explicitly destroy WebGPU resources
-        if (this.vertexBuffer) {
-            // Not calling destroy() as WebGPU doesn't support explicit destruction for buffers
-            // Just unregister from resource manager and set to null
-            if (this.resourceManager) {
-                this.resourceManager.unregisterResource?.(this.vertexBuffer, 'buffers');
-            }
-            this.vertexBuffer = null;
-        }
-        
-        if (this.indexBuffer) {
-            if (this.resourceManager) {
-                this.resourceManager.unregisterResource?.(this.indexBuffer, 'buffers');
-            }
-            this.indexBuffer = null;
+        if (this.lod) {
+            this.lod.cleanup();
+            this.lod = null;
         }
         
         if (this.uniformBuffer) {
@@ -319,6 +441,14 @@ class GridCodeExperience extends Experience {
             this.uniformBuffer = null;
         }
         
+        if (this.resetTimer) {
+            clearTimeout(this.resetTimer);
+            this.resetTimer = null;
+        }
+        this.gridCells = null;
+        this.decoder = null;
+        this.recordedTrajectory = null;
+        
         // Reset state
         this.loadingProgress = 0;
         this.time = 0;
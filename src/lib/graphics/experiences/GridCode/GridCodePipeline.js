@@ -1,3 +1,7 @@
+import { LOD_VERTEX_BUFFERS, WGSL_LOD_PATCH } from '../../utils/quadtreeLOD.js';
+import { THETA_PARAMS_FLOATS, WGSL_THETA } from '../../../complex/theta.js';
+import { WGSL_KP } from '../../../complex/kp.js';
+
 // Remove the Node.js imports
 // import { readFileSync } from 'fs';
 // import path from 'path';
@@ -12,31 +16,26 @@ class GridCodePipeline {
         this.renderPipeline = null;
         this.bindGroup = null;
         
-        // Create KP shader parameters buffer with default values
+        // KP shader parameters buffer, written by the experience's parameter set
         this.kpParamsBuffer = this.device.createBuffer({
-            size: 16, // 4 floats (scaleIndex, distortion, padding1, padding2)
+            size: 16, // 4 floats (scaleIndex, distortion, mode, heightScale)
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
             label: 'KP Shader Parameters Buffer'
         });
         
-        // Initialize with default values
-        this.updateKPParams(2, 0); // Default: scale index 2, no distortion
-    }
-    
-    // Method to update KP shader parameters
-    updateKPParams(scaleIndex, distortion) {
-        if (!this.device || !this.kpParamsBuffer) return;
-        
-        // Clamp values to valid ranges
-        scaleIndex = Math.max(0, Math.min(5, scaleIndex));
-        distortion = Math.max(0, Math.min(1, distortion));
+        // Period matrix and lattice points of the theta function, written by the experience
+        this.thetaParamsBuffer = this.device.createBuffer({
+            size: THETA_PARAMS_FLOATS * 4,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+            label: 'Grid Code Theta Parameters Buffer'
+        });
         
-        // Update the buffer
-        this.device.queue.writeBuffer(
-            this.kpParamsBuffer,
-            0,
-            new Float32Array([scaleIndex, distortion, 0, 0]) // Include padding
-        );
+        // KP wave vectors or solitons, written by the experience
+        this.kpWaveBuffer = this.device.createBuffer({
+            size: 80, // KPWave: 5 vec4s
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+            label: 'Grid Code KP Wave Buffer'
+        });
     }
     
     async initialize() {
@@ -62,6 +61,16 @@ class GridCodePipeline {
                     binding: 3,
                     visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
                     buffer: { type: 'uniform' } // KP shader parameters
+                },
+                {
+                    binding: 4,
+                    visibility: GPUShaderStage.VERTEX,
+                    buffer: { type: 'uniform' } // Theta parameters
+                },
+                {
+                    binding: 5,
+                    visibility: GPUShaderStage.VERTEX,
+                    buffer: { type: 'uniform' } // KP wave
                 }
             ]
         });
@@ -85,7 +94,9 @@ class GridCodePipeline {
             throw new Error(`Failed to fetch shader: ${response.statusText}`);
         }
         
-        const shaderCode = await response.text();
+        // The vertex stage places the quadtree patches with lodPatchUV and
+        // raises the grid fields with c_theta_hat, the KP waves with kpWaveHeight
+        const shaderCode = WGSL_LOD_PATCH + WGSL_THETA + WGSL_KP + await response.text();
         
         // Create shader module
         this.shaderModule = this.device.createShaderModule({
@@ -99,19 +110,7 @@ class GridCodePipeline {
             vertex: {
                 module: this.shaderModule,
                 entryPoint: 'vertexMain',
-                buffers: [
-                    {
-                        // Position (x, y, z)
-                        arrayStride: 12, // 3 floats * 4 bytes
-                        attributes: [
-                            {
-                                shaderLocation: 0,
-                                offset: 0,
-                                format: 'float32x3'
-                            }
-                        ]
-                    }
-                ]
+                buffers: LOD_VERTEX_BUFFERS // Patch grid, and the patches as instances
             },
             fragment: {
                 module: this.shaderModule,
@@ -162,12 +161,20 @@ class GridCodePipeline {
                 {
                     binding: 3,
                     resource: { buffer: this.kpParamsBuffer }
+                },
+                {
+                    binding: 4,
+                    resource: { buffer: this.thetaParamsBuffer }
+                },
+                {
+                    binding: 5,
+                    resource: { buffer: this.kpWaveBuffer }
                 }
             ]
         });
     }
     
-    render(commandEncoder, textureView, depthTextureView, vertexBuffer, indexBuffer, uniformBuffer, indexCount) {
+    render(commandEncoder, textureView, depthTextureView, lod, uniformBuffer) {
         if (!this.isInitialized || !this.renderPipeline || !this.isActive) {
             return;
         }
@@ -227,12 +234,8 @@ class GridCodePipeline {
             renderPass.setPipeline(this.renderPipeline);
             renderPass.setBindGroup(0, this.bindGroup);
             
-            // Set vertex and index buffers
-            renderPass.setVertexBuffer(0, vertexBuffer);
-            renderPass.setIndexBuffer(indexBuffer, 'uint32');
-            
-            // Draw
-            renderPass.drawIndexed(indexCount);
+            // Draw every patch of the quadtree
+            lod.draw(renderPass);
             
             // End render pass
             renderPass.end();
@@ -268,6 +271,16 @@ class GridCodePipeline {
                 this.kpParamsBuffer = null;
             }
             
+            if (this.thetaParamsBuffer && this.resourceManager) {
+                this.resourceManager.unregisterResource?.(this.thetaParamsBuffer, 'buffers');
+                this.thetaParamsBuffer = null;
+            }
+            
+            if (this.kpWaveBuffer && this.resourceManager) {
+                this.resourceManager.unregisterResource?.(this.kpWaveBuffer, 'buffers');
+                this.kpWaveBuffer = null;
+            }
+            
             // Other resources that don't need special handling
             this.bindGroupLayout = null;
             this.pipelineLayout = null;
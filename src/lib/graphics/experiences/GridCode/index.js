@@ -0,0 +1,17 @@
+export default {
+	id: 'gridcode',
+	name: 'Θ-FUNCTION // GRID CODE',
+	title: 'Θ-Function // Grid Code',
+	description:
+		'Model of medial entorhinal grid cells using the Riemann theta function. Visualising how the brain encodes spatial information in a structured form..',
+	color: '#ff9900',
+	order: 5,
+	camera: {
+		position: { x: 0, y: -4, z: 4 },
+		fov: 45 * (Math.PI / 180),
+		baseDistance: 3.0 // Same as Riemann for consistent viewing
+	},
+	shaders: ['/shaders/gridcode/KPShader.wgsl'],
+	load: () => import('./GridCodeExperience.js'),
+	controls: () => import('./GridCodeControls.svelte')
+};
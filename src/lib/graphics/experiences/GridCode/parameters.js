@@ -0,0 +1,320 @@
+// Parameter schema for the grid code experience
+
+import { validatePeriodMatrix } from '../../../complex/theta.js';
+import { validateKPMatrix } from '../../../complex/kp.js';
+
+const isGridCells = (values) => values.kpMode === 0;
+const isThetaWave = (values) => values.kpMode === 1;
+const isSoliton = (values) => values.kpMode >= 2;
+const isTwoSolitons = (values) => values.kpMode === 3;
+const isSimulating = (values) => values.simulate;
+
+export default [
+	// kpParams: scaleIndex, distortion, mode, heightScale
+	{
+		key: 'kpMode',
+		label: 'Surface',
+		type: 'enum',
+		default: 0,
+		control: 'select',
+		options: [
+			{ value: 0, label: 'Grid cells' },
+			{ value: 1, label: 'KP θ wave' },
+			{ value: 2, label: '1-soliton' },
+			{ value: 3, label: '2-soliton' }
+		],
+		uniform: { buffer: 'kpParams', index: 2 }
+	},
+	{
+		key: 'kpScaleIndex',
+		label: 'Module',
+		type: 'enum',
+		default: 2,
+		control: 'select',
+		options: [
+			{ value: 0, label: 'Module 1' },
+			{ value: 1, label: 'Module 2' },
+			{ value: 2, label: 'Module 3' },
+			{ value: 3, label: 'Module 4' },
+			{ value: 4, label: 'Module 5' },
+			{ value: 5, label: 'Module 6' }
+		],
+		uniform: { buffer: 'kpParams', index: 0 }
+	},
+	{
+		key: 'kpDistortion',
+		label: 'Distortion',
+		type: 'float',
+		default: 0,
+		min: 0,
+		max: 1,
+		step: 0.01,
+		precision: 2,
+		uniform: { buffer: 'kpParams', index: 1 },
+		visible: isGridCells
+	},
+	// Period matrix of the theta function; its size is the genus
+	{
+		key: 'periodMatrix',
+		label: 'Ω',
+		type: 'string',
+		default: 'i/2, 0, 0; 0, i/2, 0; 0, 0, i/2',
+		maxLength: 200,
+		placeholder: 'e.g. i, i/2; i/2, i',
+		validate: validatePeriodMatrix,
+		visible: isGridCells
+	},
+
+	// KP-II waves u = 2∂²ₓ log τ, see $lib/complex/kp.js
+	{
+		key: 'kpHeight',
+		label: 'Wave height',
+		type: 'float',
+		default: 0.2,
+		min: 0.01,
+		max: 1,
+		step: 0.01,
+		precision: 2,
+		uniform: { buffer: 'kpParams', index: 3 },
+		visible: (values) => !isGridCells(values)
+	},
+	{
+		key: 'kpSpeed',
+		label: 'Speed',
+		type: 'float',
+		default: 1,
+		min: 0,
+		max: 5,
+		step: 0.1,
+		precision: 1,
+		visible: (values) => !isGridCells(values)
+	},
+	// τ = θ(Ux + Vy + Wt | Ω); V₂ and W follow from Ω, U and V₁
+	{
+		key: 'kpPeriodMatrix',
+		label: 'Ω (genus 2)',
+		type: 'string',
+		default: 'i, -0.5i; -0.5i, i',
+		maxLength: 200,
+		placeholder: 'e.g. i, -0.5i; -0.5i, i',
+		validate: validateKPMatrix,
+		visible: isThetaWave
+	},
+	{
+		key: 'kpU1',
+		label: 'U₁',
+		type: 'float',
+		default: 0.5,
+		min: -2,
+		max: 2,
+		step: 0.01,
+		precision: 2,
+		visible: isThetaWave
+	},
+	{
+		key: 'kpU2',
+		label: 'U₂',
+		type: 'float',
+		default: 0.2,
+		min: -2,
+		max: 2,
+		step: 0.01,
+		precision: 2,
+		visible: isThetaWave
+	},
+	{
+		key: 'kpV1',
+		label: 'V₁',
+		type: 'float',
+		default: 0.4,
+		min: -2,
+		max: 2,
+		step: 0.01,
+		precision: 2,
+		visible: isThetaWave
+	},
+	// τ = 1 + e^η₁ + e^η₂ + A₁₂ e^(η₁+η₂), η = kx + ly + ωt
+	{
+		key: 'solitonK1',
+		label: 'k₁',
+		type: 'float',
+		default: 1,
+		min: 0.2,
+		max: 3,
+		step: 0.05,
+		precision: 2,
+		visible: isSoliton
+	},
+	{
+		key: 'solitonL1',
+		label: 'l₁',
+		type: 'float',
+		default: 1.5,
+		min: -3,
+		max: 3,
+		step: 0.05,
+		precision: 2,
+		visible: isSoliton
+	},
+	{
+		key: 'solitonK2',
+		label: 'k₂',
+		type: 'float',
+		default: 1,
+		min: 0.2,
+		max: 3,
+		step: 0.05,
+		precision: 2,
+		visible: isTwoSolitons
+	},
+	{
+		key: 'solitonL2',
+		label: 'l₂',
+		type: 'float',
+		default: -1.5,
+		min: -3,
+		max: 3,
+		step: 0.05,
+		precision: 2,
+		visible: isTwoSolitons
+	},
+
+	// Virtual rat and grid cell modules, see $lib/simulation/gridCells.js
+	{
+		key: 'simulate',
+		label: 'Run simulation',
+		group: 'Grid cell simulation',
+		type: 'bool',
+		default: false
+	},
+	{
+		key: 'simModules',
+		label: 'Modules',
+		group: 'Grid cell simulation',
+		type: 'int',
+		default: 4,
+		min: 1,
+		max: 6,
+		step: 1,
+		visible: isSimulating
+	},
+	{
+		key: 'simCells',
+		label: 'Cells per module',
+		group: 'Grid cell simulation',
+		type: 'int',
+		default: 4,
+		min: 1,
+		max: 8,
+		step: 1,
+		visible: isSimulating
+	},
+	{
+		key: 'simSpacing',
+		label: 'Spacing of module 1',
+		group: 'Grid cell simulation',
+		type: 'float',
+		default: 0.3,
+		min: 0.15,
+		max: 0.6,
+		step: 0.01,
+		unit: 'm',
+		visible: isSimulating
+	},
+	{
+		key: 'simRatio',
+		label: 'Spacing ratio',
+		group: 'Grid cell simulation',
+		type: 'float',
+		default: 1.41,
+		min: 1.1,
+		max: 2,
+		step: 0.01,
+		visible: isSimulating
+	},
+	{
+		key: 'simMaxRate',
+		label: 'Peak rate',
+		group: 'Grid cell simulation',
+		type: 'float',
+		default: 15,
+		min: 1,
+		max: 40,
+		step: 1,
+		unit: 'Hz',
+		visible: isSimulating
+	},
+	{
+		key: 'simNoise',
+		label: 'Background rate',
+		group: 'Grid cell simulation',
+		type: 'float',
+		default: 0,
+		min: 0,
+		max: 10,
+		step: 0.1,
+		unit: 'Hz',
+		visible: isSimulating
+	},
+	{
+		key: 'simSpeed',
+		label: 'Running speed',
+		group: 'Grid cell simulation',
+		type: 'float',
+		default: 0.15,
+		min: 0.05,
+		max: 0.5,
+		step: 0.01,
+		unit: 'm/s',
+		visible: isSimulating
+	},
+	{
+		key: 'simStepsPerFrame',
+		label: 'Steps per frame',
+		group: 'Grid cell simulation',
+		type: 'int',
+		default: 10,
+		min: 1,
+		max: 100,
+		step: 1,
+		visible: isSimulating
+	},
+
+	// Reading the position back from the spikes, see $lib/simulation/GridDecoder.js
+	{
+		key: 'decodeMethod',
+		label: 'Decoder',
+		group: 'Position decoding',
+		type: 'enum',
+		default: 'likelihood',
+		control: 'select',
+		options: [
+			{ value: 'likelihood', label: 'Maximum likelihood' },
+			{ value: 'population', label: 'Population vector' }
+		],
+		visible: isSimulating
+	},
+	{
+		key: 'decodeModules',
+		label: 'Modules read',
+		group: 'Position decoding',
+		type: 'int',
+		default: 6,
+		min: 1,
+		max: 6,
+		step: 1,
+		visible: isSimulating
+	},
+	{
+		key: 'decodeWindow',
+		label: 'Window',
+		group: 'Position decoding',
+		type: 'float',
+		default: 0.5,
+		min: 0.1,
+		max: 2,
+		step: 0.05,
+		unit: 's',
+		visible: isSimulating
+	}
+];
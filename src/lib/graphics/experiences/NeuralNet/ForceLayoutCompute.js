@@ -0,0 +1,155 @@
+import Pipeline from '../../pipelines/Pipeline';
+import {
+	FORCE_LAYOUT,
+	adjacencyArrays,
+	forceLayoutStart,
+	forceLayoutSpacing,
+	forceLayoutTemperature,
+	forceLayoutPositions
+} from '../../../simulation/layouts.js';
+
+/**
+ * ForceLayoutCompute - Force-directed layout as a GPU compute pass
+ * Runs the same iterations as forceLayout() in simulation/layouts.js,
+ * ping-ponging between two position buffers, and reads the result back.
+ */
+export default class ForceLayoutCompute extends Pipeline {
+	constructor(device) {
+		super(device);
+		this.device = device;
+		this.computePipeline = null;
+		this.bindGroupLayout = null;
+		this.iterationsPerSubmit = 10; // Iterations sharing one temperature
+	}
+
+	async initialize() {
+		const response = await fetch('/shaders/neuralnet/forceLayout.wgsl');
+		if (!response.ok) {
+			throw new Error(`Failed to fetch forceLayout.wgsl: ${response.statusText}`);
+		}
+		const module = this.createShaderModule({
+			code: await response.text(),
+			label: 'Force Layout Shader'
+		});
+
+		this.bindGroupLayout = this.device.createBindGroupLayout({
+			label: 'Force Layout Bind Group Layout',
+			entries: [
+				{ binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } }, // Params
+				{ binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } }, // Positions in
+				{ binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }, // Positions out
+				{ binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } }, // Offsets
+				{ binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } } // Neighbors
+			]
+		});
+
+		this.computePipeline = this.createComputePipeline({
+			label: 'Force Layout Pipeline',
+			layout: this.device.createPipelineLayout({ bindGroupLayouts: [this.bindGroupLayout] }),
+			compute: { module, entryPoint: 'main' }
+		});
+	}
+
+	/**
+	 * Lay out a graph, starting from the given unit ball positions
+	 * @returns {Promise<number[][]>} Positions in the unit ball
+	 */
+	async run(
+		graph,
+		{ positions = null, random = Math.random, iterations = FORCE_LAYOUT.iterations } = {}
+	) {
+		const n = graph.numNodes;
+		const { offsets, neighbors } = adjacencyArrays(graph);
+		const start = forceLayoutStart(graph, positions, random);
+		const freeCount = graph.sinkNodeIndex >= 0 ? n - 1 : n;
+
+		const storage = (data, label, extraUsage = 0) => {
+			const buffer = this.device.createBuffer({
+				label,
+				// Storage bindings cannot be empty
+				size: Math.max(data.byteLength, 16),
+				usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | extraUsage
+			});
+			this.device.queue.writeBuffer(buffer, 0, data);
+			return buffer;
+		};
+
+		const paramsBuffer = this.device.createBuffer({
+			label: 'Force Layout Params',
+			size: 16,
+			usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+		});
+		const positionBuffers = [
+			storage(start, 'Force Layout Positions A', GPUBufferUsage.COPY_SRC),
+			storage(start, 'Force Layout Positions B', GPUBufferUsage.COPY_SRC)
+		];
+		const offsetBuffer = storage(offsets, 'Force Layout Offsets');
+		const neighborBuffer = storage(neighbors, 'Force Layout Neighbors');
+		const readBuffer = this.device.createBuffer({
+			label: 'Force Layout Read Buffer',
+			size: start.byteLength,
+			usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+		});
+
+		// bindGroups[i] reads buffer i and writes the other one
+		const bindGroups = [0, 1].map((i) =>
+			this.device.createBindGroup({
+				layout: this.bindGroupLayout,
+				entries: [
+					{ binding: 0, resource: { buffer: paramsBuffer } },
+					{ binding: 1, resource: { buffer: positionBuffers[i] } },
+					{ binding: 2, resource: { buffer: positionBuffers[1 - i] } },
+					{ binding: 3, resource: { buffer: offsetBuffer } },
+					{ binding: 4, resource: { buffer: neighborBuffer } }
+				]
+			})
+		);
+
+		const params = new ArrayBuffer(16);
+		const paramsView = new DataView(params);
+		paramsView.setUint32(0, n, true);
+		paramsView.setFloat32(4, forceLayoutSpacing(freeCount), true);
+		paramsView.setFloat32(8, FORCE_LAYOUT.gravity, true);
+
+		const workgroups = Math.ceil(n / 64);
+		let current = 0;
+
+		try {
+			// Queue writes and submits run in order, so each batch sees its own temperature
+			for (let iteration = 0; iteration < iterations; iteration += this.iterationsPerSubmit) {
+				paramsView.setFloat32(12, forceLayoutTemperature(iteration, iterations), true);
+				this.device.queue.writeBuffer(paramsBuffer, 0, params);
+
+				const encoder = this.device.createCommandEncoder({ label: 'Force Layout' });
+				const batch = Math.min(this.iterationsPerSubmit, iterations - iteration);
+				for (let i = 0; i < batch; i++) {
+					const pass = encoder.beginComputePass();
+					pass.setPipeline(this.computePipeline);
+					pass.setBindGroup(0, bindGroups[current]);
+					pass.dispatchWorkgroups(workgroups);
+					pass.end();
+					current = 1 - current;
+				}
+
+				if (iteration + batch >= iterations) {
+					encoder.copyBufferToBuffer(positionBuffers[current], 0, readBuffer, 0, start.byteLength);
+				}
+				this.device.queue.submit([encoder.finish()]);
+			}
+
+			await readBuffer.mapAsync(GPUMapMode.READ);
+			const state = new Float32Array(readBuffer.getMappedRange().slice(0));
+			readBuffer.unmap();
+
+			return forceLayoutPositions(graph, state);
+		} finally {
+			[paramsBuffer, ...positionBuffers, offsetBuffer, neighborBuffer, readBuffer].forEach(
+				(buffer) => buffer.destroy()
+			);
+		}
+	}
+
+	render() {
+		// Compute only
+	}
+}
@@ -8,8 +8,9 @@
  * - We compute field lines by integrating the dual 1-form
  */
 export default class MagneticFieldComputation {
-	constructor(graph, positions) {
+	constructor(graph, positions, random = Math.random) {
 		this.graph = graph;
+		this.random = random; // Used to pick field line seed points
 		this.positions = positions;
 		this.numNodes = graph.numNodes;
 		this.edges = graph.getEdges();
@@ -36,6 +37,16 @@ export default class MagneticFieldComputation {
 		}
 	}
 	
+	/**
+	 * Move the nodes (e.g. to a new layout). Currents stay on their edges;
+	 * field lines from the old positions are dropped, call
+	 * generateFieldLines() to trace them again.
+	 */
+	updatePositions(positions) {
+		this.positions = positions;
+		this.fieldLines = [];
+	}
+	
 	/**
 	 * Get canonical edge key (sorted to make undirected)
 	 */
@@ -176,7 +187,7 @@ export default class MagneticFieldComputation {
 		
 		for (let i = 0; i < numLines; i++) {
 			const theta = (i / numLines) * 2 * Math.PI;
-			const phi = Math.acos(2 * Math.random() - 1);
+			const phi = Math.acos(2 * this.random() - 1);
 			
 			const startPoint = [
 				seedRadius * Math.sin(phi) * Math.cos(theta),
@@ -1,101 +1,420 @@
 import Experience from '../Experience';
 import NeuronGeometry from './NeuronGeometry';
 import NeuralNetPipeline from './NeuralNetPipeline';
-import GraphStructure from './GraphStructure';
-import ChipFiringSimulation from './ChipFiringSimulation';
+import GraphStructure from '../../../simulation/GraphStructure.js';
+import ChipFiringSimulation from '../../../simulation/ChipFiringSimulation.js';
+import SandpileGroup, { MAX_ORDER_NODES } from '../../../simulation/SandpileGroup.js';
+import AvalancheDetector from '../../../simulation/AvalancheDetector.js';
+import { topologies, parseAdjacencyList } from '../../../simulation/generators.js';
+import { forceLayout, spectralLayout, radialLayout } from '../../../simulation/layouts.js';
 import MagneticFieldComputation from './MagneticFieldComputation';
+import ForceLayoutCompute from './ForceLayoutCompute';
+import { pickPoint } from '../../utils/picking.js';
+import parameterSchema from './parameters';
 
 class NeuralNetExperience extends Experience {
 	constructor(device, resourceManager) {
 		super(device, resourceManager);
 
 		// Graph parameters
-		this.numNodes = 150; // Number of neurons in the network
-		this.connectivity = 0.015; // Erdős-Rényi connectivity probability (adjust for desired density)
+		this.requestedNodes = 150; // Number of neurons (lattices round down to a whole grid)
+		this.numNodes = this.requestedNodes; // Actual count, set from the graph
+		this.defineParameters(parameterSchema); // Topology, see parameters.js
+		this.customGraph = null; // Adjacency list text loaded from a file, overrides the topology
+		this.layoutScale = 200; // Layouts fill the unit ball, scaled up to this radius
 		
 		// Simulation parameters
 		this.minChips = 2;
 		this.maxChips = 8;
 		this.autoAddChips = true; // Continuously add chips to keep simulation active
-		this.chipsPerStep = 1; // Number of random chips to add each step
+		this.chipsPerStep = 1; // Number of random chips to add each step (each stable step when driving slowly)
 		this.stepsPerFrame = 1; // Number of simulation steps per render frame
 		
-		// Create graph structure
-		this.graph = new GraphStructure(this.numNodes, this.connectivity);
+		// Every random draw comes from the experience seed, so a run can be replayed
+		this.usesRandomSeed = true;
 		
-		// Create chip firing simulation
-		this.chipFiring = new ChipFiringSimulation(this.graph);
-		
-		// Initialize with random chips
-		this.chipFiring.initializeRandomChips(this.minChips, this.maxChips);
+		// Graph, chip firing simulation, sandpile group and avalanche detector
+		Object.assign(this, this.createNetwork());
+		this.showIdentity = false; // Show the identity element instead of the live simulation
 		
 		// Magnetic field computation
 		this.magneticFieldEnabled = true;
 		this.magneticField = null; // Will be initialized after positions are set
 		this.showMagneticField = true; // Toggle for visualization
 		
-		// Add neuron geometries
+		// Rebuild the network when the topology changes (debounced for sliders)
+		this.rebuildTimer = null;
+		this.buildCount = 0;
+		this.parameterKey = JSON.stringify(this.getParameterTopology());
+		this.unsubscribeParameters = this.parameters.subscribe(() => {
+			const key = JSON.stringify(this.getParameterTopology());
+			if (key === this.parameterKey) return;
+			
+			this.parameterKey = key;
+			this.customGraph = null;
+			this.scheduleRebuild();
+		});
+		
+		// Move the nodes when the layout changes
+		this.forceLayoutCompute = null; // GPU force layout, created on first use
+		this.layoutAnimation = null;
+		this.layoutCount = 0;
+		this.parameters.watch('layout', () => this.applyLayout());
+		
+		// Avalanches under the two driving protocols don't belong in one sample
+		this.parameters.watch('driving', () => this.avalancheDetector.reset());
+		
+		// Node under the pointer, for the tooltip
+		this.hoveredNode = null;
+		this.pointer = null;
+		this.pickRadius = 6; // A little larger than a neuron (4.5)
+		
+		// Add neuron geometry
 		this.addNeurons();
 		
 		console.log('Graph stats:', this.graph.getStats());
 	}
 
-	async initialize() {
-		// Embed nodes in unit ball and scale to desired size
-		const unitBallPositions = this.graph.embedInUnitBall();
-		this.positions = this.graph.scalePositions(unitBallPositions, 200);
+	/**
+	 * Topology options for GraphStructure: the loaded file, if any,
+	 * otherwise the parameters
+	 */
+	getTopology() {
+		if (this.customGraph) {
+			return { type: 'adjacencyList', sink: 'all', text: this.customGraph.text };
+		}
+		return this.getParameterTopology();
+	}
+
+	// Only visible Topology parameters count, so hidden ones never trigger a rebuild
+	getParameterTopology() {
+		const topology = {};
+		for (const { key, group } of this.parameters.schema) {
+			if (group === 'Topology' && this.parameters.isVisible(key)) {
+				topology[key === 'topology' ? 'type' : key] = this.parameters.get(key);
+			}
+		}
+		return topology;
+	}
+
+	// Name of the current graph model, for the UI
+	getTopologyLabel() {
+		if (this.customGraph) return this.customGraph.name;
+		return topologies[this.graph.topology.type].label;
+	}
+
+	/**
+	 * Graph, simulation, sandpile group and avalanche detector for the
+	 * current topology. Each
+	 * build draws from fresh forks of the seed, so the same seed and
+	 * topology always give the same network.
+	 */
+	createNetwork() {
+		const topology = this.getTopology();
+		const graph = new GraphStructure(
+			this.requestedNodes,
+			topology.connectivity,
+			true,
+			this.random.fork('graph'),
+			topology
+		);
 		
-		// Get edges from graph
-		const edges = this.graph.getEdges();
+		// Create chip firing simulation
+		const chipFiring = new ChipFiringSimulation(graph, this.random.fork('chips'));
+		
+		// Initialize with random chips
+		chipFiring.initializeRandomChips(this.minChips, this.maxChips);
+		
+		// Sandpile group of the graph (recurrence, identity element, group order)
+		const sandpile = new SandpileGroup(graph);
+		
+		return {
+			graph,
+			chipFiring,
+			avalancheDetector: new AvalancheDetector(chipFiring),
+			sandpile,
+			groupOrder: null, // Computed when the panel asks, see computeGroupOrder()
+			numNodes: graph.numNodes
+		};
+	}
+
+	/**
+	 * Positions, pipeline and magnetic field for a graph
+	 */
+	async createView(graph) {
+		// Embed nodes (the topology's own layout, or the unit ball) and scale to desired size
+		const unitBallPositions = graph.embed(this.random.fork('embedding'));
+		const positions = graph.scalePositions(unitBallPositions, this.layoutScale);
 		
 		// Convert edges to connection format expected by pipeline
-		this.connections = edges.map(([source, target]) => ({
+		const connections = graph.getEdges().map(([source, target]) => ({
 			source,
 			target
 		}));
 		
-		console.log(`Initialized ${this.numNodes} nodes with ${this.connections.length} edges`);
+		console.log(`Initialized ${graph.numNodes} nodes with ${connections.length} edges`);
 
 		// Initialize the pipeline (without cube)
-		this.pipeline = new NeuralNetPipeline(
+		const pipeline = new NeuralNetPipeline(
 			this.device,
 			this.resourceManager.camera,
 			this.resourceManager.getViewportBuffer(),
 			this.resourceManager.getMouseBuffer(),
-			this.numNodes,
-			this.connections.length
+			graph.numNodes,
+			connections.length
 		);
-		await this.pipeline.initialize();
+		await pipeline.initialize();
 
 		// Pass positions and connections to the pipeline
-		this.pipeline.updatePositions(this.positions);
-		this.pipeline.updateConnections(this.connections, this.positions);
+		pipeline.updatePositions(positions);
+		pipeline.updateConnections(connections, positions);
 		
 		// Initialize magnetic field computation
-		this.magneticField = new MagneticFieldComputation(this.graph, this.positions);
+		const magneticField = new MagneticFieldComputation(graph, positions, this.random.fork('field'));
 		console.log('Magnetic field computation initialized');
+		
+		return { positions, connections, pipeline, magneticField };
 	}
 
-	addNeurons() {
-		// Add neuron geometries
-		for (let i = 0; i < this.numNodes; i++) {
-			this.addObject(new NeuronGeometry(this.device));
+	async initialize() {
+		Object.assign(this, await this.createView(this.graph));
+		if (this.parameters.get('layout') !== 'natural') {
+			this.applyLayout();
+		}
+	}
+
+	scheduleRebuild() {
+		if (this.rebuildTimer) clearTimeout(this.rebuildTimer);
+		this.rebuildTimer = setTimeout(() => {
+			this.rebuildTimer = null;
+			// Nothing is replaced until the new view is ready, so the old network keeps running
+			this.rebuild().catch((error) => {
+				console.error('Failed to rebuild the network:', error);
+			});
+		}, 150);
+	}
+
+	/**
+	 * Replace the network with one built from the current topology. The old
+	 * network keeps rendering until the new pipeline is ready; a rebuild that
+	 * is overtaken by a newer one (or by cleanup) is discarded.
+	 */
+	async rebuild() {
+		const build = ++this.buildCount;
+		const network = this.createNetwork();
+		const view = await this.createView(network.graph);
+
+		if (build !== this.buildCount || !this.device) {
+			view.pipeline.cleanup();
+			return;
+		}
+
+		this.pipeline?.cleanup();
+		Object.assign(this, network, view);
+		this._previousMagneticFieldEnabled = false; // Regenerate field lines right away
+		
+		// The new graph starts in its embedding; move it to the chosen layout
+		this.layoutAnimation = null;
+		this.layoutCount++;
+		if (this.parameters.get('layout') !== 'natural') {
+			this.applyLayout();
+		}
+		
+		console.log('Graph stats:', this.graph.getStats());
+	}
+
+	/**
+	 * Unit ball positions of a layout (see simulation/layouts.js). The force
+	 * layout starts from the embedding, so a seed always gives the same
+	 * result, and runs on the GPU when it can.
+	 */
+	async computeLayout(name, graph) {
+		if (name === 'spectral') return spectralLayout(graph);
+		if (name === 'radial') return radialLayout(graph);
+		
+		const embedding = graph.embed(this.random.fork('embedding'));
+		if (name !== 'force') return embedding;
+		
+		const options = { positions: embedding, random: this.random.fork('layout') };
+		try {
+			if (!this.forceLayoutCompute) {
+				const compute = new ForceLayoutCompute(this.device);
+				await compute.initialize();
+				this.forceLayoutCompute = compute;
+			}
+			return await this.forceLayoutCompute.run(graph, options);
+		} catch (error) {
+			console.warn('GPU force layout failed, using the CPU layout:', error);
+			return forceLayout(graph, options);
 		}
 	}
 
+	/**
+	 * Animate the nodes to the layout chosen in the parameters. A newer
+	 * layout request (or a rebuilt graph) supersedes this one.
+	 */
+	async applyLayout() {
+		if (!this.pipeline) return;
+		
+		const request = ++this.layoutCount;
+		const graph = this.graph;
+		const unitBallPositions = await this.computeLayout(this.parameters.get('layout'), graph);
+		if (request !== this.layoutCount || graph !== this.graph || !this.pipeline) return;
+		
+		this.layoutAnimation = {
+			from: this.positions.map((position) => [...position]),
+			to: graph.scalePositions(unitBallPositions, this.layoutScale),
+			start: performance.now(),
+			duration: 1200
+		};
+	}
+
+	// Advance the layout animation; called every frame
+	updateLayoutAnimation() {
+		const animation = this.layoutAnimation;
+		if (!animation) return;
+		
+		const t = Math.min((performance.now() - animation.start) / animation.duration, 1);
+		const eased = t * t * (3 - 2 * t);
+		this.setPositions(animation.from.map((from, node) =>
+			from.map((value, axis) => value + (animation.to[node][axis] - value) * eased)
+		));
+		
+		if (t >= 1) {
+			this.layoutAnimation = null;
+			this._previousMagneticFieldEnabled = false; // Trace field lines from the final positions
+		}
+	}
+
+	// Move the nodes, their dendrites and the field sources
+	setPositions(positions) {
+		this.positions = positions;
+		this.pipeline.updatePositions(positions);
+		this.pipeline.updateConnections(this.connections, positions);
+		if (this.magneticField) {
+			this.magneticField.updatePositions(positions);
+		}
+	}
+
+	/**
+	 * Use a graph from an adjacency list file (see parseAdjacencyList) until
+	 * the topology parameters change. Throws if the text has no nodes.
+	 */
+	async loadAdjacencyList(text, name = 'file') {
+		parseAdjacencyList(text);
+		this.customGraph = { text, name };
+		await this.rebuild();
+	}
+
+	// Index of the neuron under the pointer, or null
+	pickNode(pointer) {
+		const camera = this.resourceManager?.camera;
+		if (!camera || !this.positions) return null;
+		
+		const ray = camera.getPickingRay(pointer.x, pointer.y);
+		const hit = pickPoint(ray, this.positions, { radius: this.pickRadius });
+		return hit ? hit.index : null;
+	}
+
+	// Picked again every frame, since nodes and camera move under the pointer
+	handlePointerMove(pointer) {
+		this.pointer = pointer;
+	}
+
+	handlePointerLeave() {
+		this.pointer = null;
+		this.hoveredNode = null;
+	}
+
+	// Click drops chips on a neuron; shift-click makes it the sink
+	handleClick(pointer) {
+		const node = this.pickNode(pointer);
+		if (node === null) return;
+		
+		if (pointer.shiftKey) {
+			this.setSink(node);
+		} else if (node !== this.graph.sinkNodeIndex) {
+			this.chipFiring.addChips(node, this.parameters.get('injection'));
+		}
+	}
+
+	/**
+	 * Move the sink to another node. The graph is unchanged, so the group
+	 * order (its number of spanning trees) is too, but the group itself and
+	 * the avalanche statistics start over.
+	 */
+	setSink(node) {
+		if (node === this.graph.sinkNodeIndex) return;
+		
+		this.chipFiring.setSink(node);
+		this.sandpile = new SandpileGroup(this.graph);
+		this.avalancheDetector.reset();
+	}
+
+	/**
+	 * Order of the sandpile group, computed on request since the exact
+	 * determinant blocks the main thread. Stays null on graphs with more
+	 * than MAX_ORDER_NODES non-sink nodes.
+	 */
+	computeGroupOrder() {
+		if (this.groupOrder === null && !this.isGroupOrderTooLarge()) {
+			this.groupOrder = this.sandpile.order();
+		}
+		return this.groupOrder;
+	}
+
+	isGroupOrderTooLarge() {
+		return this.sandpile.nodes.length > MAX_ORDER_NODES;
+	}
+
+	// Degree, chips and firing history of a node, for the tooltip
+	getNodeInfo(node) {
+		return {
+			node,
+			sink: node === this.graph.sinkNodeIndex,
+			degree: this.graph.getDegree(node),
+			chips: this.chipFiring.chips[node],
+			firings: this.chipFiring.firingCounts[node],
+			history: this.chipFiring.activityHistory[node].map((event) => event.step)
+		};
+	}
+
+	addNeurons() {
+		// All neurons are instances of one geometry
+		this.addObject(new NeuronGeometry(this.device));
+	}
+
+	/**
+	 * Heights of the identity element as activity values, 0 chips to degree - 1
+	 */
+	getIdentityActivity() {
+		const identity = this.sandpile.identity();
+		return identity.map((chips, node) => {
+			const degree = this.graph.getDegree(node);
+			return degree > 1 ? chips / (degree - 1) : 0;
+		});
+	}
+
 	render(commandEncoder, textureView) {
-		// Run chip firing simulation steps
+		this.updateLayoutAnimation();
+		this.hoveredNode = this.pointer ? this.pickNode(this.pointer) : null;
+		
+		// Run chip firing simulation steps (paused while the identity is shown)
 		const firedNodes = [];
-		for (let i = 0; i < this.stepsPerFrame; i++) {
+		const steps = this.showIdentity ? 0 : this.stepsPerFrame;
+		for (let i = 0; i < steps; i++) {
 			const fired = this.chipFiring.step();
+			this.avalancheDetector.observe(fired);
 			
 			// Track which nodes fired for magnetic field computation
 			if (fired > 0 && this.magneticField) {
 				firedNodes.push(...Array.from(this.chipFiring.lastFired));
 			}
 			
-			// Optionally add random chips to keep simulation active
-			if (this.autoAddChips) {
+			// Optionally add random chips to keep simulation active; slow
+			// driving waits for each avalanche to end first
+			const ready = fired === 0 || this.parameters.get('driving') === 'continuous';
+			if (this.autoAddChips && ready) {
 				this.chipFiring.addRandomChips(this.chipsPerStep);
 			}
 		}
@@ -139,13 +458,16 @@ class NeuralNetExperience extends Experience {
 		}
 		
 		// Decay activity for smooth visualization
-		this.chipFiring.decayActivity(0.92);
+		if (!this.showIdentity) {
+			this.chipFiring.decayActivity(0.92);
+		}
 		
 		// Get current activity state
 		const state = this.chipFiring.getState();
 		
 		// Update activity in pipeline (pass sink node index)
-		this.pipeline.updateActivityFromChipFiring(state.activity, this.graph.sinkNodeIndex);
+		const activity = this.showIdentity ? this.getIdentityActivity() : state.activity;
+		this.pipeline.updateActivityFromChipFiring(activity, this.graph.sinkNodeIndex);
 		
 		// Dispatch event with current state for UI components
 		if (typeof window !== 'undefined') {
@@ -155,7 +477,28 @@ class NeuralNetExperience extends Experience {
 					activity: state.activity,
 					activityHistory: this.chipFiring.activityHistory,
 					stats: this.chipFiring.getStats(),
-					sinkNodeIndex: this.graph.sinkNodeIndex
+					sinkNodeIndex: this.graph.sinkNodeIndex,
+					numNodes: this.numNodes,
+					topology: this.getTopologyLabel(),
+					sandpile: {
+						// Recurrence is only defined for stable configurations
+						stable: this.sandpile.isStable(state.chips),
+						recurrent: this.sandpile.isRecurrent(state.chips),
+						groupOrder: this.groupOrder,
+						orderTooLarge: this.isGroupOrderTooLarge(),
+						showIdentity: this.showIdentity
+					},
+					hover: this.hoveredNode === null ? null : {
+						...this.getNodeInfo(this.hoveredNode),
+						clientX: this.pointer.clientX,
+						clientY: this.pointer.clientY
+					},
+					avalanches: {
+						// Shared with the detector, so only read it
+						records: this.avalancheDetector.avalanches,
+						count: this.avalancheDetector.count,
+						driving: this.parameters.get('driving')
+					}
 				}
 			});
 			window.dispatchEvent(event);
@@ -186,11 +529,29 @@ class NeuralNetExperience extends Experience {
 
 
 	cleanup() {
+		// Stop pending rebuilds
+		if (this.rebuildTimer) {
+			clearTimeout(this.rebuildTimer);
+			this.rebuildTimer = null;
+		}
+		this.buildCount++;
+		this.layoutCount++;
+		this.layoutAnimation = null;
+		if (this.unsubscribeParameters) {
+			this.unsubscribeParameters();
+			this.unsubscribeParameters = null;
+		}
+
 		// Clean up pipeline
 		if (this.pipeline) {
 			this.pipeline.cleanup();
 			this.pipeline = null;
 		}
+		
+		if (this.forceLayoutCompute) {
+			this.forceLayoutCompute.cleanup();
+			this.forceLayoutCompute = null;
+		}
 
 		// Clean up simulation and graph
 		if (this.chipFiring) {
@@ -201,6 +562,10 @@ class NeuralNetExperience extends Experience {
 		if (this.graph) {
 			this.graph = null;
 		}
+		this.sandpile = null;
+		this.avalancheDetector = null;
+		this.hoveredNode = null;
+		this.pointer = null;
 
 		// Reset state
 		this.connections = [];
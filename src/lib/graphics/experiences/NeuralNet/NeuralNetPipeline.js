@@ -308,16 +308,20 @@ export default class NeuralNetPipeline extends Pipeline {
 			dendritePositions.set([...sourcePosition, ...targetPosition], i * 6);
 		});
 
-		// Create the dendrite vertex buffer
-		if (this.dendriteVertexBuffer) {
+		// Create the dendrite vertex buffer, reusing it while the size fits
+		// (layout animations update it every frame)
+		if (this.dendriteVertexBuffer && this.dendriteVertexBuffer.size !== dendritePositions.byteLength) {
 			this.dendriteVertexBuffer.destroy();
+			this.dendriteVertexBuffer = null;
 		}
 
-		this.dendriteVertexBuffer = this.device.createBuffer({
-			size: dendritePositions.byteLength,
-			usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
-			label: 'Dendrite Vertex Buffer'
-		});
+		if (!this.dendriteVertexBuffer) {
+			this.dendriteVertexBuffer = this.device.createBuffer({
+				size: dendritePositions.byteLength,
+				usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
+				label: 'Dendrite Vertex Buffer'
+			});
+		}
 
 		this.device.queue.writeBuffer(this.dendriteVertexBuffer, 0, dendritePositions);
 
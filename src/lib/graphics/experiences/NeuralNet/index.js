@@ -0,0 +1,17 @@
+export default {
+	id: 'neuralnet',
+	name: 'NEURAL NET',
+	title: 'Neural Network - Chip Firing Simulation',
+	description:
+		'Interactive visualization of neural network training. No use yet. When I make NNs I will also visualise them. I like pretty pictures.',
+	color: '#ff3366',
+	order: 3,
+	camera: {
+		position: { x: 0, y: 350, z: 550 },
+		fov: 45 * (Math.PI / 180),
+		baseDistance: 75900.0 // Medium distance for network visualization
+	},
+	shaders: ['/shaders/neuralnet/neuronShader.wgsl', '/shaders/neuralnet/forceLayout.wgsl'],
+	load: () => import('./NeuralNetExperience.js'),
+	controls: () => import('./NeuralNetControls.svelte')
+};
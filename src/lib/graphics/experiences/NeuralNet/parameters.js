@@ -0,0 +1,177 @@
+// Parameter schema for the chip firing network
+// Nothing here feeds a uniform buffer: a Topology change rebuilds the
+// graph, a Layout change moves the nodes, a Driving change restarts the
+// avalanche statistics. Chips per Click is read when a neuron is clicked.
+
+const is =
+	(...types) =>
+	(values) =>
+		types.includes(values.topology);
+
+export default [
+	{
+		key: 'topology',
+		label: 'Model',
+		type: 'enum',
+		default: 'erdosRenyi',
+		options: [
+			{ value: 'erdosRenyi', label: 'Erdős–Rényi' },
+			{ value: 'wattsStrogatz', label: 'Watts–Strogatz' },
+			{ value: 'barabasiAlbert', label: 'Barabási–Albert' },
+			{ value: 'lattice', label: 'Lattice' },
+			{ value: 'torus', label: 'Torus' },
+			{ value: 'randomGeometric', label: 'Random geometric' },
+			{ value: 'stochasticBlock', label: 'Stochastic block model' }
+		],
+		control: 'select',
+		group: 'Topology'
+	},
+	{
+		key: 'connectivity',
+		label: 'Edge Probability',
+		type: 'float',
+		default: 0.015,
+		min: 0,
+		max: 0.1,
+		step: 0.001,
+		group: 'Topology',
+		visible: is('erdosRenyi')
+	},
+	{
+		key: 'neighbors',
+		label: 'Ring Neighbors',
+		type: 'int',
+		default: 4,
+		min: 2,
+		max: 12,
+		step: 2,
+		group: 'Topology',
+		visible: is('wattsStrogatz')
+	},
+	{
+		key: 'rewiring',
+		label: 'Rewiring',
+		type: 'float',
+		default: 0.1,
+		min: 0,
+		max: 1,
+		step: 0.01,
+		group: 'Topology',
+		visible: is('wattsStrogatz')
+	},
+	{
+		key: 'attachment',
+		label: 'Links per Node',
+		type: 'int',
+		default: 2,
+		min: 1,
+		max: 6,
+		step: 1,
+		group: 'Topology',
+		visible: is('barabasiAlbert')
+	},
+	{
+		key: 'dimensions',
+		label: 'Dimensions',
+		type: 'enum',
+		default: 2,
+		options: [
+			{ value: 2, label: '2D' },
+			{ value: 3, label: '3D' }
+		],
+		group: 'Topology',
+		visible: is('lattice', 'torus', 'randomGeometric')
+	},
+	{
+		key: 'radius',
+		label: 'Link Radius',
+		type: 'float',
+		default: 0.25,
+		min: 0.05,
+		max: 0.6,
+		step: 0.01,
+		group: 'Topology',
+		visible: is('randomGeometric')
+	},
+	{
+		key: 'blocks',
+		label: 'Communities',
+		type: 'int',
+		default: 4,
+		min: 1,
+		max: 10,
+		step: 1,
+		group: 'Topology',
+		visible: is('stochasticBlock')
+	},
+	{
+		key: 'pIn',
+		label: 'Inside Probability',
+		type: 'float',
+		default: 0.1,
+		min: 0,
+		max: 0.5,
+		step: 0.005,
+		group: 'Topology',
+		visible: is('stochasticBlock')
+	},
+	{
+		key: 'pOut',
+		label: 'Across Probability',
+		type: 'float',
+		default: 0.005,
+		min: 0,
+		max: 0.05,
+		step: 0.001,
+		group: 'Topology',
+		visible: is('stochasticBlock')
+	},
+	{
+		key: 'sink',
+		label: 'Sink',
+		type: 'enum',
+		default: 'all',
+		options: [
+			{ value: 'all', label: 'All nodes' },
+			{ value: 'boundary', label: 'Boundary' }
+		],
+		group: 'Topology',
+		visible: is('lattice')
+	},
+	{
+		key: 'layout',
+		label: 'Layout',
+		type: 'enum',
+		default: 'natural',
+		options: [
+			{ value: 'natural', label: 'Embedding' },
+			{ value: 'force', label: 'Force-directed' },
+			{ value: 'spectral', label: 'Spectral' },
+			{ value: 'radial', label: 'Radial' }
+		],
+		control: 'buttons',
+		group: 'Layout'
+	},
+	{
+		key: 'driving',
+		label: 'Driving',
+		type: 'enum',
+		default: 'continuous',
+		options: [
+			{ value: 'continuous', label: 'Continuous' },
+			{ value: 'slow', label: 'Slow' }
+		],
+		control: 'buttons',
+		group: 'Simulation'
+	},
+	{
+		key: 'injection',
+		label: 'Chips per Click',
+		type: 'int',
+		default: 10,
+		min: 1,
+		max: 100,
+		step: 1,
+		group: 'Simulation'
+	}
+];
@@ -1,5 +1,40 @@
 import Experience from '../Experience';
 import RiemannPipeline from './RiemannPipeline.js';
+import SheetSurface from './SheetSurface.js';
+import parameterSchema from './parameters.js';
+import { generateSurfaceShader } from './functionShader.js';
+import { MAX_DOMAIN_MARKERS, stripBounds, surfaceDomain } from './domainColoring.js';
+import {
+	SURFACE_VERTEX_FLOATS,
+	gridSurface,
+	isAnimated,
+	surfaceKey,
+	surfaceLOD
+} from './surfaceCompute.js';
+import { QuadtreeLOD } from '../../utils/quadtreeLOD.js';
+import { findZerosAndPoles } from '../../../complex/winding.js';
+import { findCriticalZeros, hardyZ, riemannSiegelTheta, zeta } from '../../../complex/zeta.js';
+
+// Zero/pole searches run on the main thread: at most every DOMAIN_SEARCH_INTERVAL
+// ms, and with at least DOMAIN_SEARCH_IDLE times their own duration in between
+const DOMAIN_SEARCH_INTERVAL = 500;
+const DOMAIN_SEARCH_IDLE = 10;
+
+// Zero seeking starts this far past the marker, so a marker on a zero moves on
+const ZERO_SEEK_OFFSET = 1e-6;
+
+// Parameters the multi-sheeted surface is built from, see SheetSurface.build
+const SHEET_PARAMETERS = [
+	'sheetFunction',
+	'sheetDegree',
+	'sheetExpression',
+	'logSheets',
+	'sheetHeight',
+	'sheetScale',
+	'sheetContinuation',
+	'continuationBranch',
+	'continuationRadius'
+];
 
 class RiemannExperience extends Experience {
 	constructor(device, resourceManager) {
@@ -28,19 +63,15 @@ class RiemannExperience extends Experience {
 			this.resourceManager.experiences.riemann = this;
 		}
 
-		// Grid resolution - increase for better visual quality
-		this.resolution = 1000;
-		this.totalVertices = this.resolution * this.resolution;
-		this.totalIndices = (this.resolution - 1) * (this.resolution - 1) * 6;
+		// Patches of the grid, finer where the camera looks closely; the patch
+		// indices are shared across all surface types
+		this.maxPatches = 512;
+		this.lodSurface = 'flat';
+		this.createLOD();
 
-		// Create a map to store buffers for each surface type
-		this.vertexBuffers = new Map();
-
-		// Create index buffer (shared across all surface types)
-		this.createIndexBuffer();
-
-		// Initialize vertex buffers for each surface type
-		this.initializeVertexBuffers();
+		// One grid for all surfaces, generated on the GPU, see ./surfaceCompute.js
+		this.vertexBuffer = null;
+		this.createSurfaceGrid();
 
 		// Create uniform buffer for time
 		this.uniformBuffer = this.device.createBuffer({
@@ -63,16 +94,50 @@ class RiemannExperience extends Experience {
 			label: 'Geometry Parameters Buffer'
 		});
 
-		// Initialize zeta parameters
-		this.zetaNumWaves = 5; // Default number of waves
-		this.zetaScale = 0.5; // Default scale factor
-		this.zetaScalingMode = 0; // 0=log, 1=theta/quadratic
-		this.zetaPhaseMode = 0; // 0=auto, 1=manual
-		this.zetaManualPhase = 0; // radians, -2π to 2π
-		this.zetaGeometryMode = 0; // 0=euclidean, 1=poincare disc
-		this.zetaWaveMode = 0; // 0=radial, 1=hexagonal (default radial)
-		this.updateZetaParams();
-		this.updateGeometryParams();
+		// Create function parameters buffer
+		this.functionParamsBuffer = this.device.createBuffer({
+			size: 16, // 4 floats: heightMode, heightScale, domain, heightLimit
+			usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+			label: 'Function Parameters Buffer'
+		});
+
+		// Create critical strip parameters buffer
+		this.stripParamsBuffer = this.device.createBuffer({
+			size: 32, // 8 floats: rectangle, heightMode, heightScale, heightLimit, markerT
+			usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+			label: 'Critical Strip Parameters Buffer'
+		});
+
+		// Zeta, geometry and function values are packed straight into their uniform buffers
+		this.defineParameters(parameterSchema);
+		this.parameters.bindBuffer('zetaParams', this.device, this.zetaParamsBuffer);
+		this.parameters.bindBuffer('geometryParams', this.device, this.geometryParamsBuffer);
+		this.parameters.bindBuffer('functionParams', this.device, this.functionParamsBuffer);
+		this.parameters.bindBuffer('stripParams', this.device, this.stripParamsBuffer);
+		this.parameters.watch('surface', (surface) => this.updateSurface(surface));
+		this.parameters.watch('expression', (expression) => this.compileFunction(expression));
+
+		// Shader compilation of the user-entered function, see compileFunction
+		this.functionCompilation = Promise.resolve();
+		this.functionError = null;
+
+		// Zeros and poles of the surface function, see updateDomainMarkers
+		this.domainSearch = { key: null, lastRun: 0, duration: 0 };
+		this.domainPoints = { zeros: [], poles: [] };
+
+		// The 'sheets' surface has its own mesh, rebuilt lazily while it is shown
+		this.sheetSurface = new SheetSurface(this.device);
+		this.sheetsDirty = true;
+		this.sheetState = { sheet: null, loop: null };
+		for (const key of SHEET_PARAMETERS) {
+			this.parameters.watch(key, () => (this.sheetsDirty = true));
+		}
+
+		// Z(t) at the critical line marker, and the zeros on the visible part of the line
+		this.criticalSearch = { key: null, lastRun: 0 };
+		this.criticalLine = { t: 0, Z: 0, zeta: [0, 0], theta: 0, zeros: [] };
+		this.parameters.watch('criticalT', () => this.updateCriticalReadout());
+		this.updateCriticalReadout();
 
 		// Initialize time
 		this.time = 0;
@@ -87,118 +152,14 @@ class RiemannExperience extends Experience {
 		this.surfaceShaderMap.set('weird', 'weird');
 		this.surfaceShaderMap.set('torus', 'torus');
 		this.surfaceShaderMap.set('zeta', 'zeta'); // Add zeta mapping
+		this.surfaceShaderMap.set('function', 'function'); // Generated from the expression parameter
+		this.surfaceShaderMap.set('sheets', 'sheets'); // Mesh from SheetSurface
+		this.surfaceShaderMap.set('strip', 'strip'); // ζ(s) on the flat grid
 
 		// Set current surface
 		this.currentSurface = 'ripple';
 	}
 
-	// Method to update zeta parameters
-	updateZetaParams() {
-		if (!this.device || !this.zetaParamsBuffer) return;
-
-		// Clamp number of waves to reasonable range
-		this.zetaNumWaves = Math.max(1, Math.min(50, this.zetaNumWaves));
-
-		// Clamp scale to reasonable range
-		this.zetaScale = Math.max(1.0, Math.min(100.0, this.zetaScale));
-
-		// Clamp scalingMode and phaseMode
-		this.zetaScalingMode = this.zetaScalingMode === 1 ? 1 : 0;
-		this.zetaPhaseMode = this.zetaPhaseMode === 1 ? 1 : 0;
-
-		// Update the buffer
-		this.device.queue.writeBuffer(
-			this.zetaParamsBuffer,
-			0,
-			new Float32Array([
-				this.zetaNumWaves,
-				this.zetaScale,
-				this.zetaScalingMode,
-				this.zetaPhaseMode
-			])
-		);
-	}
-
-	// Add method to update geometry parameters
-	updateGeometryParams() {
-		if (!this.device || !this.geometryParamsBuffer) return;
-
-		// Clamp geometry and wave modes
-		this.zetaGeometryMode = this.zetaGeometryMode === 1 ? 1 : 0;
-		this.zetaWaveMode = this.zetaWaveMode === 1 ? 1 : 0;
-
-		// Update the buffer
-		this.device.queue.writeBuffer(
-			this.geometryParamsBuffer,
-			0,
-			new Float32Array([this.zetaGeometryMode, this.zetaWaveMode, 0, 0])
-		);
-	}
-
-	// Method to set number of waves for zeta surface
-	setZetaNumWaves(numWaves) {
-		this.zetaNumWaves = numWaves;
-		this.updateZetaParams();
-	}
-
-	// Method to set scale for zeta surface
-	setZetaScale(scale) {
-		this.zetaScale = scale;
-		this.updateZetaParams();
-	}
-
-	// Method to get current number of waves
-	getZetaNumWaves() {
-		return this.zetaNumWaves;
-	}
-
-	// Method to get current scale
-	getZetaScale() {
-		return this.zetaScale;
-	}
-
-	// Add setters/getters
-	setZetaScalingMode(mode) {
-		this.zetaScalingMode = mode === 1 ? 1 : 0;
-		this.updateZetaParams();
-	}
-	getZetaScalingMode() {
-		return this.zetaScalingMode;
-	}
-	setZetaPhaseMode(mode) {
-		this.zetaPhaseMode = mode === 1 ? 1 : 0;
-		this.updateZetaParams();
-	}
-	getZetaPhaseMode() {
-		return this.zetaPhaseMode;
-	}
-	setZetaManualPhase(phase) {
-		// Clamp to -2π to 2π
-		const pi2 = Math.PI * 2;
-		this.zetaManualPhase = Math.max(-pi2, Math.min(pi2, phase));
-	}
-	getZetaManualPhase() {
-		return this.zetaManualPhase;
-	}
-
-	// Add setters/getters for geometry mode
-	setZetaGeometryMode(mode) {
-		this.zetaGeometryMode = mode === 1 ? 1 : 0;
-		this.updateGeometryParams();
-	}
-	getZetaGeometryMode() {
-		return this.zetaGeometryMode;
-	}
-
-	// Add setters/getters for wave mode
-	setZetaWaveMode(mode) {
-		this.zetaWaveMode = mode === 1 ? 1 : 0;
-		this.updateGeometryParams();
-	}
-	getZetaWaveMode() {
-		return this.zetaWaveMode;
-	}
-
 	// Method to update loading state
 	updateLoadingState(isLoading, message = '', progress = 0) {
 		this.isLoading = isLoading;
@@ -220,92 +181,66 @@ class RiemannExperience extends Experience {
 
 	// For compatibility with the original code
 	changeManifold(surfaceType) {
-		return this.updateSurface(surfaceType);
+		this.parameters.set('surface', surfaceType);
+		return this.currentSurface === surfaceType;
+	}
+
+	// Create the patch selection for the grid surfaces, see utils/quadtreeLOD.js
+	createLOD() {
+		this.lod?.cleanup();
+		this.lod = new QuadtreeLOD(this.device, {
+			label: 'Riemann Surface',
+			maxPatches: this.maxPatches,
+			maxLevel: 9,
+			pixelError: 3,
+			...surfaceLOD(this.lodSurface)
+		});
 	}
 
-	// Create index buffer (only need one for all surface types since topology is the same)
-	createIndexBuffer() {
-		// Create indices for the grid
-		const indices = new Uint32Array(this.totalIndices);
-		let index = 0;
-
-		for (let y = 0; y < this.resolution - 1; y++) {
-			for (let x = 0; x < this.resolution - 1; x++) {
-				// First triangle
-				indices[index++] = y * this.resolution + x;
-				indices[index++] = y * this.resolution + x + 1;
-				indices[index++] = (y + 1) * this.resolution + x;
-
-				// Second triangle
-				indices[index++] = y * this.resolution + x + 1;
-				indices[index++] = (y + 1) * this.resolution + x + 1;
-				indices[index++] = (y + 1) * this.resolution + x;
-			}
-		}
-
-		// Create index buffer with mappedAtCreation for better memory management
-		this.indexBuffer = this.device.createBuffer({
-			size: indices.byteLength,
-			usage: GPUBufferUsage.INDEX | GPUBufferUsage.COPY_DST,
-			mappedAtCreation: true,
-			label: 'Riemann Index Buffer'
+	// Create the vertex buffer the grid surfaces are computed into
+	createSurfaceGrid() {
+		this.vertexBuffer?.destroy();
+		this.gridCapacity = this.lod.capacity;
+		this.vertexBuffer = this.device.createBuffer({
+			size: this.gridCapacity * this.lod.patchVertices * SURFACE_VERTEX_FLOATS * 4,
+			usage: GPUBufferUsage.VERTEX | GPUBufferUsage.STORAGE,
+			label: 'Riemann Surface Grid'
 		});
 
-		// Copy data to the mapped buffer and unmap
-		new Uint32Array(this.indexBuffer.getMappedRange()).set(indices);
-		this.indexBuffer.unmap();
+		// Nothing is in it yet
+		this.surfaceGridKey = null;
+		this.pipeline?.setSurfaceGrid(this.vertexBuffer, this.lod.patchBuffer);
 	}
 
-	// Initialize separate vertex buffers for each surface type
-	initializeVertexBuffers() {
-		// Create vertex buffers for each surface type
-		const surfaceTypes = ['flat', 'sine', 'ripple', 'weird', 'torus', 'zeta'];
-
-		for (const surfaceType of surfaceTypes) {
-			// Generate vertices for this surface type
-			const vertices = new Float32Array(this.totalVertices * 3);
-
-			// Create specific surface geometry
-			this.generateSurfaceData(vertices, surfaceType);
-
-			// Create vertex buffer
-			const vertexBuffer = this.device.createBuffer({
-				size: vertices.byteLength,
-				usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
-				mappedAtCreation: true,
-				label: `Riemann Vertex Buffer (${surfaceType})`
-			});
-
-			// Copy data to the mapped buffer and unmap
-			new Float32Array(vertexBuffer.getMappedRange()).set(vertices);
-			vertexBuffer.unmap();
+	/**
+	 * Generate the grid for a surface, every frame when it moves and
+	 * otherwise only when it, its parameters or its patches change
+	 */
+	updateSurfaceGrid(commandEncoder, surface) {
+		if (surface !== this.lodSurface) {
+			this.lodSurface = surface;
+			this.lod.configure(surfaceLOD(surface));
+		}
+		this.lod.update(this.resourceManager.camera, this.resourceManager.depthTexture?.height);
 
-			// Store the buffer in our map
-			this.vertexBuffers.set(surfaceType, vertexBuffer);
+		// More patches than the grid holds: the patch buffer has grown with it
+		if (this.lod.capacity !== this.gridCapacity) {
+			this.createSurfaceGrid();
 		}
 
-		// Set the current vertex buffer based on the current surface
-		this.vertexBuffer = this.vertexBuffers.get(this.currentSurface);
-	}
+		const values = this.parameters.getValues();
+		const key = surfaceKey(surface, values, this.lod.version);
+		if (!isAnimated(surface, values) && key === this.surfaceGridKey) return;
 
-	// Generate appropriate data for a specific surface type
-	generateSurfaceData(vertexData, surfaceType) {
-		switch (surfaceType) {
-			case 'flat':
-				return this.generateFlatGrid(vertexData);
-			case 'sine':
-				return this.generateSineWave(vertexData);
-			case 'ripple':
-				return this.generateRipple(vertexData);
-			case 'weird':
-				return this.generateWeirdSurface(vertexData, 0);
-			case 'torus':
-				return this.generateTorus(vertexData);
-			case 'zeta':
-				return this.generateZetaSurface(vertexData);
-			default:
-				return this.generateFlatGrid(vertexData);
-		}
+		this.pipeline.computeSurface(
+			commandEncoder,
+			surface,
+			this.lod.patchCount,
+			this.uniformBuffer,
+			this.zetaParamsBuffer,
+			this.geometryParamsBuffer
+		);
+		this.surfaceGridKey = key;
 	}
 
 	// Method to update the surface based on the selected type
@@ -316,21 +251,11 @@ class RiemannExperience extends Experience {
 				this.initializeSurfaceShaderMap();
 			}
 
-			// Update the surface type
+			// Update the surface type; the grid surfaces share one vertex buffer,
+			// generated in render, and the sheets are drawn from sheetSurface's
 			this.surfaceType = surfaceType;
 			this.currentSurface = surfaceType;
 
-			// Get the appropriate vertex buffer for this surface type
-			if (this.vertexBuffers && this.vertexBuffers.has(surfaceType)) {
-				this.vertexBuffer = this.vertexBuffers.get(surfaceType);
-			} else {
-				// If buffer not found, use flat as fallback
-				console.warn(
-					`Vertex buffer for surface type '${surfaceType}' not found, using 'flat' as fallback`
-				);
-				this.vertexBuffer = this.vertexBuffers.get('flat');
-			}
-
 			return true;
 		} catch (error) {
 			console.error('Error updating surface:', error);
@@ -338,239 +263,226 @@ class RiemannExperience extends Experience {
 		}
 	}
 
-	// Generate different surface types - maintain for compatibility
-	generateSurface(vertices, surfaceType) {
-		try {
-			if (!this.surfaceShaderMap) {
-				console.warn('surfaceShaderMap is not defined, initializing with defaults');
-				this.initializeSurfaceShaderMap();
+	/**
+	 * Compile the expression parameter into the 'function' shader.
+	 * Compilations run one after another so the last expression wins; the
+	 * parameter's validate has already rejected anything that does not parse.
+	 * @param {string} expression - f(z), see $lib/complex/expression.js
+	 * @returns {Promise<string|null>} Error message, or null on success
+	 */
+	compileFunction(expression) {
+		this.functionCompilation = this.functionCompilation.then(async () => {
+			if (!this.pipeline?.isInitialized) return null;
+
+			let error;
+			try {
+				error = await this.pipeline.setFunctionShader(generateSurfaceShader(expression));
+			} catch (exception) {
+				error = exception.message;
 			}
 
-			// Use provided values or fall back to defaults
-			const vertexData = vertices || new Float32Array(this.totalVertices * 3);
-			const surface = surfaceType || this.surfaceType || 'riemann';
-
-			// Update current surface
-			this.currentSurface = surface;
-
-			// Generate surface using our data generator
-			this.generateSurfaceData(vertexData, surface);
+			if (error) {
+				console.error(`Failed to compile f(z) = ${expression}:`, error);
+			}
+			this.functionError = error;
 
-			return true;
-		} catch (error) {
-			console.error('Error generating surface:', error);
-			return false;
+			if (typeof window !== 'undefined') {
+				window.dispatchEvent(
+					new CustomEvent('riemann-function-update', { detail: { expression, error } })
+				);
+			}
+			return error;
+		});
+		return this.functionCompilation;
+	}
+
+	/**
+	 * Find the zeros and poles of the current surface function on a CPU grid
+	 * and ring them in domain coloring mode. Searches again only when the
+	 * surface, a parameter or - for animated functions - the time changed,
+	 * and no more often than DOMAIN_SEARCH_INTERVAL and DOMAIN_SEARCH_IDLE allow.
+	 */
+	updateDomainMarkers(now = performance.now()) {
+		const values = this.parameters.getValues();
+
+		if (values.coloring !== 1 || !values.domainMarkers) {
+			if (this.domainSearch.key !== null) {
+				this.domainSearch.key = null;
+				this.pipeline.setDomainMarkers([]);
+				this.publishDomainPoints({ zeros: [], poles: [] });
+			}
+			return;
 		}
-	}
-
-	// Helper method to generate a flat grid
-	generateFlatGrid(vertexData) {
-		const vertices = vertexData || new Float32Array(this.totalVertices * 3);
-		let index = 0;
-
-		// Scale factor to make the grid larger
-		const scale = 2.0;
-
-		for (let y = 0; y < this.resolution; y++) {
-			for (let x = 0; x < this.resolution; x++) {
-				// Convert grid coordinates to -1 to 1 range, but scaled larger
-				const xPos = ((x / (this.resolution - 1)) * 2 - 1) * scale;
-				const yPos = ((y / (this.resolution - 1)) * 2 - 1) * scale;
 
-				// Set flat z position
-				const zPos = 0;
-
-				// Set vertex position
-				vertices[index++] = xPos;
-				vertices[index++] = yPos;
-				vertices[index++] = zPos;
-			}
+		const { lastRun, duration } = this.domainSearch;
+		if (now - lastRun < Math.max(DOMAIN_SEARCH_INTERVAL, DOMAIN_SEARCH_IDLE * duration)) return;
+
+		const domain = surfaceDomain(this.currentSurface, values);
+		const key = JSON.stringify([
+			this.currentSurface,
+			domain?.key ?? values,
+			domain?.timeDependent ? this.time : 0
+		]);
+		if (key === this.domainSearch.key) return;
+		this.domainSearch = { key, lastRun: now, duration: 0 };
+
+		if (!domain) {
+			this.pipeline.setDomainMarkers([]);
+			this.publishDomainPoints({ zeros: [], poles: [] });
+			return;
 		}
 
-		return vertices;
+		const found = domain.find
+			? domain.find()
+			: findZerosAndPoles((z) => domain.evaluate(z, this.time), domain.bounds, {
+					resolution: 40,
+					maxResults: MAX_DOMAIN_MARKERS
+			  });
+		this.domainSearch.duration = performance.now() - now;
+
+		const { xmin, xmax } = domain.bounds;
+		this.pipeline.setDomainMarkers(
+			[
+				...found.zeros.map((point) => ({ ...point, kind: 'zero' })),
+				...found.poles.map((point) => ({ ...point, kind: 'pole' }))
+			],
+			(xmax - xmin) * 0.015,
+			domain.period,
+			domain.yScale
+		);
+		this.publishDomainPoints(found);
 	}
 
-	// Helper method to generate a sine wave surface
-	generateSineWave(vertexData) {
-		const vertices = vertexData || new Float32Array(this.totalVertices * 3);
-		let index = 0;
-
-		// Scale factor to make the grid larger
-		const scale = 2.0;
-
-		for (let y = 0; y < this.resolution; y++) {
-			for (let x = 0; x < this.resolution; x++) {
-				// Convert grid coordinates to -1 to 1 range, but scaled larger
-				const xPos = ((x / (this.resolution - 1)) * 2 - 1) * scale;
-				const yPos = ((y / (this.resolution - 1)) * 2 - 1) * scale;
+	publishDomainPoints(points) {
+		this.domainPoints = points;
 
-				// Much larger amplitude
-				const zPos = 1.2 * Math.sin(xPos * Math.PI * 2) * Math.cos(yPos * Math.PI * 1.5);
-
-				// Set vertex position
-				vertices[index++] = xPos;
-				vertices[index++] = yPos;
-				vertices[index++] = zPos;
-			}
+		if (typeof window !== 'undefined') {
+			window.dispatchEvent(
+				new CustomEvent('riemann-domain-update', {
+					detail: { surface: this.currentSurface, ...points }
+				})
+			);
 		}
-
-		return vertices;
 	}
 
-	// Helper method to generate a ripple surface
-	generateRipple(vertexData) {
-		const vertices = vertexData || new Float32Array(this.totalVertices * 3);
-		let index = 0;
-
-		// Scale factor to make the grid larger
-		const scale = 2.0;
-
-		for (let y = 0; y < this.resolution; y++) {
-			for (let x = 0; x < this.resolution; x++) {
-				// Convert grid coordinates to -1 to 1 range, but scaled larger
-				const xPos = ((x / (this.resolution - 1)) * 2 - 1) * scale;
-				const yPos = ((y / (this.resolution - 1)) * 2 - 1) * scale;
-
-				// Distance from center
-				const dist = Math.sqrt(xPos * xPos + yPos * yPos) / scale;
-
-				// Much larger amplitude
-				const zPos = (1.5 * Math.sin(dist * Math.PI * 5)) / (1 + dist);
-
-				// Set vertex position
-				vertices[index++] = xPos;
-				vertices[index++] = yPos;
-				vertices[index++] = zPos;
-			}
+	/**
+	 * Rebuild the multi-sheeted surface after a parameter change and report
+	 * its sheets and branch points. A p(z) that fails to build leaves the
+	 * surface empty until the next change.
+	 */
+	updateSheets() {
+		this.sheetsDirty = false;
+		const error = this.sheetSurface.build(this.parameters.getValues());
+		if (error) {
+			console.error('Failed to build Riemann surface:', error);
 		}
 
-		return vertices;
+		this.sheetState = { sheet: null, loop: null };
+		this.publishSheets(error);
 	}
 
-	// Helper method to generate a weird surface
-	generateWeirdSurface(vertexData, time = 0) {
-		const vertices = vertexData || new Float32Array(this.totalVertices * 3);
-		let index = 0;
-
-		// Scale factor to make the grid larger
-		const scale = 2.0;
-
-		// Use a more reasonable time scale
-		const t = time * 0.5;
-
-		for (let y = 0; y < this.resolution; y++) {
-			for (let x = 0; x < this.resolution; x++) {
-				// Convert grid coordinates to -1 to 1 range, but scaled larger
-				const xPos = ((x / (this.resolution - 1)) * 2 - 1) * scale;
-				const yPos = ((y / (this.resolution - 1)) * 2 - 1) * scale;
-
-				// Calculate polar coordinates
-				const r = Math.sqrt(xPos * xPos + yPos * yPos);
-				const theta = Math.atan2(yPos, xPos);
+	// Advance the continuation path one frame; publishes when it changes sheet or loop
+	stepContinuation() {
+		const head = this.sheetSurface.step();
+		if (!head) return;
 
-				// Moving poles (meromorphic singularities)
-				const pole1X = Math.sin(t * 0.3) * scale * 0.5;
-				const pole1Y = Math.cos(t * 0.4) * scale * 0.5;
-				const pole2X = Math.sin(t * 0.5 + 2) * scale * 0.5;
-				const pole2Y = Math.cos(t * 0.2 + 1) * scale * 0.5;
-
-				// Distances to poles
-				const dist1 = Math.sqrt(Math.pow(xPos - pole1X, 2) + Math.pow(yPos - pole1Y, 2));
-				const dist2 = Math.sqrt(Math.pow(xPos - pole2X, 2) + Math.pow(yPos - pole2Y, 2));
-
-				// Avoid true singularities with epsilon
-				const epsilon = 0.1;
-
-				// Laurent series-like approach for poles
-				const pole1Term = 1.0 / Math.max(dist1, epsilon);
-				const pole2Term = 0.8 / Math.max(dist2, epsilon);
-
-				// Scale for visual balance
-				const poleEffect = (pole1Term + pole2Term) * 0.4;
-
-				// Wave pattern based on distance and angle
-				const waveFreq = 3.0 + Math.sin(t * 0.2);
-				const wave = 0.3 * Math.sin(r * waveFreq + t * 1.5);
-
-				// Spiral term (varies with angle)
-				const spiral = 0.2 * Math.sin(theta * 3.0 + r * 2.0 + t * 0.7);
-
-				// Combine effects in a way that maintains meromorphicity
-				let zPos = poleEffect + wave + spiral;
-
-				// Add gentle overall pulsing
-				const pulse = 0.2 * Math.sin(t * 0.4) + 1.0;
-				zPos *= pulse;
-
-				// Set vertex position
-				vertices[index++] = xPos;
-				vertices[index++] = yPos;
-				vertices[index++] = zPos;
-			}
+		if (head.sheet !== this.sheetState.sheet || head.loop !== this.sheetState.loop) {
+			this.sheetState = head;
+			this.publishSheets(null);
 		}
-
-		return vertices;
 	}
 
-	// Helper method to generate a torus surface
-	generateTorus(vertexData) {
-		const vertices = vertexData || new Float32Array(this.totalVertices * 3);
-		let index = 0;
-
-		// Scale factor to match other surfaces
-		const scale = 2.0;
-
-		// Enhanced torus parameters with scaling
-		const R = 0.65 * scale; // Major radius
-		const r = 0.35 * scale; // Minor radius
-
-		for (let y = 0; y < this.resolution; y++) {
-			for (let x = 0; x < this.resolution; x++) {
-				// Convert grid coordinates to angle values
-				const theta = (x / (this.resolution - 1)) * Math.PI * 2;
-				const phi = (y / (this.resolution - 1)) * Math.PI * 2;
-
-				// Parametric equation for torus with scaling
-				const xPos = (R + r * Math.cos(phi)) * Math.cos(theta);
-				const yPos = (R + r * Math.cos(phi)) * Math.sin(theta);
-				const zPos = r * Math.sin(phi);
-
-				// Set vertex position
-				vertices[index++] = xPos;
-				vertices[index++] = yPos;
-				vertices[index++] = zPos;
-			}
+	publishSheets(error) {
+		if (typeof window !== 'undefined') {
+			window.dispatchEvent(
+				new CustomEvent('riemann-sheets-update', {
+					detail: {
+						sheets: this.sheetSurface.sheets,
+						branchPoints: this.sheetSurface.branchPoints,
+						...this.sheetState,
+						error
+					}
+				})
+			);
 		}
-
-		return vertices;
 	}
 
-	// Helper method to generate zeta surface
-	generateZetaSurface(vertexData) {
-		const vertices = vertexData || new Float32Array(this.totalVertices * 3);
-		let index = 0;
-
-		// Scale factor to make the grid larger
-		const scale = 5.0;
-
-		for (let y = 0; y < this.resolution; y++) {
-			for (let x = 0; x < this.resolution; x++) {
-				// Convert grid coordinates to -1 to 1 range, but scaled larger
-				const xPos = ((x / (this.resolution - 1)) * 2 - 1) * scale;
-				const yPos = ((y / (this.resolution - 1)) * 2 - 1) * scale;
-
-				// For zeta surface, we create a base flat surface
-				// The actual zeta computation happens in the vertex shader
-				const zPos = 0;
-
-				// Set vertex position
-				vertices[index++] = xPos;
-				vertices[index++] = yPos;
-				vertices[index++] = zPos;
+	// Z(t), ζ(1/2 + it) and θ(t) at the critical line marker
+	updateCriticalReadout() {
+		const t = this.parameters.get('criticalT');
+		this.criticalLine = {
+			...this.criticalLine,
+			t,
+			Z: hardyZ(t),
+			zeta: zeta([0.5, t]),
+			theta: riemannSiegelTheta(t)
+		};
+		this.publishCriticalLine();
+	}
+
+	/**
+	 * Locate the zeros on the visible stretch of the critical line, when the
+	 * strip's t range changed and no more often than DOMAIN_SEARCH_INTERVAL
+	 */
+	updateCriticalZeros(now = performance.now()) {
+		const { ymin, ymax } = stripBounds(this.parameters.getValues());
+		const key = `${ymin}:${ymax}`;
+		if (
+			key === this.criticalSearch.key ||
+			now - this.criticalSearch.lastRun < DOMAIN_SEARCH_INTERVAL
+		) {
+			return;
+		}
+		this.criticalSearch = { key, lastRun: now };
+
+		this.criticalLine = { ...this.criticalLine, zeros: findCriticalZeros(ymin, ymax) };
+		this.publishCriticalLine();
+	}
+
+	// Move the marker up the visible stretch of the line, wrapping at the top
+	walkCriticalLine() {
+		const { ymin, ymax } = stripBounds(this.parameters.getValues());
+		const t = this.parameters.get('criticalT') + this.parameters.get('criticalSpeed');
+		this.parameters.set('criticalT', t > ymax || t < ymin ? ymin : t);
+	}
+
+	/**
+	 * Move the marker to the next zero on the critical line above
+	 * (direction 1) or below (-1) it, and the strip with it if the zero is
+	 * out of view. Stops the walk.
+	 * @returns {number|null} Height of the zero, or null if none was found
+	 */
+	seekCriticalZero(direction) {
+		const t = this.parameters.get('criticalT');
+		const spacing = (2 * Math.PI) / Math.log(Math.max(t, 20) / (2 * Math.PI));
+
+		// Widen the search until it holds a zero; below t ≈ 14.13 there is none
+		let zero = null;
+		for (let window = 4 * spacing; zero === null && window < 64 * spacing; window *= 2) {
+			if (direction > 0) {
+				zero = findCriticalZeros(t + ZERO_SEEK_OFFSET, t + window, { maxResults: 1 })[0] ?? null;
+			} else {
+				zero = findCriticalZeros(Math.max(t - window, 0), t - ZERO_SEEK_OFFSET).pop() ?? null;
 			}
 		}
+		if (zero === null) return null;
+
+		const { ymin, ymax } = stripBounds(this.parameters.getValues());
+		const height = ymax - ymin;
+		this.parameters.update({
+			criticalWalk: false,
+			criticalT: zero,
+			...(zero < ymin || zero > ymax ? { stripTMin: Math.round(zero - height / 2) } : {})
+		});
+		return zero;
+	}
 
-		return vertices;
+	publishCriticalLine() {
+		if (typeof window !== 'undefined') {
+			window.dispatchEvent(
+				new CustomEvent('riemann-critical-update', { detail: this.criticalLine })
+			);
+		}
 	}
 
 	async initialize() {
@@ -589,15 +501,13 @@ class RiemannExperience extends Experience {
 
 			this.updateLoadingState(true, 'Pipeline initialized', 50);
 
-			// Make sure all vertex buffers are initialized
-			this.updateLoadingState(true, 'Generating surfaces...', 70);
-			if (!this.vertexBuffers || this.vertexBuffers.size === 0) {
-				this.initializeVertexBuffers();
-			}
+			// Build the shader for the current f(z)
+			this.updateLoadingState(true, 'Compiling f(z)...', 60);
+			await this.compileFunction(this.parameters.get('expression'));
 
-			// Set the proper current buffer
-			this.vertexBuffer =
-				this.vertexBuffers.get(this.currentSurface) || this.vertexBuffers.get('flat');
+			// The surfaces are computed into the grid from the first frame on
+			this.updateLoadingState(true, 'Generating surfaces...', 70);
+			this.pipeline.setSurfaceGrid(this.vertexBuffer, this.lod.patchBuffer);
 
 			// Set up camera target to center of grid without overriding position
 			this.updateLoadingState(true, 'Configuring camera...', 90);
@@ -634,23 +544,10 @@ class RiemannExperience extends Experience {
 			}
 
 			// Update time with smoother value for more elegant animation
-			if (this.zetaPhaseMode === 0) {
+			if (this.parameters.get('zetaPhaseMode') === 0) {
 				this.time += 0.015;
 			}
 
-			// Only the weird surface needs to be updated each frame for animation
-			if (this.currentSurface === 'weird') {
-				// Reuse vertices array instead of creating a new one every frame
-				if (!this._verticesCache) {
-					// Create once and cache
-					this._verticesCache = new Float32Array(this.totalVertices * 3);
-				}
-
-				// For weird surface, update with time-based animation using cached array
-				this.generateWeirdSurface(this._verticesCache, this.time);
-				this.device.queue.writeBuffer(this.vertexBuffer, 0, this._verticesCache);
-			}
-
 			// Update uniform buffer with time and additional parameters
 			// Create this Float32Array once and reuse it
 			if (!this._timeUniformData) {
@@ -658,17 +555,16 @@ class RiemannExperience extends Experience {
 			}
 
 			// Update values without creating new array
-			this._timeUniformData[0] = 0.15;
-			this._timeUniformData[1] = 0.2;
-			// z = manual phase, w = time
-			this._timeUniformData[2] = this.zetaManualPhase;
+			// x = coloring mode, y = domain grid spacing, z = manual phase, w = time
+			this._timeUniformData[0] = this.parameters.get('coloring');
+			this._timeUniformData[1] = this.parameters.get('domainGrid');
+			this._timeUniformData[2] = this.parameters.get('zetaManualPhase');
 			this._timeUniformData[3] = this.time;
 
 			// Write reused buffer to GPU
 			this.device.queue.writeBuffer(this.uniformBuffer, 0, this._timeUniformData);
 
-			// Update zeta parameters
-			this.updateZetaParams();
+			this.updateDomainMarkers();
 
 			// Safety check for surfaceShaderMap
 			if (!this.surfaceShaderMap) {
@@ -684,18 +580,65 @@ class RiemannExperience extends Experience {
 				shaderType = 'flat';
 			}
 
+			// Until an expression has compiled there is no function pipeline
+			if (shaderType === 'function' && !this.pipeline.renderPipelines.function) {
+				shaderType = 'flat';
+			}
+
+			if (shaderType === 'strip') {
+				if (this.parameters.get('criticalWalk')) {
+					this.walkCriticalLine();
+				}
+				this.updateCriticalZeros();
+			}
+
+			// The grid surface this one is drawn on, computed before the render pass
+			const grid = gridSurface(shaderType);
+			if (grid) {
+				this.updateSurfaceGrid(commandEncoder, grid);
+			}
+
+			let vertexBuffer = this.vertexBuffer;
+			let indexBuffer = this.lod.indexBuffer;
+			let indexCount = this.lod.indexCount;
+			let overlay = null;
+			let patches = { count: this.lod.patchCount, vertices: this.lod.patchVertices };
+
+			if (shaderType === 'sheets') {
+				if (this.sheetsDirty) {
+					this.updateSheets();
+				}
+
+				// Until a p(z) has built there is nothing to draw; the pass still clears
+				const sheets = this.sheetSurface;
+				if (sheets.vertexBuffer) {
+					vertexBuffer = sheets.vertexBuffer;
+					indexBuffer = sheets.indexBuffer;
+				}
+				indexCount = sheets.indexCount;
+				patches = null;
+
+				if (this.parameters.get('sheetContinuation')) {
+					this.stepContinuation();
+					overlay = { vertexBuffer: sheets.pathBuffer, vertexCount: sheets.pathVertexCount };
+				}
+			}
+
 			// Render using pipeline with the appropriate shader
 			this.pipeline.render(
 				commandEncoder,
 				textureView,
 				depthTextureView,
-				this.vertexBuffer,
-				this.indexBuffer,
+				vertexBuffer,
+				indexBuffer,
 				this.uniformBuffer,
-				this.totalIndices,
+				indexCount,
 				shaderType,
 				this.zetaParamsBuffer, // Pass zeta parameters buffer
-				this.geometryParamsBuffer // Pass geometry parameters buffer
+				this.geometryParamsBuffer, // Pass geometry parameters buffer
+				shaderType === 'strip' ? this.stripParamsBuffer : this.functionParamsBuffer, // Binding 3
+				overlay, // Continuation path on the sheets
+				patches // The grid, one patch at a time
 			);
 		} catch (error) {
 			console.error('Error in Riemann render:', error);
@@ -714,39 +657,35 @@ class RiemannExperience extends Experience {
 
 	// Add handler for low memory conditions
 	handleLowMemory() {
-		// Decrease resolution dynamically if we're in a memory constrained situation
-		if (this._originalResolution === undefined) {
-			// Store original resolution first time
-			this._originalResolution = this.resolution;
+		// Allow fewer patches dynamically if we're in a memory constrained situation
+		if (this._originalMaxPatches === undefined) {
+			// Store the original budget first time
+			this._originalMaxPatches = this.maxPatches;
 		}
 
-		// If we're already at a reduced resolution, don't reduce further
-		if (this.resolution <= 100) {
+		// If we're already at a reduced budget, don't reduce further
+		if (this.maxPatches <= 64) {
 			return;
 		}
 
-		// Reduce resolution by half, but not below 100
-		const newResolution = Math.max(100, Math.floor(this.resolution / 2));
+		// Halve the budget, but not below 64 patches
+		const newMaxPatches = Math.max(64, Math.floor(this.maxPatches / 2));
 		console.warn(
-			`Reducing Riemann surface resolution from ${this.resolution} to ${newResolution} to conserve memory`
+			`Reducing Riemann surface patches from ${this.maxPatches} to ${newMaxPatches} to conserve memory`
 		);
 
 		// Store current surface type
 		const currentSurfaceType = this.currentSurface;
 
-		// Update resolution
-		this.resolution = newResolution;
-		this.totalVertices = this.resolution * this.resolution;
-		this.totalIndices = (this.resolution - 1) * (this.resolution - 1) * 6;
-
-		// Recreate buffers at lower resolution
-		this.createIndexBuffer();
-		this.initializeVertexBuffers();
+		// Recreate the patches and the grid with the smaller budget
+		this.maxPatches = newMaxPatches;
+		this.createLOD();
+		this.createSurfaceGrid();
 
 		// Reset the current surface to what it was
 		this.updateSurface(currentSurfaceType);
 
-		// Schedule resolution recovery after memory pressure subsides
+		// Schedule recovery after memory pressure subsides
 		setTimeout(() => {
 			if (window.performance && window.performance.memory) {
 				const memUsage = window.performance.memory.usedJSHeapSize;
@@ -754,21 +693,17 @@ class RiemannExperience extends Experience {
 				const percentUsed = (memUsage / memLimit) * 100;
 
 				// Only restore if memory usage is reasonable
-				if (percentUsed < 75 && this._originalResolution) {
-					// Restore original resolution
-					console.info(`Restoring Riemann surface resolution to ${this._originalResolution}`);
+				if (percentUsed < 75 && this._originalMaxPatches && this.device) {
+					// Restore the original budget
+					console.info(`Restoring Riemann surface patches to ${this._originalMaxPatches}`);
 
 					// Store current surface type
 					const currentSurfaceType = this.currentSurface;
 
-					// Update resolution
-					this.resolution = this._originalResolution;
-					this.totalVertices = this.resolution * this.resolution;
-					this.totalIndices = (this.resolution - 1) * (this.resolution - 1) * 6;
-
-					// Recreate buffers at original resolution
-					this.createIndexBuffer();
-					this.initializeVertexBuffers();
+					// Recreate the patches and the grid with the original budget
+					this.maxPatches = this._originalMaxPatches;
+					this.createLOD();
+					this.createSurfaceGrid();
 
 					// Reset the current surface
 					this.updateSurface(currentSurfaceType);
@@ -785,19 +720,16 @@ class RiemannExperience extends Experience {
 			this.pipeline = null;
 		}
 
-		// Clean up all vertex buffers
-		if (this.vertexBuffers) {
-			for (const [_, buffer] of this.vertexBuffers) {
-				// Can't reassign buffer parameter, just remove the reference
-			}
-			this.vertexBuffers.clear();
+		// Clean up the surface grid
+		if (this.vertexBuffer) {
+			this.vertexBuffer.destroy();
+			this.vertexBuffer = null;
 		}
+		this.surfaceGridKey = null;
 
-		// Clear current vertex buffer reference
-		this.vertexBuffer = null;
-
-		if (this.indexBuffer) {
-			this.indexBuffer = null;
+		if (this.lod) {
+			this.lod.cleanup();
+			this.lod = null;
 		}
 
 		if (this.uniformBuffer) {
@@ -812,10 +744,26 @@ class RiemannExperience extends Experience {
 			this.geometryParamsBuffer = null;
 		}
 
+		if (this.functionParamsBuffer) {
+			this.functionParamsBuffer = null;
+		}
+
+		if (this.stripParamsBuffer) {
+			this.stripParamsBuffer = null;
+		}
+		this.criticalSearch = { key: null, lastRun: 0 };
+		this.functionError = null;
+		this.domainSearch = { key: null, lastRun: 0, duration: 0 };
+
+		if (this.sheetSurface) {
+			this.sheetSurface.cleanup();
+			this.sheetSurface = null;
+		}
+		this.domainPoints = { zeros: [], poles: [] };
+
 		// Clean up cached arrays we added to prevent memory leaks
-		this._verticesCache = null;
 		this._timeUniformData = null;
-		this._originalResolution = undefined; // Clear the original resolution
+		this._originalMaxPatches = undefined; // Clear the original patch budget
 
 		// Reset state
 		this.isLoading = true;
@@ -839,8 +787,8 @@ class RiemannExperience extends Experience {
 
 	// Replace the old createBuffers method
 	createBuffers() {
-		this.createIndexBuffer();
-		this.initializeVertexBuffers();
+		this.createLOD();
+		this.createSurfaceGrid();
 	}
 }
 
@@ -1,3 +1,56 @@
+import { MAX_DOMAIN_MARKERS, shaderPrelude } from './domainColoring.js';
+import { SHEET_VERTEX_FLOATS } from './SheetSurface.js';
+import {
+	COMPUTED_SURFACES,
+	SURFACE_WORKGROUP_SIZE,
+	SURFACE_VERTEX_FLOATS
+} from './surfaceCompute.js';
+import { PATCH_SIZE } from '../../utils/quadtreeLOD.js';
+
+// Vertex buffer layouts: position and normal for the computed grid, and
+// position, sheet index and value for the multi-sheeted surfaces
+const VERTEX_LAYOUTS = {
+	surface: [
+		{
+			arrayStride: SURFACE_VERTEX_FLOATS * 4,
+			attributes: [
+				{
+					shaderLocation: 0,
+					offset: 0,
+					format: 'float32x3' // Position
+				},
+				{
+					shaderLocation: 1,
+					offset: 12,
+					format: 'float32x3' // Normal
+				}
+			]
+		}
+	],
+	sheet: [
+		{
+			arrayStride: SHEET_VERTEX_FLOATS * 4,
+			attributes: [
+				{
+					shaderLocation: 0,
+					offset: 0,
+					format: 'float32x3' // Position
+				},
+				{
+					shaderLocation: 1,
+					offset: 12,
+					format: 'float32' // Sheet
+				},
+				{
+					shaderLocation: 2,
+					offset: 16,
+					format: 'float32x2' // w
+				}
+			]
+		}
+	]
+};
+
 class RiemannPipeline {
 	constructor(device, resourceManager) {
 		this.device = device;
@@ -6,6 +59,7 @@ class RiemannPipeline {
 		this.currentShaderType = 'flat';
 		this.shaderModules = new Map();
 		this.renderPipelines = {};
+		this.computePipelines = {};
 		this.bindGroupLayouts = {};
 	}
 
@@ -26,7 +80,7 @@ class RiemannPipeline {
 					},
 					{
 						binding: 2,
-						visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+						visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
 						buffer: { type: 'uniform' } // Time uniform
 					}
 				]
@@ -47,29 +101,120 @@ class RiemannPipeline {
 					},
 					{
 						binding: 2,
-						visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+						visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
 						buffer: { type: 'uniform' } // Time uniform
 					},
 					{
 						binding: 3,
-						visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+						visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
 						buffer: { type: 'uniform' } // Zeta parameters
 					},
 					{
 						binding: 4,
-						visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+						visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
 						buffer: { type: 'uniform' } // Geometry parameters
 					}
 				]
 			});
 
+			// Create bind group layout for user-entered functions (generated shaders)
+			this.bindGroupLayouts.function = this.device.createBindGroupLayout({
+				entries: [
+					{
+						binding: 0,
+						visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+						buffer: { type: 'uniform' } // Projection matrix
+					},
+					{
+						binding: 1,
+						visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+						buffer: { type: 'uniform' } // View matrix
+					},
+					{
+						binding: 2,
+						visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT | GPUShaderStage.COMPUTE,
+						buffer: { type: 'uniform' } // Time uniform
+					},
+					{
+						binding: 3,
+						visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+						buffer: { type: 'uniform' } // Function parameters
+					}
+				]
+			});
+
+			// Create bind group layout for the domain coloring zero/pole markers (group 1 of every shader)
+			this.bindGroupLayouts.markers = this.device.createBindGroupLayout({
+				entries: [
+					{
+						binding: 0,
+						visibility: GPUShaderStage.FRAGMENT,
+						buffer: { type: 'uniform' } // Domain markers
+					}
+				]
+			});
+
+			// Create bind group layout for the shared surface grid (group 2 of the compute passes)
+			this.bindGroupLayouts.surfaceGrid = this.device.createBindGroupLayout({
+				entries: [
+					{
+						binding: 0,
+						visibility: GPUShaderStage.COMPUTE,
+						buffer: { type: 'storage' } // Grid vertices
+					},
+					{
+						binding: 1,
+						visibility: GPUShaderStage.COMPUTE,
+						buffer: { type: 'read-only-storage' } // Level of detail patches
+					}
+				]
+			});
+
+			// Header row plus one row per point, see WGSL_DOMAIN_MARKERS
+			this.markersData = new Float32Array((MAX_DOMAIN_MARKERS + 1) * 4);
+			this.markersBuffer = this.device.createBuffer({
+				size: this.markersData.byteLength,
+				usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+				label: 'Riemann Domain Markers Buffer'
+			});
+			this.markersBindGroup = this.device.createBindGroup({
+				layout: this.bindGroupLayouts.markers,
+				entries: [
+					{
+						binding: 0,
+						resource: { buffer: this.markersBuffer }
+					}
+				]
+			});
+
 			// Create pipeline layouts
 			this.pipelineLayouts = {
 				standard: this.device.createPipelineLayout({
-					bindGroupLayouts: [this.bindGroupLayouts.standard]
+					bindGroupLayouts: [this.bindGroupLayouts.standard, this.bindGroupLayouts.markers]
 				}),
 				zeta: this.device.createPipelineLayout({
-					bindGroupLayouts: [this.bindGroupLayouts.zeta]
+					bindGroupLayouts: [this.bindGroupLayouts.zeta, this.bindGroupLayouts.markers]
+				}),
+				function: this.device.createPipelineLayout({
+					bindGroupLayouts: [this.bindGroupLayouts.function, this.bindGroupLayouts.markers]
+				})
+			};
+
+			// The compute passes of the grid surfaces add the grid at group 2
+			this.computePipelineLayouts = {
+				standard: this.device.createPipelineLayout({
+					bindGroupLayouts: [
+						this.bindGroupLayouts.standard,
+						this.bindGroupLayouts.markers,
+						this.bindGroupLayouts.surfaceGrid
+					]
+				}),
+				zeta: this.device.createPipelineLayout({
+					bindGroupLayouts: [
+						this.bindGroupLayouts.zeta,
+						this.bindGroupLayouts.markers,
+						this.bindGroupLayouts.surfaceGrid
+					]
 				})
 			};
 
@@ -83,6 +228,8 @@ class RiemannPipeline {
 			await this.initializeShader('weird', `${basePath}/WeirdShader.wgsl`, 'standard');
 			await this.initializeShader('torus', `${basePath}/TorusShader.wgsl`, 'standard');
 			await this.initializeShader('zeta', `${basePath}/ZetaShader.wgsl`, 'zeta');
+			await this.initializeShader('sheets', `${basePath}/SheetShader.wgsl`, 'standard', 'sheet');
+			await this.initializeShader('strip', `${basePath}/CriticalStripShader.wgsl`, 'function');
 
 			this.isInitialized = true;
 			return true;
@@ -92,7 +239,12 @@ class RiemannPipeline {
 		}
 	}
 
-	async initializeShader(shaderType, shaderPath, layoutType = 'standard') {
+	async initializeShader(
+		shaderType,
+		shaderPath,
+		layoutType = 'standard',
+		vertexLayout = 'surface'
+	) {
 		try {
 			const response = await fetch(shaderPath);
 			if (!response.ok) {
@@ -100,61 +252,146 @@ class RiemannPipeline {
 				return false;
 			}
 
-			const shaderCode = await response.text();
+			// The files call into the complex library and domain coloring functions
+			const shaderCode = shaderPrelude(shaderType) + (await response.text());
+			this.createShader(shaderType, shaderCode, layoutType, vertexLayout);
 
-			// Create shader module
-			const shaderModule = this.device.createShaderModule({
-				label: `Riemann ${shaderType} Shader`,
-				code: shaderCode
-			});
+			return true;
+		} catch (error) {
+			console.error(`Error initializing shader ${shaderType}:`, error);
+			return false;
+		}
+	}
 
-			// Store shader module
-			this.shaderModules.set(shaderType, shaderModule);
+	/**
+	 * Compile a shader generated from a user-entered function
+	 * (see ./functionShader.js). On failure the previous function pipeline,
+	 * if any, stays in place.
+	 * @param {string} shaderCode - WGSL source
+	 * @returns {Promise<string|null>} Compiler error message, or null on success
+	 */
+	async setFunctionShader(shaderCode) {
+		if (!this.device) return 'Pipeline is not initialized';
+
+		this.device.pushErrorScope('validation');
+		const previous = {
+			module: this.shaderModules.get('function'),
+			pipeline: this.renderPipelines.function
+		};
+		const shaderModule = this.createShader('function', shaderCode, 'function');
+
+		const info = await shaderModule.getCompilationInfo();
+		const validationError = await this.device.popErrorScope();
+		const messages = info.messages.filter((message) => message.type === 'error');
+
+		if (messages.length > 0 || validationError) {
+			if (previous.pipeline) {
+				this.shaderModules.set('function', previous.module);
+				this.renderPipelines.function = previous.pipeline;
+			} else {
+				this.shaderModules.delete('function');
+				delete this.renderPipelines.function;
+			}
+			return messages.map((message) => message.message).join('\n') || validationError.message;
+		}
 
-			// Create render pipeline with appropriate layout
-			this.renderPipelines[shaderType] = this.device.createRenderPipeline({
-				layout: this.pipelineLayouts[layoutType],
-				vertex: {
-					module: shaderModule,
-					entryPoint: 'vertexMain',
-					buffers: [
-						{
-							arrayStride: 12, // 3 floats, 4 bytes each
-							attributes: [
-								{
-									shaderLocation: 0,
-									offset: 0,
-									format: 'float32x3'
-								}
-							]
-						}
-					]
+		return null;
+	}
+
+	/**
+	 * Upload the zeros and poles ringed in domain coloring mode
+	 * @param {Object[]} points - { x, y, winding, kind: 'zero' | 'pole' }, in surface function coordinates
+	 * @param {number} radius - Ring radius in the same coordinates
+	 * @param {number} period - Coordinate period, 0 when not periodic
+	 * @param {number} yScale - Factor on y distances, for surfaces that stretch one axis
+	 */
+	setDomainMarkers(points = [], radius = 0, period = 0, yScale = 1) {
+		if (!this.markersBuffer) return;
+
+		const count = Math.min(points.length, MAX_DOMAIN_MARKERS);
+		this.markersData.fill(0);
+		this.markersData.set([count, radius, period, yScale]);
+		for (let k = 0; k < count; k++) {
+			const { x, y, winding, kind } = points[k];
+			this.markersData.set([x, y, winding, kind === 'zero' ? 1 : -1], (k + 1) * 4);
+		}
+		this.device.queue.writeBuffer(this.markersBuffer, 0, this.markersData);
+	}
+
+	/**
+	 * Point the compute passes at the shared grid vertex buffer
+	 * @param {GPUBuffer} vertexBuffer - PATCH_SIZE² vertices of SURFACE_VERTEX_FLOATS per patch, with STORAGE usage
+	 * @param {GPUBuffer} patchBuffer - The patches of a QuadtreeLOD, see packPatches
+	 */
+	setSurfaceGrid(vertexBuffer, patchBuffer) {
+		if (!this.bindGroupLayouts?.surfaceGrid) return;
+
+		this.surfaceGridBindGroup = this.device.createBindGroup({
+			layout: this.bindGroupLayouts.surfaceGrid,
+			entries: [
+				{
+					binding: 0,
+					resource: { buffer: vertexBuffer }
 				},
-				fragment: {
+				{
+					binding: 1,
+					resource: { buffer: patchBuffer }
+				}
+			]
+		});
+	}
+
+	createShader(shaderType, shaderCode, layoutType = 'standard', vertexLayout = 'surface') {
+		// Create shader module
+		const shaderModule = this.device.createShaderModule({
+			label: `Riemann ${shaderType} Shader`,
+			code: shaderCode
+		});
+
+		// Store shader module
+		this.shaderModules.set(shaderType, shaderModule);
+
+		// Create render pipeline with appropriate layout
+		this.renderPipelines[shaderType] = this.device.createRenderPipeline({
+			layout: this.pipelineLayouts[layoutType],
+			vertex: {
+				module: shaderModule,
+				entryPoint: 'vertexMain',
+				buffers: VERTEX_LAYOUTS[vertexLayout]
+			},
+			fragment: {
+				module: shaderModule,
+				entryPoint: 'fragmentMain',
+				targets: [
+					{
+						format: navigator.gpu.getPreferredCanvasFormat()
+					}
+				]
+			},
+			primitive: {
+				topology: 'triangle-list',
+				cullMode: 'none' // Show both sides of the surface
+			},
+			depthStencil: {
+				format: 'depth24plus',
+				depthWriteEnabled: true,
+				depthCompare: 'less'
+			}
+		});
+
+		// Grid surfaces also generate their vertices (see ./surfaceCompute.js)
+		if (COMPUTED_SURFACES.includes(shaderType)) {
+			this.computePipelines[shaderType] = this.device.createComputePipeline({
+				label: `Riemann ${shaderType} Surface Compute`,
+				layout: this.computePipelineLayouts[layoutType],
+				compute: {
 					module: shaderModule,
-					entryPoint: 'fragmentMain',
-					targets: [
-						{
-							format: navigator.gpu.getPreferredCanvasFormat()
-						}
-					]
-				},
-				primitive: {
-					topology: 'triangle-list',
-					cullMode: 'none' // Show both sides of the surface
-				},
-				depthStencil: {
-					format: 'depth24plus',
-					depthWriteEnabled: true,
-					depthCompare: 'less'
+					entryPoint: 'computeMain'
 				}
 			});
-
-			return true;
-		} catch (error) {
-			console.error(`Error initializing shader ${shaderType}:`, error);
-			return false;
 		}
+
+		return shaderModule;
 	}
 
 	setShaderType(shaderType) {
@@ -177,6 +414,150 @@ class RiemannPipeline {
 		}
 	}
 
+	/**
+	 * Bind group 0 for a shader, with the extra parameters its layout takes
+	 */
+	createBindGroup(
+		shaderType,
+		uniformBuffer,
+		zetaParamsBuffer = null,
+		geometryParamsBuffer = null,
+		functionParamsBuffer = null
+	) {
+		const { projectionBuffer, viewBuffer } = this.resourceManager.camera.getBuffers();
+		let bindGroup;
+
+		if (shaderType === 'zeta' && zetaParamsBuffer && geometryParamsBuffer) {
+			// Create bind group with zeta and geometry parameters
+			bindGroup = this.device.createBindGroup({
+				layout: this.bindGroupLayouts.zeta,
+				entries: [
+					{
+						binding: 0,
+						resource: { buffer: projectionBuffer }
+					},
+					{
+						binding: 1,
+						resource: { buffer: viewBuffer }
+					},
+					{
+						binding: 2,
+						resource: { buffer: uniformBuffer }
+					},
+					{
+						binding: 3,
+						resource: { buffer: zetaParamsBuffer }
+					},
+					{
+						binding: 4,
+						resource: { buffer: geometryParamsBuffer }
+					}
+				]
+			});
+		} else if (shaderType === 'zeta' && zetaParamsBuffer) {
+			// Fallback: Create bind group without geometry parameters (shouldn't happen in normal operation)
+			console.warn('Zeta shader missing geometry parameters, using standard layout');
+			bindGroup = this.device.createBindGroup({
+				layout: this.bindGroupLayouts.standard,
+				entries: [
+					{
+						binding: 0,
+						resource: { buffer: projectionBuffer }
+					},
+					{
+						binding: 1,
+						resource: { buffer: viewBuffer }
+					},
+					{
+						binding: 2,
+						resource: { buffer: uniformBuffer }
+					}
+				]
+			});
+		} else if ((shaderType === 'function' || shaderType === 'strip') && functionParamsBuffer) {
+			// Create bind group with the function (or critical strip) parameters
+			bindGroup = this.device.createBindGroup({
+				layout: this.bindGroupLayouts.function,
+				entries: [
+					{
+						binding: 0,
+						resource: { buffer: projectionBuffer }
+					},
+					{
+						binding: 1,
+						resource: { buffer: viewBuffer }
+					},
+					{
+						binding: 2,
+						resource: { buffer: uniformBuffer }
+					},
+					{
+						binding: 3,
+						resource: { buffer: functionParamsBuffer }
+					}
+				]
+			});
+		} else {
+			// Create standard bind group
+			bindGroup = this.device.createBindGroup({
+				layout: this.bindGroupLayouts.standard,
+				entries: [
+					{
+						binding: 0,
+						resource: { buffer: projectionBuffer }
+					},
+					{
+						binding: 1,
+						resource: { buffer: viewBuffer }
+					},
+					{
+						binding: 2,
+						resource: { buffer: uniformBuffer }
+					}
+				]
+			});
+		}
+
+		return bindGroup;
+	}
+
+	/**
+	 * Generate a grid surface into the shared vertex buffer, see setSurfaceGrid
+	 */
+	computeSurface(
+		commandEncoder,
+		surfaceType,
+		patchCount,
+		uniformBuffer,
+		zetaParamsBuffer = null,
+		geometryParamsBuffer = null
+	) {
+		const pipeline = this.computePipelines[surfaceType];
+		if (!this.isInitialized || !pipeline || !this.surfaceGridBindGroup || patchCount === 0) {
+			return;
+		}
+
+		try {
+			const bindGroup = this.createBindGroup(
+				surfaceType,
+				uniformBuffer,
+				zetaParamsBuffer,
+				geometryParamsBuffer
+			);
+			const workgroups = Math.ceil(PATCH_SIZE / SURFACE_WORKGROUP_SIZE);
+
+			const passEncoder = commandEncoder.beginComputePass({ label: 'Riemann Surface Compute' });
+			passEncoder.setPipeline(pipeline);
+			passEncoder.setBindGroup(0, bindGroup);
+			passEncoder.setBindGroup(1, this.markersBindGroup);
+			passEncoder.setBindGroup(2, this.surfaceGridBindGroup);
+			passEncoder.dispatchWorkgroups(workgroups, workgroups, patchCount);
+			passEncoder.end();
+		} catch (error) {
+			console.error('Error in Riemann surface compute:', error);
+		}
+	}
+
 	render(
 		commandEncoder,
 		textureView,
@@ -187,7 +568,10 @@ class RiemannPipeline {
 		indexCount,
 		shaderType = null,
 		zetaParamsBuffer = null,
-		geometryParamsBuffer = null
+		geometryParamsBuffer = null,
+		functionParamsBuffer = null,
+		overlay = null,
+		patches = null
 	) {
 		if (!this.isInitialized || !textureView) {
 			return;
@@ -214,79 +598,13 @@ class RiemannPipeline {
 		}
 
 		try {
-			// Get camera buffers
-			const { projectionBuffer, viewBuffer } = this.resourceManager.camera.getBuffers();
-
-			// Create bind group for this render pass
-			let bindGroup;
-
-			if (this.currentShaderType === 'zeta' && zetaParamsBuffer && geometryParamsBuffer) {
-				// Create bind group with zeta and geometry parameters
-				bindGroup = this.device.createBindGroup({
-					layout: this.bindGroupLayouts.zeta,
-					entries: [
-						{
-							binding: 0,
-							resource: { buffer: projectionBuffer }
-						},
-						{
-							binding: 1,
-							resource: { buffer: viewBuffer }
-						},
-						{
-							binding: 2,
-							resource: { buffer: uniformBuffer }
-						},
-						{
-							binding: 3,
-							resource: { buffer: zetaParamsBuffer }
-						},
-						{
-							binding: 4,
-							resource: { buffer: geometryParamsBuffer }
-						}
-					]
-				});
-			} else if (this.currentShaderType === 'zeta' && zetaParamsBuffer) {
-				// Fallback: Create bind group without geometry parameters (shouldn't happen in normal operation)
-				console.warn('Zeta shader missing geometry parameters, using standard layout');
-				bindGroup = this.device.createBindGroup({
-					layout: this.bindGroupLayouts.standard,
-					entries: [
-						{
-							binding: 0,
-							resource: { buffer: projectionBuffer }
-						},
-						{
-							binding: 1,
-							resource: { buffer: viewBuffer }
-						},
-						{
-							binding: 2,
-							resource: { buffer: uniformBuffer }
-						}
-					]
-				});
-			} else {
-				// Create standard bind group
-				bindGroup = this.device.createBindGroup({
-					layout: this.bindGroupLayouts.standard,
-					entries: [
-						{
-							binding: 0,
-							resource: { buffer: projectionBuffer }
-						},
-						{
-							binding: 1,
-							resource: { buffer: viewBuffer }
-						},
-						{
-							binding: 2,
-							resource: { buffer: uniformBuffer }
-						}
-					]
-				});
-			}
+			const bindGroup = this.createBindGroup(
+				this.currentShaderType,
+				uniformBuffer,
+				zetaParamsBuffer,
+				geometryParamsBuffer,
+				functionParamsBuffer
+			);
 
 			// Create render pass with explicit depth testing
 			const renderPassDescriptor = {
@@ -310,9 +628,23 @@ class RiemannPipeline {
 			const passEncoder = commandEncoder.beginRenderPass(renderPassDescriptor);
 			passEncoder.setPipeline(this.renderPipelines[this.currentShaderType]);
 			passEncoder.setBindGroup(0, bindGroup);
+			passEncoder.setBindGroup(1, this.markersBindGroup);
 			passEncoder.setVertexBuffer(0, vertexBuffer);
 			passEncoder.setIndexBuffer(indexBuffer, 'uint32');
-			passEncoder.drawIndexed(indexCount);
+			if (patches) {
+				// One patch of the shared grid after another, all on the same indices
+				for (let p = 0; p < patches.count; p++) {
+					passEncoder.drawIndexed(indexCount, 1, 0, p * patches.vertices);
+				}
+			} else {
+				passEncoder.drawIndexed(indexCount);
+			}
+
+			// Unindexed triangles drawn with the same pipeline, e.g. the continuation path
+			if (overlay && overlay.vertexCount > 0) {
+				passEncoder.setVertexBuffer(0, overlay.vertexBuffer);
+				passEncoder.draw(overlay.vertexCount);
+			}
 			passEncoder.end();
 		} catch (error) {
 			console.error('Error in Riemann Pipeline render:', error);
@@ -347,12 +679,25 @@ class RiemannPipeline {
 			}
 			this.renderPipelines = {};
 		}
+		this.computePipelines = {};
 
 		// Clean up bind group layouts
 		this.bindGroupLayouts = {};
 
+		// Clean up domain markers
+		if (this.markersBuffer) {
+			this.markersBuffer.destroy();
+			this.markersBuffer = null;
+		}
+		this.markersBindGroup = null;
+		this.markersData = null;
+
+		// Clean up the surface grid; the vertex buffer belongs to the experience
+		this.surfaceGridBindGroup = null;
+
 		// Clean up pipeline layouts
 		this.pipelineLayouts = null;
+		this.computePipelineLayouts = null;
 
 		// Check if this is a subclass of Pipeline before calling super.cleanup()
 		if (
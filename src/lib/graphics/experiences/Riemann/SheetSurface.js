@@ -0,0 +1,270 @@
+import {
+	branchPoints,
+	branchedFunction,
+	buildRiemannSurface,
+	continuePath
+} from '../../../complex/riemannSurface.js';
+import { GRID_HALF_SIZE } from './domainColoring.js';
+
+// Sheet meshes are rebuilt on the CPU whenever a parameter changes, so they
+// use a coarser grid than the height fields
+const RESOLUTION = 160;
+
+// Poles of p(z) send w to infinity; heights are clamped to this
+const HEIGHT_LIMIT = 3.0;
+
+// Vertex layout, shared with SheetShader.wgsl: position xyz, sheet, w
+export const SHEET_VERTEX_FLOATS = 6;
+
+// Analytic continuation animation
+const STEPS_PER_LOOP = 128; // Path points per loop, one per frame
+const HOLD_FRAMES = 90; // Pause on the finished path before starting over
+const PATH_WIDTH = 0.025;
+const PATH_LIFT = 0.02; // Keeps the path above the sheet it runs on
+
+/**
+ * The 'sheets' manifold: a genuinely multi-sheeted Riemann surface for
+ * sqrt, cube root, log or w^n = p(z), built by $lib/complex/riemannSurface.js,
+ * plus a path continuing a value around a branch point.
+ *
+ * Owns its GPU buffers. The path is drawn as a ribbon of unindexed
+ * triangles with sheet -1, through the same pipeline as the surface.
+ */
+class SheetSurface {
+	constructor(device) {
+		this.device = device;
+		this.bounds = {
+			xmin: -GRID_HALF_SIZE,
+			xmax: GRID_HALF_SIZE,
+			ymin: -GRID_HALF_SIZE,
+			ymax: GRID_HALF_SIZE
+		};
+
+		this.vertexBuffer = null;
+		this.indexBuffer = null;
+		this.indexCount = 0;
+		this.pathBuffer = null;
+		this.pathVertexCount = 0;
+
+		this.fn = null;
+		this.mesh = null;
+		this.specKey = null;
+		this.sheets = 0;
+		this.branchPoints = [];
+		this.path = [];
+		this.progress = 0;
+		this.heightOf = () => 0;
+	}
+
+	static spec(values) {
+		return {
+			kind: values.sheetFunction,
+			degree: values.sheetDegree,
+			expression: values.sheetExpression,
+			sheets: values.logSheets
+		};
+	}
+
+	/**
+	 * Rebuild the mesh and the continuation path from parameter values.
+	 * Only a change of function recomputes the sheets; height settings
+	 * just rewrite the vertices.
+	 * @returns {string|null} Error message, or null on success
+	 */
+	build(values) {
+		const spec = SheetSurface.spec(values);
+		const key = JSON.stringify(spec);
+
+		if (key !== this.specKey) {
+			try {
+				this.fn = branchedFunction(spec);
+				this.mesh = buildRiemannSurface(this.fn, { bounds: this.bounds, resolution: RESOLUTION });
+				this.branchPoints = branchPoints(spec, this.bounds);
+				this.specKey = key;
+			} catch (error) {
+				this.fn = null;
+				this.mesh = null;
+				this.specKey = null;
+				this.indexCount = 0;
+				this.pathVertexCount = 0;
+				return error.message;
+			}
+		}
+
+		this.sheets = this.mesh.sheets;
+		this.setHeight(values);
+		this.writeMesh(this.mesh);
+		this.buildPath(values);
+		return null;
+	}
+
+	setHeight(values) {
+		const imaginary = values.sheetHeight === 1;
+		const scale = values.sheetScale;
+		this.heightOf = (re, im) =>
+			Math.max(-HEIGHT_LIMIT, Math.min(HEIGHT_LIMIT, (imaginary ? im : re) * scale));
+	}
+
+	writeMesh({ resolution, sheets, values, indices }) {
+		const { xmin, xmax, ymin, ymax } = this.bounds;
+		const vertices = new Float32Array(resolution * resolution * sheets * SHEET_VERTEX_FLOATS);
+
+		let index = 0;
+		for (let j = 0; j < resolution; j++) {
+			for (let i = 0; i < resolution; i++) {
+				const x = xmin + ((xmax - xmin) * i) / (resolution - 1);
+				const y = ymin + ((ymax - ymin) * j) / (resolution - 1);
+
+				for (let k = 0; k < sheets; k++) {
+					const offset = 2 * ((j * resolution + i) * sheets + k);
+					const finite = Number.isFinite(values[offset]) && Number.isFinite(values[offset + 1]);
+					const re = finite ? values[offset] : 0;
+					const im = finite ? values[offset + 1] : 0;
+
+					vertices[index++] = x;
+					vertices[index++] = y;
+					vertices[index++] = this.heightOf(re, im);
+					vertices[index++] = k;
+					vertices[index++] = re;
+					vertices[index++] = im;
+				}
+			}
+		}
+
+		this.destroyBuffers(['vertexBuffer', 'indexBuffer']);
+		this.vertexBuffer = this.createBuffer(
+			vertices,
+			GPUBufferUsage.VERTEX,
+			'Riemann Sheet Vertices'
+		);
+		// An empty index buffer is not allowed; keep one index and draw none
+		this.indexBuffer = this.createBuffer(
+			indices.length > 0 ? indices : new Uint32Array(1),
+			GPUBufferUsage.INDEX,
+			'Riemann Sheet Indices'
+		);
+		this.indexCount = indices.length;
+	}
+
+	/**
+	 * Continue the principal value around the chosen branch point: n loops
+	 * for roots, which brings it home, and one loop per sheet for log
+	 */
+	buildPath(values) {
+		this.progress = 0;
+		this.pathVertexCount = 0;
+		if (!this.fn) return;
+
+		const point = this.branchPoints.length
+			? this.branchPoints[values.continuationBranch % this.branchPoints.length]
+			: { x: 0, y: 0 };
+
+		this.path = continuePath(this.fn, {
+			center: [point.x, point.y],
+			radius: values.continuationRadius,
+			turns: this.fn.cyclic ? this.sheets : Math.max(this.sheets - 1, 1),
+			steps: STEPS_PER_LOOP
+		});
+
+		// Two triangles per segment
+		const size = (this.path.length - 1) * 6 * SHEET_VERTEX_FLOATS * 4;
+		if (!this.pathBuffer || this.pathBuffer.size < size) {
+			this.destroyBuffers(['pathBuffer']);
+			this.pathBuffer = this.device.createBuffer({
+				size,
+				usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
+				label: 'Riemann Continuation Path'
+			});
+		}
+		this.pathData = new Float32Array(size / 4);
+	}
+
+	/**
+	 * Advance the continuation animation by one frame and upload the path
+	 * drawn so far
+	 * @returns {Object|null} { sheet, loop } at the head of the path
+	 */
+	step() {
+		if (!this.pathBuffer || this.path.length < 2) return null;
+
+		const segments = this.path.length - 1;
+		this.progress = (this.progress + 1) % (segments + HOLD_FRAMES);
+		const drawn = Math.min(this.progress, segments);
+
+		let index = 0;
+		const data = this.pathData;
+		for (let s = 0; s < drawn; s++) {
+			const a = this.path[s];
+			const b = this.path[s + 1];
+
+			// With a single log sheet the path has nowhere to go and jumps by 2π
+			if (Math.hypot(b.w[0] - a.w[0], b.w[1] - a.w[1]) > Math.PI) continue;
+
+			// Ribbon across the direction of travel, in the z-plane
+			const dx = b.z[0] - a.z[0];
+			const dy = b.z[1] - a.z[1];
+			const length = Math.hypot(dx, dy) || 1;
+			const nx = (-dy / length) * PATH_WIDTH;
+			const ny = (dx / length) * PATH_WIDTH;
+
+			const ha = this.heightOf(a.w[0], a.w[1]) + PATH_LIFT;
+			const hb = this.heightOf(b.w[0], b.w[1]) + PATH_LIFT;
+			const corners = [
+				[a.z[0] - nx, a.z[1] - ny, ha, a.w],
+				[a.z[0] + nx, a.z[1] + ny, ha, a.w],
+				[b.z[0] + nx, b.z[1] + ny, hb, b.w],
+				[b.z[0] - nx, b.z[1] - ny, hb, b.w]
+			];
+
+			for (const corner of [0, 1, 2, 0, 2, 3]) {
+				const [x, y, h, w] = corners[corner];
+				data[index++] = x;
+				data[index++] = y;
+				data[index++] = h;
+				data[index++] = -1;
+				data[index++] = w[0];
+				data[index++] = w[1];
+			}
+		}
+
+		if (index > 0) {
+			this.device.queue.writeBuffer(this.pathBuffer, 0, data, 0, index);
+		}
+		this.pathVertexCount = index / SHEET_VERTEX_FLOATS;
+
+		return { sheet: this.path[drawn].sheet, loop: Math.floor(drawn / STEPS_PER_LOOP) };
+	}
+
+	createBuffer(data, usage, label) {
+		const buffer = this.device.createBuffer({
+			size: data.byteLength,
+			usage: usage | GPUBufferUsage.COPY_DST,
+			mappedAtCreation: true,
+			label
+		});
+		new data.constructor(buffer.getMappedRange()).set(data);
+		buffer.unmap();
+		return buffer;
+	}
+
+	destroyBuffers(names) {
+		for (const name of names) {
+			this[name]?.destroy();
+			this[name] = null;
+		}
+	}
+
+	cleanup() {
+		this.destroyBuffers(['vertexBuffer', 'indexBuffer', 'pathBuffer']);
+		this.indexCount = 0;
+		this.pathVertexCount = 0;
+		this.path = [];
+		this.pathData = null;
+		this.fn = null;
+		this.mesh = null;
+		this.specKey = null;
+		this.device = null;
+	}
+}
+
+export default SheetSurface;
@@ -0,0 +1,274 @@
+import { compileExpression, parseExpression } from '../../../complex/expression.js';
+import { WGSL_ZETA, findCriticalZeros } from '../../../complex/zeta.js';
+import {
+	WGSL_COMPLEX_LIBRARY,
+	WGSL_DOMAIN_COLORING,
+	generateFunctionWGSL
+} from '../../../complex/wgsl.js';
+import { COMPUTED_SURFACES, WGSL_SURFACE_COMPUTE } from './surfaceCompute.js';
+
+/**
+ * Domain coloring for every Riemann surface
+ *
+ * Each surface has a complex function w = f(z) behind its height field;
+ * domain coloring paints arg w and log|w| onto the surface instead of the
+ * height colormap. The shaders and the CPU zero/pole search must agree on
+ * f, so the analytic surfaces are written once as expressions here and
+ * compiled to both. z is the grid position for the height fields and
+ * (θ, φ) for the torus.
+ *
+ *   flat    z
+ *   sine    0.5 sin(2z + 0.2t), the height profile continued off the real axis
+ *   ripple  0.2 exp(i(5|z| - t)); Im w is the height
+ *   weird   the two moving poles of the height field, pulsing
+ *   torus   sin θ + i sin φ
+ *   zeta    the prime waves with exp(i a) for sin(a), so Im w is the height
+ *           (written by hand in ZetaShader.wgsl and zetaValue below)
+ *   function  the user's f(z), see ./functionShader.js
+ *   strip   ζ(s) itself, on a rectangle of the critical strip
+ *   sheets  w itself, carried per vertex (see ./SheetSurface.js)
+ */
+
+// The height-field grids span [-GRID_HALF_SIZE, GRID_HALF_SIZE] in x and y
+export const GRID_HALF_SIZE = 2.0;
+
+export const SURFACE_FUNCTIONS = {
+	flat: 'z',
+	sine: '0.5 sin(2z + 0.2t)',
+	ripple: '0.2 exp(i (5 abs(z) - t))',
+	weird:
+		'(0.2 sin(0.4t) + 0.8) (0.25/(z - (sin(0.3t) + i cos(0.4t))) + 0.2/(z - (sin(0.5t + 2) + i cos(0.2t + 1))))',
+	torus: 'sin(re(z)) + i sin(im(z))'
+};
+
+// Must match DomainMarkers.points below
+export const MAX_DOMAIN_MARKERS = 32;
+
+/**
+ * Zero and pole markers, shared by all Riemann shaders at group 1
+ *
+ * Rings around each point: white for zeros, black for poles, thicker for
+ * higher order. With a period, distances wrap (the torus angles); a y scale
+ * keeps rings round where the surface stretches one axis (the strip).
+ */
+export const WGSL_DOMAIN_MARKERS = /* wgsl */ `
+struct DomainMarkers {
+    header: vec4<f32>,              // count, ring radius, period (0 = none), y scale (0 = 1)
+    points: array<vec4<f32>, ${MAX_DOMAIN_MARKERS}>,   // x, y, signed winding number, 1 zero / -1 pole
+}
+
+@group(1) @binding(0) var<uniform> domainMarkers: DomainMarkers;
+
+fn markDomain(color: vec3<f32>, z: vec2<f32>) -> vec3<f32> {
+    let count = min(u32(domainMarkers.header.x), ${MAX_DOMAIN_MARKERS}u);
+    let radius = domainMarkers.header.y;
+    let period = domainMarkers.header.z;
+    let yScale = select(1.0, domainMarkers.header.w, domainMarkers.header.w > 0.0);
+
+    var result = color;
+    for (var k = 0u; k < count; k++) {
+        let point = domainMarkers.points[k];
+        var d = z - point.xy;
+        if (period > 0.0) {
+            d = d - period * round(d / period);
+        }
+        d.y *= yScale;
+
+        let width = radius * 0.15 * min(abs(point.z), 4.0);
+        let ring = 1.0 - smoothstep(0.0, width, abs(length(d) - radius));
+        result = mix(result, select(vec3<f32>(0.0), vec3<f32>(1.0), point.w > 0.0), ring);
+    }
+    return result;
+}
+`;
+
+// Needs a surfaceValue(z, t) in the shader
+export const WGSL_SURFACE_DOMAIN_COLOR = /* wgsl */ `
+// Domain coloring of the surface function at z, markers included
+fn surfaceDomainColor(z: vec2<f32>, t: f32, gridSpacing: f32) -> vec3<f32> {
+    return markDomain(domainColor(surfaceValue(z, t), gridSpacing), z);
+}
+`;
+
+/**
+ * WGSL put in front of a static surface shader: the complex library,
+ * domain coloring, markers and the surface function. The zeta shader
+ * defines its own surfaceValue; the sheets and the strip pass w from the
+ * vertex stage and have none, and the strip gets c_zeta. The grid surfaces
+ * also get their computeMain (see ./surfaceCompute.js).
+ *
+ * @param {string} surface Surface type
+ * @returns {string}
+ */
+export function shaderPrelude(surface) {
+	let prelude = WGSL_COMPLEX_LIBRARY + WGSL_DOMAIN_COLORING + WGSL_DOMAIN_MARKERS;
+	if (SURFACE_FUNCTIONS[surface]) {
+		prelude += `\n${generateFunctionWGSL(SURFACE_FUNCTIONS[surface], 'surfaceValue')}`;
+	}
+	if (surface === 'strip') {
+		prelude += WGSL_ZETA;
+	}
+	if (SURFACE_FUNCTIONS[surface] || surface === 'zeta') {
+		prelude += WGSL_SURFACE_DOMAIN_COLOR;
+	}
+	if (COMPUTED_SURFACES.includes(surface)) {
+		prelude += WGSL_SURFACE_COMPUTE;
+	}
+	return `${prelude}\n`;
+}
+
+/**
+ * The rectangle of the critical strip the 'strip' surface shows
+ *
+ * @param {Object} values Current parameter values
+ * @returns {Object} xmin, xmax (σ), ymin, ymax (t)
+ */
+export function stripBounds(values) {
+	return {
+		xmin: values.stripSigmaMin,
+		xmax: values.stripSigmaMax,
+		ymin: values.stripTMin,
+		ymax: values.stripTMin + values.stripTHeight
+	};
+}
+
+// Pre-computed list of first 50 primes, as in ZetaShader.wgsl
+const PRIMES = [
+	2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41, 43, 47, 53, 59, 61, 67, 71, 73, 79, 83, 89, 97,
+	101, 103, 107, 109, 113, 127, 131, 137, 139, 149, 151, 157, 163, 167, 173, 179, 181, 191, 193,
+	197, 199, 211, 223, 227, 229
+];
+
+// Hexagonal wave directions, 0°, 60° and 120°
+const HEXAGONAL = [
+	[1, 0],
+	[0.5, 0.866],
+	[-0.5, 0.866]
+];
+
+// Mirror of surfaceValue in ZetaShader.wgsl
+function zetaValue([x, y], t, values) {
+	const poincare = values.zetaGeometryMode === 1;
+	const phase = values.zetaPhaseMode === 1 ? values.zetaManualPhase : -t;
+
+	// Poincaré mode works in disc coordinates and draws nothing outside
+	const scale = poincare ? 1 / 5 : 1;
+	const px = x * scale;
+	const py = y * scale;
+	const r = Math.hypot(px, py);
+	if (poincare && r >= 1) return [NaN, NaN];
+
+	let re = 0;
+	let im = 0;
+	for (let k = 0; k < Math.min(values.zetaNumWaves, PRIMES.length); k++) {
+		const p = PRIMES[k];
+		const amplitude = 1 / p;
+		const base = values.zetaScalingMode === 1 ? p : Math.log(p);
+
+		if (values.zetaWaveMode === 1) {
+			const frequency = base * values.zetaScale * 0.1;
+			const u = poincare ? px : px * 0.5;
+			const v = poincare ? py : py * 0.5;
+			for (const [c, s] of HEXAGONAL) {
+				const a = frequency * (u * c - v * s) + phase;
+				const b = (amplitude / 3) * Math.sin(frequency * (u * s + v * c) + phase);
+				re += b * Math.cos(a);
+				im += b * Math.sin(a);
+			}
+		} else {
+			const frequency = base * values.zetaScale;
+			const dist = poincare ? Math.log((1 + r) / (1 - r)) : r;
+			const a = dist * frequency + 2 * phase;
+			re += amplitude * Math.cos(a);
+			im += amplitude * Math.sin(a);
+		}
+	}
+	return [re, im];
+}
+
+/**
+ * Zeros and poles of ζ in a rectangle of the strip, without a grid search:
+ * the nontrivial zeros there all lie on the critical line (checked far
+ * beyond these heights), the trivial ones at -2, -4, ... and the pole at 1
+ */
+function stripPoints({ xmin, xmax, ymin, ymax }) {
+	const point = (x, y, winding) => ({ x, y, order: Math.abs(winding), winding });
+	const onRealAxis = ymin <= 0 && ymax >= 0;
+
+	const zeros = findCriticalZeros(ymin, ymax).map((t) => point(0.5, t, 1));
+	for (let x = -2; onRealAxis && x >= xmin; x -= 2) {
+		if (x <= xmax) zeros.push(point(x, 0, 1));
+	}
+
+	const poles = onRealAxis && xmin <= 1 && xmax >= 1 ? [point(1, 0, -1)] : [];
+	return { zeros, poles };
+}
+
+function usesTime(node) {
+	switch (node.type) {
+		case 'variable':
+			return node.name === 't';
+		case 'negate':
+			return usesTime(node.argument);
+		case 'binary':
+			return usesTime(node.left) || usesTime(node.right);
+		case 'call':
+			return node.args.some(usesTime);
+		default:
+			return false;
+	}
+}
+
+function expressionDomain(source, half, period = 0) {
+	const ast = parseExpression(source);
+	return {
+		evaluate: compileExpression(ast),
+		bounds: { xmin: -half, xmax: half, ymin: -half, ymax: half },
+		period,
+		timeDependent: usesTime(ast)
+	};
+}
+
+/**
+ * The function a surface colors by, for the CPU zero/pole search
+ *
+ * @param {string} surface Surface type
+ * @param {Object} values Current parameter values
+ * @returns {Object|null} { evaluate(z, t), bounds, period, timeDependent,
+ *   yScale }, in the coordinates the shaders pass to markDomain; null when
+ *   the function does not parse, and for the sheets, which have no markers.
+ *   The strip has find() and a key of what it depends on instead of evaluate.
+ */
+export function surfaceDomain(surface, values) {
+	if (surface === 'sheets') return null;
+
+	if (surface === 'strip') {
+		const bounds = stripBounds(values);
+		return {
+			find: () => stripPoints(bounds),
+			key: bounds,
+			bounds,
+			period: 0,
+			timeDependent: false,
+			// The grid squeezes t by this much relative to σ
+			yScale: (bounds.xmax - bounds.xmin) / (bounds.ymax - bounds.ymin)
+		};
+	}
+
+	if (surface === 'zeta') {
+		return {
+			evaluate: (z, t) => zetaValue(z, t, values),
+			bounds: { xmin: -5, xmax: 5, ymin: -5, ymax: 5 },
+			period: 0,
+			timeDependent: values.zetaPhaseMode !== 1
+		};
+	}
+
+	try {
+		if (surface === 'function') return expressionDomain(values.expression, values.functionDomain);
+		if (surface === 'torus') return expressionDomain(SURFACE_FUNCTIONS.torus, Math.PI, 2 * Math.PI);
+		return expressionDomain(SURFACE_FUNCTIONS[surface] ?? SURFACE_FUNCTIONS.flat, GRID_HALF_SIZE);
+	} catch {
+		return null;
+	}
+}
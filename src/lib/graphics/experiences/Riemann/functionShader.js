@@ -0,0 +1,123 @@
+import {
+	WGSL_COMPLEX_LIBRARY,
+	WGSL_DOMAIN_COLORING,
+	generateFunctionWGSL
+} from '../../../complex/wgsl.js';
+import {
+	GRID_HALF_SIZE,
+	WGSL_DOMAIN_MARKERS,
+	WGSL_SURFACE_DOMAIN_COLOR
+} from './domainColoring.js';
+
+/**
+ * Build the render shader for a user-entered function f(z)
+ *
+ * The shader displaces the flat grid: each vertex maps to z in the square
+ * of half-width `domain`, and its height is |f(z)|, Re f(z) or Im f(z)
+ * times `heightScale`, clamped to ±heightLimit so poles stay on screen.
+ * Normals come from finite differences of the same height function.
+ * In domain coloring mode the fragment stage evaluates f(z) again.
+ *
+ * Bindings match the 'function' layout in RiemannPipeline:
+ *   0 projection, 1 view, 2 time uniform (coloring in xy, time in w),
+ *   3 functionParams: heightMode, heightScale, domain, heightLimit
+ * plus the domain markers at group 1.
+ *
+ * @param {string|Object} source Expression text or a parsed AST
+ * @returns {string} WGSL source
+ * @throws {ExpressionError} When the expression does not parse
+ */
+export function generateSurfaceShader(source) {
+	return `${WGSL_COMPLEX_LIBRARY}${WGSL_DOMAIN_COLORING}${WGSL_DOMAIN_MARKERS}${WGSL_SURFACE_DOMAIN_COLOR}
+${generateFunctionWGSL(source, 'surfaceValue')}
+struct VertexOutput {
+    @builtin(position) position: vec4<f32>,
+    @location(0) height: f32,
+    @location(1) normal: vec3<f32>,
+    @location(2) z: vec2<f32>,
+};
+
+struct TimeUniform {
+    coloring: vec2<f32>,   // mode (0 height, 1 domain), grid spacing
+    manualPhase: f32,
+    time: f32,
+}
+
+struct FunctionParams {
+    heightMode: f32,   // 0 |f|, 1 Re f, 2 Im f
+    heightScale: f32,
+    domain: f32,       // Half-width of the square in the z-plane
+    heightLimit: f32,
+}
+
+@group(0) @binding(0) var<uniform> projection: mat4x4<f32>;
+@group(0) @binding(1) var<uniform> view: mat4x4<f32>;
+@group(0) @binding(2) var<uniform> timeUniform: TimeUniform;
+@group(0) @binding(3) var<uniform> functionParams: FunctionParams;
+
+const GRID_HALF_SIZE = ${GRID_HALF_SIZE.toFixed(1)};
+
+fn toDomain(xy: vec2<f32>) -> vec2<f32> {
+    return xy / GRID_HALF_SIZE * functionParams.domain;
+}
+
+fn surfaceHeight(xy: vec2<f32>) -> f32 {
+    let w = surfaceValue(toDomain(xy), timeUniform.time);
+
+    var h = length(w);
+    if (functionParams.heightMode > 1.5) {
+        h = w.y;
+    } else if (functionParams.heightMode > 0.5) {
+        h = w.x;
+    }
+
+    // Poles overflow to inf (or NaN); clamp keeps them at the limit
+    return clamp(h * functionParams.heightScale, -functionParams.heightLimit, functionParams.heightLimit);
+}
+
+@vertex
+fn vertexMain(@location(0) position: vec3<f32>) -> VertexOutput {
+    var output: VertexOutput;
+
+    let h = surfaceHeight(position.xy);
+    output.position = projection * view * vec4<f32>(position.xy, h, 1.0);
+    output.height = h;
+    output.z = toDomain(position.xy);
+
+    // Central differences over roughly one grid cell
+    let e = 0.004;
+    let dx = surfaceHeight(position.xy + vec2<f32>(e, 0.0)) - surfaceHeight(position.xy - vec2<f32>(e, 0.0));
+    let dy = surfaceHeight(position.xy + vec2<f32>(0.0, e)) - surfaceHeight(position.xy - vec2<f32>(0.0, e));
+    output.normal = normalize(vec3<f32>(-dx, -dy, 2.0 * e));
+
+    return output;
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) height: f32,
+    @location(1) normal: vec3<f32>,
+    @location(2) z: vec2<f32>
+) -> @location(0) vec4<f32> {
+    // Height relative to the limit, in [0, 1]
+    let t = clamp(height / max(functionParams.heightLimit, 0.001) * 0.5 + 0.5, 0.0, 1.0);
+    let low = vec3<f32>(0.05, 0.1, 0.45);
+    let mid = vec3<f32>(0.0, 0.75, 0.55);
+    let high = vec3<f32>(0.85, 1.0, 0.6);
+    var color = select(mix(mid, high, t * 2.0 - 1.0), mix(low, mid, t * 2.0), t < 0.5);
+
+    if (timeUniform.coloring.x > 0.5) {
+        color = surfaceDomainColor(z, timeUniform.time, timeUniform.coloring.y);
+    }
+
+    // Two-sided lighting, as the surface is drawn without culling
+    let light_dir = normalize(vec3<f32>(0.5, 0.5, 1.0));
+    let diffuse = abs(dot(normal, light_dir));
+    let half_dir = normalize(light_dir + vec3<f32>(0.0, 0.0, 1.0));
+    let specular = pow(abs(dot(normal, half_dir)), 32.0) * 0.3;
+    let lighting = 0.3 + diffuse * 0.6 + specular;
+
+    return vec4<f32>(color * lighting, 1.0);
+}
+`;
+}
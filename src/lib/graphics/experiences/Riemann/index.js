@@ -0,0 +1,26 @@
+export default {
+	id: 'riemann',
+	name: 'RIEMANN SURFACES',
+	title: 'Riemann Manifold',
+	description:
+		'Visualization of complex mathematical functions as 3D surfaces. Early steps to figuring out what Riemann was on about in his 1851 thesis.',
+	color: '#00ff99',
+	order: 4,
+	camera: {
+		position: { x: 0, y: -4, z: 4 },
+		fov: 45 * (Math.PI / 180),
+		baseDistance: 3.0 // Close distance for surface detail viewing
+	},
+	shaders: [
+		'/shaders/riemann/FlatShader.wgsl',
+		'/shaders/riemann/SineShader.wgsl',
+		'/shaders/riemann/RippleShader.wgsl',
+		'/shaders/riemann/WeirdShader.wgsl',
+		'/shaders/riemann/SheetShader.wgsl',
+		'/shaders/riemann/CriticalStripShader.wgsl',
+		'/shaders/riemann/TorusShader.wgsl',
+		'/shaders/riemann/ZetaShader.wgsl'
+	],
+	load: () => import('./RiemannExperience.js'),
+	controls: () => import('./RiemannControls.svelte')
+};
@@ -0,0 +1,450 @@
+// Parameter schema for the Riemann experience
+
+import { validateExpression } from '../../../complex/expression.js';
+
+const isZeta = (values) => values.surface === 'zeta';
+const isFunction = (values) => values.surface === 'function';
+const isDomainColoring = (values) => values.coloring === 1;
+const isSheets = (values) => values.surface === 'sheets';
+const isStrip = (values) => values.surface === 'strip';
+const isAlgebraic = (values) => isSheets(values) && values.sheetFunction === 'algebraic';
+
+export default [
+	{
+		key: 'surface',
+		label: 'Manifold',
+		group: 'Select Manifold',
+		type: 'enum',
+		default: 'ripple',
+		control: 'buttons',
+		options: [
+			{ value: 'flat', label: 'Flat Surface' },
+			{ value: 'sine', label: 'Sine Wave' },
+			{ value: 'ripple', label: 'Ripple' },
+			{ value: 'weird', label: 'Weird Function' },
+			{ value: 'torus', label: 'Torus' },
+			{ value: 'zeta', label: 'Zeta Waves' },
+			{ value: 'strip', label: 'Critical Strip ζ(s)' },
+			{ value: 'function', label: 'Custom f(z)' },
+			{ value: 'sheets', label: 'Riemann Surface' }
+		]
+	},
+
+	// Compiled into the 'function' shader, see ./functionShader.js
+	{
+		key: 'expression',
+		label: 'f(z)',
+		type: 'string',
+		default: '(z^2-1)/(z^2+1)',
+		maxLength: 200,
+		placeholder: 'e.g. exp(1/z)',
+		validate: validateExpression,
+		group: 'Function',
+		visible: isFunction
+	},
+
+	// functionParams: heightMode, heightScale, domain, heightLimit
+	{
+		key: 'functionHeight',
+		label: 'Height',
+		type: 'enum',
+		default: 0,
+		options: [
+			{ value: 0, label: '|f|' },
+			{ value: 1, label: 'Re f' },
+			{ value: 2, label: 'Im f' }
+		],
+		group: 'Function',
+		visible: isFunction,
+		uniform: { buffer: 'functionParams', index: 0 }
+	},
+	{
+		key: 'functionScale',
+		label: 'Height Scale',
+		type: 'float',
+		default: 0.5,
+		min: 0.05,
+		max: 2.0,
+		step: 0.05,
+		group: 'Function',
+		visible: isFunction,
+		uniform: { buffer: 'functionParams', index: 1 }
+	},
+	{
+		key: 'functionDomain',
+		label: 'Domain |Re z|, |Im z| ≤',
+		type: 'float',
+		default: 2.0,
+		min: 0.25,
+		max: 10.0,
+		step: 0.25,
+		group: 'Function',
+		visible: isFunction,
+		uniform: { buffer: 'functionParams', index: 2 }
+	},
+	{
+		key: 'functionLimit',
+		label: 'Height Limit',
+		type: 'float',
+		default: 2.0,
+		min: 0.5,
+		max: 5.0,
+		step: 0.25,
+		group: 'Function',
+		visible: isFunction,
+		uniform: { buffer: 'functionParams', index: 3 }
+	},
+
+	// Multi-sheeted surfaces, built on the CPU by ./SheetSurface.js
+	{
+		key: 'sheetFunction',
+		label: 'Function',
+		type: 'enum',
+		default: 'sqrt',
+		control: 'select',
+		options: [
+			{ value: 'sqrt', label: '√z' },
+			{ value: 'cbrt', label: '∛z' },
+			{ value: 'log', label: 'log z' },
+			{ value: 'algebraic', label: 'wⁿ = p(z)' }
+		],
+		group: 'Riemann Surface',
+		visible: isSheets
+	},
+	{
+		key: 'sheetDegree',
+		label: 'n',
+		type: 'int',
+		default: 2,
+		min: 2,
+		max: 6,
+		group: 'Riemann Surface',
+		visible: isAlgebraic
+	},
+	{
+		key: 'sheetExpression',
+		label: 'p(z)',
+		type: 'string',
+		default: 'z^2 - 1',
+		maxLength: 200,
+		placeholder: 'e.g. z^3 - 1',
+		validate: validateExpression,
+		group: 'Riemann Surface',
+		visible: isAlgebraic
+	},
+	{
+		key: 'logSheets',
+		label: 'Sheets',
+		type: 'int',
+		default: 3,
+		min: 1,
+		max: 7,
+		group: 'Riemann Surface',
+		visible: (values) => isSheets(values) && values.sheetFunction === 'log'
+	},
+	{
+		key: 'sheetHeight',
+		label: 'Height',
+		type: 'enum',
+		default: 1,
+		options: [
+			{ value: 0, label: 'Re w' },
+			{ value: 1, label: 'Im w' }
+		],
+		group: 'Riemann Surface',
+		visible: isSheets
+	},
+	{
+		key: 'sheetScale',
+		label: 'Height Scale',
+		type: 'float',
+		default: 0.75,
+		min: 0.1,
+		max: 2.0,
+		step: 0.05,
+		group: 'Riemann Surface',
+		visible: isSheets
+	},
+	{
+		key: 'sheetContinuation',
+		label: 'Show Analytic Continuation',
+		type: 'bool',
+		default: true,
+		group: 'Riemann Surface',
+		visible: isSheets
+	},
+	{
+		key: 'continuationBranch',
+		label: 'Around Branch Point',
+		type: 'int',
+		default: 0,
+		min: 0,
+		max: 7,
+		group: 'Riemann Surface',
+		visible: (values) => isSheets(values) && values.sheetContinuation
+	},
+	{
+		key: 'continuationRadius',
+		label: 'Loop Radius',
+		type: 'float',
+		default: 0.5,
+		min: 0.1,
+		max: 1.5,
+		step: 0.05,
+		group: 'Riemann Surface',
+		visible: (values) => isSheets(values) && values.sheetContinuation
+	},
+
+	// stripParams: sigmaMin, sigmaMax, tMin, tHeight, heightMode, heightScale,
+	// heightLimit, markerT; see CriticalStripShader.wgsl
+	{
+		key: 'stripSigmaMin',
+		label: 'Re s from',
+		type: 'float',
+		default: -0.5,
+		min: -2.0,
+		max: 0.5,
+		step: 0.25,
+		group: 'Critical Strip',
+		visible: isStrip,
+		uniform: { buffer: 'stripParams', index: 0 }
+	},
+	{
+		key: 'stripSigmaMax',
+		label: 'Re s to',
+		type: 'float',
+		default: 1.5,
+		min: 0.5,
+		max: 3.0,
+		step: 0.25,
+		group: 'Critical Strip',
+		visible: isStrip,
+		uniform: { buffer: 'stripParams', index: 1 }
+	},
+	{
+		key: 'stripTMin',
+		label: 'Im s from',
+		type: 'float',
+		default: 0,
+		min: 0,
+		max: 1000,
+		step: 1,
+		group: 'Critical Strip',
+		visible: isStrip,
+		uniform: { buffer: 'stripParams', index: 2 }
+	},
+	{
+		key: 'stripTHeight',
+		label: 'Im s span',
+		type: 'float',
+		default: 40,
+		min: 5,
+		max: 100,
+		step: 1,
+		group: 'Critical Strip',
+		visible: isStrip,
+		uniform: { buffer: 'stripParams', index: 3 }
+	},
+	{
+		key: 'stripHeight',
+		label: 'Height',
+		type: 'enum',
+		default: 0,
+		options: [
+			{ value: 0, label: '|ζ|' },
+			{ value: 1, label: 'arg ζ' },
+			{ value: 2, label: 'Re ζ' },
+			{ value: 3, label: 'Im ζ' }
+		],
+		control: 'buttons',
+		group: 'Critical Strip',
+		visible: isStrip,
+		uniform: { buffer: 'stripParams', index: 4 }
+	},
+	{
+		key: 'stripScale',
+		label: 'Height Scale',
+		type: 'float',
+		default: 0.5,
+		min: 0.05,
+		max: 2.0,
+		step: 0.05,
+		group: 'Critical Strip',
+		visible: isStrip,
+		uniform: { buffer: 'stripParams', index: 5 }
+	},
+	{
+		key: 'stripLimit',
+		label: 'Height Limit',
+		type: 'float',
+		default: 2.0,
+		min: 0.5,
+		max: 5.0,
+		step: 0.25,
+		group: 'Critical Strip',
+		visible: isStrip,
+		uniform: { buffer: 'stripParams', index: 6 }
+	},
+	{
+		key: 'criticalT',
+		label: 'Marker t on Re s = 1/2',
+		type: 'float',
+		default: 14.0,
+		min: 0,
+		max: 1100,
+		step: 0.01,
+		precision: 3,
+		group: 'Critical Line',
+		visible: isStrip,
+		uniform: { buffer: 'stripParams', index: 7 }
+	},
+	{
+		key: 'criticalWalk',
+		label: 'Walk Along the Line',
+		type: 'bool',
+		default: false,
+		group: 'Critical Line',
+		visible: isStrip
+	},
+	{
+		key: 'criticalSpeed',
+		label: 'Walk Speed',
+		type: 'float',
+		default: 0.05,
+		min: 0.005,
+		max: 0.5,
+		step: 0.005,
+		precision: 3,
+		unit: 't/frame',
+		group: 'Critical Line',
+		visible: (values) => isStrip(values) && values.criticalWalk
+	},
+
+	// zetaParams: numWaves, scale, scalingMode, phaseMode
+	{
+		key: 'zetaNumWaves',
+		label: 'Number of Waves',
+		type: 'int',
+		default: 1,
+		min: 1,
+		max: 50,
+		group: 'Zeta Parameters',
+		visible: isZeta,
+		uniform: { buffer: 'zetaParams', index: 0 }
+	},
+	{
+		key: 'zetaScale',
+		label: 'Frequency Scale',
+		type: 'float',
+		default: 4.0,
+		min: 1.0,
+		max: 100.0,
+		step: 1.0,
+		precision: 2,
+		group: 'Zeta Parameters',
+		visible: isZeta,
+		uniform: { buffer: 'zetaParams', index: 1 }
+	},
+	{
+		key: 'zetaScalingMode',
+		label: 'Scaling Mode',
+		type: 'enum',
+		default: 0,
+		options: [
+			{ value: 0, label: 'log(p)' },
+			{ value: 1, label: 'theta/p' }
+		],
+		group: 'Zeta Parameters',
+		visible: isZeta,
+		uniform: { buffer: 'zetaParams', index: 2 }
+	},
+	{
+		key: 'zetaPhaseMode',
+		label: 'Phase Mode',
+		type: 'enum',
+		default: 0,
+		options: [
+			{ value: 0, label: 'Auto' },
+			{ value: 1, label: 'Manual' }
+		],
+		group: 'Zeta Parameters',
+		visible: isZeta,
+		uniform: { buffer: 'zetaParams', index: 3 }
+	},
+
+	// geometryParams: geometryMode, waveMode
+	{
+		key: 'zetaGeometryMode',
+		label: 'Geometry',
+		type: 'enum',
+		default: 0,
+		options: [
+			{ value: 0, label: 'Euclidean' },
+			{ value: 1, label: 'Poincaré Disc' }
+		],
+		group: 'Zeta Parameters',
+		visible: isZeta,
+		uniform: { buffer: 'geometryParams', index: 0 }
+	},
+	{
+		key: 'zetaWaveMode',
+		label: 'Wave Mode',
+		type: 'enum',
+		default: 0,
+		options: [
+			{ value: 0, label: 'Radial' },
+			{ value: 1, label: 'Hexagonal' }
+		],
+		group: 'Zeta Parameters',
+		visible: isZeta,
+		uniform: { buffer: 'geometryParams', index: 1 }
+	},
+
+	// Written with the time uniform every frame, so no buffer of its own
+	{
+		key: 'zetaManualPhase',
+		label: 'Manual Phase',
+		type: 'float',
+		default: 0,
+		min: -Math.PI * 2,
+		max: Math.PI * 2,
+		step: Math.PI / 8,
+		precision: 2,
+		unit: 'rad',
+		group: 'Zeta Parameters',
+		visible: (values) => isZeta(values) && values.zetaPhaseMode === 1
+	},
+
+	// Domain coloring, see ./domainColoring.js. Mode and grid spacing are
+	// written with the time uniform; markers come from a CPU search
+	{
+		key: 'coloring',
+		label: 'Coloring',
+		type: 'enum',
+		default: 0,
+		options: [
+			{ value: 0, label: 'Height' },
+			{ value: 1, label: 'Domain' }
+		],
+		group: 'Coloring'
+	},
+	{
+		key: 'domainGrid',
+		label: 'Re/Im Grid Spacing',
+		type: 'float',
+		default: 0.5,
+		min: 0,
+		max: 2.0,
+		step: 0.25,
+		group: 'Coloring',
+		visible: isDomainColoring
+	},
+	{
+		key: 'domainMarkers',
+		label: 'Mark Zeros and Poles',
+		type: 'bool',
+		default: true,
+		group: 'Coloring',
+		visible: isDomainColoring
+	}
+];
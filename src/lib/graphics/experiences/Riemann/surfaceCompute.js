@@ -0,0 +1,158 @@
+import { PATCH_SIZE, WGSL_LOD_PATCH } from '../../utils/quadtreeLOD.js';
+
+/**
+ * GPU generation of the grid surfaces
+ *
+ * All grid surfaces share one vertex buffer, written by a compute pass:
+ * position xyz and normal xyz per vertex, PATCH_SIZE² vertices for each
+ * patch of the quadtree level of detail (see utils/quadtreeLOD.js). Each
+ * static surface shader defines
+ *
+ *   fn surfacePosition(uv: vec2<f32>) -> vec3<f32>
+ *
+ * mapping uv in [0, 1]² to a point of the surface, and gets the
+ * computeMain below through its prelude. The normal is taken from central
+ * differences of surfacePosition over one cell of the patch, so height
+ * fields and the parametric torus are handled alike.
+ *
+ * The user's f(z) and the critical strip displace the flat grid in their
+ * vertex stage; the multi-sheeted surfaces have meshes of their own.
+ */
+
+// Floats per vertex: position, normal
+export const SURFACE_VERTEX_FLOATS = 6;
+
+// Must match @workgroup_size below
+export const SURFACE_WORKGROUP_SIZE = 8;
+
+// Surfaces with a computeMain of their own
+export const COMPUTED_SURFACES = ['flat', 'sine', 'ripple', 'weird', 'torus', 'zeta'];
+
+/**
+ * The computed surface a surface type draws on
+ *
+ * @param {string} surface Surface type
+ * @returns {string|null} One of COMPUTED_SURFACES, or null for the sheets
+ */
+export function gridSurface(surface) {
+	if (COMPUTED_SURFACES.includes(surface)) return surface;
+	return surface === 'sheets' ? null : 'flat';
+}
+
+// Parameters the zeta surface is generated from
+const ZETA_PARAMETERS = [
+	'zetaNumWaves',
+	'zetaScale',
+	'zetaScalingMode',
+	'zetaPhaseMode',
+	'zetaGeometryMode',
+	'zetaWaveMode',
+	'zetaManualPhase'
+];
+
+/**
+ * Whether a computed surface moves with time, and so is generated every frame
+ *
+ * @param {string} surface One of COMPUTED_SURFACES
+ * @param {Object} values Current parameter values
+ * @returns {boolean}
+ */
+export function isAnimated(surface, values) {
+	if (surface === 'zeta') return values.zetaPhaseMode !== 1;
+	return surface === 'sine' || surface === 'ripple' || surface === 'weird';
+}
+
+/**
+ * Everything a still surface depends on; the grid is generated again
+ * when this changes
+ *
+ * @param {string} surface One of COMPUTED_SURFACES
+ * @param {Object} values Current parameter values
+ * @param {number} patches Version of the patch selection
+ * @returns {string}
+ */
+export function surfaceKey(surface, values, patches) {
+	const parameters = surface === 'zeta' ? ZETA_PARAMETERS.map((key) => values[key]) : [];
+	return JSON.stringify([surface, patches, ...parameters]);
+}
+
+// The plane each height field is drawn over, and how far its height leaves
+// it; flat also carries the user's f(z) and the critical strip
+const SURFACE_EXTENTS = {
+	flat: { halfSize: 2, height: 1 },
+	sine: { halfSize: 2, height: 0.5 },
+	ripple: { halfSize: 2, height: 0.2 },
+	weird: { halfSize: 2, height: 1 },
+	zeta: { halfSize: 5, height: 2 }
+};
+
+/**
+ * The surface without its height, for choosing the patches
+ *
+ * @param {string} surface One of COMPUTED_SURFACES
+ * @returns {Object} position (u, v) => [x, y, z] and heightRange, see selectPatches
+ */
+export function surfaceLOD(surface) {
+	if (surface === 'torus') {
+		// As TorusShader.wgsl
+		return {
+			position: (u, v) => {
+				const ring = 1.3 + 0.7 * Math.cos(v * 2 * Math.PI);
+				const theta = u * 2 * Math.PI;
+				return [ring * Math.cos(theta), ring * Math.sin(theta), 0.7 * Math.sin(v * 2 * Math.PI)];
+			},
+			heightRange: 0,
+			wrapU: true,
+			wrapV: true
+		};
+	}
+
+	const { halfSize, height } = SURFACE_EXTENTS[surface];
+	return {
+		position: (u, v) => [(u * 2 - 1) * halfSize, (v * 2 - 1) * halfSize, 0],
+		heightRange: height,
+		wrapU: false,
+		wrapV: false
+	};
+}
+
+export const WGSL_SURFACE_COMPUTE = /* wgsl */ `
+${WGSL_LOD_PATCH}
+// The shared grid, see ./surfaceCompute.js
+@group(2) @binding(0) var<storage, read_write> surfaceVertices: array<f32>;
+@group(2) @binding(1) var<storage, read> surfacePatches: array<LodPatch>;
+
+// Grid uv in [0, 1]^2 to a square of the plane
+fn gridPoint(uv: vec2<f32>, halfSize: f32) -> vec2<f32> {
+    return (uv * 2.0 - 1.0) * halfSize;
+}
+
+// One invocation per vertex, one workgroup layer per patch
+@compute @workgroup_size(${SURFACE_WORKGROUP_SIZE}, ${SURFACE_WORKGROUP_SIZE})
+fn computeMain(@builtin(global_invocation_id) id: vec3<u32>) {
+    let size = ${PATCH_SIZE}u;
+    if (id.x >= size || id.y >= size) {
+        return;
+    }
+
+    let lodPatch = surfacePatches[id.z];
+    let uv = lodPatchUV(vec2<f32>(id.xy), lodPatch);
+    let position = surfacePosition(uv);
+
+    // Normal from central differences over one cell of the patch
+    let cell = lodPatch.rect.zw / LOD_PATCH_LAST;
+    let du = surfacePosition(uv + vec2<f32>(cell.x, 0.0)) - surfacePosition(uv - vec2<f32>(cell.x, 0.0));
+    let dv = surfacePosition(uv + vec2<f32>(0.0, cell.y)) - surfacePosition(uv - vec2<f32>(0.0, cell.y));
+    let cross_uv = cross(du, dv);
+    let len = length(cross_uv);
+    let normal = select(vec3<f32>(0.0, 0.0, 1.0), cross_uv / max(len, 1e-20), len > 1e-20);
+
+    let base = ((id.z * size + id.y) * size + id.x) * ${SURFACE_VERTEX_FLOATS}u;
+    surfaceVertices[base] = position.x;
+    surfaceVertices[base + 1u] = position.y;
+    surfaceVertices[base + 2u] = position.z;
+    surfaceVertices[base + 3u] = normal.x;
+    surfaceVertices[base + 4u] = normal.y;
+    surfaceVertices[base + 5u] = normal.z;
+}
+`;
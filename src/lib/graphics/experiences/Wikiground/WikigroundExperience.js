@@ -1,5 +1,9 @@
 import Experience from '../Experience.js';
 import WikigroundPipeline from './WikigroundPipeline.js';
+import { QuadtreeLOD } from '../../utils/quadtreeLOD.js';
+
+// Equatorial radius in world units, as WikigroundPipeline scales the globe
+const GLOBE_RADIUS = 6378137.0 * 0.0000001;
 
 class WikigroundExperience extends Experience {
     constructor(device, resourceManager) {
@@ -25,11 +29,6 @@ class WikigroundExperience extends Experience {
             this.resourceManager.experiences.wikiground = this;
         }
         
-        // Sphere resolution
-        this.sphereResolution = 64; // 64x32 sphere segments
-        this.totalVertices = (this.sphereResolution + 1) * (this.sphereResolution / 2 + 1);
-        this.totalIndices = this.sphereResolution * this.sphereResolution / 2 * 6;
-        
         // Animation time
         this.time = 0;
         
@@ -74,74 +73,24 @@ class WikigroundExperience extends Experience {
     }
     
     createSphereBuffers() {
-        // Create vertices for a UV sphere
-        const vertices = new Float32Array(this.totalVertices * 3);
-        let vertexIndex = 0;
-        
-        // Generate sphere vertices
-        for (let lat = 0; lat <= this.sphereResolution / 2; lat++) {
-            const theta = (lat * Math.PI) / (this.sphereResolution / 2);
-            const sinTheta = Math.sin(theta);
-            const cosTheta = Math.cos(theta);
-            
-            for (let lon = 0; lon <= this.sphereResolution; lon++) {
-                const phi = (lon * 2 * Math.PI) / this.sphereResolution;
-                const sinPhi = Math.sin(phi);
-                const cosPhi = Math.cos(phi);
-                
-                // Sphere coordinates with radius 1
-                const x = cosPhi * sinTheta;
-                const y = cosTheta;
-                const z = sinPhi * sinTheta;
-                
-                vertices[vertexIndex * 3] = x;
-                vertices[vertexIndex * 3 + 1] = y;
-                vertices[vertexIndex * 3 + 2] = z;
-                
-                vertexIndex++;
-            }
-        }
-        
-        // Create vertex buffer
-        this.vertexBuffer = this.device.createBuffer({
-            size: vertices.byteLength,
-            usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
-            mappedAtCreation: true,
-            label: 'Wikiground Vertex Buffer'
-        });
-        new Float32Array(this.vertexBuffer.getMappedRange()).set(vertices);
-        this.vertexBuffer.unmap();
-        
-        // Create indices for sphere triangles
-        const indices = new Uint32Array(this.totalIndices);
-        let indexCount = 0;
-        
-        for (let lat = 0; lat < this.sphereResolution / 2; lat++) {
-            for (let lon = 0; lon < this.sphereResolution; lon++) {
-                const first = lat * (this.sphereResolution + 1) + lon;
-                const second = first + this.sphereResolution + 1;
-                
-                // First triangle
-                indices[indexCount++] = first;
-                indices[indexCount++] = second;
-                indices[indexCount++] = first + 1;
-                
-                // Second triangle
-                indices[indexCount++] = second;
-                indices[indexCount++] = second + 1;
-                indices[indexCount++] = first + 1;
-            }
-        }
-        
-        // Create index buffer
-        this.indexBuffer = this.device.createBuffer({
-            size: indices.byteLength,
-            usage: GPUBufferUsage.INDEX | GPUBufferUsage.COPY_DST,
-            mappedAtCreation: true,
-            label: 'Wikiground Index Buffer'
+        // Quadtree patches over longitude and latitude, two square roots of 180°,
+        // joined across the date line; finest where the camera is close
+        this.lod = new QuadtreeLOD(this.device, {
+            label: 'Wikiground',
+            position: (u, v) => {
+                const lon = u * 2 * Math.PI;
+                const lat = (0.5 - v) * Math.PI;
+                return [
+                    GLOBE_RADIUS * Math.cos(lat) * Math.cos(lon),
+                    GLOBE_RADIUS * Math.cos(lat) * Math.sin(lon),
+                    GLOBE_RADIUS * Math.sin(lat)
+                ];
+            },
+            roots: [2, 1],
+            wrapU: true,
+            maxPatches: 256,
+            maxLevel: 7 // About one cell per texel of the 8k height map
         });
-        new Uint32Array(this.indexBuffer.getMappedRange()).set(indices);
-        this.indexBuffer.unmap();
     }
     
     async initialize() {
@@ -205,15 +154,16 @@ class WikigroundExperience extends Experience {
                 new Float32Array([this.time, 1.0, 0.0, 0.0]) // time, radius, unused, unused
             );
             
+            // Pick the patches for the current view
+            this.lod.update(this.resourceManager.camera, this.resourceManager.depthTexture?.height);
+            
             // Render using pipeline
             this.pipeline.render(
                 commandEncoder,
                 textureView,
                 depthTextureView,
-                this.vertexBuffer,
-                this.indexBuffer,
-                this.uniformBuffer,
-                this.totalIndices
+                this.lod,
+                this.uniformBuffer
             );
         } catch (error) {
             console.error("Error in Wikiground render:", error);
@@ -266,18 +216,9 @@ class WikigroundExperience extends Experience {
         }
         
         // Clean up buffers
-        if (this.vertexBuffer) {
-            if (this.resourceManager) {
-                this.resourceManager.unregisterResource?.(this.vertexBuffer, 'buffers');
-            }
-            this.vertexBuffer = null;
-        }
-        
-        if (this.indexBuffer) {
-            if (this.resourceManager) {
-                this.resourceManager.unregisterResource?.(this.indexBuffer, 'buffers');
-            }
-            this.indexBuffer = null;
+        if (this.lod) {
+            this.lod.cleanup();
+            this.lod = null;
         }
         
         if (this.uniformBuffer) {
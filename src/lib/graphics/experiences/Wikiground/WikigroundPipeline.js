@@ -1,3 +1,5 @@
+import { LOD_VERTEX_BUFFERS, WGSL_LOD_PATCH } from '../../utils/quadtreeLOD.js';
+
 class WikigroundPipeline {
     constructor(device, resourceManager) {
       this.device = device;
@@ -118,7 +120,8 @@ class WikigroundPipeline {
       try {
         const response = await fetch(shaderPath);
         if (!response.ok) throw new Error(`Failed to fetch shader: ${response.statusText}`);
-        const shaderCode = await response.text();
+        // The vertex stage places the quadtree patches with lodPatchUV
+        const shaderCode = WGSL_LOD_PATCH + (await response.text());
   
         this.shaderModule = this.device.createShaderModule({
           code: shaderCode,
@@ -130,10 +133,7 @@ class WikigroundPipeline {
           vertex: {
             module: this.shaderModule,
             entryPoint: 'vertexMain',
-            buffers: [{
-              arrayStride: 12,
-              attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }],
-            }],
+            buffers: LOD_VERTEX_BUFFERS, // Patch grid, and the patches as instances
           },
           fragment: {
             module: this.shaderModule,
@@ -151,7 +151,7 @@ class WikigroundPipeline {
       }
     }
   
-    render(commandEncoder, textureView, depthTextureView, vertexBuffer, indexBuffer, uniformBuffer, indexCount) {
+    render(commandEncoder, textureView, depthTextureView, lod, uniformBuffer) {
       if (!this.isInitialized || !this.renderPipeline || !this.isActive) return;
       if (!depthTextureView) {
         console.warn('Skipping render: depthTextureView is null');
@@ -191,9 +191,7 @@ class WikigroundPipeline {
         const pass = commandEncoder.beginRenderPass(renderPassDescriptor);
         pass.setPipeline(this.renderPipeline);
         pass.setBindGroup(0, bindGroup);
-        pass.setVertexBuffer(0, vertexBuffer);
-        pass.setIndexBuffer(indexBuffer, 'uint32');
-        pass.drawIndexed(indexCount);
+        lod.draw(pass);
         pass.end();
       } catch (error) {
         console.error('Error in Wikiground Pipeline render:', error);
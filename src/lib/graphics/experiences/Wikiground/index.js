@@ -0,0 +1,16 @@
+export default {
+	id: 'wikiground',
+	name: 'WIKIGROUND',
+	title: 'Wikiground Experience',
+	description: "Interactive 3D visualisation of the world's topography.",
+	color: '#FFDF00',
+	order: 2,
+	camera: {
+		position: { x: 0, y: 0, z: 10 },
+		fov: 50 * (Math.PI / 180),
+		baseDistance: 500.0 // Medium-close for disk view
+	},
+	shaders: ['/shaders/wikiground/wikigroundShader.wgsl'],
+	load: () => import('./WikigroundExperience.js'),
+	controls: () => import('./WikigroundControls.svelte')
+};
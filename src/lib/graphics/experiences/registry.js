@@ -0,0 +1,106 @@
+/**
+ * Experience registry
+ *
+ * Every folder under experiences/ that ships an index.js is an experience
+ * plugin. The index module default-exports a plain definition object:
+ *
+ *   {
+ *     id: 'flocking',                 // route segment: /experience/flocking
+ *     name: 'FLOCKING',               // label on the home page
+ *     title: 'Flocking Simulation',   // document title
+ *     description: '...',
+ *     color: '#00bfff',               // accent color for overlays and panels
+ *     order: 1,                       // position in the home page list
+ *     camera: { position, fov, baseDistance },
+ *     shaders: ['/shaders/...wgsl'],  // preloaded while the engine starts
+ *     load: () => import('./FlockingExperience.js'),
+ *     controls: () => import('./FlockingControls.svelte') // optional
+ *   }
+ *
+ * Loaders are lazy so the home page only pulls in metadata, not the
+ * experience classes and their pipelines.
+ */
+
+const registry = new Map();
+
+/**
+ * Validate and register an experience definition.
+ * Throws if the definition is malformed or the id is already taken.
+ */
+export function registerExperience(definition) {
+	if (!definition || typeof definition !== 'object') {
+		throw new Error('Experience definition must be an object');
+	}
+
+	const { id, load } = definition;
+
+	if (typeof id !== 'string' || !/^[a-z0-9-]+$/.test(id)) {
+		throw new Error(`Invalid experience id: ${id}`);
+	}
+
+	if (typeof load !== 'function') {
+		throw new Error(`Experience '${id}' must provide a load() function`);
+	}
+
+	if (registry.has(id)) {
+		throw new Error(`Experience '${id}' is already registered`);
+	}
+
+	const normalized = Object.freeze({
+		name: id.toUpperCase(),
+		title: id,
+		description: '',
+		color: '#ffffff',
+		order: Number.MAX_SAFE_INTEGER,
+		camera: null,
+		shaders: [],
+		controls: null,
+		...definition
+	});
+
+	registry.set(id, normalized);
+	return normalized;
+}
+
+/**
+ * Get a registered definition by id (case-insensitive), or null
+ */
+export function getExperienceDefinition(id) {
+	if (!id) return null;
+	return registry.get(String(id).toLowerCase()) || null;
+}
+
+/**
+ * All registered definitions in display order
+ */
+export function listExperiences() {
+	return Array.from(registry.values()).sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Resolve the lazy parts of a definition: the experience class and the
+ * optional controls component
+ */
+export async function loadExperience(id) {
+	const definition = getExperienceDefinition(id);
+	if (!definition) {
+		return null;
+	}
+
+	const [experienceModule, controlsModule] = await Promise.all([
+		definition.load(),
+		definition.controls ? definition.controls() : null
+	]);
+
+	return {
+		definition,
+		experienceClass: experienceModule.default,
+		controls: controlsModule ? controlsModule.default : null
+	};
+}
+
+// Register every experience plugin that lives next to this file
+const modules = import.meta.glob('./*/index.js', { eager: true });
+for (const path in modules) {
+	registerExperience(modules[path].default);
+}
@@ -0,0 +1,36 @@
+/**
+ * Ray picking against point-like objects (e.g. instanced neurons)
+ *
+ * A point is hit when the ray passes within `radius` of it, or within
+ * `angularTolerance` radians as seen from the ray origin, so small or
+ * distant objects stay easy to hit. The hit nearest the camera wins.
+ *
+ * @param {{origin: number[], direction: number[]}} ray Normalized direction, see Camera.getPickingRay
+ * @param {number[][]} points World positions
+ * @param {Object} options radius (world units), angularTolerance (radians)
+ * @returns {{index: number, distance: number}|null} Index of the hit point and its distance along the ray
+ */
+export function pickPoint(ray, points, { radius = 1, angularTolerance = 0.01 } = {}) {
+	const [ox, oy, oz] = ray.origin;
+	const [dx, dy, dz] = ray.direction;
+	let best = null;
+
+	for (let index = 0; index < points.length; index++) {
+		const point = points[index];
+		const vx = point[0] - ox;
+		const vy = point[1] - oy;
+		const vz = point[2] - oz;
+
+		// Distance along the ray to the closest approach; behind the camera is no hit
+		const t = vx * dx + vy * dy + vz * dz;
+		if (t <= 0) continue;
+
+		const missSquared = vx * vx + vy * vy + vz * vz - t * t;
+		const allowed = Math.max(radius, t * angularTolerance);
+		if (missSquared <= allowed * allowed && (!best || t < best.distance)) {
+			best = { index, distance: t };
+		}
+	}
+
+	return best;
+}
@@ -0,0 +1,490 @@
+/**
+ * Quadtree level of detail for surfaces over a square of parameters
+ *
+ * A surface maps (u, v) in [0, 1]² to the world. The quadtree splits that
+ * square into patches, and every patch is drawn as the same grid of
+ * PATCH_SIZE² vertices. A patch is split while one of its grid cells would
+ * span more than `pixelError` pixels on screen, judged from its distance to
+ * the camera: near parts of the surface get small patches, far parts large
+ * ones. The leaves are then balanced so that neighbours differ by at most
+ * one level.
+ *
+ * Where a patch borders a coarser one, every other vertex of the fine edge
+ * has no partner on the coarse edge, and the surface would crack open
+ * there. Each patch records those edges, and lodPatchUV (WGSL_LOD_PATCH)
+ * moves their odd vertices onto the even ones next to them, so the fine
+ * edge runs exactly along the coarse one.
+ *
+ * selectPatches and createPatchGrid are plain JavaScript; QuadtreeLOD keeps
+ * the selection and its GPU buffers for an experience.
+ */
+
+// Vertices along each side of a patch; odd, so every edge has a middle vertex
+export const PATCH_SIZE = 33;
+
+// Floats per patch: rect (u0, v0, du, dv), info (stitched edges, level, unused x2)
+export const PATCH_FLOATS = 8;
+
+// Edges stitched to a coarser neighbour, as bits of info.x
+export const EDGE_U_MIN = 1;
+export const EDGE_U_MAX = 2;
+export const EDGE_V_MIN = 4;
+export const EDGE_V_MAX = 8;
+
+const EDGES = [
+	{ bit: EDGE_U_MIN, dx: -1, dy: 0 },
+	{ bit: EDGE_U_MAX, dx: 1, dy: 0 },
+	{ bit: EDGE_V_MIN, dx: 0, dy: -1 },
+	{ bit: EDGE_V_MAX, dx: 0, dy: 1 }
+];
+
+/**
+ * Vertex buffers for drawing patches instanced: the patch grid per vertex
+ * at location 0, and the patch rect and info per instance at 1 and 2
+ */
+export const LOD_VERTEX_BUFFERS = [
+	{
+		arrayStride: 8,
+		attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x2' }] // Grid vertex (i, j)
+	},
+	{
+		arrayStride: PATCH_FLOATS * 4,
+		stepMode: 'instance',
+		attributes: [
+			{ shaderLocation: 1, offset: 0, format: 'float32x4' }, // Rect
+			{ shaderLocation: 2, offset: 16, format: 'float32x4' } // Info
+		]
+	}
+];
+
+export const WGSL_LOD_PATCH = /* wgsl */ `
+// A quadtree patch, see quadtreeLOD.js
+struct LodPatch {
+    rect: vec4<f32>,   // u0, v0, du, dv
+    info: vec4<f32>,   // stitched edges (1 u min, 2 u max, 4 v min, 8 v max), level, unused x2
+}
+
+const LOD_PATCH_LAST = ${PATCH_SIZE - 1}.0;
+
+// (u, v) of grid vertex (i, j) of a patch. On stitched edges the odd
+// vertices move onto their even neighbours, matching the coarser patch.
+fn lodPatchUV(vertex: vec2<f32>, lodPatch: LodPatch) -> vec2<f32> {
+    let stitch = u32(lodPatch.info.x);
+    var cell = vertex;
+
+    let alongV = (cell.y == 0.0 && (stitch & 4u) != 0u) || (cell.y == LOD_PATCH_LAST && (stitch & 8u) != 0u);
+    if (alongV && (u32(cell.x) & 1u) == 1u) {
+        cell.x -= 1.0;
+    }
+    let alongU = (cell.x == 0.0 && (stitch & 1u) != 0u) || (cell.x == LOD_PATCH_LAST && (stitch & 2u) != 0u);
+    if (alongU && (u32(cell.y) & 1u) == 1u) {
+        cell.y -= 1.0;
+    }
+
+    return lodPatch.rect.xy + cell / LOD_PATCH_LAST * lodPatch.rect.zw;
+}
+`;
+
+/**
+ * The grid every patch is drawn with
+ *
+ * @param {number} size Vertices along each side
+ * @returns {{vertices: Float32Array, indices: Uint32Array}} Vertex (i, j) pairs, row by row in j, and two triangles per cell
+ */
+export function createPatchGrid(size = PATCH_SIZE) {
+	const vertices = new Float32Array(size * size * 2);
+	for (let j = 0; j < size; j++) {
+		for (let i = 0; i < size; i++) {
+			vertices[(j * size + i) * 2] = i;
+			vertices[(j * size + i) * 2 + 1] = j;
+		}
+	}
+
+	// Wound like the UV sphere this replaced, so back-face culling still works
+	const indices = new Uint32Array((size - 1) * (size - 1) * 6);
+	let index = 0;
+	for (let j = 0; j < size - 1; j++) {
+		for (let i = 0; i < size - 1; i++) {
+			const corner = j * size + i;
+			indices[index++] = corner;
+			indices[index++] = corner + size;
+			indices[index++] = corner + 1;
+			indices[index++] = corner + size;
+			indices[index++] = corner + size + 1;
+			indices[index++] = corner + 1;
+		}
+	}
+
+	return { vertices, indices };
+}
+
+/**
+ * Choose the patches for a view
+ *
+ * @param {Object} options
+ *   position       - (u, v) => [x, y, z], the surface without its displacement
+ *   heightRange    - how far the displacement can move a point (default 0)
+ *   camera         - camera position [x, y, z]
+ *   fov            - vertical field of view, radians
+ *   viewportHeight - pixels
+ *   roots          - [columns, rows] of level 0 patches (default [1, 1])
+ *   wrapU          - whether u = 1 joins u = 0, e.g. around a sphere (default false)
+ *   wrapV          - whether v = 1 joins v = 0, e.g. around a torus (default false)
+ *   patchSize      - vertices along each side of a patch (default PATCH_SIZE)
+ *   pixelError     - largest cell on screen before a split, pixels (default 4)
+ *   maxLevel       - deepest level (default 8)
+ *   maxPatches     - refinement budget; balancing may add a few more (default 256)
+ * @returns {Object[]} Patches { level, x, y, u0, v0, du, dv, stitch }
+ */
+export function selectPatches({
+	position,
+	heightRange = 0,
+	camera,
+	fov,
+	viewportHeight,
+	roots = [1, 1],
+	wrapU = false,
+	wrapV = false,
+	patchSize = PATCH_SIZE,
+	pixelError = 4,
+	maxLevel = 8,
+	maxPatches = 256
+}) {
+	const [columns, rows] = roots;
+	const pixelsPerUnit = viewportHeight / (2 * Math.tan(fov / 2));
+
+	// Screen size of one grid cell of a tile at its nearest point
+	const cellPixels = (tile) => {
+		const { u0, v0, du, dv } = tileRect(tile, columns, rows);
+
+		// 3x3 samples: the corners alone can coincide, e.g. on a torus
+		const samples = [];
+		for (let j = 0; j <= 2; j++) {
+			for (let i = 0; i <= 2; i++) {
+				samples.push(position(u0 + (du * i) / 2, v0 + (dv * j) / 2));
+			}
+		}
+
+		let size = 0;
+		for (let j = 0; j <= 2; j++) {
+			for (let i = 0; i < 2; i++) {
+				size = Math.max(size, 2 * distance(samples[j * 3 + i], samples[j * 3 + i + 1]));
+				size = Math.max(size, 2 * distance(samples[i * 3 + j], samples[(i + 1) * 3 + j]));
+			}
+		}
+
+		const center = samples[4];
+		let radius = 0;
+		for (const sample of samples) {
+			radius = Math.max(radius, distance(center, sample));
+		}
+		const near = Math.max(distance(camera, center) - radius - heightRange, 1e-6);
+
+		return ((size / (patchSize - 1)) * pixelsPerUnit) / near;
+	};
+
+	// Refine the tile with the largest error first, so the budget goes where it shows most
+	const queue = new MaxHeap();
+	const leaves = new Map();
+	for (let y = 0; y < rows; y++) {
+		for (let x = 0; x < columns; x++) {
+			const tile = { level: 0, x, y };
+			queue.push(tile, cellPixels(tile));
+		}
+	}
+
+	let count = queue.size;
+	while (queue.size > 0) {
+		const { item: tile, priority } = queue.pop();
+		if (priority > pixelError && tile.level < maxLevel && count + 3 <= maxPatches) {
+			for (const child of children(tile)) {
+				queue.push(child, cellPixels(child));
+			}
+			count += 3;
+		} else {
+			leaves.set(tileKey(tile), tile);
+		}
+	}
+
+	// Balance: no leaf may border one more than a level coarser
+	const pending = [...leaves.values()];
+	while (pending.length > 0) {
+		const tile = pending.pop();
+		if (!leaves.has(tileKey(tile))) continue;
+
+		for (const { dx, dy } of EDGES) {
+			const neighbour = coveringLeaf(
+				leaves,
+				tile.level,
+				tile.x + dx,
+				tile.y + dy,
+				columns,
+				rows,
+				wrapU,
+				wrapV
+			);
+			if (neighbour && neighbour.level < tile.level - 1) {
+				leaves.delete(tileKey(neighbour));
+				for (const child of children(neighbour)) {
+					leaves.set(tileKey(child), child);
+					pending.push(child);
+				}
+				pending.push(tile);
+			}
+		}
+	}
+
+	const patches = [];
+	for (const tile of leaves.values()) {
+		let stitch = 0;
+		for (const { bit, dx, dy } of EDGES) {
+			const neighbour = coveringLeaf(
+				leaves,
+				tile.level,
+				tile.x + dx,
+				tile.y + dy,
+				columns,
+				rows,
+				wrapU,
+				wrapV
+			);
+			if (neighbour && neighbour.level < tile.level) stitch |= bit;
+		}
+		const { u0, v0, du, dv } = tileRect(tile, columns, rows);
+		patches.push({ level: tile.level, x: tile.x, y: tile.y, u0, v0, du, dv, stitch });
+	}
+	return patches;
+}
+
+/**
+ * Write patches in the layout of LodPatch
+ *
+ * @param {Object[]} patches From selectPatches
+ * @param {Float32Array} target At least patches.length * PATCH_FLOATS long
+ * @returns {Float32Array} target
+ */
+export function packPatches(patches, target) {
+	patches.forEach((patch, index) => {
+		target.set(
+			[patch.u0, patch.v0, patch.du, patch.dv, patch.stitch, patch.level, 0, 0],
+			index * PATCH_FLOATS
+		);
+	});
+	return target;
+}
+
+// Small integers make fast map keys: up to 8192 columns and rows per level, 16 levels
+function tileKey({ level, x, y }) {
+	return (((level << 13) | x) << 13) | y;
+}
+
+function tileRect({ level, x, y }, columns, rows) {
+	const du = 1 / (columns * 2 ** level);
+	const dv = 1 / (rows * 2 ** level);
+	return { u0: x * du, v0: y * dv, du, dv };
+}
+
+function children({ level, x, y }) {
+	return [
+		{ level: level + 1, x: 2 * x, y: 2 * y },
+		{ level: level + 1, x: 2 * x + 1, y: 2 * y },
+		{ level: level + 1, x: 2 * x, y: 2 * y + 1 },
+		{ level: level + 1, x: 2 * x + 1, y: 2 * y + 1 }
+	];
+}
+
+// The leaf covering tile (level, x, y), or null outside the square or where it is split finer
+function coveringLeaf(leaves, level, x, y, columns, rows, wrapU, wrapV) {
+	const width = columns * 2 ** level;
+	const height = rows * 2 ** level;
+	if (wrapU) x = ((x % width) + width) % width;
+	if (wrapV) y = ((y % height) + height) % height;
+	if (x < 0 || x >= width || y < 0 || y >= height) return null;
+
+	for (let l = level; l >= 0; l--) {
+		const shift = level - l;
+		const leaf = leaves.get((((l << 13) | (x >> shift)) << 13) | (y >> shift));
+		if (leaf) return leaf;
+	}
+	return null;
+}
+
+function distance(a, b) {
+	return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+// Binary max-heap of items by priority
+class MaxHeap {
+	constructor() {
+		this.entries = [];
+	}
+
+	get size() {
+		return this.entries.length;
+	}
+
+	push(item, priority) {
+		const entries = this.entries;
+		entries.push({ item, priority });
+		let index = entries.length - 1;
+		while (index > 0) {
+			const parent = (index - 1) >> 1;
+			if (entries[parent].priority >= priority) break;
+			[entries[parent], entries[index]] = [entries[index], entries[parent]];
+			index = parent;
+		}
+	}
+
+	pop() {
+		const entries = this.entries;
+		const top = entries[0];
+		const last = entries.pop();
+		if (entries.length > 0) {
+			entries[0] = last;
+			let index = 0;
+			for (;;) {
+				const left = 2 * index + 1;
+				const right = left + 1;
+				let largest = index;
+				if (left < entries.length && entries[left].priority > entries[largest].priority)
+					largest = left;
+				if (right < entries.length && entries[right].priority > entries[largest].priority)
+					largest = right;
+				if (largest === index) break;
+				[entries[largest], entries[index]] = [entries[index], entries[largest]];
+				index = largest;
+			}
+		}
+		return top;
+	}
+}
+
+/**
+ * The patch selection of one surface and its GPU buffers: the patch grid,
+ * its indices and the patches themselves, usable as instance vertex buffer
+ * (LOD_VERTEX_BUFFERS) or read-only storage (array<LodPatch>)
+ */
+export class QuadtreeLOD {
+	/**
+	 * @param {GPUDevice} device
+	 * @param {Object} options Everything selectPatches takes but the view, plus a label
+	 */
+	constructor(device, { label = 'Quadtree LOD', ...options } = {}) {
+		this.device = device;
+		this.label = label;
+		this.options = { patchSize: PATCH_SIZE, ...options };
+
+		this.patches = [];
+		this.patchCount = 0;
+		this.version = 0; // Bumped whenever the patches change
+		this.viewKey = null;
+		this.patchKey = null;
+
+		const { vertices, indices } = createPatchGrid(this.options.patchSize);
+		this.patchVertices = vertices.length / 2;
+		this.indexCount = indices.length;
+		this.gridBuffer = this.createBuffer(vertices, GPUBufferUsage.VERTEX, `${label} Patch Grid`);
+		this.indexBuffer = this.createBuffer(indices, GPUBufferUsage.INDEX, `${label} Patch Indices`);
+
+		this.patchData = new Float32Array(0);
+		this.patchBuffer = null;
+		this.capacity = 0;
+		this.ensureCapacity(this.options.maxPatches ?? 256);
+	}
+
+	/**
+	 * Change the surface or the selection options; the next update selects again
+	 */
+	configure(options) {
+		Object.assign(this.options, options);
+		this.viewKey = null;
+	}
+
+	/**
+	 * Select the patches for the camera's current view
+	 *
+	 * @param {Camera} camera Needs position and fov
+	 * @param {number} viewportHeight Pixels
+	 * @returns {boolean} Whether the patches changed
+	 */
+	update(camera, viewportHeight) {
+		if (!camera || !viewportHeight) return false;
+
+		const fov = camera.fov ?? Math.PI / 4;
+		const viewKey = `${camera.position.join(',')}|${fov}|${viewportHeight}`;
+		if (viewKey === this.viewKey) return false;
+		this.viewKey = viewKey;
+
+		const patches = selectPatches({
+			...this.options,
+			camera: camera.position,
+			fov,
+			viewportHeight
+		});
+		const patchKey = patches.map((patch) => `${tileKey(patch)}:${patch.stitch}`).join(' ');
+		if (patchKey === this.patchKey) return false;
+
+		this.patchKey = patchKey;
+		this.patches = patches;
+		this.patchCount = patches.length;
+		this.ensureCapacity(patches.length);
+		packPatches(patches, this.patchData);
+		this.device.queue.writeBuffer(
+			this.patchBuffer,
+			0,
+			this.patchData,
+			0,
+			patches.length * PATCH_FLOATS
+		);
+		this.version++;
+		return true;
+	}
+
+	// Draw every patch in an open render pass whose pipeline uses LOD_VERTEX_BUFFERS
+	draw(passEncoder) {
+		if (this.patchCount === 0) return;
+		passEncoder.setVertexBuffer(0, this.gridBuffer);
+		passEncoder.setVertexBuffer(1, this.patchBuffer);
+		passEncoder.setIndexBuffer(this.indexBuffer, 'uint32');
+		passEncoder.drawIndexed(this.indexCount, this.patchCount);
+	}
+
+	// Grow the patch buffer; balancing can select more patches than the budget
+	ensureCapacity(count) {
+		if (count <= this.capacity) return;
+
+		this.capacity = Math.max(count, Math.ceil(this.capacity * 1.5));
+		this.patchBuffer?.destroy();
+		this.patchData = new Float32Array(this.capacity * PATCH_FLOATS);
+		this.patchBuffer = this.device.createBuffer({
+			size: this.patchData.byteLength,
+			usage: GPUBufferUsage.VERTEX | GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+			label: `${this.label} Patches`
+		});
+	}
+
+	createBuffer(data, usage, label) {
+		const buffer = this.device.createBuffer({
+			size: data.byteLength,
+			usage: usage | GPUBufferUsage.COPY_DST,
+			mappedAtCreation: true,
+			label
+		});
+		new data.constructor(buffer.getMappedRange()).set(data);
+		buffer.unmap();
+		return buffer;
+	}
+
+	cleanup() {
+		this.gridBuffer?.destroy();
+		this.indexBuffer?.destroy();
+		this.patchBuffer?.destroy();
+		this.gridBuffer = null;
+		this.indexBuffer = null;
+		this.patchBuffer = null;
+		this.patches = [];
+		this.patchCount = 0;
+		this.patchData = null;
+		this.device = null;
+	}
+}
@@ -0,0 +1,483 @@
+/**
+ * Spatial hash for neighbour search among many moving points
+ *
+ * Space is cut into cubes of side cellSize, and every cube is hashed into
+ * one of tableSize buckets (a power of two, so the hash is a mask). Points
+ * are counted per bucket, the counts are turned into bucket starts by a
+ * prefix sum, and the points are written out bucket by bucket. All points
+ * within cellSize of a point then lie in the buckets of the 27 cubes around
+ * its own; buckets shared by several cubes, or by far away cubes whose hash
+ * collides, only add candidates that the distance test rejects.
+ *
+ * On the GPU (SpatialHash) that is four passes a frame:
+ *
+ *   bin      - each point's bucket, and its rank there from an atomic count
+ *   scan     - exclusive prefix sum of the counts, 256 per workgroup, with
+ *              the workgroup totals scanned again level by level
+ *   scatter  - positions and velocities copied to their sorted slots
+ *   (query)  - the caller's shader walks spatialHashBuckets (WGSL_SPATIAL_HASH)
+ *
+ * buildSpatialHash and queryNeighbors do the same in plain JavaScript, with
+ * the same hash, so neighbour sets can be checked against
+ * bruteForceNeighbors without a GPU.
+ */
+
+// Primes of the hash (Teschner et al. 2003)
+const HASH_PRIMES = [73856093, 19349663, 83492791];
+
+// Counts scanned by one workgroup; must match @workgroup_size of the scan
+export const SCAN_BLOCK_SIZE = 256;
+
+// Points binned and scattered by one workgroup
+const POINT_WORKGROUP_SIZE = 64;
+
+// Bytes of the SpatialHashParams uniform
+const PARAMS_SIZE = 16;
+
+/**
+ * Buckets for a number of points: a power of two, at least twice the
+ * points, so few cubes share one
+ *
+ * @param {number} count Points
+ * @returns {number}
+ */
+export function spatialHashTableSize(count) {
+	return 2 ** Math.max(10, Math.ceil(Math.log2(Math.max(1, count) * 2)));
+}
+
+/**
+ * Bucket of the cube holding a point
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @param {number} cellSize Side of the cubes
+ * @param {number} tableSize Buckets, a power of two
+ * @returns {number}
+ */
+export function hashPoint(x, y, z, cellSize, tableSize) {
+	return hashCell(
+		Math.floor(x / cellSize),
+		Math.floor(y / cellSize),
+		Math.floor(z / cellSize),
+		tableSize
+	);
+}
+
+/**
+ * Bucket of a cube, as spatialHashIndex in WGSL_SPATIAL_HASH
+ *
+ * @param {number} cx Integer cube coordinates
+ * @param {number} cy
+ * @param {number} cz
+ * @param {number} tableSize Buckets, a power of two
+ * @returns {number}
+ */
+export function hashCell(cx, cy, cz, tableSize) {
+	// Math.imul wraps like u32 multiplication in WGSL
+	const hash =
+		Math.imul(cx, HASH_PRIMES[0]) ^ Math.imul(cy, HASH_PRIMES[1]) ^ Math.imul(cz, HASH_PRIMES[2]);
+	return (hash & (tableSize - 1)) >>> 0;
+}
+
+/**
+ * Sort points into buckets on the CPU, as the GPU passes do
+ *
+ * @param {ArrayLike<number>} positions x, y, z of each point, `stride` numbers apart
+ * @param {Object} options { cellSize, tableSize (default spatialHashTableSize), stride (default 3) }
+ * @returns {Object} { cellSize, tableSize, stride, cellStarts, sortedIndices }; bucket h
+ *   holds sortedIndices[cellStarts[h]] up to before sortedIndices[cellStarts[h + 1]]
+ */
+export function buildSpatialHash(positions, { cellSize, tableSize, stride = 3 } = {}) {
+	if (!(cellSize > 0)) throw new Error('Spatial hash needs a positive cellSize');
+
+	const count = Math.floor(positions.length / stride);
+	const size = tableSize ?? spatialHashTableSize(count);
+	if (size & (size - 1)) throw new Error(`Spatial hash table size ${size} is not a power of two`);
+
+	// Bin: each point's bucket, counted
+	const buckets = new Uint32Array(count);
+	const cellStarts = new Uint32Array(size + 1);
+	for (let i = 0; i < count; i++) {
+		const p = i * stride;
+		buckets[i] = hashPoint(positions[p], positions[p + 1], positions[p + 2], cellSize, size);
+		cellStarts[buckets[i]]++;
+	}
+
+	// Scan: counts to starts, with the total at the end
+	let sum = 0;
+	for (let h = 0; h <= size; h++) {
+		const bucketCount = cellStarts[h];
+		cellStarts[h] = sum;
+		sum += bucketCount;
+	}
+
+	// Scatter, keeping index order within a bucket
+	const next = cellStarts.slice(0, size);
+	const sortedIndices = new Uint32Array(count);
+	for (let i = 0; i < count; i++) {
+		sortedIndices[next[buckets[i]]++] = i;
+	}
+
+	return { cellSize, tableSize: size, stride, cellStarts, sortedIndices };
+}
+
+/**
+ * Points within a radius of one point, found through the hash
+ *
+ * @param {Object} hash From buildSpatialHash over the same positions
+ * @param {ArrayLike<number>} positions
+ * @param {number} index The point asked about, never its own neighbour
+ * @param {number} radius No more than hash.cellSize
+ * @returns {number[]} Indices of the neighbours, ascending
+ */
+export function queryNeighbors(hash, positions, index, radius) {
+	const { cellSize, tableSize, stride, cellStarts, sortedIndices } = hash;
+	if (radius > cellSize) throw new Error(`Radius ${radius} exceeds the cell size ${cellSize}`);
+
+	const p = index * stride;
+	const [x, y, z] = [positions[p], positions[p + 1], positions[p + 2]];
+	const [cx, cy, cz] = [x, y, z].map((value) => Math.floor(value / cellSize));
+
+	const visited = new Set();
+	const neighbors = [];
+	for (let dz = -1; dz <= 1; dz++) {
+		for (let dy = -1; dy <= 1; dy++) {
+			for (let dx = -1; dx <= 1; dx++) {
+				const h = hashCell(cx + dx, cy + dy, cz + dz, tableSize);
+				if (visited.has(h)) continue;
+				visited.add(h);
+
+				for (let slot = cellStarts[h]; slot < cellStarts[h + 1]; slot++) {
+					const other = sortedIndices[slot];
+					if (other !== index && withinRadius(positions, other * stride, x, y, z, radius)) {
+						neighbors.push(other);
+					}
+				}
+			}
+		}
+	}
+	return neighbors.sort((a, b) => a - b);
+}
+
+/**
+ * Points within a radius of one point, by testing every point
+ *
+ * @param {ArrayLike<number>} positions
+ * @param {number} index
+ * @param {number} radius
+ * @param {number} stride Numbers per point (default 3)
+ * @returns {number[]} Indices of the neighbours, ascending
+ */
+export function bruteForceNeighbors(positions, index, radius, stride = 3) {
+	const p = index * stride;
+	const [x, y, z] = [positions[p], positions[p + 1], positions[p + 2]];
+	const neighbors = [];
+	const count = Math.floor(positions.length / stride);
+	for (let other = 0; other < count; other++) {
+		if (other !== index && withinRadius(positions, other * stride, x, y, z, radius)) {
+			neighbors.push(other);
+		}
+	}
+	return neighbors;
+}
+
+// Strictly closer than radius, as the flocking shader tests
+function withinRadius(positions, offset, x, y, z, radius) {
+	const dx = positions[offset] - x;
+	const dy = positions[offset + 1] - y;
+	const dz = positions[offset + 2] - z;
+	return dx * dx + dy * dy + dz * dz < radius * radius;
+}
+
+export const WGSL_SPATIAL_HASH = /* wgsl */ `
+// Spatial hash over cubes of side cellSize, see spatialHash.js
+struct SpatialHashParams {
+    cellSize: f32,
+    tableSize: u32,  // A power of two
+    pointCount: u32,
+    _pad: u32,
+}
+
+// The buckets of the 27 cubes around a point, each once
+struct SpatialHashBuckets {
+    count: u32,
+    buckets: array<u32, 27>,
+}
+
+fn spatialHashCell(position: vec3<f32>, params: SpatialHashParams) -> vec3<i32> {
+    return vec3<i32>(floor(position / params.cellSize));
+}
+
+fn spatialHashIndex(cell: vec3<i32>, params: SpatialHashParams) -> u32 {
+    let c = bitcast<vec3<u32>>(cell);
+    let hash = (c.x * ${HASH_PRIMES[0]}u) ^ (c.y * ${HASH_PRIMES[1]}u) ^ (c.z * ${HASH_PRIMES[2]}u);
+    return hash & (params.tableSize - 1u);
+}
+
+// Every point within cellSize of position is in one of these buckets
+fn spatialHashBuckets(position: vec3<f32>, params: SpatialHashParams) -> SpatialHashBuckets {
+    let cell = spatialHashCell(position, params);
+    var result: SpatialHashBuckets;
+    result.count = 0u;
+
+    for (var dz = -1; dz <= 1; dz++) {
+        for (var dy = -1; dy <= 1; dy++) {
+            for (var dx = -1; dx <= 1; dx++) {
+                let bucket = spatialHashIndex(cell + vec3<i32>(dx, dy, dz), params);
+
+                // Neighbouring cubes can share a bucket
+                var seen = false;
+                for (var k = 0u; k < result.count; k++) {
+                    if (result.buckets[k] == bucket) {
+                        seen = true;
+                        break;
+                    }
+                }
+                if (!seen) {
+                    result.buckets[result.count] = bucket;
+                    result.count++;
+                }
+            }
+        }
+    }
+    return result;
+}
+`;
+
+const WGSL_BIN = /* wgsl */ `
+${WGSL_SPATIAL_HASH}
+@group(0) @binding(0) var<uniform> params: SpatialHashParams;
+@group(0) @binding(1) var<storage, read> positions: array<vec3<f32>>;
+@group(0) @binding(2) var<storage, read_write> cellCounts: array<atomic<u32>>;
+@group(0) @binding(3) var<storage, read_write> pointCells: array<vec2<u32>>; // Bucket, rank within it
+
+@compute @workgroup_size(${POINT_WORKGROUP_SIZE})
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+    let index = id.x;
+    if (index >= params.pointCount) {
+        return;
+    }
+
+    let bucket = spatialHashIndex(spatialHashCell(positions[index], params), params);
+    pointCells[index] = vec2<u32>(bucket, atomicAdd(&cellCounts[bucket], 1u));
+}
+`;
+
+// Exclusive scan of one block of values in place, leaving the block's total in sums
+const WGSL_SCAN = /* wgsl */ `
+@group(0) @binding(0) var<storage, read_write> values: array<u32>;
+@group(0) @binding(1) var<storage, read_write> sums: array<u32>;
+
+var<workgroup> scratch: array<u32, ${SCAN_BLOCK_SIZE}>;
+
+@compute @workgroup_size(${SCAN_BLOCK_SIZE})
+fn scanBlock(@builtin(global_invocation_id) id: vec3<u32>, @builtin(local_invocation_id) local: vec3<u32>, @builtin(workgroup_id) group: vec3<u32>) {
+    let count = arrayLength(&values);
+    let value = select(0u, values[min(id.x, count - 1u)], id.x < count);
+    scratch[local.x] = value;
+    workgroupBarrier();
+
+    // Hillis-Steele inclusive scan
+    for (var offset = 1u; offset < ${SCAN_BLOCK_SIZE}u; offset *= 2u) {
+        var add = 0u;
+        if (local.x >= offset) {
+            add = scratch[local.x - offset];
+        }
+        workgroupBarrier();
+        scratch[local.x] += add;
+        workgroupBarrier();
+    }
+
+    if (id.x < count) {
+        values[id.x] = scratch[local.x] - value;
+    }
+    if (local.x == ${SCAN_BLOCK_SIZE - 1}u) {
+        sums[group.x] = scratch[local.x];
+    }
+}
+
+// Add the scanned totals of the blocks before each block
+@compute @workgroup_size(${SCAN_BLOCK_SIZE})
+fn addSums(@builtin(global_invocation_id) id: vec3<u32>, @builtin(workgroup_id) group: vec3<u32>) {
+    if (id.x < arrayLength(&values)) {
+        values[id.x] += sums[group.x];
+    }
+}
+`;
+
+const WGSL_SCATTER = /* wgsl */ `
+${WGSL_SPATIAL_HASH}
+@group(0) @binding(0) var<uniform> params: SpatialHashParams;
+@group(0) @binding(1) var<storage, read> positions: array<vec3<f32>>;
+@group(0) @binding(2) var<storage, read> velocities: array<vec3<f32>>;
+@group(0) @binding(3) var<storage, read> pointCells: array<vec2<u32>>;
+@group(0) @binding(4) var<storage, read> cellStarts: array<u32>;
+@group(0) @binding(5) var<storage, read_write> sortedPositions: array<vec4<f32>>;  // w = index, exact below 2^24
+@group(0) @binding(6) var<storage, read_write> sortedVelocities: array<vec4<f32>>;
+
+@compute @workgroup_size(${POINT_WORKGROUP_SIZE})
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+    let index = id.x;
+    if (index >= params.pointCount) {
+        return;
+    }
+
+    let cell = pointCells[index];
+    let slot = cellStarts[cell.x] + cell.y;
+    sortedPositions[slot] = vec4<f32>(positions[index], f32(index));
+    sortedVelocities[slot] = vec4<f32>(velocities[index], 0.0);
+}
+`;
+
+/**
+ * GPU spatial hash over a position and a velocity buffer
+ *
+ * encode() sorts the points into cellStartsBuffer, sortedPositionsBuffer
+ * and sortedVelocitiesBuffer, which a query shader binds read-only next to
+ * paramsBuffer (SpatialHashParams). Within a bucket the order follows the
+ * atomics and so changes from frame to frame.
+ */
+export class SpatialHash {
+	/**
+	 * @param {GPUDevice} device
+	 * @param {Object} options
+	 *   positionBuffer, velocityBuffer - array<vec3<f32>> of count points each
+	 *   count     - points
+	 *   cellSize  - side of the cubes, at least the query radius
+	 *   tableSize - buckets (default spatialHashTableSize(count))
+	 *   label
+	 */
+	constructor(
+		device,
+		{ positionBuffer, velocityBuffer, count, cellSize, tableSize, label = 'Spatial Hash' } = {}
+	) {
+		this.device = device;
+		this.label = label;
+		this.count = count;
+		this.cellSize = cellSize;
+		this.tableSize = tableSize ?? spatialHashTableSize(count);
+		if (this.tableSize & (this.tableSize - 1)) {
+			throw new Error(`Spatial hash table size ${this.tableSize} is not a power of two`);
+		}
+
+		this.paramsBuffer = this.createBuffer(PARAMS_SIZE, GPUBufferUsage.UNIFORM, 'Params');
+		const params = new ArrayBuffer(PARAMS_SIZE);
+		new Float32Array(params, 0, 1)[0] = cellSize;
+		new Uint32Array(params, 4, 2).set([this.tableSize, count]);
+		device.queue.writeBuffer(this.paramsBuffer, 0, params);
+
+		this.pointCellsBuffer = this.createBuffer(count * 8, 0, 'Point Cells');
+		this.sortedPositionsBuffer = this.createBuffer(count * 16, 0, 'Sorted Positions');
+		this.sortedVelocitiesBuffer = this.createBuffer(count * 16, 0, 'Sorted Velocities');
+
+		// Scan levels: the counts (one past the table, for the total), then
+		// the totals of their blocks, until one block holds a whole level
+		this.levels = [];
+		let length = this.tableSize + 1;
+		for (;;) {
+			const blocks = Math.ceil(length / SCAN_BLOCK_SIZE);
+			const buffer = this.levels.length === 0 ? null : this.levels[this.levels.length - 1].sums;
+			const values = buffer ?? this.createBuffer(length * 4, 0, 'Cell Starts');
+			const sums = this.createBuffer(blocks * 4, 0, `Scan Level ${this.levels.length + 1}`);
+			this.levels.push({ values, sums, blocks });
+			if (blocks === 1) break;
+			length = blocks;
+		}
+		this.cellStartsBuffer = this.levels[0].values;
+
+		this.createPipelines(positionBuffer, velocityBuffer);
+	}
+
+	createPipelines(positionBuffer, velocityBuffer) {
+		const shaderModule = (code, name) =>
+			this.device.createShaderModule({ code, label: `${this.label} ${name}` });
+		const pipeline = (code, name, entryPoint = 'main') =>
+			this.device.createComputePipeline({
+				label: `${this.label} ${name}`,
+				layout: 'auto',
+				compute: { module: code, entryPoint }
+			});
+		const bindGroup = (computePipeline, buffers) =>
+			this.device.createBindGroup({
+				layout: computePipeline.getBindGroupLayout(0),
+				entries: buffers.map((buffer, binding) => ({ binding, resource: { buffer } }))
+			});
+
+		this.binPipeline = pipeline(shaderModule(WGSL_BIN, 'Bin'), 'Bin');
+		this.binBindGroup = bindGroup(this.binPipeline, [
+			this.paramsBuffer,
+			positionBuffer,
+			this.cellStartsBuffer,
+			this.pointCellsBuffer
+		]);
+
+		const scanModule = shaderModule(WGSL_SCAN, 'Scan');
+		this.scanPipeline = pipeline(scanModule, 'Scan', 'scanBlock');
+		this.addPipeline = pipeline(scanModule, 'Add Sums', 'addSums');
+		this.levels.forEach((level) => {
+			level.scanBindGroup = bindGroup(this.scanPipeline, [level.values, level.sums]);
+			level.addBindGroup = bindGroup(this.addPipeline, [level.values, level.sums]);
+		});
+
+		this.scatterPipeline = pipeline(shaderModule(WGSL_SCATTER, 'Scatter'), 'Scatter');
+		this.scatterBindGroup = bindGroup(this.scatterPipeline, [
+			this.paramsBuffer,
+			positionBuffer,
+			velocityBuffer,
+			this.pointCellsBuffer,
+			this.cellStartsBuffer,
+			this.sortedPositionsBuffer,
+			this.sortedVelocitiesBuffer
+		]);
+	}
+
+	// Sort the points as they are now; the passes run before anything encoded after
+	encode(commandEncoder) {
+		const pointGroups = Math.ceil(this.count / POINT_WORKGROUP_SIZE);
+		commandEncoder.clearBuffer(this.cellStartsBuffer);
+
+		const pass = commandEncoder.beginComputePass({ label: this.label });
+		pass.setPipeline(this.binPipeline);
+		pass.setBindGroup(0, this.binBindGroup);
+		pass.dispatchWorkgroups(pointGroups);
+
+		// Scan up the levels, then carry each level's block offsets back down
+		pass.setPipeline(this.scanPipeline);
+		this.levels.forEach((level) => {
+			pass.setBindGroup(0, level.scanBindGroup);
+			pass.dispatchWorkgroups(level.blocks);
+		});
+		pass.setPipeline(this.addPipeline);
+		for (let i = this.levels.length - 2; i >= 0; i--) {
+			pass.setBindGroup(0, this.levels[i].addBindGroup);
+			pass.dispatchWorkgroups(this.levels[i].blocks);
+		}
+
+		pass.setPipeline(this.scatterPipeline);
+		pass.setBindGroup(0, this.scatterBindGroup);
+		pass.dispatchWorkgroups(pointGroups);
+		pass.end();
+	}
+
+	createBuffer(size, usage, name) {
+		return this.device.createBuffer({
+			size,
+			usage: usage | GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+			label: `${this.label} ${name}`
+		});
+	}
+
+	cleanup() {
+		this.paramsBuffer?.destroy();
+		this.pointCellsBuffer?.destroy();
+		this.sortedPositionsBuffer?.destroy();
+		this.sortedVelocitiesBuffer?.destroy();
+		this.levels.forEach((level, i) => {
+			if (i === 0) level.values.destroy();
+			level.sums.destroy();
+		});
+		this.levels = [];
+		this.device = null;
+	}
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import {
+	buildSpatialHash,
+	queryNeighbors,
+	bruteForceNeighbors,
+	hashPoint,
+	spatialHashTableSize
+} from './spatialHash.js';
+import { createRandom } from '../../utils/random.js';
+
+// Points scattered through a box centred on the origin, so cells on both sides of zero are used
+const randomPoints = (count, halfSize, seed, stride = 3) => {
+	const random = createRandom(seed);
+	const positions = new Float32Array(count * stride);
+	for (let i = 0; i < count; i++) {
+		for (let axis = 0; axis < 3; axis++) {
+			positions[i * stride + axis] = random.range(-halfSize, halfSize);
+		}
+	}
+	return positions;
+};
+
+// Every point's neighbours through the hash and by brute force
+const expectSameNeighbors = (positions, hash, radius, stride = 3) => {
+	const count = positions.length / stride;
+	for (let i = 0; i < count; i++) {
+		expect(queryNeighbors(hash, positions, i, radius)).toEqual(
+			bruteForceNeighbors(positions, i, radius, stride)
+		);
+	}
+};
+
+describe('buildSpatialHash', () => {
+	it('sorts every point into its bucket once', () => {
+		const positions = randomPoints(500, 1000, 1);
+		const hash = buildSpatialHash(positions, { cellSize: 250 });
+
+		expect(hash.tableSize).toBe(spatialHashTableSize(500));
+		expect(hash.cellStarts[hash.tableSize]).toBe(500);
+		expect([...hash.sortedIndices].sort((a, b) => a - b)).toEqual([...Array(500).keys()]);
+
+		for (let h = 0; h < hash.tableSize; h++) {
+			expect(hash.cellStarts[h + 1]).toBeGreaterThanOrEqual(hash.cellStarts[h]);
+			for (let slot = hash.cellStarts[h]; slot < hash.cellStarts[h + 1]; slot++) {
+				const p = hash.sortedIndices[slot] * 3;
+				const bucket = hashPoint(
+					positions[p],
+					positions[p + 1],
+					positions[p + 2],
+					250,
+					hash.tableSize
+				);
+				expect(bucket).toBe(h);
+			}
+		}
+	});
+
+	it('rejects a table size that is not a power of two, or no cell size', () => {
+		expect(() => buildSpatialHash([0, 0, 0], { cellSize: 1, tableSize: 1000 })).toThrow();
+		expect(() => buildSpatialHash([0, 0, 0], {})).toThrow();
+	});
+});
+
+describe('queryNeighbors', () => {
+	it('finds the brute-force neighbour sets of seeded random points', () => {
+		const positions = randomPoints(800, 800, 42);
+		const hash = buildSpatialHash(positions, { cellSize: 250 });
+		expectSameNeighbors(positions, hash, 250);
+		expectSameNeighbors(positions, hash, 100);
+	});
+
+	it('reads positions with a stride, as the GPU buffers hold them', () => {
+		const positions = randomPoints(400, 500, 7, 4);
+		const hash = buildSpatialHash(positions, { cellSize: 200, stride: 4 });
+		expectSameNeighbors(positions, hash, 200, 4);
+	});
+
+	it('still finds them when many cells share a bucket', () => {
+		const positions = randomPoints(600, 2000, 3);
+		const hash = buildSpatialHash(positions, { cellSize: 250, tableSize: 16 });
+		expectSameNeighbors(positions, hash, 250);
+	});
+
+	it('handles points on cell boundaries and exactly a cell size apart', () => {
+		// A lattice of half-cell spacing: every other plane is a cell boundary,
+		// and the points two steps apart are exactly cellSize from each other
+		const cellSize = 100;
+		const points = [];
+		for (let x = -3; x <= 3; x++) {
+			for (let y = -3; y <= 3; y++) {
+				for (let z = -2; z <= 2; z++) {
+					points.push((x * cellSize) / 2, (y * cellSize) / 2, (z * cellSize) / 2);
+				}
+			}
+		}
+		const positions = new Float64Array(points);
+		const hash = buildSpatialHash(positions, { cellSize });
+
+		expectSameNeighbors(positions, hash, cellSize);
+		expectSameNeighbors(positions, hash, cellSize / 2 + 1e-9);
+
+		// Strictly closer than the radius: of the lattice points around the origin
+		// the 26 within two steps count, those a whole cell away along an axis do not
+		const index = (x, y, z) => ((x + 3) * 7 + (y + 3)) * 5 + (z + 2);
+		const neighbors = queryNeighbors(hash, positions, index(0, 0, 0), cellSize);
+		expect(neighbors).toHaveLength(26);
+		expect(neighbors).toContain(index(1, 1, 1));
+		expect(neighbors).not.toContain(index(2, 0, 0));
+		expect(neighbors).not.toContain(index(0, 0, -2));
+	});
+
+	it('refuses a radius beyond the cell size', () => {
+		const positions = randomPoints(10, 100, 5);
+		const hash = buildSpatialHash(positions, { cellSize: 50 });
+		expect(() => queryNeighbors(hash, positions, 0, 60)).toThrow();
+	});
+});
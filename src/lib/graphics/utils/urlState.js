@@ -0,0 +1,269 @@
+/**
+ * Shareable view state
+ *
+ * An experience's parameters, random seed and the camera orbit are kept in
+ * the URL hash so a link reopens the identical view:
+ *
+ *   /experience/riemann#cam=1.57,0.78,8,0,0,0&surface=zeta&zetaNumWaves=8
+ *   /experience/neuralnet#cam=...&seed=2718281828
+ *
+ * `cam` holds theta, phi, distance and the target xyz. `seed` is only written
+ * for experiences that draw from their random stream. Every other key is a
+ * parameter from the experience's schema; only values that differ from the
+ * schema default are written. Numbers use their shortest exact string form,
+ * so decoding returns the same doubles that were encoded.
+ *
+ * The encode/decode helpers are pure and work without a GPU or a window.
+ */
+
+import { coerceParameter } from '../core/ParameterSet.js';
+import { normalizeSeed } from '../../utils/random.js';
+
+export const CAMERA_KEY = 'cam';
+export const SEED_KEY = 'seed';
+
+const RESERVED_KEYS = [CAMERA_KEY, SEED_KEY];
+
+/**
+ * Serialize view state into a hash string (without the leading '#')
+ * @param {Object} state - { parameters: { key: value }, camera: { theta, phi, distance, target }, seed }
+ * @returns {string} Encoded state
+ */
+export function encodeViewState({ parameters = {}, camera = null, seed = null } = {}) {
+	const parts = [];
+
+	if (camera) {
+		const numbers = [camera.theta, camera.phi, camera.distance, ...camera.target];
+		parts.push(`${CAMERA_KEY}=${numbers.map(String).join(',')}`);
+	}
+
+	if (seed !== null && seed !== undefined) {
+		parts.push(`${SEED_KEY}=${seed}`);
+	}
+
+	for (const key of Object.keys(parameters).sort()) {
+		if (RESERVED_KEYS.includes(key)) {
+			console.warn(`Parameter key '${key}' is reserved and was not encoded`);
+			continue;
+		}
+		parts.push(`${encodeURIComponent(key)}=${encodeURIComponent(String(parameters[key]))}`);
+	}
+
+	return parts.join('&');
+}
+
+/**
+ * Parse a hash string back into view state. Parameter values stay strings;
+ * ParameterSet.update() coerces and validates them against the schema.
+ * A malformed camera entry is dropped rather than partially applied.
+ * @param {string} hash - Hash with or without the leading '#'
+ * @returns {Object} { parameters, camera, seed }
+ */
+export function decodeViewState(hash = '') {
+	const state = { parameters: {}, camera: null, seed: null };
+	const text = hash.startsWith('#') ? hash.slice(1) : hash;
+
+	for (const part of text.split('&')) {
+		if (!part) continue;
+
+		const separator = part.indexOf('=');
+		if (separator <= 0) continue;
+
+		let key;
+		let value;
+		try {
+			key = decodeURIComponent(part.slice(0, separator));
+			value = decodeURIComponent(part.slice(separator + 1));
+		} catch {
+			continue; // Ignore badly escaped entries
+		}
+
+		if (key === CAMERA_KEY) {
+			state.camera = decodeCamera(value);
+		} else if (key === SEED_KEY) {
+			state.seed = normalizeSeed(value);
+		} else {
+			state.parameters[key] = value;
+		}
+	}
+
+	return state;
+}
+
+function decodeCamera(value) {
+	const numbers = value.split(',').map(Number);
+	if (numbers.length !== 6 || !numbers.every(Number.isFinite) || numbers[2] <= 0) {
+		return null;
+	}
+
+	const [theta, phi, distance, x, y, z] = numbers;
+	return { theta, phi, distance, target: [x, y, z] };
+}
+
+/**
+ * Collect the current view from an experience and the camera
+ * @param {Experience|null} experience - The running experience
+ * @param {CameraController|null} cameraController - The engine's camera controller
+ * @returns {Object} { parameters, camera, seed }
+ */
+export function captureViewState(experience, cameraController) {
+	const state = { parameters: {}, camera: null, seed: null };
+	const parameters = experience?.parameters;
+
+	if (parameters) {
+		for (const definition of parameters.schema) {
+			const value = parameters.get(definition.key);
+			if (value !== definition.default) {
+				state.parameters[definition.key] = value;
+			}
+		}
+	}
+
+	if (cameraController) {
+		state.camera = cameraController.getState();
+	}
+
+	if (experience?.usesRandomSeed) {
+		state.seed = experience.seed;
+	}
+
+	return state;
+}
+
+/**
+ * Read one parameter from a decoded hash. A value the schema would have to
+ * clamp, or cannot read at all, falls back to the default instead, so a
+ * damaged link never lands on a value nobody shared.
+ */
+function decodeParameter(definition, text) {
+	const { type, min, max } = definition;
+	if (type === 'bool' && !['true', 'false', '1', '0'].includes(text)) {
+		return definition.default;
+	}
+	if (type === 'float' || type === 'int') {
+		const number = Number(text);
+		if (text.trim() === '' || !(number >= min && number <= max)) return definition.default;
+	}
+	return coerceParameter(definition, text, definition.default);
+}
+
+/**
+ * Apply decoded view state. Parameters missing from the state, malformed or
+ * out of range go back to their defaults so the result matches the view
+ * that was shared. The seed
+ * is not applied here: it only takes effect when the experience is started.
+ * @param {Object} state - Decoded state from decodeViewState()
+ * @param {Experience|null} experience - The running experience
+ * @param {CameraController|null} cameraController - The engine's camera controller
+ */
+export function applyViewState(state, experience, cameraController) {
+	const parameters = experience?.parameters;
+	if (parameters) {
+		const values = {};
+		for (const definition of parameters.schema) {
+			values[definition.key] =
+				definition.key in state.parameters
+					? decodeParameter(definition, String(state.parameters[definition.key]))
+					: definition.default;
+		}
+		parameters.update(values);
+	}
+
+	if (cameraController && state.camera) {
+		cameraController.setState(state.camera);
+	}
+}
+
+/**
+ * Replace the URL hash with the given state without adding a history entry
+ * @param {Object} state - { parameters, camera, seed }
+ * @returns {string} The hash that was written (without '#')
+ */
+export function writeViewStateToUrl(state) {
+	const hash = encodeViewState(state);
+	const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`;
+	window.history.replaceState(window.history.state, '', url);
+	return hash;
+}
+
+/**
+ * Keep the URL hash in sync with an experience's view. The current hash is
+ * applied first, then parameter and camera changes are written back with
+ * history.replaceState (debounced, so dragging the camera does not flood
+ * the history API). Editing the hash by hand re-applies it; a changed seed
+ * is handed to onSeedChange, since only a restart can apply it.
+ * @param {Experience|null} experience - The running experience
+ * @param {CameraController|null} cameraController - The engine's camera controller
+ * @param {Object} options - { delay: debounce in ms, onSeedChange: (seed) => void }
+ * @returns {Function} Unbind function
+ */
+export function bindViewStateToUrl(
+	experience,
+	cameraController,
+	{ delay = 250, onSeedChange = null } = {}
+) {
+	if (typeof window === 'undefined') return () => {};
+
+	const parameters = experience?.parameters;
+	let timer = null;
+	let lastHash = window.location.hash.slice(1);
+
+	if (lastHash) {
+		applyViewState(decodeViewState(lastHash), experience, cameraController);
+	}
+
+	const write = () => {
+		timer = null;
+		const state = captureViewState(experience, cameraController);
+		if (encodeViewState(state) === lastHash) return;
+
+		lastHash = writeViewStateToUrl(state);
+	};
+
+	const schedule = () => {
+		if (timer) clearTimeout(timer);
+		timer = setTimeout(write, delay);
+	};
+
+	const handleHashChange = () => {
+		const hash = window.location.hash.slice(1);
+		if (hash === lastHash) return;
+
+		lastHash = hash;
+		const state = decodeViewState(hash);
+
+		if (
+			experience?.usesRandomSeed &&
+			state.seed !== null &&
+			state.seed !== experience.seed &&
+			onSeedChange
+		) {
+			onSeedChange(state.seed);
+			return;
+		}
+		applyViewState(state, experience, cameraController);
+	};
+
+	// ParameterSet calls subscribers immediately; skip that first call
+	let subscribed = false;
+	const unsubscribeParameters = parameters
+		? parameters.subscribe(() => {
+				if (subscribed) schedule();
+		  })
+		: () => {};
+	subscribed = true;
+
+	const unsubscribeCamera = cameraController ? cameraController.onChange(schedule) : () => {};
+
+	window.addEventListener('hashchange', handleHashChange);
+
+	// Write the canonical form (adds the seed and camera to a bare link)
+	schedule();
+
+	return () => {
+		if (timer) clearTimeout(timer);
+		unsubscribeParameters();
+		unsubscribeCamera();
+		window.removeEventListener('hashchange', handleHashChange);
+	};
+}
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import ParameterSet from '../core/ParameterSet.js';
+import { encodeViewState, decodeViewState, captureViewState, applyViewState } from './urlState.js';
+import { hashString } from '../../utils/random.js';
+
+const schema = [
+	{ key: 'scale', type: 'float', default: 4, min: 1, max: 100 },
+	{ key: 'waves', type: 'int', default: 8, min: 1, max: 32 },
+	{
+		key: 'surface',
+		type: 'enum',
+		default: 'zeta',
+		options: [
+			{ value: 'zeta', label: 'Zeta' },
+			{ value: 'theta', label: 'Theta' }
+		]
+	},
+	{ key: 'sprites', type: 'bool', default: true },
+	{ key: 'expression', type: 'string', default: 'z^2', maxLength: 20 }
+];
+
+const camera = { theta: Math.PI / 3, phi: 0.1 + 0.2, distance: 4000, target: [0, -1.5, 1e-7] };
+
+// The parts of an experience the URL helpers read
+const experienceWith = (values = {}) => {
+	const parameters = new ParameterSet(schema);
+	parameters.update(values);
+	return { parameters, usesRandomSeed: true, seed: 2718281828 };
+};
+
+// Decode a hash onto a fresh experience, as opening a link does
+const open = (hash) => {
+	const experience = experienceWith();
+	applyViewState(decodeViewState(hash), experience, null);
+	return experience.parameters.getValues();
+};
+
+const defaults = () => experienceWith().parameters.getValues();
+
+describe('encodeViewState and decodeViewState', () => {
+	it('round-trip parameters, camera and seed exactly', () => {
+		const parameters = { scale: 1 / 3, waves: 12, surface: 'theta', sprites: false };
+		const hash = encodeViewState({ parameters, camera, seed: 12345 });
+		const state = decodeViewState(`#${hash}`);
+
+		expect(state.camera).toEqual(camera);
+		expect(state.seed).toBe(12345);
+		expect(state.parameters).toEqual({
+			scale: String(1 / 3),
+			waves: '12',
+			surface: 'theta',
+			sprites: 'false'
+		});
+	});
+
+	it('round-trip strings that need escaping', () => {
+		const parameters = { expression: 'sin(z)&z=1#' };
+		const state = decodeViewState(encodeViewState({ parameters }));
+		expect(state.parameters.expression).toBe('sin(z)&z=1#');
+	});
+
+	it('restore the captured view on another experience', () => {
+		const values = {
+			scale: 0.1 + 0.7,
+			waves: 3,
+			surface: 'theta',
+			sprites: false,
+			expression: 'z^3'
+		};
+		const source = experienceWith(values);
+		const hash = encodeViewState(captureViewState(source, null));
+
+		expect(open(hash)).toEqual(source.parameters.getValues());
+		expect(decodeViewState(hash).seed).toBe(2718281828);
+	});
+
+	it('write only the values that differ from the defaults', () => {
+		const hash = encodeViewState(captureViewState(experienceWith({ waves: 9 }), null));
+		expect(hash).toBe('seed=2718281828&waves=9');
+	});
+});
+
+describe('decoding damaged hashes', () => {
+	it('gives the defaults for an empty hash', () => {
+		expect(decodeViewState('')).toEqual({ parameters: {}, camera: null, seed: null });
+		expect(open('#')).toEqual(defaults());
+	});
+
+	it('drops malformed entries and keeps the rest', () => {
+		const state = decodeViewState('#waves=5&=3&broken&scale=%E0%A4%A&surface');
+		expect(state.parameters).toEqual({ waves: '5' });
+		expect(open('#waves=5&=3&broken&scale=%E0%A4%A')).toEqual({ ...defaults(), waves: 5 });
+	});
+
+	it('drops a partial or non-numeric camera', () => {
+		expect(decodeViewState('cam=1,2,3').camera).toBeNull();
+		expect(decodeViewState('cam=1,2,3,4,5,six').camera).toBeNull();
+		expect(decodeViewState('cam=1,2,-3,4,5,6').camera).toBeNull();
+	});
+
+	it('falls back to the defaults for unreadable values', () => {
+		expect(open('scale=abc&waves=&surface=gamma&sprites=maybe')).toEqual(defaults());
+	});
+
+	it('falls back to the defaults for out-of-range values', () => {
+		expect(open('scale=1000&waves=0')).toEqual(defaults());
+		expect(open('expression=' + 'z'.repeat(21))).toEqual(defaults());
+	});
+
+	it('ignores keys the schema does not have', () => {
+		expect(open('unknown=1&waves=2')).toEqual({ ...defaults(), waves: 2 });
+	});
+
+	it('hashes a seed that is not a 32-bit integer', () => {
+		expect(decodeViewState('seed=murmuration').seed).toBe(hashString('murmuration'));
+		expect(decodeViewState('seed=99999999999').seed).toBe(hashString('99999999999'));
+		expect(decodeViewState('seed=').seed).toBeNull();
+	});
+});
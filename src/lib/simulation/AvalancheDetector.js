@@ -0,0 +1,89 @@
+/**
+ * AvalancheDetector - Finds avalanches in a simulation stepped from outside
+ *
+ * ChipFiringSimulation.stabilize() measures one avalanche when the caller
+ * relaxes the system in one go. A live view instead runs one step() per
+ * frame while chips keep arriving, so here an avalanche is a run of steps
+ * with firings, closed by the first step that finds nothing unstable.
+ *
+ * With slow driving (a chip only lands once the system is stable) the
+ * records match stabilize(); with continuous driving, avalanches that
+ * overlap in time are counted as one. A relaxation already under way when
+ * the detector starts is not an avalanche and is not recorded.
+ */
+export default class AvalancheDetector {
+	constructor(simulation, { maxRecords = 50000 } = {}) {
+		this.simulation = simulation;
+		this.maxRecords = maxRecords; // Oldest records are dropped past this
+		this.avalanches = [];
+		this.count = 0; // Avalanches ever recorded, including dropped ones
+		this.current = null;
+		this.sinkAbsorbed = simulation.sinkChipsAbsorbed;
+		this.skipping = simulation.getUnstableNodes().length > 0;
+	}
+
+	/**
+	 * Account for one simulation step
+	 * @param {number} fired - The return value of simulation.step()
+	 * @returns {Object|null} The avalanche this step completed, if any
+	 */
+	observe(fired) {
+		const simulation = this.simulation;
+		let completed = null;
+
+		if (fired > 0) {
+			if (!this.current) {
+				this.current = {
+					step: simulation.stepCount - 1,
+					size: 0,
+					duration: 0,
+					nodes: new Set(),
+					sinkBefore: this.sinkAbsorbed
+				};
+			}
+			this.current.size += fired;
+			this.current.duration++;
+			simulation.lastFired.forEach((node) => this.current.nodes.add(node));
+		} else {
+			if (this.current && !this.skipping) completed = this.finish();
+			this.current = null;
+			this.skipping = false;
+		}
+
+		this.sinkAbsorbed = simulation.sinkChipsAbsorbed;
+		return completed;
+	}
+
+	finish() {
+		const { step, size, duration, nodes, sinkBefore } = this.current;
+		const avalanche = {
+			index: this.count++,
+			step,
+			size,
+			duration,
+			area: nodes.size,
+			sinkAbsorbed: this.sinkAbsorbed - sinkBefore
+		};
+
+		this.avalanches.push(avalanche);
+		if (this.avalanches.length > this.maxRecords) {
+			this.avalanches.splice(0, this.avalanches.length - this.maxRecords);
+		}
+		return avalanche;
+	}
+
+	/**
+	 * Values of one column (size, duration, area or sinkAbsorbed)
+	 */
+	column(key) {
+		return this.avalanches.map((avalanche) => avalanche[key]);
+	}
+
+	reset() {
+		this.avalanches = [];
+		this.count = 0;
+		this.current = null;
+		this.sinkAbsorbed = this.simulation.sinkChipsAbsorbed;
+		this.skipping = this.simulation.getUnstableNodes().length > 0;
+	}
+}
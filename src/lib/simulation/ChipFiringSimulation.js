@@ -1,44 +1,55 @@
 /**
  * ChipFiringSimulation - Implements chip firing dynamics on a graph
- * Uses standard Laplacian operator with parallel firing (no sink node)
+ * Uses standard Laplacian operator with parallel firing; the sink (if the
+ * graph has one) absorbs chips and never fires
+ *
+ * Pure JavaScript with no browser or GPU dependencies, so it also runs
+ * headless (see ./avalanches.js and scripts/chipfiring.js)
  */
 export default class ChipFiringSimulation {
-	constructor(graph) {
+	constructor(graph, random = Math.random, logger = console) {
 		this.graph = graph;
+		this.random = random; // Source of randomness, () => [0, 1)
+		this.logger = logger; // Progress messages go to logger.log
 		this.numNodes = graph.numNodes;
 		this.sinkNodeIndex = graph.sinkNodeIndex;
-		
+
 		// Current chip distribution
 		this.chips = new Array(this.numNodes).fill(0);
-		
+
 		// Activity state for visualization (0 to 1, decays over time)
 		this.activity = new Array(this.numNodes).fill(0);
-		
+
 		// Track which nodes fired in the last step
 		this.lastFired = new Set();
-		
+
 		// Activity history for each node (for visualization)
 		this.activityHistory = Array.from({ length: this.numNodes }, () => []);
 		this.maxHistoryLength = 100; // Keep last 100 firing events per node
-		
+
 		// Statistics
+		this.firingCounts = new Array(this.numNodes).fill(0); // Lifetime firings per node
 		this.totalFirings = 0;
 		this.stepCount = 0;
 		this.sinkChipsAbsorbed = 0; // Track chips absorbed by sink
 	}
-	
+
 	/**
 	 * Initialize chips with random distribution
 	 * Each node gets a random number of chips between min and max
 	 */
 	initializeRandomChips(minChips = 0, maxChips = 10) {
 		for (let i = 0; i < this.numNodes; i++) {
-			this.chips[i] = Math.floor(Math.random() * (maxChips - minChips + 1)) + minChips;
+			this.chips[i] = Math.floor(this.random() * (maxChips - minChips + 1)) + minChips;
 		}
-		
-		console.log(`Initialized ${this.chips.reduce((sum, c) => sum + c, 0)} total chips across ${this.numNodes} nodes`);
+
+		this.logger.log(
+			`Initialized ${this.chips.reduce((sum, c) => sum + c, 0)} total chips across ${
+				this.numNodes
+			} nodes`
+		);
 	}
-	
+
 	/**
 	 * Set chips for a specific node
 	 */
@@ -47,23 +58,57 @@ export default class ChipFiringSimulation {
 			this.chips[nodeIndex] = amount;
 		}
 	}
-	
+
+	/**
+	 * Drop chips on a node
+	 */
+	addChips(nodeIndex, amount = 1) {
+		if (nodeIndex >= 0 && nodeIndex < this.numNodes) {
+			this.chips[nodeIndex] += amount;
+		}
+	}
+
+	/**
+	 * Make another node the sink. The old sink becomes an ordinary node; the
+	 * chips it absorbed are discarded, as are any on the new sink, so the
+	 * configuration stays meaningful for the new graph. The graph is shared,
+	 * so its sinkNodeIndex moves too.
+	 */
+	setSink(nodeIndex) {
+		if (nodeIndex < 0 || nodeIndex >= this.numNodes || nodeIndex === this.sinkNodeIndex) {
+			return;
+		}
+
+		if (this.sinkNodeIndex >= 0) {
+			this.setChips(this.sinkNodeIndex, 0);
+		}
+		this.setChips(nodeIndex, 0);
+
+		this.sinkNodeIndex = nodeIndex;
+		this.graph.sinkNodeIndex = nodeIndex;
+	}
+
 	/**
 	 * Get chips for a specific node
 	 */
 	getChips(nodeIndex) {
 		return this.chips[nodeIndex] || 0;
 	}
-	
+
 	/**
 	 * Check if a node is unstable (has at least as many chips as its degree)
-	 * A node fires when chips[i] >= degree[i]
+	 * A node fires when chips[i] >= degree[i]; the sink is never unstable,
+	 * otherwise a configuration with a sink could never stabilize
 	 */
 	isUnstable(nodeIndex) {
+		if (nodeIndex === this.sinkNodeIndex) {
+			return false;
+		}
+
 		const degree = this.graph.getDegree(nodeIndex);
 		return this.chips[nodeIndex] >= degree && degree > 0;
 	}
-	
+
 	/**
 	 * Find all unstable nodes
 	 */
@@ -76,7 +121,7 @@ export default class ChipFiringSimulation {
 		}
 		return unstable;
 	}
-	
+
 	/**
 	 * Perform one step of parallel chip firing
 	 * All unstable nodes fire simultaneously
@@ -85,81 +130,109 @@ export default class ChipFiringSimulation {
 	 */
 	step() {
 		const unstableNodes = this.getUnstableNodes();
-		
+
 		if (unstableNodes.length === 0) {
 			return 0; // Stable configuration
 		}
-		
+
 		// Create a delta array to track changes
 		const delta = new Array(this.numNodes).fill(0);
-		
+
 		// Process all firings in parallel
 		for (const nodeIndex of unstableNodes) {
 			// Sink node never fires, just accumulates
 			if (nodeIndex === this.sinkNodeIndex) {
 				continue;
 			}
-			
+
 			const degree = this.graph.getDegree(nodeIndex);
 			const neighbors = this.graph.getNeighbors(nodeIndex);
-			
+
 			// Node loses 'degree' chips
 			delta[nodeIndex] -= degree;
-			
+
 			// Each neighbor gains 1 chip
 			for (const neighbor of neighbors) {
 				delta[neighbor] += 1;
-				
+
 				// Track chips going to sink
 				if (neighbor === this.sinkNodeIndex) {
 					this.sinkChipsAbsorbed++;
 				}
 			}
-			
+
 			// Mark this node as having fired (for visualization)
 			this.activity[nodeIndex] = 1.0;
-			
+			this.firingCounts[nodeIndex]++;
+
 			// Record firing event in history
 			this.activityHistory[nodeIndex].push({
 				step: this.stepCount,
 				time: Date.now()
 			});
-			
+
 			// Limit history length
 			if (this.activityHistory[nodeIndex].length > this.maxHistoryLength) {
 				this.activityHistory[nodeIndex].shift();
 			}
 		}
-		
+
 		// Apply all changes
 		for (let i = 0; i < this.numNodes; i++) {
 			this.chips[i] += delta[i];
 		}
-		
+
 		// Update statistics
 		this.lastFired = new Set(unstableNodes);
 		this.totalFirings += unstableNodes.length;
 		this.stepCount++;
-		
+
 		return unstableNodes.length;
 	}
-	
+
 	/**
 	 * Run the simulation until stable or max steps reached
 	 */
 	runUntilStable(maxSteps = 1000) {
 		let steps = 0;
 		let nodesFired;
-		
+
 		do {
 			nodesFired = this.step();
 			steps++;
 		} while (nodesFired > 0 && steps < maxSteps);
-		
-		console.log(`Reached ${nodesFired === 0 ? 'stable' : 'max steps'} after ${steps} steps`);
+
+		this.logger.log(`Reached ${nodesFired === 0 ? 'stable' : 'max steps'} after ${steps} steps`);
 		return steps;
 	}
-	
+
+	/**
+	 * Fire until stable and describe the resulting avalanche
+	 * size: total firings, duration: parallel steps, area: distinct nodes fired,
+	 * sinkAbsorbed: chips lost to the sink, stable: false if maxSteps was hit
+	 */
+	stabilize(maxSteps = 100000) {
+		const sinkBefore = this.sinkChipsAbsorbed;
+		const firedNodes = new Set();
+		let size = 0;
+		let duration = 0;
+		let fired;
+
+		while (duration < maxSteps && (fired = this.step()) > 0) {
+			size += fired;
+			duration++;
+			this.lastFired.forEach((node) => firedNodes.add(node));
+		}
+
+		return {
+			size,
+			duration,
+			area: firedNodes.size,
+			sinkAbsorbed: this.sinkChipsAbsorbed - sinkBefore,
+			stable: this.getUnstableNodes().length === 0
+		};
+	}
+
 	/**
 	 * Decay activity values over time (for smooth visualization)
 	 * Call this every frame to create fading effect
@@ -169,17 +242,26 @@ export default class ChipFiringSimulation {
 			this.activity[i] *= decayRate;
 		}
 	}
-	
+
+	/**
+	 * Every node but the sink, in index order
+	 */
+	getNonSinkNodes() {
+		return Array.from({ length: this.numNodes }, (_, node) => node).filter(
+			(node) => node !== this.sinkNodeIndex
+		);
+	}
+
 	/**
 	 * Add chips to random nodes (to keep the simulation going)
 	 */
 	addRandomChips(numChips = 1) {
 		for (let i = 0; i < numChips; i++) {
-			const randomNode = Math.floor(Math.random() * this.numNodes);
+			const randomNode = Math.floor(this.random() * this.numNodes);
 			this.chips[randomNode]++;
 		}
 	}
-	
+
 	/**
 	 * Get current state for visualization
 	 */
@@ -190,14 +272,14 @@ export default class ChipFiringSimulation {
 			lastFired: Array.from(this.lastFired)
 		};
 	}
-	
+
 	/**
 	 * Get statistics
 	 */
 	getStats() {
 		const totalChips = this.chips.reduce((sum, c) => sum + c, 0);
 		const unstableCount = this.getUnstableNodes().length;
-		
+
 		const stats = {
 			stepCount: this.stepCount,
 			totalFirings: this.totalFirings,
@@ -205,24 +287,26 @@ export default class ChipFiringSimulation {
 			unstableNodes: unstableCount,
 			avgChipsPerNode: (totalChips / this.numNodes).toFixed(2)
 		};
-		
+
 		// Add sink-specific stats
 		if (this.sinkNodeIndex >= 0) {
 			stats.sinkChips = this.chips[this.sinkNodeIndex];
 			stats.sinkChipsAbsorbed = this.sinkChipsAbsorbed;
 		}
-		
+
 		return stats;
 	}
-	
+
 	/**
 	 * Reset the simulation
 	 */
 	reset() {
 		this.chips.fill(0);
 		this.activity.fill(0);
+		this.firingCounts.fill(0);
 		this.lastFired.clear();
 		this.totalFirings = 0;
 		this.stepCount = 0;
+		this.sinkChipsAbsorbed = 0;
 	}
-}
\ No newline at end of file
+}
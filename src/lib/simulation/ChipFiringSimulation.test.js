@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import GraphStructure from './GraphStructure.js';
+import ChipFiringSimulation from './ChipFiringSimulation.js';
+import { createRandom } from '../utils/random.js';
+
+const quiet = { log() {} };
+
+// A random graph with a sink and a loaded configuration, ready to topple
+const loadedSimulation = (seed) => {
+	const random = createRandom(seed);
+	const graph = new GraphStructure(60, 0.15, true, random.fork('graph'), {}, quiet);
+	const simulation = new ChipFiringSimulation(graph, random.fork('chips'), quiet);
+	simulation.initializeRandomChips(5, 20);
+	return simulation;
+};
+
+const total = (chips) => chips.reduce((sum, count) => sum + count, 0);
+
+describe('ChipFiringSimulation', () => {
+	it('conserves chips, the sink keeping what it absorbs', () => {
+		const simulation = loadedSimulation(42);
+		const sink = simulation.sinkNodeIndex;
+		const before = total(simulation.chips);
+		const sinkBefore = simulation.chips[sink];
+
+		const avalanche = simulation.stabilize();
+
+		expect(avalanche.size).toBeGreaterThan(0);
+		expect(total(simulation.chips)).toBe(before);
+		expect(simulation.chips[sink] - sinkBefore).toBe(avalanche.sinkAbsorbed);
+		expect(avalanche.sinkAbsorbed).toBe(simulation.sinkChipsAbsorbed);
+	});
+
+	it('stabilizes below every degree, the sink never firing', () => {
+		const simulation = loadedSimulation(7);
+		const avalanche = simulation.stabilize();
+
+		expect(avalanche.stable).toBe(true);
+		expect(simulation.firingCounts[simulation.sinkNodeIndex]).toBe(0);
+		for (const node of simulation.getNonSinkNodes()) {
+			expect(simulation.chips[node]).toBeLessThan(simulation.graph.getDegree(node));
+		}
+	});
+
+	it('sends each firing node one chip along every edge', () => {
+		const simulation = loadedSimulation(3);
+		simulation.chips.fill(0);
+		const node = simulation.getNonSinkNodes()[0];
+		const degree = simulation.graph.getDegree(node);
+		simulation.setChips(node, degree);
+
+		expect(simulation.step()).toBe(1);
+		expect(simulation.chips[node]).toBe(0);
+		for (const neighbor of simulation.graph.getNeighbors(node)) {
+			expect(simulation.chips[neighbor]).toBe(1);
+		}
+		expect(simulation.sinkChipsAbsorbed).toBe(1);
+	});
+
+	it('lists every node but the sink, wherever it is', () => {
+		const simulation = loadedSimulation(1);
+		expect(simulation.getNonSinkNodes()).not.toContain(0);
+		expect(simulation.getNonSinkNodes()).toHaveLength(simulation.numNodes - 1);
+
+		simulation.setSink(5);
+		expect(simulation.getNonSinkNodes()).not.toContain(5);
+		expect(simulation.getNonSinkNodes()).toContain(0);
+	});
+
+	it('reports progress through its logger only', () => {
+		const messages = [];
+		const logger = { log: (message) => messages.push(message) };
+		const graph = new GraphStructure(20, 0.2, true, createRandom(5), {}, logger);
+		new ChipFiringSimulation(graph, createRandom(6), logger).initializeRandomChips(0, 3);
+
+		expect(messages[0]).toMatch(/^Generated .* graph with 20 nodes/);
+		expect(messages.at(-1)).toMatch(/^Initialized \d+ total chips across 20 nodes$/);
+	});
+});
@@ -0,0 +1,193 @@
+import { topologies, generateTopology } from './generators.js';
+
+/**
+ * GraphStructure - Handles graph generation and embedding
+ * Builds a graph of the chosen topology (Erdős-Rényi by default, see
+ * ./generators.js) and embeds nodes in a unit ball
+ *
+ * The optional `topology` argument is { type, sink, ...options }: `type` is a
+ * key of `topologies`, `sink` is 'all' (every node feeds the sink) or
+ * 'boundary' (only the boundary of a lattice does, the classic sandpile).
+ * Lattices round the node count down to a whole grid, so read numNodes back.
+ * Progress is reported through `logger` (console by default); pass
+ * { log() {} } to keep it quiet.
+ */
+export default class GraphStructure {
+	constructor(
+		numNodes,
+		connectivity,
+		useSinkNode = true,
+		random = Math.random,
+		topology = {},
+		logger = console
+	) {
+		this.numNodes = numNodes;
+		this.connectivity = connectivity; // Probability of edge between any two nodes (0 to 1)
+		this.useSinkNode = useSinkNode;
+		this.sinkNodeIndex = useSinkNode ? 0 : -1; // First node is the sink if enabled
+		this.random = random; // Source of randomness, () => [0, 1)
+		this.logger = logger; // Progress messages go to logger.log
+		this.topology = { type: 'erdosRenyi', sink: 'all', connectivity, ...topology };
+
+		this.adjacencyList = new Map(); // Map of node -> Set of neighbors
+		this.edgeList = []; // Array of [source, target] pairs
+		this.naturalPositions = null; // Embedding that comes with the topology, if any
+
+		this.generateGraph();
+	}
+
+	/**
+	 * Generate the graph from the topology's generator
+	 * If sink node is enabled, connect all nodes (or just the boundary) to the sink
+	 */
+	generateGraph() {
+		const { type, ...options } = this.topology;
+		const offset = this.useSinkNode ? 1 : 0;
+		const generated = generateTopology(type, this.numNodes - offset, options, this.random);
+		this.numNodes = generated.count + offset;
+
+		// Initialize adjacency list
+		for (let i = 0; i < this.numNodes; i++) {
+			this.adjacencyList.set(i, new Set());
+		}
+
+		// If using sink node, connect nodes to it
+		if (this.useSinkNode) {
+			const useBoundary = options.sink === 'boundary' && generated.boundary;
+			const sinkNeighbors = useBoundary
+				? generated.boundary.map((node) => node + offset)
+				: Array.from({ length: generated.count }, (_, node) => node + offset);
+
+			for (const i of sinkNeighbors) {
+				this.addEdge(i, this.sinkNodeIndex);
+			}
+		}
+
+		// Generated edges (between non-sink nodes)
+		for (const [a, b] of generated.edges) {
+			this.addEdge(a + offset, b + offset);
+		}
+
+		if (generated.positions) {
+			const sinkPosition = generated.sinkPosition || [0, 0, 0];
+			this.naturalPositions = this.useSinkNode
+				? [sinkPosition, ...generated.positions]
+				: generated.positions;
+		}
+		this.labels = generated.labels || null; // Node names from a loaded file
+
+		this.logger.log(
+			`Generated ${topologies[type].label} graph with ${this.numNodes} nodes and ${this.edgeList.length} edges`
+		);
+		if (this.useSinkNode) {
+			this.logger.log(
+				`Sink node at index ${this.sinkNodeIndex} with degree ${this.getDegree(this.sinkNodeIndex)}`
+			);
+		}
+		this.logger.log(`Average degree: ${((2 * this.edgeList.length) / this.numNodes).toFixed(2)}`);
+	}
+
+	/**
+	 * Add an undirected edge, skipping self-loops and duplicates
+	 */
+	addEdge(a, b) {
+		if (a === b || this.adjacencyList.get(a).has(b)) {
+			return;
+		}
+
+		this.adjacencyList.get(a).add(b);
+		this.adjacencyList.get(b).add(a);
+		this.edgeList.push([a, b]);
+	}
+
+	/**
+	 * Positions in the unit ball: the topology's own embedding (ring, grid,
+	 * clusters, ...) or, when it has none, a random scatter in the ball
+	 */
+	embed(random = this.random) {
+		if (this.naturalPositions) {
+			return this.naturalPositions.map((position) => [...position]);
+		}
+		return this.embedInUnitBall(random);
+	}
+
+	/**
+	 * Embed nodes randomly in a unit ball (sphere with radius 1)
+	 * Uses rejection sampling to ensure uniform distribution
+	 * If sink node exists, it's placed at the center (0, 0, 0)
+	 * Draws from the graph's random source unless another one is given
+	 */
+	embedInUnitBall(random = this.random) {
+		const positions = [];
+
+		for (let i = 0; i < this.numNodes; i++) {
+			// If this is the sink node, place it at center
+			if (this.useSinkNode && i === this.sinkNodeIndex) {
+				positions.push([0, 0, 0]);
+				continue;
+			}
+
+			let x, y, z, radiusSquared;
+
+			// Rejection sampling: generate points until we get one inside unit sphere
+			do {
+				x = random() * 2 - 1; // Range [-1, 1]
+				y = random() * 2 - 1;
+				z = random() * 2 - 1;
+				radiusSquared = x * x + y * y + z * z;
+			} while (radiusSquared > 1.0);
+
+			positions.push([x, y, z]);
+		}
+
+		return positions;
+	}
+
+	/**
+	 * Scale positions to fit in a box of given size
+	 */
+	scalePositions(positions, scale = 200) {
+		return positions.map(([x, y, z]) => [x * scale, y * scale, z * scale]);
+	}
+
+	/**
+	 * Get the neighbors of a node
+	 */
+	getNeighbors(nodeIndex) {
+		return this.adjacencyList.get(nodeIndex) || new Set();
+	}
+
+	/**
+	 * Get degree (number of connections) of a node
+	 */
+	getDegree(nodeIndex) {
+		return this.adjacencyList.get(nodeIndex)?.size || 0;
+	}
+
+	/**
+	 * Get all edges as array of [source, target] pairs
+	 */
+	getEdges() {
+		return this.edgeList;
+	}
+
+	/**
+	 * Get graph statistics
+	 */
+	getStats() {
+		const degrees = Array.from(this.adjacencyList.values()).map((neighbors) => neighbors.size);
+		const avgDegree = degrees.reduce((sum, d) => sum + d, 0) / this.numNodes;
+		const maxDegree = Math.max(...degrees);
+		const minDegree = Math.min(...degrees);
+
+		return {
+			numNodes: this.numNodes,
+			numEdges: this.edgeList.length,
+			avgDegree: avgDegree.toFixed(2),
+			maxDegree,
+			minDegree,
+			connectivity: this.connectivity,
+			topology: this.topology.type
+		};
+	}
+}
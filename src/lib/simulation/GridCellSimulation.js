@@ -0,0 +1,213 @@
+import { gridRate, poisson } from './gridCells.js';
+import { rateMap, autocorrelogram, gridness } from './gridness.js';
+
+/**
+ * GridCellSimulation - An animal moving through an arena and the grid
+ * cells firing as it goes
+ *
+ * Each step takes the next position of the trajectory, draws every cell's
+ * spikes for the time since the last one (Poisson, see ./gridCells.js),
+ * and adds the time and the spikes to the bins of the arena, from which
+ * analyze() makes rate maps, autocorrelograms and gridness scores.
+ *
+ * Stepped from outside, a few steps per frame in the grid code view or
+ * all at once in runGridCellExperiment (./gridCellExperiment.js).
+ */
+export default class GridCellSimulation {
+	/**
+	 * @param {Object[]} modules From gridModules
+	 * @param {Object} trajectory From randomWalk or replayTrajectory
+	 * @param {Object} options { bins, maxRate, noiseRate, maxSpikes, maxPath, random }
+	 */
+	constructor(
+		modules,
+		trajectory,
+		{
+			bins = 30,
+			maxRate = 15,
+			noiseRate = 0,
+			maxSpikes = 200000,
+			maxPath = 5000,
+			random = Math.random
+		} = {}
+	) {
+		this.modules = modules;
+		this.cells = modules.flatMap((module) => module.cells);
+		this.trajectory = trajectory;
+		this.size = trajectory.size;
+		this.bins = bins;
+		this.maxRate = maxRate;
+		this.noiseRate = noiseRate; // Background rate of every cell, Hz, carrying no position
+		this.random = random;
+
+		// Accumulated per bin of the arena
+		this.occupancy = new Float64Array(bins * bins); // Seconds
+		this.counts = this.cells.map(() => new Float64Array(bins * bins)); // Spikes
+
+		// Spikes as { t, cell, x, y }, and the recent path; the oldest are dropped past the limits
+		this.maxSpikes = maxSpikes;
+		this.maxPath = maxPath;
+		this.spikes = [];
+		this.path = [];
+
+		this.spikeCounts = new Array(this.cells.length).fill(0); // Lifetime spikes per cell
+		this.lastCounts = new Int32Array(this.cells.length); // Spikes per cell in the last step
+		this.lastDt = 0; // Seconds the last step covered
+		this.position = null;
+		this.time = 0;
+		this.stepCount = 0;
+		this.finished = false; // A recorded trajectory ran out
+	}
+
+	/**
+	 * Advance to the trajectory's next position
+	 * @returns {number} Spikes fired in this step, -1 once the trajectory has run out
+	 */
+	step() {
+		if (this.finished) return -1;
+
+		const sample = this.trajectory.next();
+		if (!sample) {
+			this.finished = true;
+			return -1;
+		}
+
+		// Time since the last position; the first step takes the nominal dt
+		const dt = this.position ? sample.t - this.position.t : this.trajectory.dt;
+		this.position = sample;
+		this.lastDt = dt;
+		this.time = sample.t;
+		this.stepCount++;
+
+		this.path.push(sample);
+		if (this.path.length > this.maxPath) this.path.shift();
+
+		const bin = this.binOf(sample.x, sample.y);
+		this.occupancy[bin] += dt;
+
+		let fired = 0;
+		this.lastCounts.fill(0);
+		this.modules.forEach((module) => {
+			module.cells.forEach((cell) => {
+				const rate = gridRate(module, cell, sample.x, sample.y, this.maxRate) + this.noiseRate;
+				const count = rate > 0 ? poisson(rate * dt, this.random) : 0;
+				if (count === 0) return;
+
+				fired += count;
+				this.lastCounts[cell.index] = count;
+				this.counts[cell.index][bin] += count;
+				this.spikeCounts[cell.index] += count;
+				for (let i = 0; i < count; i++) {
+					this.spikes.push({ t: sample.t, cell: cell.index, x: sample.x, y: sample.y });
+				}
+			});
+		});
+		if (this.spikes.length > this.maxSpikes) {
+			this.spikes.splice(0, this.spikes.length - this.maxSpikes);
+		}
+
+		return fired;
+	}
+
+	/**
+	 * Where the animal was at a time, from the path kept
+	 * @returns {Object|null} The last sample at or before t, null if the path no longer reaches back
+	 */
+	positionAt(t) {
+		const path = this.path;
+		if (path.length === 0 || path[0].t > t) return null;
+
+		let lo = 0;
+		let hi = path.length - 1;
+		while (lo < hi) {
+			const mid = Math.ceil((lo + hi) / 2);
+			if (path[mid].t <= t) lo = mid;
+			else hi = mid - 1;
+		}
+		return path[lo];
+	}
+
+	// Index of the arena bin holding a point
+	binOf(x, y) {
+		const scale = this.bins / this.size;
+		const column = Math.min(this.bins - 1, Math.max(0, Math.floor(x * scale)));
+		const row = Math.min(this.bins - 1, Math.max(0, Math.floor(y * scale)));
+		return row * this.bins + column;
+	}
+
+	/**
+	 * Rate map, autocorrelogram and gridness of every cell so far
+	 *
+	 * @param {Object} options { smoothing, minOverlap }, see ./gridness.js
+	 * @returns {Object[]} Per cell: { cell, module, spikes, meanRate, peakRate, map, correlogram, gridness }
+	 */
+	analyze({ smoothing = 1.5, minOverlap = 20 } = {}) {
+		const binSize = this.size / this.bins;
+		const seconds = this.occupancy.reduce((sum, value) => sum + value, 0);
+
+		return this.cells.map((cell) => {
+			const map = rateMap(this.counts[cell.index], this.occupancy, this.bins, { smoothing });
+			const correlogram = autocorrelogram(map, this.bins, { minOverlap });
+			const peakRate = map.reduce((peak, value) => (value > peak ? value : peak), 0);
+
+			return {
+				cell: cell.index,
+				module: cell.module,
+				spikes: this.spikeCounts[cell.index],
+				meanRate: seconds > 0 ? this.spikeCounts[cell.index] / seconds : 0,
+				peakRate,
+				map,
+				correlogram,
+				gridness: gridness(correlogram, binSize)
+			};
+		});
+	}
+
+	/**
+	 * Everything there is to export: tables as rows for toCSV (see
+	 * ./avalanches.js), and maps as arrays with null for NaN
+	 *
+	 * @param {Object[]} analysis From analyze()
+	 * @returns {Object} { modules, cells, spikes, path, maps }, angles in degrees
+	 */
+	report(analysis) {
+		const degrees = (radians) => (radians * 180) / Math.PI;
+		const modules = this.modules.map(({ index, spacing, orientation }) => ({
+			index,
+			spacing,
+			orientation: degrees(orientation)
+		}));
+
+		const cells = analysis.map((result) => {
+			const module = this.modules[result.module];
+			const cell = this.cells[result.cell];
+			return {
+				cell: result.cell,
+				module: result.module,
+				spacing: module.spacing,
+				orientation: degrees(module.orientation),
+				phaseX: cell.phase[0],
+				phaseY: cell.phase[1],
+				spikes: result.spikes,
+				meanRate: result.meanRate,
+				peakRate: result.peakRate,
+				gridness: result.gridness.score,
+				measuredSpacing: result.gridness.spacing,
+				measuredOrientation: degrees(result.gridness.orientation)
+			};
+		});
+
+		const maps = analysis.map(({ cell, map, correlogram }) => ({
+			cell,
+			rate: Array.from(map, nullIfNaN),
+			correlogram: Array.from(correlogram, nullIfNaN)
+		}));
+
+		return { modules, cells, spikes: this.spikes, path: this.path, maps };
+	}
+}
+
+// JSON has no NaN
+function nullIfNaN(value) {
+	return Number.isNaN(value) ? null : value;
+}
@@ -0,0 +1,222 @@
+import { gridRate } from './gridCells.js';
+
+/**
+ * GridDecoder - Reads the animal's position back from grid cell spikes
+ *
+ * Two readouts of the spike counts of a time window:
+ *
+ *   likelihood  - maximum likelihood under Poisson firing with the cells'
+ *                 known rate maps, over a grid of candidate positions
+ *   population  - each module's phase on its lattice as the circular mean
+ *                 of its cells' phases weighted by their spikes above the
+ *                 expected background, then the candidate position whose
+ *                 phases match every module best
+ *
+ * A single module only fixes the position up to its lattice, so errors
+ * jump by whole spacings; each module added rules out most of the
+ * remaining candidates, the combinatorial capacity of the grid code
+ * (Fiete et al. 2008).
+ *
+ * observe() decodes a simulation stepped from outside, one window at a
+ * time, as AvalancheDetector finds avalanches.
+ */
+export default class GridDecoder {
+	/**
+	 * @param {Object[]} modules From gridModules
+	 * @param {Object} options { size, resolution (candidates per side), maxRate, floorRate, maxRecords }
+	 */
+	constructor(
+		modules,
+		{ size = 1, resolution = 100, maxRate = 15, floorRate = 0.1, maxRecords = 2000 } = {}
+	) {
+		this.modules = modules;
+		this.cells = modules.flatMap((module) => module.cells);
+		this.size = size;
+		this.resolution = resolution;
+		this.maxRate = maxRate; // Peak rate of the rate maps, Hz
+		this.floorRate = floorRate; // Rate no cell falls below, so one stray spike is not impossible
+		this.maxRecords = maxRecords; // Oldest records are dropped past this
+
+		// Candidate positions at the centres of a resolution² grid
+		const step = size / resolution;
+		this.candidates = [];
+		for (let row = 0; row < resolution; row++) {
+			for (let column = 0; column < resolution; column++) {
+				this.candidates.push([(column + 0.5) * step, (row + 0.5) * step]);
+			}
+		}
+
+		// Each cell's rate at every candidate for a peak rate of 1, and each
+		// module's lattice phase there
+		this.rates = this.cells.map((cell) =>
+			Float64Array.from(this.candidates, ([x, y]) => gridRate(modules[cell.module], cell, x, y, 1))
+		);
+		this.phases = modules.map((module) =>
+			this.candidates.map(([x, y]) => latticePhase(module, x, y))
+		);
+		this.cellPhases = this.cells.map((cell) =>
+			latticePhase(modules[cell.module], cell.phase[0], cell.phase[1])
+		);
+
+		this.reset();
+	}
+
+	/**
+	 * Decode one window of spike counts
+	 *
+	 * @param {ArrayLike<number>} counts Spikes per cell in the window
+	 * @param {number} window Length of the window, seconds
+	 * @param {Object} options
+	 *   method     - 'likelihood' or 'population'
+	 *   modules    - read only the first this many modules
+	 *   noiseRate  - background rate every cell fires at, Hz, known to both readouts
+	 * @returns {Object} { x, y }, the centre of the arena when no spike was read
+	 */
+	decode(
+		counts,
+		window,
+		{ method = 'likelihood', modules = this.modules.length, noiseRate = 0 } = {}
+	) {
+		const cells = this.cells.filter((cell) => cell.module < modules);
+		const index =
+			method === 'population'
+				? this.populationVector(counts, window, cells, noiseRate)
+				: this.maximumLikelihood(counts, window, cells, noiseRate);
+
+		if (index < 0) return { x: this.size / 2, y: this.size / 2 };
+		const [x, y] = this.candidates[index];
+		return { x, y };
+	}
+
+	// Index of the candidate with the largest Poisson log likelihood
+	maximumLikelihood(counts, window, cells, noiseRate) {
+		const background = Math.max(noiseRate, this.floorRate);
+		let best = -1;
+		let bestValue = -Infinity;
+
+		for (let c = 0; c < this.candidates.length; c++) {
+			// log P(n | λ) up to terms without λ: n log λ - λ window
+			let value = 0;
+			for (const cell of cells) {
+				const rate = this.maxRate * this.rates[cell.index][c] + background;
+				value += counts[cell.index] * Math.log(rate) - rate * window;
+			}
+			if (value > bestValue) {
+				bestValue = value;
+				best = c;
+			}
+		}
+		return best;
+	}
+
+	// Index of the candidate whose lattice phases are nearest the modules' population vectors
+	populationVector(counts, window, cells, noiseRate) {
+		// Background spikes fall on every cell alike and would pull each
+		// module's mean towards the mean of its cells' phases
+		const background = noiseRate * window;
+		const estimates = this.modules.map(() => ({ u: [0, 0], v: [0, 0], spikes: 0 }));
+		for (const cell of cells) {
+			const count = counts[cell.index] - background;
+			if (count <= 0) continue;
+			const [u, v] = this.cellPhases[cell.index];
+			const estimate = estimates[cell.module];
+			estimate.u[0] += count * Math.cos(2 * Math.PI * u);
+			estimate.u[1] += count * Math.sin(2 * Math.PI * u);
+			estimate.v[0] += count * Math.cos(2 * Math.PI * v);
+			estimate.v[1] += count * Math.sin(2 * Math.PI * v);
+			estimate.spikes += count;
+		}
+
+		// Modules without spikes say nothing
+		const read = estimates
+			.map((estimate, module) => ({
+				module,
+				spikes: estimate.spikes,
+				u: Math.atan2(estimate.u[1], estimate.u[0]) / (2 * Math.PI),
+				v: Math.atan2(estimate.v[1], estimate.v[0]) / (2 * Math.PI)
+			}))
+			.filter((estimate) => estimate.spikes > 0);
+		if (read.length === 0) return -1;
+
+		let best = -1;
+		let bestValue = Infinity;
+		for (let c = 0; c < this.candidates.length; c++) {
+			// Squared phase mismatch in metres, so coarse modules count for more
+			let value = 0;
+			for (const { module, u, v } of read) {
+				const [cu, cv] = this.phases[module][c];
+				const spacing = this.modules[module].spacing;
+				value += spacing * spacing * (circular(cu - u) ** 2 + circular(cv - v) ** 2);
+			}
+			if (value < bestValue) {
+				bestValue = value;
+				best = c;
+			}
+		}
+		return best;
+	}
+
+	// Forget the window in progress and the decoded trajectory
+	reset() {
+		this.records = [];
+		this.windowCounts = new Float64Array(this.cells.length);
+		this.windowStart = null;
+	}
+
+	/**
+	 * Account for one simulation step: add its spikes to the window, and
+	 * decode the window once it is full
+	 *
+	 * @param {GridCellSimulation} simulation Just stepped
+	 * @param {Object} options { window, method, modules, noiseRate }, see decode()
+	 * @returns {Object|null} The record this step completed: { t, x, y, decodedX, decodedY, error }
+	 */
+	observe(simulation, { window = 0.5, ...options } = {}) {
+		const position = simulation.position;
+		if (!position) return null;
+
+		// The step's spikes fell over the time since the previous position
+		if (this.windowStart === null) this.windowStart = position.t - simulation.lastDt;
+		simulation.lastCounts.forEach((count, cell) => {
+			this.windowCounts[cell] += count;
+		});
+
+		const elapsed = position.t - this.windowStart;
+		if (elapsed < window) return null;
+
+		// The window's decoded position against where the animal was in its middle
+		const decoded = this.decode(this.windowCounts, elapsed, options);
+		const middle = simulation.positionAt(this.windowStart + elapsed / 2) ?? position;
+		const record = {
+			t: position.t,
+			x: middle.x,
+			y: middle.y,
+			decodedX: decoded.x,
+			decodedY: decoded.y,
+			error: Math.hypot(decoded.x - middle.x, decoded.y - middle.y)
+		};
+
+		this.records.push(record);
+		if (this.records.length > this.maxRecords) this.records.shift();
+		this.windowCounts.fill(0);
+		this.windowStart = null;
+		return record;
+	}
+}
+
+// Coordinates of a point on a module's lattice basis, each in [0, 1)
+function latticePhase(module, x, y) {
+	const { spacing, orientation } = module;
+	const [ax, ay] = [Math.cos(orientation), Math.sin(orientation)];
+	const [bx, by] = [Math.cos(orientation + Math.PI / 3), Math.sin(orientation + Math.PI / 3)];
+	// Solve (x, y) = spacing (u a + v b)
+	const determinant = ax * by - ay * bx;
+	const u = (x * by - y * bx) / (determinant * spacing);
+	const v = (ax * y - ay * x) / (determinant * spacing);
+	return [u - Math.floor(u), v - Math.floor(v)];
+}
+
+// Phase difference wrapped into [-1/2, 1/2)
+function circular(difference) {
+	return difference - Math.round(difference);
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import GridDecoder from './GridDecoder.js';
+import { gridModules } from './gridCells.js';
+import { decodingErrors } from './gridCellExperiment.js';
+import { createRandom } from '../utils/random.js';
+
+const modules = gridModules({ random: createRandom(1) });
+
+// Mean error by modules read, for one noise level
+const errors = (method, noiseRate, trials) =>
+	decodingErrors(modules, {
+		method,
+		noiseLevels: [noiseRate],
+		trials,
+		random: createRandom(1)
+	}).map((row) => row.meanError);
+
+describe('decoding error', () => {
+	for (const noiseRate of [0, 5]) {
+		it(`falls with each module the likelihood reads, ${noiseRate} Hz background`, () => {
+			const [first, ...rest] = errors('likelihood', noiseRate, 200);
+
+			rest.reduce((previous, error) => {
+				expect(error).toBeLessThan(previous);
+				return error;
+			}, first);
+		});
+
+		it(`falls from one module to all for the population vector, ${noiseRate} Hz background`, () => {
+			// Its errors fall slowly, so more trials to tell them apart
+			const rows = errors('population', noiseRate, 1000);
+
+			expect(rows.at(-1)).toBeLessThan(0.9 * rows[0]);
+		});
+	}
+});
+
+describe('populationVector', () => {
+	it('subtracts the expected background before weighting the cells', () => {
+		const decoder = new GridDecoder(modules.slice(0, 1), { resolution: 50 });
+		const window = 0.5;
+		const noiseRate = 10;
+		// Every cell at its expected background, one cell a few spikes above
+		const counts = new Float64Array(decoder.cells.length).fill(noiseRate * window);
+		counts[2] += 3;
+
+		const best = decoder.populationVector(counts, window, decoder.cells, noiseRate);
+		const [u, v] = decoder.phases[0][best];
+		const [cellU, cellV] = decoder.cellPhases[2];
+		const distance = (a, b) => Math.abs(a - b - Math.round(a - b));
+
+		expect(distance(u, cellU)).toBeLessThan(0.05);
+		expect(distance(v, cellV)).toBeLessThan(0.05);
+
+		// Without the subtraction the background drags the estimate away
+		const unaware = decoder.populationVector(counts, window, decoder.cells, 0);
+		const [au, av] = decoder.phases[0][unaware];
+		expect(Math.max(distance(au, cellU), distance(av, cellV))).toBeGreaterThan(0.05);
+	});
+});
@@ -0,0 +1,271 @@
+/* global BigInt */
+/**
+ * SandpileGroup - Algebra of chip firing on a graph with a sink
+ *
+ * Configurations are chip arrays indexed like the graph's nodes (the same
+ * layout as ChipFiringSimulation.chips); the sink's entry is ignored and is
+ * always 0 in results. Stable configurations have chips[v] < degree(v).
+ *
+ * The recurrent configurations form an abelian group under
+ * a ⊕ b = stabilize(a + b), the sandpile group. Its order is the number of
+ * spanning trees of the graph, det of the reduced Laplacian (matrix-tree
+ * theorem). Stabilization here fires nodes one at a time; by the abelian
+ * property the result matches ChipFiringSimulation's parallel firing.
+ */
+
+// Past this many non-sink nodes order() blocks for a second or more (Bareiss is O(n³) on BigInts)
+export const MAX_ORDER_NODES = 200;
+
+export default class SandpileGroup {
+	constructor(graph, sinkNodeIndex = graph.sinkNodeIndex) {
+		if (sinkNodeIndex < 0 || sinkNodeIndex >= graph.numNodes) {
+			throw new Error('The sandpile group needs a sink node');
+		}
+
+		this.graph = graph;
+		this.numNodes = graph.numNodes;
+		this.sinkNodeIndex = sinkNodeIndex;
+
+		this.degrees = Array.from({ length: this.numNodes }, (_, i) => graph.getDegree(i));
+		this.neighbors = Array.from({ length: this.numNodes }, (_, i) => graph.getNeighbors(i));
+
+		// Non-sink nodes, in order; row/column i of the reduced Laplacian is nodes[i]
+		this.nodes = [];
+		for (let i = 0; i < this.numNodes; i++) {
+			if (i !== sinkNodeIndex) this.nodes.push(i);
+		}
+
+		// Every chip must be able to reach the sink, or stabilization never ends
+		const reached = this.reachableFromSink();
+		const stranded = this.nodes.filter((node) => !reached[node]);
+		if (stranded.length > 0) {
+			throw new Error(`${stranded.length} node(s) are not connected to the sink`);
+		}
+
+		// Cached on first use
+		this._identity = null;
+		this._order = null;
+	}
+
+	reachableFromSink() {
+		const reached = new Array(this.numNodes).fill(false);
+		const queue = [this.sinkNodeIndex];
+		reached[this.sinkNodeIndex] = true;
+
+		while (queue.length > 0) {
+			const node = queue.pop();
+			for (const neighbor of this.neighbors[node]) {
+				if (!reached[neighbor]) {
+					reached[neighbor] = true;
+					queue.push(neighbor);
+				}
+			}
+		}
+		return reached;
+	}
+
+	/**
+	 * Reduced Laplacian: degree on the diagonal, -1 per edge, with the sink's
+	 * row and column removed. Row i belongs to node this.nodes[i].
+	 */
+	reducedLaplacian() {
+		const index = new Map(this.nodes.map((node, i) => [node, i]));
+
+		return this.nodes.map((node) => {
+			const row = new Array(this.nodes.length).fill(0);
+			row[index.get(node)] = this.degrees[node];
+			for (const neighbor of this.neighbors[node]) {
+				if (neighbor !== this.sinkNodeIndex) {
+					row[index.get(neighbor)] -= 1;
+				}
+			}
+			return row;
+		});
+	}
+
+	/**
+	 * Number of elements of the sandpile group, which is also the number of
+	 * recurrent configurations and of spanning trees. Exact: the determinant
+	 * is taken with fraction-free (Bareiss) elimination on BigInts, which is
+	 * slow on large graphs; see MAX_ORDER_NODES.
+	 * @returns {bigint} Group order
+	 */
+	order() {
+		if (this._order !== null) return this._order;
+
+		const matrix = this.reducedLaplacian().map((row) => row.map(BigInt));
+		const n = matrix.length;
+		let previous = 1n;
+		let sign = 1n;
+
+		for (let k = 0; k < n - 1; k++) {
+			// The reduced Laplacian is positive definite, so this is only a safeguard
+			if (matrix[k][k] === 0n) {
+				const swap = matrix.findIndex((row, i) => i > k && row[k] !== 0n);
+				if (swap < 0) return (this._order = 0n);
+				[matrix[k], matrix[swap]] = [matrix[swap], matrix[k]];
+				sign = -sign;
+			}
+
+			const pivot = matrix[k][k];
+			for (let i = k + 1; i < n; i++) {
+				const factor = matrix[i][k];
+				for (let j = k + 1; j < n; j++) {
+					matrix[i][j] = (pivot * matrix[i][j] - factor * matrix[k][j]) / previous;
+				}
+			}
+			previous = pivot;
+		}
+
+		this._order = n === 0 ? 1n : sign * matrix[n - 1][n - 1];
+		return this._order;
+	}
+
+	/**
+	 * Largest stable configuration: degree - 1 chips on every non-sink node
+	 */
+	maxStable() {
+		return this.degrees.map((degree, node) => (node === this.sinkNodeIndex ? 0 : degree - 1));
+	}
+
+	isStable(config) {
+		return this.nodes.every((node) => config[node] < this.degrees[node]);
+	}
+
+	/**
+	 * Fire unstable nodes until none are left. A node holding many chips
+	 * fires floor(chips / degree) times at once. Does not modify the input.
+	 * @param {number[]} config - Chips per node
+	 * @returns {Object} { config, firings: firings per node, size: total firings }
+	 */
+	stabilize(config) {
+		const chips = Array.from(config);
+		const firings = new Array(this.numNodes).fill(0);
+		const queued = new Array(this.numNodes).fill(false);
+		const queue = [];
+		let size = 0;
+
+		chips[this.sinkNodeIndex] = 0;
+		for (const node of this.nodes) {
+			if (chips[node] >= this.degrees[node]) {
+				queued[node] = true;
+				queue.push(node);
+			}
+		}
+
+		while (queue.length > 0) {
+			const node = queue.pop();
+			queued[node] = false;
+
+			const times = Math.floor(chips[node] / this.degrees[node]);
+			if (times <= 0) continue;
+
+			chips[node] -= times * this.degrees[node];
+			firings[node] += times;
+			size += times;
+
+			for (const neighbor of this.neighbors[node]) {
+				if (neighbor === this.sinkNodeIndex) continue;
+
+				chips[neighbor] += times;
+				if (!queued[neighbor] && chips[neighbor] >= this.degrees[neighbor]) {
+					queued[neighbor] = true;
+					queue.push(neighbor);
+				}
+			}
+		}
+
+		return { config: chips, firings, size };
+	}
+
+	/**
+	 * Group addition, stabilize(a + b)
+	 */
+	add(a, b) {
+		return this.stabilize(a.map((chips, node) => chips + b[node])).config;
+	}
+
+	/**
+	 * Identity element: stabilize(2·max - stabilize(2·max)), where max is the
+	 * largest stable configuration. Recurrent, and e ⊕ c = c for every
+	 * recurrent c.
+	 */
+	identity() {
+		if (this._identity) return [...this._identity];
+
+		const doubled = this.maxStable().map((chips) => 2 * chips);
+		const relaxed = this.stabilize(doubled).config;
+		this._identity = this.stabilize(doubled.map((chips, node) => chips - relaxed[node])).config;
+		return [...this._identity];
+	}
+
+	/**
+	 * Dhar's burning algorithm. Fire spreads from the sink; a node burns once
+	 * it holds at least as many chips as it has unburnt neighbors. A stable
+	 * configuration is recurrent exactly when every node burns.
+	 * @param {number[]} config - Chips per node
+	 * @returns {boolean} False for unstable configurations
+	 */
+	isRecurrent(config) {
+		if (!this.isStable(config)) return false;
+
+		const unburnt = [...this.degrees];
+		const burnt = new Array(this.numNodes).fill(false);
+		const queue = [this.sinkNodeIndex];
+		let count = 0;
+		burnt[this.sinkNodeIndex] = true;
+
+		while (queue.length > 0) {
+			const node = queue.pop();
+			for (const neighbor of this.neighbors[node]) {
+				if (burnt[neighbor]) continue;
+
+				unburnt[neighbor]--;
+				if (config[neighbor] >= unburnt[neighbor]) {
+					burnt[neighbor] = true;
+					count++;
+					queue.push(neighbor);
+				}
+			}
+		}
+
+		return count === this.nodes.length;
+	}
+
+	/**
+	 * The recurrent configuration equivalent to config (same group element),
+	 * e ⊕ config
+	 */
+	toRecurrent(config) {
+		return this.add(config, this.identity());
+	}
+
+	/**
+	 * List every recurrent configuration. Only feasible on small graphs: the
+	 * search visits all stable configurations, and throws when there are
+	 * more than `limit`.
+	 */
+	enumerateRecurrent(limit = 1e6) {
+		const total = this.nodes.reduce((product, node) => product * this.degrees[node], 1);
+		if (total > limit) {
+			throw new Error(`${total} stable configurations exceed the limit of ${limit}`);
+		}
+
+		const recurrent = [];
+		const config = new Array(this.numNodes).fill(0);
+		const visit = (i) => {
+			if (i === this.nodes.length) {
+				if (this.isRecurrent(config)) recurrent.push([...config]);
+				return;
+			}
+			const node = this.nodes[i];
+			for (let chips = 0; chips < this.degrees[node]; chips++) {
+				config[node] = chips;
+				visit(i + 1);
+			}
+		};
+		visit(0);
+
+		return recurrent;
+	}
+}
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import SandpileGroup from './SandpileGroup.js';
+
+// The parts of GraphStructure the group reads, built from an edge list
+const graphFrom = (numNodes, edges, sinkNodeIndex = 0) => {
+	const neighbors = Array.from({ length: numNodes }, () => []);
+	for (const [a, b] of edges) {
+		neighbors[a].push(b);
+		neighbors[b].push(a);
+	}
+	return {
+		numNodes,
+		sinkNodeIndex,
+		getDegree: (node) => neighbors[node].length,
+		getNeighbors: (node) => neighbors[node]
+	};
+};
+
+const complete = (n) => {
+	const edges = [];
+	for (let a = 0; a < n; a++) {
+		for (let b = a + 1; b < n; b++) edges.push([a, b]);
+	}
+	return graphFrom(n, edges);
+};
+
+const cycle = (n) =>
+	graphFrom(
+		n,
+		Array.from({ length: n }, (_, i) => [i, (i + 1) % n])
+	);
+
+// 3 x 3 grid, sink in a corner: 192 spanning trees
+const grid = graphFrom(
+	9,
+	Array.from({ length: 9 }, (_, i) => [
+		...(i % 3 < 2 ? [[i, i + 1]] : []),
+		...(i < 6 ? [[i, i + 3]] : [])
+	]).flat()
+);
+
+describe('SandpileGroup', () => {
+	it('has as many elements as the graph has spanning trees', () => {
+		expect(new SandpileGroup(complete(4)).order()).toBe(16n); // Cayley: n^(n-2)
+		expect(new SandpileGroup(complete(6)).order()).toBe(1296n);
+		expect(new SandpileGroup(cycle(7)).order()).toBe(7n);
+		expect(new SandpileGroup(grid).order()).toBe(192n);
+	});
+
+	it('counts the same order wherever the sink is', () => {
+		expect(new SandpileGroup(grid, 4).order()).toBe(192n);
+	});
+
+	it('has exactly order() recurrent configurations', () => {
+		for (const graph of [complete(5), cycle(6), grid]) {
+			const group = new SandpileGroup(graph);
+			expect(group.enumerateRecurrent().length).toBe(Number(group.order()));
+		}
+	});
+
+	it('has a recurrent, idempotent identity that fixes every recurrent configuration', () => {
+		const group = new SandpileGroup(grid);
+		const identity = group.identity();
+
+		expect(group.isRecurrent(identity)).toBe(true);
+		expect(group.add(identity, identity)).toEqual(identity);
+		for (const config of group.enumerateRecurrent()) {
+			expect(group.add(identity, config)).toEqual(config);
+		}
+	});
+
+	it('tells recurrent from transient configurations', () => {
+		const group = new SandpileGroup(cycle(5));
+
+		// On a cycle the recurrent configurations are max stable with at most one node one short
+		expect(group.isRecurrent(group.maxStable())).toBe(true);
+		expect(group.isRecurrent([0, 1, 0, 1, 1])).toBe(true);
+		expect(group.isRecurrent([0, 0, 0, 1, 1])).toBe(false);
+		expect(group.isRecurrent([0, 0, 0, 0, 0])).toBe(false);
+
+		// Unstable configurations are neither
+		expect(group.isRecurrent([0, 2, 1, 1, 1])).toBe(false);
+	});
+
+	it('maps any configuration to a recurrent one', () => {
+		const group = new SandpileGroup(grid);
+		const recurrent = group.toRecurrent(new Array(9).fill(0));
+
+		expect(group.isRecurrent(recurrent)).toBe(true);
+		expect(group.toRecurrent(recurrent)).toEqual(recurrent);
+	});
+
+	it('rejects nodes the sink cannot reach', () => {
+		const graph = graphFrom(4, [
+			[0, 1],
+			[2, 3]
+		]);
+		expect(() => new SandpileGroup(graph)).toThrow('2 node(s) are not connected to the sink');
+	});
+});
@@ -0,0 +1,126 @@
+import GraphStructure from './GraphStructure.js';
+import ChipFiringSimulation from './ChipFiringSimulation.js';
+import { fitPowerLaw } from './powerlaw.js';
+import { createRandom } from '../utils/random.js';
+
+// Avalanche measures that get a power-law fit
+export const AVALANCHE_MEASURES = ['size', 'duration', 'area'];
+
+/**
+ * Headless avalanche experiment
+ *
+ * Builds a graph, relaxes an initial random configuration, then drives the
+ * system one chip at a time: each chip lands on a random non-sink node and
+ * the configuration is stabilized, which is one avalanche.
+ *
+ * Options (all optional):
+ *   numNodes, connectivity, useSinkNode - graph, as in GraphStructure
+ *   topology                            - { type, sink, ...options }, see ./generators.js
+ *   minChips, maxChips                  - initial random chips per node
+ *   avalanches                          - number of chips to drop
+ *   maxSteps                            - step limit per stabilization
+ *   seed                                - seed for every random draw
+ *   logger                              - where the graph and simulation report
+ *                                         progress, console by default
+ *
+ * Returns { config, graph, initial, avalanches, nodes, totals }.
+ */
+export function runAvalancheExperiment({ logger = console, ...options } = {}) {
+	const config = {
+		numNodes: 150,
+		connectivity: 0.015,
+		useSinkNode: true,
+		topology: {},
+		minChips: 2,
+		maxChips: 8,
+		avalanches: 1000,
+		maxSteps: 100000,
+		...options
+	};
+
+	if (!config.useSinkNode) {
+		// Without a sink chips are conserved and driving never settles
+		throw new Error('Avalanche experiments need a sink node');
+	}
+
+	const random = createRandom(config.seed);
+	config.seed = random.seed;
+
+	// Same stream labels as NeuralNetExperience, so a seed gives the same graph
+	const graph = new GraphStructure(
+		config.numNodes,
+		config.connectivity,
+		config.useSinkNode,
+		random.fork('graph'),
+		config.topology,
+		logger
+	);
+	// Lattices round down to a whole grid
+	config.numNodes = graph.numNodes;
+	const simulation = new ChipFiringSimulation(graph, random.fork('chips'), logger);
+	simulation.initializeRandomChips(config.minChips, config.maxChips);
+
+	// Relax the initial configuration; it is not counted as an avalanche
+	const initial = simulation.stabilize(config.maxSteps);
+
+	// Chips dropped on the sink would vanish without an avalanche
+	const targets = simulation.getNonSinkNodes();
+	const drops = random.fork('drops');
+	const avalanches = [];
+	for (let i = 0; i < config.avalanches; i++) {
+		const node = targets[Math.floor(drops() * targets.length)];
+		simulation.addChips(node);
+		avalanches.push({ index: i, node, ...simulation.stabilize(config.maxSteps) });
+	}
+
+	const nodes = Array.from({ length: config.numNodes }, (_, node) => ({
+		node,
+		degree: graph.getDegree(node),
+		firings: simulation.firingCounts[node],
+		chips: simulation.chips[node],
+		sink: node === graph.sinkNodeIndex
+	}));
+
+	return {
+		config,
+		graph: graph.getStats(),
+		initial,
+		avalanches,
+		nodes,
+		totals: {
+			firings: simulation.totalFirings,
+			steps: simulation.stepCount,
+			sinkAbsorbed: simulation.sinkChipsAbsorbed,
+			unstableAvalanches: avalanches.filter((a) => !a.stable).length
+		}
+	};
+}
+
+/**
+ * Power-law fits for each avalanche measure, see ./powerlaw.js
+ * Avalanches that fired nothing are left out. Options go to fitPowerLaw;
+ * each measure bootstraps from its own fork of `random`.
+ * Returns { size, duration, area }, each a fit or null.
+ */
+export function fitAvalanches(avalanches, { random = createRandom(), ...options } = {}) {
+	const fits = {};
+	for (const measure of AVALANCHE_MEASURES) {
+		const values = avalanches.map((avalanche) => avalanche[measure]).filter((value) => value > 0);
+		fits[measure] = fitPowerLaw(values, { ...options, random: random.fork(measure) });
+	}
+	return fits;
+}
+
+/**
+ * Rows as CSV text; columns come from the first row's keys
+ */
+export function toCSV(rows) {
+	if (rows.length === 0) return '';
+
+	const columns = Object.keys(rows[0]);
+	const lines = [columns.join(',')];
+	for (const row of rows) {
+		lines.push(columns.map((column) => row[column]).join(','));
+	}
+	return lines.join('\n') + '\n';
+}
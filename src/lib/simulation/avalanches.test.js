@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { runAvalancheExperiment } from './avalanches.js';
+
+const quiet = { log() {} };
+
+// The classic sandpile: a 5 x 5 lattice whose boundary feeds the sink
+const sandpile = {
+	numNodes: 26,
+	topology: { type: 'lattice', sink: 'boundary' },
+	minChips: 0,
+	maxChips: 3,
+	avalanches: 20,
+	seed: 42,
+	logger: quiet
+};
+
+describe('runAvalancheExperiment', () => {
+	it('replays the same avalanches from the same seed', () => {
+		const { avalanches, totals } = runAvalancheExperiment(sandpile);
+
+		expect(avalanches.map(({ node }) => node)).toEqual([
+			4, 15, 24, 22, 8, 17, 21, 19, 6, 10, 10, 13, 4, 25, 25, 10, 1, 6, 3, 14
+		]);
+		expect(avalanches.map(({ size }) => size)).toEqual([
+			1, 0, 1, 1, 0, 1, 1, 1, 0, 4, 0, 0, 0, 1, 0, 7, 1, 0, 0, 0
+		]);
+		expect(totals).toEqual({ firings: 20, steps: 18, sinkAbsorbed: 13, unstableAvalanches: 0 });
+	});
+
+	it('accounts for every chip dropped', () => {
+		const { initial, avalanches, nodes, totals } = runAvalancheExperiment({
+			...sandpile,
+			avalanches: 200
+		});
+		const sink = nodes.find((node) => node.sink);
+
+		// The sink keeps what it absorbed on top of its own initial chips
+		const sinkInitial = sink.chips - totals.sinkAbsorbed;
+		expect(sinkInitial).toBeGreaterThanOrEqual(sandpile.minChips);
+		expect(sinkInitial).toBeLessThanOrEqual(sandpile.maxChips);
+		expect(initial.sinkAbsorbed + avalanches.reduce((sum, a) => sum + a.sinkAbsorbed, 0)).toBe(
+			totals.sinkAbsorbed
+		);
+		expect(nodes.reduce((sum, node) => sum + node.firings, 0)).toBe(totals.firings);
+	});
+
+	it('drops chips only on nodes that are not the sink', () => {
+		const { avalanches, nodes } = runAvalancheExperiment({ ...sandpile, avalanches: 500 });
+		const sink = nodes.findIndex((node) => node.sink);
+
+		for (const { node } of avalanches) {
+			expect(node).not.toBe(sink);
+			expect(node).toBeGreaterThanOrEqual(0);
+			expect(node).toBeLessThan(nodes.length);
+		}
+	});
+
+	it('keeps the logger out of the recorded configuration', () => {
+		const { config } = runAvalancheExperiment({ ...sandpile, avalanches: 1 });
+		expect(config).not.toHaveProperty('logger');
+		expect(config.seed).toBe(42);
+	});
+});
@@ -0,0 +1,351 @@
+/**
+ * Graph generators for GraphStructure
+ *
+ * Each generator builds a graph on `count` nodes numbered 0..count-1 and
+ * returns { count, edges, positions, boundary }:
+ *   count     - nodes actually built (lattices round down to a whole grid)
+ *   edges     - [a, b] pairs, undirected; duplicates and self-loops are dropped later
+ *   positions - natural embedding inside the unit ball, or null for none
+ *   boundary  - nodes on the graph's edge, for wiring a boundary sink (optional)
+ *   sinkPosition - where to draw the sink if the center is taken (optional)
+ *
+ * GraphStructure adds the sink node on top, so generators never see it.
+ */
+
+/**
+ * Available topologies, keyed by the `type` passed to GraphStructure
+ */
+export const topologies = {
+	erdosRenyi: { label: 'Erdős–Rényi', generate: erdosRenyi },
+	wattsStrogatz: { label: 'Watts–Strogatz', generate: wattsStrogatz },
+	barabasiAlbert: { label: 'Barabási–Albert', generate: barabasiAlbert },
+	lattice: {
+		label: 'Lattice',
+		generate: (count, options, random) => lattice(count, { ...options, periodic: false }, random)
+	},
+	torus: {
+		label: 'Torus',
+		generate: (count, options, random) => lattice(count, { ...options, periodic: true }, random)
+	},
+	randomGeometric: { label: 'Random geometric', generate: randomGeometric },
+	stochasticBlock: { label: 'Stochastic block model', generate: stochasticBlock },
+	adjacencyList: {
+		label: 'Adjacency list',
+		generate: (count, options) => parseAdjacencyList(options.text)
+	}
+};
+
+/**
+ * Build a graph of the given topology
+ * @param {string} type - Key of `topologies`
+ * @param {number} count - Requested number of nodes
+ * @param {Object} options - Topology options, see the generators below
+ * @param {Function} random - Source of randomness, () => [0, 1)
+ */
+export function generateTopology(type, count, options = {}, random = Math.random) {
+	const topology = topologies[type];
+	if (!topology) {
+		throw new Error(`Unknown topology: ${type}`);
+	}
+	return topology.generate(count, options, random);
+}
+
+/**
+ * Every pair is connected with probability `connectivity`.
+ * No natural embedding; GraphStructure scatters the nodes in the ball.
+ */
+export function erdosRenyi(count, { connectivity = 0.015 } = {}, random = Math.random) {
+	const edges = [];
+	for (let i = 0; i < count; i++) {
+		for (let j = i + 1; j < count; j++) {
+			if (random() < connectivity) {
+				edges.push([i, j]);
+			}
+		}
+	}
+	return { count, edges, positions: null };
+}
+
+/**
+ * Small world: a ring where every node links to its `neighbors` nearest
+ * nodes (half on each side), then each link is rewired to a random node
+ * with probability `rewiring`. Embedded on a circle.
+ */
+export function wattsStrogatz(count, { neighbors = 4, rewiring = 0.1 } = {}, random = Math.random) {
+	const half = Math.max(1, Math.min(Math.floor(neighbors / 2), Math.floor((count - 1) / 2)));
+	const adjacency = Array.from({ length: count }, () => new Set());
+	const connect = (a, b) => {
+		adjacency[a].add(b);
+		adjacency[b].add(a);
+	};
+
+	for (let i = 0; i < count; i++) {
+		for (let j = 1; j <= half; j++) {
+			connect(i, (i + j) % count);
+		}
+	}
+
+	for (let j = 1; j <= half; j++) {
+		for (let i = 0; i < count; i++) {
+			const target = (i + j) % count;
+			if (random() >= rewiring || !adjacency[i].has(target)) continue;
+
+			// A node already linked to everything keeps its link
+			if (adjacency[i].size >= count - 1) continue;
+
+			let other;
+			do {
+				other = Math.floor(random() * count);
+			} while (other === i || adjacency[i].has(other));
+
+			adjacency[i].delete(target);
+			adjacency[target].delete(i);
+			connect(i, other);
+		}
+	}
+
+	const positions = Array.from({ length: count }, (_, i) => {
+		const angle = (2 * Math.PI * i) / count;
+		return [Math.cos(angle), Math.sin(angle), 0];
+	});
+
+	return { count, edges: edgesFromAdjacency(adjacency), positions };
+}
+
+/**
+ * Scale free: start from a clique of `attachment + 1` nodes, then every new
+ * node links to `attachment` existing nodes chosen in proportion to their
+ * degree. Embedded with hubs near the center and leaves near the surface.
+ */
+export function barabasiAlbert(count, { attachment = 2 } = {}, random = Math.random) {
+	const links = Math.max(1, Math.min(attachment, count - 1));
+	const seedSize = Math.min(links + 1, count);
+	const edges = [];
+	const degree = new Array(count).fill(0);
+
+	// Every edge endpoint once, so a uniform pick is degree-proportional
+	const endpoints = [];
+	const connect = (a, b) => {
+		edges.push([a, b]);
+		endpoints.push(a, b);
+		degree[a]++;
+		degree[b]++;
+	};
+
+	for (let i = 0; i < seedSize; i++) {
+		for (let j = i + 1; j < seedSize; j++) {
+			connect(i, j);
+		}
+	}
+
+	for (let node = seedSize; node < count; node++) {
+		const targets = new Set();
+		while (targets.size < links) {
+			targets.add(endpoints[Math.floor(random() * endpoints.length)]);
+		}
+		targets.forEach((target) => connect(node, target));
+	}
+
+	const maxDegree = Math.max(...degree, 1);
+	const positions = degree.map((d) => {
+		const radius = 1 - 0.85 * (Math.log(Math.max(d, 1)) / Math.log(Math.max(maxDegree, 2)));
+		return scale(randomDirection(random), radius);
+	});
+
+	return { count, edges, positions };
+}
+
+/**
+ * Square (2D) or cubic (3D) grid with the largest side that fits in
+ * `count`. With `periodic`, opposite faces are joined (a torus). A 2D torus
+ * is embedded as a ring torus in 3D; other grids keep their coordinates.
+ */
+export function lattice(count, { dimensions = 2, periodic = false } = {}) {
+	const dims = dimensions === 3 ? 3 : 2;
+	let side = Math.max(1, Math.floor(Math.pow(count, 1 / dims)));
+	while (Math.pow(side + 1, dims) <= count) side++;
+
+	const total = Math.pow(side, dims);
+	const strides = dims === 3 ? [1, side, side * side] : [1, side];
+	const coordinates = (node) => strides.map((stride) => Math.floor(node / stride) % side);
+
+	const edges = [];
+	const boundary = [];
+	for (let node = 0; node < total; node++) {
+		const coords = coordinates(node);
+		coords.forEach((c, axis) => {
+			if (c + 1 < side) {
+				edges.push([node, node + strides[axis]]);
+			} else if (periodic && side > 2) {
+				edges.push([node, node - c * strides[axis]]);
+			}
+		});
+
+		if (!periodic && coords.some((c) => c === 0 || c === side - 1)) {
+			boundary.push(node);
+		}
+	}
+
+	const centered = (c) => (side > 1 ? (2 * c) / (side - 1) - 1 : 0);
+	const positions = Array.from({ length: total }, (_, node) => {
+		const coords = coordinates(node);
+
+		if (periodic && dims === 2) {
+			const u = (2 * Math.PI * coords[0]) / side;
+			const v = (2 * Math.PI * coords[1]) / side;
+			const ring = 0.7 + 0.3 * Math.cos(v);
+			return [ring * Math.cos(u), ring * Math.sin(u), 0.3 * Math.sin(v)];
+		}
+
+		// Shrink so the grid's corners stay inside the unit ball
+		const point = coords.map((c) => centered(c) / Math.sqrt(dims));
+		return dims === 3 ? point : [point[0], point[1], 0];
+	});
+
+	// The center of a 2D torus is its hole; grids put a node there, so the
+	// sink is drawn in front of them instead
+	const sinkPosition = periodic && dims === 2 ? null : [0, 0, dims === 3 ? 1 : 0.5];
+
+	return { count: total, edges, positions, boundary: periodic ? null : boundary, sinkPosition };
+}
+
+/**
+ * Nodes scattered uniformly in the unit ball (or the unit disk for
+ * `dimensions: 2`), linked when closer than `radius`. The scatter is the
+ * embedding.
+ */
+export function randomGeometric(
+	count,
+	{ radius = 0.25, dimensions = 3 } = {},
+	random = Math.random
+) {
+	const positions = Array.from({ length: count }, () =>
+		randomInBall(random, dimensions === 2 ? 2 : 3)
+	);
+	const limit = radius * radius;
+
+	const edges = [];
+	for (let i = 0; i < count; i++) {
+		for (let j = i + 1; j < count; j++) {
+			const dx = positions[i][0] - positions[j][0];
+			const dy = positions[i][1] - positions[j][1];
+			const dz = positions[i][2] - positions[j][2];
+			if (dx * dx + dy * dy + dz * dz < limit) {
+				edges.push([i, j]);
+			}
+		}
+	}
+
+	return { count, edges, positions };
+}
+
+/**
+ * Stochastic block model: nodes are split into `blocks` equal communities;
+ * pairs link with probability `pIn` inside a community and `pOut` across.
+ * Each community is embedded as a cluster around its own center.
+ */
+export function stochasticBlock(
+	count,
+	{ blocks = 4, pIn = 0.1, pOut = 0.005 } = {},
+	random = Math.random
+) {
+	const numBlocks = Math.max(1, Math.min(Math.floor(blocks), count));
+	const blockOf = (node) => Math.floor((node * numBlocks) / count);
+
+	const edges = [];
+	for (let i = 0; i < count; i++) {
+		for (let j = i + 1; j < count; j++) {
+			const p = blockOf(i) === blockOf(j) ? pIn : pOut;
+			if (random() < p) {
+				edges.push([i, j]);
+			}
+		}
+	}
+
+	const centers = Array.from({ length: numBlocks }, (_, block) => {
+		if (numBlocks === 1) return [0, 0, 0];
+		const angle = (2 * Math.PI * block) / numBlocks;
+		return [0.6 * Math.cos(angle), 0.6 * Math.sin(angle), 0];
+	});
+	const positions = Array.from({ length: count }, (_, node) => {
+		const center = centers[blockOf(node)];
+		const offset = scale(randomInBall(random, 3), numBlocks === 1 ? 1 : 0.35);
+		return [center[0] + offset[0], center[1] + offset[1], center[2] + offset[2]];
+	});
+
+	return { count, edges, positions };
+}
+
+/**
+ * Parse an adjacency list: one node per line followed by its neighbors,
+ * separated by spaces or commas, with an optional colon after the node
+ * ("a: b c" or "a b c"). Labels can be any text; nodes are numbered in
+ * order of first appearance. Lines starting with '#' are comments.
+ * @param {string} text - File contents
+ * @returns {Object} { count, edges, positions: null, labels }
+ */
+export function parseAdjacencyList(text) {
+	if (typeof text !== 'string') {
+		throw new Error('Adjacency list text is required');
+	}
+
+	const index = new Map();
+	const labels = [];
+	const nodeFor = (label) => {
+		if (!index.has(label)) {
+			index.set(label, labels.length);
+			labels.push(label);
+		}
+		return index.get(label);
+	};
+
+	const edges = [];
+	for (const rawLine of text.split(/\r?\n/)) {
+		const line = rawLine.replace(/#.*$/, '').trim();
+		if (!line) continue;
+
+		const [head, ...rest] = line.split(/[\s,]+/).filter(Boolean);
+		const node = nodeFor(head.replace(/:$/, ''));
+		for (const token of rest) {
+			if (token === ':') continue;
+			edges.push([node, nodeFor(token)]);
+		}
+	}
+
+	if (labels.length === 0) {
+		throw new Error('Adjacency list has no nodes');
+	}
+
+	return { count: labels.length, edges, positions: null, labels };
+}
+
+function edgesFromAdjacency(adjacency) {
+	const edges = [];
+	adjacency.forEach((neighbors, node) => {
+		neighbors.forEach((neighbor) => {
+			if (node < neighbor) edges.push([node, neighbor]);
+		});
+	});
+	return edges;
+}
+
+function randomInBall(random, dimensions = 3) {
+	let x, y, z;
+	do {
+		x = random() * 2 - 1;
+		y = random() * 2 - 1;
+		z = dimensions === 3 ? random() * 2 - 1 : 0;
+	} while (x * x + y * y + z * z > 1);
+	return [x, y, z];
+}
+
+function randomDirection(random) {
+	const z = random() * 2 - 1;
+	const angle = random() * 2 * Math.PI;
+	const r = Math.sqrt(1 - z * z);
+	return [r * Math.cos(angle), r * Math.sin(angle), z];
+}
+
+function scale([x, y, z], factor) {
+	return [x * factor, y * factor, z * factor];
+}
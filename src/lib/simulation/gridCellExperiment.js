@@ -0,0 +1,165 @@
+import GridCellSimulation from './GridCellSimulation.js';
+import GridDecoder from './GridDecoder.js';
+import {
+	gridModules,
+	gridRate,
+	poisson,
+	randomWalk,
+	parseTrajectory,
+	replayTrajectory
+} from './gridCells.js';
+import { createRandom } from '../utils/random.js';
+
+/**
+ * Headless grid cell experiment
+ *
+ * Runs an animal through the arena, on a random walk or a recorded
+ * trajectory, analyzes the spikes of every cell of every module and
+ * decodes the position from them window by window (see ./GridDecoder.js).
+ *
+ * Options (all optional):
+ *   modules, cellsPerModule, baseSpacing, ratio - modules, as in gridModules
+ *   size, duration, dt, speed                   - random walk arena and timing
+ *   trajectory                                  - CSV text of a recorded path,
+ *                                                 see parseTrajectory; replaces the walk
+ *   maxRate, noiseRate                          - peak and background firing rates, Hz
+ *   bins, smoothing, minOverlap                 - analysis, see ./gridness.js
+ *   window, method                              - decoding, see GridDecoder.decode
+ *   trials, noiseLevels                         - decoding error sweep, see decodingErrors;
+ *                                                 none with 0 trials
+ *   seed                                        - seed for every random draw
+ *
+ * Returns { config, modules, cells, spikes, path, maps }, see
+ * GridCellSimulation.report(), decoded: the decoder's records, and
+ * errors: the rows of decodingErrors, or null.
+ */
+export function runGridCellExperiment(options = {}) {
+	const config = {
+		modules: 4,
+		cellsPerModule: 4,
+		baseSpacing: 0.3,
+		ratio: Math.SQRT2,
+		size: 1,
+		duration: 600,
+		dt: 0.02,
+		speed: 0.15,
+		trajectory: null,
+		maxRate: 15,
+		noiseRate: 0,
+		bins: 30,
+		smoothing: 1.5,
+		minOverlap: 20,
+		window: 0.5,
+		method: 'likelihood',
+		trials: 0,
+		noiseLevels: [0, 1, 2, 5],
+		...options
+	};
+
+	const random = createRandom(config.seed);
+	config.seed = random.seed;
+
+	// Same stream labels as GridCodeExperience, so a seed gives the same cells and walk
+	const modules = gridModules({ ...config, random: random.fork('modules') });
+	let trajectory;
+	if (config.trajectory) {
+		const recorded = parseTrajectory(config.trajectory);
+		trajectory = replayTrajectory(recorded);
+		config.size = recorded.size;
+		config.dt = recorded.dt;
+		config.trajectory = 'file';
+	} else {
+		trajectory = randomWalk({ ...config, random: random.fork('walk') });
+	}
+
+	const simulation = new GridCellSimulation(modules, trajectory, {
+		bins: config.bins,
+		maxRate: config.maxRate,
+		noiseRate: config.noiseRate,
+		maxSpikes: Infinity,
+		maxPath: Infinity,
+		random: random.fork('spikes')
+	});
+
+	const decoder = new GridDecoder(modules, {
+		size: config.size,
+		maxRate: config.maxRate,
+		maxRecords: Infinity
+	});
+
+	// A recorded path plays to its end, the walk for the duration
+	while (!simulation.finished && (config.trajectory || simulation.time < config.duration)) {
+		if (simulation.step() >= 0) decoder.observe(simulation, config);
+	}
+	config.duration = simulation.time;
+
+	return {
+		config,
+		...simulation.report(simulation.analyze(config)),
+		decoded: decoder.records,
+		errors:
+			config.trials > 0
+				? decodingErrors(modules, { ...config, random: random.fork('sweep') })
+				: null
+	};
+}
+
+/**
+ * Decoding error against the number of modules read and the background
+ * rate: for each noise level and each count of modules, the cells of the
+ * first modules fire for one window at random positions of the arena and
+ * the decoder reads them back.
+ *
+ * Options (all optional):
+ *   size, maxRate   - arena and peak rate, as in the simulation
+ *   noiseLevels     - background rates to compare, Hz
+ *   window, method  - see GridDecoder.decode
+ *   trials          - positions per noise level and module count
+ *   random          - () => [0, 1)
+ *
+ * @param {Object[]} modules From gridModules, read in order
+ * @returns {Object[]} Rows { modules, noiseRate, method, meanError, medianError, trials }, errors in metres
+ */
+export function decodingErrors(
+	modules,
+	{
+		size = 1,
+		maxRate = 15,
+		noiseLevels = [0, 1, 2, 5],
+		window = 0.5,
+		method = 'likelihood',
+		trials = 200,
+		random = Math.random
+	} = {}
+) {
+	const decoder = new GridDecoder(modules, { size, maxRate });
+	const counts = new Float64Array(decoder.cells.length);
+	const rows = [];
+
+	for (const noiseRate of noiseLevels) {
+		for (let read = 1; read <= modules.length; read++) {
+			const errors = [];
+			for (let trial = 0; trial < trials; trial++) {
+				const x = random() * size;
+				const y = random() * size;
+				decoder.cells.forEach((cell) => {
+					const rate = gridRate(modules[cell.module], cell, x, y, maxRate) + noiseRate;
+					counts[cell.index] = cell.module < read ? poisson(rate * window, random) : 0;
+				});
+				const decoded = decoder.decode(counts, window, { method, modules: read, noiseRate });
+				errors.push(Math.hypot(decoded.x - x, decoded.y - y));
+			}
+
+			errors.sort((a, b) => a - b);
+			rows.push({
+				modules: read,
+				noiseRate,
+				method,
+				meanError: errors.reduce((sum, error) => sum + error, 0) / trials,
+				medianError: errors[Math.floor(trials / 2)],
+				trials
+			});
+		}
+	}
+	return rows;
+}
@@ -0,0 +1,246 @@
+/**
+ * Grid cell modules and the trajectories that drive them
+ *
+ * Each module is a population of grid cells sharing a spacing and an
+ * orientation, as measured along the dorsoventral axis of the MEC; its
+ * cells differ only in their spatial phase. A cell's firing rate is the
+ * rectified sum of three plane waves 60° apart (Solstad et al. 2006).
+ *
+ * Positions are in metres in the square arena [0, size]², times in
+ * seconds. Trajectories are objects with { size, dt, next() }, next()
+ * returning { t, x, y } or null once a recorded path runs out.
+ */
+
+// Share of the peak rate below which a cell is silent; as FIRING_THRESHOLD
+// in the grid code shader
+export const FIRING_THRESHOLD = 0.4;
+
+/**
+ * Grid modules, each spacing `ratio` times the previous one
+ *
+ * Options (all optional):
+ *   modules         - number of modules
+ *   cellsPerModule  - cells in each module
+ *   baseSpacing     - spacing of the first module, metres
+ *   ratio           - spacing ratio between successive modules
+ *   random          - () => [0, 1), for orientations and phases
+ *
+ * @returns {Object[]} [{ index, spacing, orientation, cells: [{ module, index, phase: [x, y] }] }]
+ */
+export function gridModules({
+	modules = 4,
+	cellsPerModule = 4,
+	baseSpacing = 0.3,
+	ratio = Math.SQRT2,
+	random = Math.random
+} = {}) {
+	let cell = 0;
+	return Array.from({ length: modules }, (_, index) => {
+		const spacing = baseSpacing * ratio ** index;
+		// The lattice repeats every 60°
+		const orientation = (random() * Math.PI) / 3;
+		const cells = Array.from({ length: cellsPerModule }, () => {
+			// Uniform over one unit cell of the lattice
+			const [a, b] = [random(), random()];
+			const phase = [
+				spacing * (a * Math.cos(orientation) + b * Math.cos(orientation + Math.PI / 3)),
+				spacing * (a * Math.sin(orientation) + b * Math.sin(orientation + Math.PI / 3))
+			];
+			return { module: index, index: cell++, phase };
+		});
+		return { index, spacing, orientation, cells };
+	});
+}
+
+/**
+ * Firing rate of a cell at a point of the arena
+ *
+ * @param {Object} module The cell's module, for spacing and orientation
+ * @param {Object} cell From gridModules
+ * @param {number} x
+ * @param {number} y
+ * @param {number} maxRate Rate at the field centres, Hz
+ * @returns {number} Rate in Hz
+ */
+export function gridRate(module, cell, x, y, maxRate) {
+	// Wave number of three plane waves whose crests meet on a lattice of this spacing
+	const k = (4 * Math.PI) / (Math.sqrt(3) * module.spacing);
+	const dx = x - cell.phase[0];
+	const dy = y - cell.phase[1];
+
+	let sum = 0;
+	for (let j = 0; j < 3; j++) {
+		// Normals of the crests, 30° off the lattice vectors
+		const angle = module.orientation + Math.PI / 6 + (j * Math.PI) / 3;
+		sum += Math.cos(k * (dx * Math.cos(angle) + dy * Math.sin(angle)));
+	}
+
+	// sum lies in [-3/2, 3]
+	const firing = (sum + 1.5) / 4.5;
+	return (maxRate * Math.max(0, firing - FIRING_THRESHOLD)) / (1 - FIRING_THRESHOLD);
+}
+
+/**
+ * Spikes in one time bin, Poisson with mean rate · dt
+ *
+ * @param {number} mean Expected count
+ * @param {Function} random () => [0, 1)
+ * @returns {number}
+ */
+export function poisson(mean, random) {
+	// Knuth's method; means here are far below 1
+	const limit = Math.exp(-mean);
+	let count = 0;
+	let product = random();
+	while (product > limit) {
+		count++;
+		product *= random();
+	}
+	return count;
+}
+
+/**
+ * A smooth random walk, reflected at the walls: the heading diffuses and
+ * the speed relaxes to its mean with some noise
+ *
+ * Options (all optional):
+ *   size       - arena side, metres
+ *   dt         - time step, seconds
+ *   speed      - mean running speed, m/s
+ *   turning    - heading diffusion, rad/√s
+ *   random     - () => [0, 1)
+ *
+ * @returns {Object} Trajectory, see the top of this file; it never runs out
+ */
+export function randomWalk({
+	size = 1,
+	dt = 0.02,
+	speed = 0.15,
+	turning = 2,
+	random = Math.random
+} = {}) {
+	let t = 0;
+	let x = size * (0.25 + random() / 2);
+	let y = size * (0.25 + random() / 2);
+	let heading = random() * 2 * Math.PI;
+	let velocity = speed;
+
+	return {
+		size,
+		dt,
+		next() {
+			const sample = { t, x, y };
+
+			heading += turning * Math.sqrt(dt) * gaussian(random);
+			// Relaxes over a second, fluctuating by about half the mean
+			velocity += (speed - velocity) * dt + 0.5 * speed * Math.sqrt(2 * dt) * gaussian(random);
+			velocity = Math.max(0, velocity);
+
+			x += velocity * Math.cos(heading) * dt;
+			y += velocity * Math.sin(heading) * dt;
+			if (x < 0 || x > size) {
+				x = x < 0 ? -x : 2 * size - x;
+				heading = Math.PI - heading;
+			}
+			if (y < 0 || y > size) {
+				y = y < 0 ? -y : 2 * size - y;
+				heading = -heading;
+			}
+			t += dt;
+
+			return sample;
+		}
+	};
+}
+
+/**
+ * Parse a recorded trajectory: CSV with columns t, x, y, with or without a
+ * header naming them (time and timestamp are taken for t). Positions are
+ * shifted into [0, size]², size being the larger extent of the path.
+ * Lines starting with '#' are comments.
+ *
+ * @param {string} text File contents
+ * @returns {Object} { size, dt, samples: [{ t, x, y }] }, dt the median step
+ */
+export function parseTrajectory(text) {
+	if (typeof text !== 'string') {
+		throw new Error('Trajectory text is required');
+	}
+
+	const lines = text
+		.split(/\r?\n/)
+		.map((line) => line.replace(/#.*$/, '').trim())
+		.filter(Boolean);
+	if (lines.length === 0) {
+		throw new Error('Trajectory has no samples');
+	}
+
+	let columns = [0, 1, 2];
+	const head = lines[0].split(/[\s,;]+/);
+	if (head.some((cell) => Number.isNaN(Number(cell)))) {
+		const names = head.map((name) => name.toLowerCase().replace(/["']/g, ''));
+		const find = (...candidates) => names.findIndex((name) => candidates.includes(name));
+		columns = [find('t', 'time', 'timestamp'), find('x'), find('y')];
+		if (columns.includes(-1)) {
+			throw new Error('Trajectory header needs t, x and y columns');
+		}
+		lines.shift();
+	}
+
+	const samples = lines.map((line, index) => {
+		const cells = line.split(/[\s,;]+/);
+		const [t, x, y] = columns.map((column) => Number(cells[column]));
+		if (![t, x, y].every(Number.isFinite)) {
+			throw new Error(`Trajectory line ${index + 1} is not three numbers`);
+		}
+		return { t, x, y };
+	});
+	if (samples.length < 2) {
+		throw new Error('Trajectory needs at least two samples');
+	}
+
+	const steps = [];
+	for (let i = 1; i < samples.length; i++) {
+		const step = samples[i].t - samples[i - 1].t;
+		if (!(step > 0)) {
+			throw new Error(`Trajectory times must increase (line ${i + 1})`);
+		}
+		steps.push(step);
+	}
+	steps.sort((a, b) => a - b);
+
+	const xMin = Math.min(...samples.map((sample) => sample.x));
+	const yMin = Math.min(...samples.map((sample) => sample.y));
+	const size = Math.max(
+		...samples.map((sample) => Math.max(sample.x - xMin, sample.y - yMin)),
+		Number.EPSILON
+	);
+
+	return {
+		size,
+		dt: steps[Math.floor(steps.length / 2)],
+		samples: samples.map(({ t, x, y }) => ({ t, x: x - xMin, y: y - yMin }))
+	};
+}
+
+/**
+ * Play back a parsed trajectory
+ *
+ * @param {Object} trajectory From parseTrajectory
+ * @returns {Object} Trajectory, see the top of this file
+ */
+export function replayTrajectory({ size, dt, samples }) {
+	let index = 0;
+	return {
+		size,
+		dt,
+		next() {
+			return index < samples.length ? samples[index++] : null;
+		}
+	};
+}
+
+// Standard normal draw, Box-Muller
+function gaussian(random) {
+	return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
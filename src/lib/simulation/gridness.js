@@ -0,0 +1,231 @@
+/**
+ * Spatial analysis of grid cell firing, as done on recorded cells
+ *
+ * Maps are square, row-major Float64Arrays of bins × bins, with NaN in bins
+ * the animal never visited. Rate maps divide spike counts by occupancy
+ * after Gaussian smoothing of both; autocorrelograms are Pearson
+ * correlations of a map with itself shifted by every lag (Hafting et al.
+ * 2005); the gridness score compares an autocorrelogram with itself
+ * rotated by 60° and 120° against 30°, 90° and 150° (Sargolini et al. 2006).
+ */
+
+/**
+ * Smoothed firing-rate map
+ *
+ * @param {ArrayLike<number>} counts Spikes per bin
+ * @param {ArrayLike<number>} occupancy Seconds spent per bin
+ * @param {number} bins Bins per side
+ * @param {Object} options { smoothing: Gaussian σ in bins, 0 for none }
+ * @returns {Float64Array} Rate in Hz per bin, NaN where unvisited
+ */
+export function rateMap(counts, occupancy, bins, { smoothing = 1.5 } = {}) {
+	// Unvisited bins hold no counts and no time, so the ratio ignores them
+	const smoothCounts = smooth(counts, bins, smoothing);
+	const smoothOccupancy = smooth(occupancy, bins, smoothing);
+
+	const map = new Float64Array(bins * bins);
+	for (let i = 0; i < map.length; i++) {
+		map[i] = occupancy[i] > 0 ? smoothCounts[i] / smoothOccupancy[i] : NaN;
+	}
+	return map;
+}
+
+/**
+ * Spatial autocorrelogram of a map
+ *
+ * @param {Float64Array} map From rateMap
+ * @param {number} bins Bins per side of the map
+ * @param {Object} options { minOverlap: fewest visited bin pairs a lag needs }
+ * @returns {Float64Array} (2 bins - 1)² correlations, lag (0, 0) at the centre, NaN where too few bins overlap
+ */
+export function autocorrelogram(map, bins, { minOverlap = 20 } = {}) {
+	const size = 2 * bins - 1;
+	const result = new Float64Array(size * size).fill(NaN);
+
+	for (let ly = 1 - bins; ly < bins; ly++) {
+		for (let lx = 1 - bins; lx < bins; lx++) {
+			let n = 0;
+			let sumA = 0;
+			let sumB = 0;
+			let sumAA = 0;
+			let sumBB = 0;
+			let sumAB = 0;
+
+			for (let y = Math.max(0, -ly); y < Math.min(bins, bins - ly); y++) {
+				for (let x = Math.max(0, -lx); x < Math.min(bins, bins - lx); x++) {
+					const a = map[y * bins + x];
+					const b = map[(y + ly) * bins + x + lx];
+					if (Number.isNaN(a) || Number.isNaN(b)) continue;
+					n++;
+					sumA += a;
+					sumB += b;
+					sumAA += a * a;
+					sumBB += b * b;
+					sumAB += a * b;
+				}
+			}
+
+			if (n < minOverlap) continue;
+			const covariance = n * sumAB - sumA * sumB;
+			const variance = (n * sumAA - sumA * sumA) * (n * sumBB - sumB * sumB);
+			if (variance > 0) {
+				result[(ly + bins - 1) * size + lx + bins - 1] = covariance / Math.sqrt(variance);
+			}
+		}
+	}
+	return result;
+}
+
+/**
+ * Gridness score of an autocorrelogram, with the spacing and orientation
+ * of its six inner peaks
+ *
+ * The score correlates the ring [spacing / 2, 1.25 spacing] around the
+ * central peak with itself rotated; it ranges from -2 to 2, and recorded
+ * grid cells typically score above 0.3.
+ *
+ * @param {Float64Array} correlogram From autocorrelogram
+ * @param {number} binSize Width of a bin, for the spacing in arena units
+ * @returns {Object} { score, spacing, orientation, peaks }; score, spacing and orientation are NaN without at least three peaks
+ */
+export function gridness(correlogram, binSize = 1) {
+	const size = Math.round(Math.sqrt(correlogram.length));
+	const centre = (size - 1) / 2;
+	const at = (x, y) => correlogram[y * size + x];
+
+	// Local maxima above zero, nearest the centre first
+	const peaks = [];
+	for (let y = 1; y < size - 1; y++) {
+		for (let x = 1; x < size - 1; x++) {
+			const value = at(x, y);
+			if (!(value > 0) || (x === centre && y === centre)) continue;
+			let isPeak = true;
+			for (let dy = -1; dy <= 1 && isPeak; dy++) {
+				for (let dx = -1; dx <= 1; dx++) {
+					if ((dx || dy) && at(x + dx, y + dy) > value) {
+						isPeak = false;
+						break;
+					}
+				}
+			}
+			if (isPeak) {
+				peaks.push({ x: x - centre, y: y - centre, distance: Math.hypot(x - centre, y - centre) });
+			}
+		}
+	}
+	peaks.sort((a, b) => a.distance - b.distance);
+	const inner = peaks.slice(0, 6);
+
+	if (inner.length < 3) {
+		return { score: NaN, spacing: NaN, orientation: NaN, peaks: inner };
+	}
+
+	const distances = inner.map((peak) => peak.distance).sort((a, b) => a - b);
+	const spacing = distances[Math.floor(distances.length / 2)];
+	// Angle of the peak nearest 0°, folded into [0°, 60°)
+	const orientation = Math.min(
+		...inner.map((peak) => {
+			const angle = Math.atan2(peak.y, peak.x);
+			return ((angle % (Math.PI / 3)) + Math.PI / 3) % (Math.PI / 3);
+		})
+	);
+
+	// The ring around the central peak, as offsets from the centre
+	const ring = [];
+	for (let y = 0; y < size; y++) {
+		for (let x = 0; x < size; x++) {
+			const r = Math.hypot(x - centre, y - centre);
+			if (r >= spacing / 2 && r <= 1.25 * spacing && !Number.isNaN(at(x, y))) {
+				ring.push([x - centre, y - centre, at(x, y)]);
+			}
+		}
+	}
+
+	const rotated = (degrees) => {
+		const angle = (degrees * Math.PI) / 180;
+		const [c, s] = [Math.cos(angle), Math.sin(angle)];
+		const pairs = [];
+		for (const [x, y, value] of ring) {
+			const turned = bilinear(correlogram, size, centre + c * x - s * y, centre + s * x + c * y);
+			if (!Number.isNaN(turned)) pairs.push([value, turned]);
+		}
+		return pearson(pairs);
+	};
+
+	const score =
+		Math.min(rotated(60), rotated(120)) - Math.max(rotated(30), rotated(90), rotated(150));
+
+	return { score, spacing: spacing * binSize, orientation, peaks: inner };
+}
+
+// Gaussian blur, cut off at the walls
+function smooth(values, bins, sigma) {
+	const result = Float64Array.from(values);
+	if (!(sigma > 0)) return result;
+
+	const radius = Math.ceil(3 * sigma);
+	const kernel = Array.from({ length: 2 * radius + 1 }, (_, i) =>
+		Math.exp(-((i - radius) ** 2) / (2 * sigma * sigma))
+	);
+
+	// Separable: rows, then columns
+	const rows = new Float64Array(bins * bins);
+	for (let y = 0; y < bins; y++) {
+		for (let x = 0; x < bins; x++) {
+			let sum = 0;
+			for (let k = -radius; k <= radius; k++) {
+				const xx = x + k;
+				if (xx < 0 || xx >= bins) continue;
+				sum += kernel[k + radius] * values[y * bins + xx];
+			}
+			rows[y * bins + x] = sum;
+		}
+	}
+	for (let y = 0; y < bins; y++) {
+		for (let x = 0; x < bins; x++) {
+			let sum = 0;
+			for (let k = -radius; k <= radius; k++) {
+				const yy = y + k;
+				if (yy < 0 || yy >= bins) continue;
+				sum += kernel[k + radius] * rows[yy * bins + x];
+			}
+			result[y * bins + x] = sum;
+		}
+	}
+	return result;
+}
+
+// Value between bins, NaN off the map or next to a missing bin
+function bilinear(values, size, x, y) {
+	const x0 = Math.floor(x);
+	const y0 = Math.floor(y);
+	if (x0 < 0 || y0 < 0 || x0 + 1 >= size || y0 + 1 >= size) return NaN;
+	const fx = x - x0;
+	const fy = y - y0;
+	const top = values[y0 * size + x0] * (1 - fx) + values[y0 * size + x0 + 1] * fx;
+	const bottom = values[(y0 + 1) * size + x0] * (1 - fx) + values[(y0 + 1) * size + x0 + 1] * fx;
+	return top * (1 - fy) + bottom * fy;
+}
+
+// Correlation of [a, b] pairs
+function pearson(pairs) {
+	const n = pairs.length;
+	if (n < 2) return NaN;
+	let sumA = 0;
+	let sumB = 0;
+	for (const [a, b] of pairs) {
+		sumA += a;
+		sumB += b;
+	}
+	const meanA = sumA / n;
+	const meanB = sumB / n;
+	let covariance = 0;
+	let varianceA = 0;
+	let varianceB = 0;
+	for (const [a, b] of pairs) {
+		covariance += (a - meanA) * (b - meanB);
+		varianceA += (a - meanA) ** 2;
+		varianceB += (b - meanB) ** 2;
+	}
+	return covariance / Math.sqrt(varianceA * varianceB);
+}
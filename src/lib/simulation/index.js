@@ -0,0 +1,22 @@
+// Headless simulation core: no DOM or WebGPU, usable from Node
+export { default as GraphStructure } from './GraphStructure.js';
+export { default as ChipFiringSimulation } from './ChipFiringSimulation.js';
+export { topologies, generateTopology, parseAdjacencyList } from './generators.js';
+export { layouts, forceLayout, spectralLayout, radialLayout } from './layouts.js';
+export { default as SandpileGroup, MAX_ORDER_NODES } from './SandpileGroup.js';
+export { default as AvalancheDetector } from './AvalancheDetector.js';
+export { runAvalancheExperiment, fitAvalanches, toCSV, AVALANCHE_MEASURES } from './avalanches.js';
+export { fitPowerLaw, logHistogram, powerLawDensity } from './powerlaw.js';
+export { default as GridCellSimulation } from './GridCellSimulation.js';
+export { default as GridDecoder } from './GridDecoder.js';
+export {
+	gridModules,
+	gridRate,
+	randomWalk,
+	parseTrajectory,
+	replayTrajectory,
+	FIRING_THRESHOLD
+} from './gridCells.js';
+export { rateMap, autocorrelogram, gridness } from './gridness.js';
+export { runGridCellExperiment, decodingErrors } from './gridCellExperiment.js';
+export { createRandom, normalizeSeed } from '../utils/random.js';
@@ -0,0 +1,418 @@
+/**
+ * Graph layouts
+ *
+ * Each layout returns one [x, y, z] per node inside the unit ball, with the
+ * sink (if the graph has one) at the center. Layouts ignore the sink's
+ * edges: when it is wired to every node they would pull everything onto it.
+ */
+
+export const layouts = {
+	natural: { label: 'Embedding' },
+	force: { label: 'Force-directed' },
+	spectral: { label: 'Spectral' },
+	radial: { label: 'Radial' }
+};
+
+/**
+ * Force-directed settings shared by the CPU layout below and the GPU
+ * compute pass in the neural net experience, so both settle alike
+ */
+export const FORCE_LAYOUT = {
+	iterations: 300,
+	gravity: 1.0, // Pull toward the center; keeps components from drifting apart
+	startTemperature: 0.1, // Largest step per iteration, cools linearly to 0
+	jitter: 0.02 // Breaks symmetry, e.g. a ring lying flat in one plane
+};
+
+/**
+ * Neighbor lists without the sink, in compressed form (CSR): the neighbors
+ * of node i are neighbors[offsets[i]] .. neighbors[offsets[i + 1] - 1]
+ */
+export function adjacencyArrays(graph) {
+	const offsets = new Uint32Array(graph.numNodes + 1);
+	const list = [];
+	for (let node = 0; node < graph.numNodes; node++) {
+		offsets[node] = list.length;
+		if (node === graph.sinkNodeIndex) continue;
+
+		for (const neighbor of graph.getNeighbors(node)) {
+			if (neighbor !== graph.sinkNodeIndex) list.push(neighbor);
+		}
+	}
+	offsets[graph.numNodes] = list.length;
+	return { offsets, neighbors: Uint32Array.from(list) };
+}
+
+/**
+ * Starting point for the force layout: the given positions (or the origin)
+ * plus a little jitter, as 4 floats per node (xyz, 1 = free, 0 = pinned)
+ */
+export function forceLayoutStart(graph, positions = null, random = Math.random) {
+	const state = new Float32Array(graph.numNodes * 4);
+	for (let node = 0; node < graph.numNodes; node++) {
+		const pinned = node === graph.sinkNodeIndex;
+		const position = positions ? positions[node] : [0, 0, 0];
+		for (let axis = 0; axis < 3; axis++) {
+			state[node * 4 + axis] = pinned
+				? 0
+				: position[axis] + (random() * 2 - 1) * FORCE_LAYOUT.jitter;
+		}
+		state[node * 4 + 3] = pinned ? 0 : 1;
+	}
+	return state;
+}
+
+/**
+ * Ideal edge length for n free nodes filling the unit ball
+ */
+export function forceLayoutSpacing(freeCount) {
+	return Math.cbrt(1 / Math.max(freeCount, 1));
+}
+
+/**
+ * Step limit for an iteration of the cooling schedule
+ */
+export function forceLayoutTemperature(iteration, iterations = FORCE_LAYOUT.iterations) {
+	return FORCE_LAYOUT.startTemperature * (1 - iteration / iterations);
+}
+
+/**
+ * Fruchterman-Reingold in 3D: every pair repels with k²/d, edges attract
+ * with d²/k, and a linear pull keeps the layout centered. CPU reference
+ * for the GPU pass (static/shaders/neuralnet/forceLayout.wgsl).
+ * @param {GraphStructure} graph - Graph to lay out
+ * @param {Object} options - { positions: starting positions, random, iterations }
+ * @returns {number[][]} Positions in the unit ball
+ */
+export function forceLayout(
+	graph,
+	{ positions = null, random = Math.random, iterations = FORCE_LAYOUT.iterations } = {}
+) {
+	const n = graph.numNodes;
+	const { offsets, neighbors } = adjacencyArrays(graph);
+	let current = forceLayoutStart(graph, positions, random);
+	let next = new Float32Array(current.length);
+
+	const freeCount = graph.sinkNodeIndex >= 0 ? n - 1 : n;
+	const k = forceLayoutSpacing(freeCount);
+
+	for (let iteration = 0; iteration < iterations; iteration++) {
+		const temperature = forceLayoutTemperature(iteration, iterations);
+
+		for (let i = 0; i < n; i++) {
+			const base = i * 4;
+			next[base + 3] = current[base + 3];
+			if (current[base + 3] === 0) {
+				next.set(current.subarray(base, base + 3), base);
+				continue;
+			}
+
+			const px = current[base];
+			const py = current[base + 1];
+			const pz = current[base + 2];
+			let fx = -FORCE_LAYOUT.gravity * px;
+			let fy = -FORCE_LAYOUT.gravity * py;
+			let fz = -FORCE_LAYOUT.gravity * pz;
+
+			for (let j = 0; j < n; j++) {
+				if (j === i || current[j * 4 + 3] === 0) continue;
+
+				const dx = px - current[j * 4];
+				const dy = py - current[j * 4 + 1];
+				const dz = pz - current[j * 4 + 2];
+				const distance = Math.max(Math.sqrt(dx * dx + dy * dy + dz * dz), 1e-4);
+				const push = (k * k) / (distance * distance);
+				fx += dx * push;
+				fy += dy * push;
+				fz += dz * push;
+			}
+
+			for (let e = offsets[i]; e < offsets[i + 1]; e++) {
+				const j = neighbors[e];
+				const dx = px - current[j * 4];
+				const dy = py - current[j * 4 + 1];
+				const dz = pz - current[j * 4 + 2];
+				const pull = Math.sqrt(dx * dx + dy * dy + dz * dz) / k;
+				fx -= dx * pull;
+				fy -= dy * pull;
+				fz -= dz * pull;
+			}
+
+			const force = Math.sqrt(fx * fx + fy * fy + fz * fz);
+			const step = force > 0 ? Math.min(force, temperature) / force : 0;
+			next[base] = px + fx * step;
+			next[base + 1] = py + fy * step;
+			next[base + 2] = pz + fz * step;
+		}
+
+		[current, next] = [next, current];
+	}
+
+	return forceLayoutPositions(graph, current);
+}
+
+/**
+ * Positions from a force layout state (see forceLayoutStart), fitted to the
+ * unit ball. Shared with the GPU pass, which reads its state back.
+ */
+export function forceLayoutPositions(graph, state) {
+	const positions = Array.from({ length: graph.numNodes }, (_, node) => [
+		state[node * 4],
+		state[node * 4 + 1],
+		state[node * 4 + 2]
+	]);
+	return fitToUnitBall(positions, graph.sinkNodeIndex);
+}
+
+/**
+ * Spectral layout: each connected component (without the sink) is placed by
+ * the eigenvectors of its three smallest non-zero Laplacian eigenvalues,
+ * which puts strongly connected nodes close together. The largest
+ * component sits in the middle and the others spiral around it, sized by
+ * their node count.
+ */
+export function spectralLayout(graph) {
+	const positions = Array.from({ length: graph.numNodes }, () => [0, 0, 0]);
+	const components = connectedComponents(graph).sort((a, b) => b.length - a.length);
+	const total = components.reduce((sum, component) => sum + component.length, 0);
+
+	components.forEach((component, c) => {
+		const local = componentSpectrum(graph, component);
+		const size = Math.sqrt(component.length / total);
+
+		// Golden-angle spiral around the largest component
+		const center = [0, 0, 0];
+		if (c > 0) {
+			const angle = c * Math.PI * (3 - Math.sqrt(5));
+			const radius = Math.sqrt(components[0].length / total) + 0.15 * Math.sqrt(c);
+			center[0] = radius * Math.cos(angle);
+			center[1] = radius * Math.sin(angle);
+		}
+
+		component.forEach((node, i) => {
+			positions[node] = local[i].map((value, axis) => center[axis] + value * size);
+		});
+	});
+
+	return fitToUnitBall(positions, graph.sinkNodeIndex);
+}
+
+function componentSpectrum(graph, component) {
+	const n = component.length;
+	if (n === 1) return [[0, 0, 0]];
+
+	const index = new Map(component.map((node, i) => [node, i]));
+	const laplacian = Array.from({ length: n }, () => new Float64Array(n));
+	component.forEach((node, i) => {
+		for (const neighbor of graph.getNeighbors(node)) {
+			if (!index.has(neighbor)) continue; // The sink
+			laplacian[i][i] += 1;
+			laplacian[i][index.get(neighbor)] -= 1;
+		}
+	});
+
+	// The smallest eigenvalue is 0 with a constant vector; skip it
+	const { vectors } = symmetricEigen(laplacian);
+	const coordinates = Array.from({ length: n }, (_, i) =>
+		[1, 2, 3].map((k) => (k < n ? vectors[k][i] : 0))
+	);
+
+	const extent = Math.max(
+		...coordinates.map(([x, y, z]) => Math.sqrt(x * x + y * y + z * z)),
+		1e-9
+	);
+	return coordinates.map((point) => point.map((value) => value / extent));
+}
+
+/**
+ * Radial tree around the sink: rings by breadth-first depth from the sink,
+ * each subtree in an angular wedge sized by its leaf count, in the xy-plane.
+ * When the sink is wired to every node, depth from it says nothing, so each
+ * component hangs from its best-connected node instead.
+ */
+export function radialLayout(graph) {
+	const n = graph.numNodes;
+	const sink = graph.sinkNodeIndex;
+	const children = Array.from({ length: n }, () => []);
+	const depth = new Array(n).fill(-1);
+	const roots = [];
+
+	const grow = (start, startDepth, skipSink) => {
+		depth[start] = startDepth;
+		const queue = [start];
+		for (let head = 0; head < queue.length; head++) {
+			const node = queue[head];
+			for (const neighbor of graph.getNeighbors(node)) {
+				if (depth[neighbor] >= 0 || (skipSink && neighbor === sink)) continue;
+				depth[neighbor] = depth[node] + 1;
+				children[node].push(neighbor);
+				queue.push(neighbor);
+			}
+		}
+	};
+
+	const sinkFeedsAll = sink >= 0 && graph.getDegree(sink) === n - 1;
+	if (sink >= 0 && !sinkFeedsAll) {
+		grow(sink, 0, false);
+		roots.push(sink);
+	} else {
+		if (sink >= 0) depth[sink] = 0;
+
+		const byDegree = [...Array(n).keys()]
+			.filter((node) => node !== sink)
+			.sort((a, b) => graph.getDegree(b) - graph.getDegree(a));
+		for (const node of byDegree) {
+			if (depth[node] >= 0) continue;
+			grow(node, 1, true);
+			roots.push(node);
+		}
+	}
+
+	// Nodes the sink cannot reach hang on the outermost ring
+	const maxDepth = Math.max(...depth, 1);
+	for (let node = 0; node < n; node++) {
+		if (depth[node] < 0) {
+			depth[node] = maxDepth;
+			roots.push(node);
+		}
+	}
+
+	const leaves = new Array(n).fill(0);
+	const countLeaves = (node) => {
+		leaves[node] =
+			children[node].length === 0
+				? 1
+				: children[node].reduce((sum, child) => sum + countLeaves(child), 0);
+		return leaves[node];
+	};
+	roots.forEach(countLeaves);
+
+	const positions = Array.from({ length: n }, () => [0, 0, 0]);
+	const place = (node, start, end) => {
+		const angle = (start + end) / 2;
+		const radius = depth[node] / maxDepth;
+		positions[node] = [radius * Math.cos(angle), radius * Math.sin(angle), 0];
+
+		let cursor = start;
+		for (const child of children[node]) {
+			const span = ((end - start) * leaves[child]) / leaves[node];
+			place(child, cursor, cursor + span);
+			cursor += span;
+		}
+	};
+
+	// Roots share the full circle; the sink itself stays at the center
+	const rootLeaves = roots.reduce((sum, root) => sum + leaves[root], 0);
+	let cursor = 0;
+	for (const root of roots) {
+		const span = (2 * Math.PI * leaves[root]) / rootLeaves;
+		place(root, cursor, cursor + span);
+		cursor += span;
+	}
+	if (sink >= 0) positions[sink] = [0, 0, 0];
+
+	return positions;
+}
+
+/**
+ * Center the non-sink nodes on the origin and scale them into the unit
+ * ball; the sink goes to the center
+ */
+export function fitToUnitBall(positions, sinkNodeIndex = -1) {
+	const free = positions.filter((_, node) => node !== sinkNodeIndex);
+	if (free.length === 0) return positions.map(() => [0, 0, 0]);
+
+	const center = [0, 1, 2].map((axis) => free.reduce((sum, p) => sum + p[axis], 0) / free.length);
+	const radius = Math.max(
+		...free.map((p) => Math.hypot(p[0] - center[0], p[1] - center[1], p[2] - center[2])),
+		1e-9
+	);
+
+	return positions.map((p, node) =>
+		node === sinkNodeIndex ? [0, 0, 0] : p.map((value, axis) => (value - center[axis]) / radius)
+	);
+}
+
+/**
+ * Connected components of the graph without the sink, as node lists
+ */
+export function connectedComponents(graph) {
+	const seen = new Array(graph.numNodes).fill(false);
+	const components = [];
+
+	for (let start = 0; start < graph.numNodes; start++) {
+		if (seen[start] || start === graph.sinkNodeIndex) continue;
+
+		const component = [start];
+		seen[start] = true;
+		for (let head = 0; head < component.length; head++) {
+			for (const neighbor of graph.getNeighbors(component[head])) {
+				if (!seen[neighbor] && neighbor !== graph.sinkNodeIndex) {
+					seen[neighbor] = true;
+					component.push(neighbor);
+				}
+			}
+		}
+		components.push(component);
+	}
+	return components;
+}
+
+/**
+ * Eigen-decomposition of a symmetric matrix by cyclic Jacobi rotations
+ * @param {ArrayLike<number>[]} matrix - Symmetric n×n matrix (not modified)
+ * @returns {Object} { values: ascending eigenvalues, vectors: vectors[k] belongs to values[k] }
+ */
+export function symmetricEigen(matrix, { tolerance = 1e-10, maxSweeps = 50 } = {}) {
+	const n = matrix.length;
+	const a = matrix.map((row) => Float64Array.from(row));
+	const v = Array.from({ length: n }, (_, i) => {
+		const row = new Float64Array(n);
+		row[i] = 1;
+		return row;
+	});
+
+	for (let sweep = 0; sweep < maxSweeps; sweep++) {
+		let off = 0;
+		for (let p = 0; p < n; p++) {
+			for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q];
+		}
+		if (off < tolerance) break;
+
+		for (let p = 0; p < n; p++) {
+			for (let q = p + 1; q < n; q++) {
+				if (Math.abs(a[p][q]) < 1e-15) continue;
+
+				const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+				const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+				const c = 1 / Math.sqrt(t * t + 1);
+				const s = t * c;
+
+				for (let k = 0; k < n; k++) {
+					const akp = a[k][p];
+					const akq = a[k][q];
+					a[k][p] = c * akp - s * akq;
+					a[k][q] = s * akp + c * akq;
+				}
+				for (let k = 0; k < n; k++) {
+					const apk = a[p][k];
+					const aqk = a[q][k];
+					a[p][k] = c * apk - s * aqk;
+					a[q][k] = s * apk + c * aqk;
+				}
+				for (let k = 0; k < n; k++) {
+					const vkp = v[k][p];
+					const vkq = v[k][q];
+					v[k][p] = c * vkp - s * vkq;
+					v[k][q] = s * vkp + c * vkq;
+				}
+			}
+		}
+	}
+
+	const order = [...Array(n).keys()].sort((i, j) => a[i][i] - a[j][j]);
+	return {
+		values: order.map((i) => a[i][i]),
+		vectors: order.map((i) => Float64Array.from(v, (row) => row[i]))
+	};
+}
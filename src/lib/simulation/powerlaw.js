@@ -0,0 +1,288 @@
+/**
+ * Power-law fitting for avalanche statistics
+ *
+ * Follows Clauset, Shalizi & Newman, "Power-law distributions in empirical
+ * data" (SIAM Review, 2009), for discrete data (avalanche sizes, durations
+ * and areas are positive integers):
+ *   - alpha by maximum likelihood, p(x) = x^-alpha / ζ(alpha, xmin) for x >= xmin
+ *   - xmin as the value that minimizes the Kolmogorov-Smirnov distance
+ *   - goodness of fit as a bootstrap p-value: the share of synthetic data
+ *     sets, drawn from the fitted model, whose own fit is at least as far off
+ *
+ * A p-value below 0.1 rules the power law out; a larger one only means it
+ * is plausible.
+ */
+
+const ALPHA_RANGE = [1.0001, 8];
+
+/**
+ * Hurwitz zeta ζ(s, q) = Σ_{k>=0} (q + k)^-s for s > 1, q > 0, by direct
+ * summation plus an Euler-Maclaurin tail
+ */
+export function hurwitzZeta(s, q, terms = 12) {
+	let sum = 0;
+	for (let k = 0; k < terms; k++) {
+		sum += Math.pow(q + k, -s);
+	}
+
+	const a = q + terms;
+	const tail = Math.pow(a, 1 - s) / (s - 1) + Math.pow(a, -s) / 2;
+
+	// Bernoulli corrections: B2/2!, B4/4!, B6/6!
+	const b2 = (s * Math.pow(a, -s - 1)) / 12;
+	const b4 = (s * (s + 1) * (s + 2) * Math.pow(a, -s - 3)) / 720;
+	const b6 = (s * (s + 1) * (s + 2) * (s + 3) * (s + 4) * Math.pow(a, -s - 5)) / 30240;
+
+	return sum + tail + b2 - b4 + b6;
+}
+
+/**
+ * Sorted distinct positive integer values with their counts
+ */
+function tabulate(values) {
+	const counts = new Map();
+	for (const value of values) {
+		if (value >= 1 && Number.isFinite(value)) {
+			const x = Math.round(value);
+			counts.set(x, (counts.get(x) || 0) + 1);
+		}
+	}
+
+	const xs = [...counts.keys()].sort((a, b) => a - b);
+	return { xs, counts: xs.map((x) => counts.get(x)) };
+}
+
+/**
+ * Maximum-likelihood alpha for the tail starting at table index `from`.
+ * The log-likelihood is concave in alpha, so a golden-section search works.
+ */
+function fitAlpha(table, from) {
+	const xmin = table.xs[from];
+	let n = 0;
+	let logSum = 0;
+	for (let i = from; i < table.xs.length; i++) {
+		n += table.counts[i];
+		logSum += table.counts[i] * Math.log(table.xs[i]);
+	}
+
+	const logLikelihood = (alpha) => -n * Math.log(hurwitzZeta(alpha, xmin)) - alpha * logSum;
+
+	const ratio = (Math.sqrt(5) - 1) / 2;
+	let [lo, hi] = ALPHA_RANGE;
+	let a = hi - ratio * (hi - lo);
+	let b = lo + ratio * (hi - lo);
+	let fa = logLikelihood(a);
+	let fb = logLikelihood(b);
+	for (let i = 0; i < 60 && hi - lo > 1e-7; i++) {
+		if (fa < fb) {
+			lo = a;
+			a = b;
+			fa = fb;
+			b = lo + ratio * (hi - lo);
+			fb = logLikelihood(b);
+		} else {
+			hi = b;
+			b = a;
+			fb = fa;
+			a = hi - ratio * (hi - lo);
+			fa = logLikelihood(a);
+		}
+	}
+
+	const alpha = (lo + hi) / 2;
+	return { alpha, n, logLikelihood: logLikelihood(alpha) };
+}
+
+/**
+ * Kolmogorov-Smirnov distance between the tail's empirical CDF and the
+ * fitted model's CDF, P(X <= x) = 1 - ζ(alpha, x + 1) / ζ(alpha, xmin)
+ */
+function ksDistance(table, from, alpha, n) {
+	const norm = hurwitzZeta(alpha, table.xs[from]);
+	let seen = 0;
+	let distance = 0;
+	for (let i = from; i < table.xs.length; i++) {
+		seen += table.counts[i];
+		const model = 1 - hurwitzZeta(alpha, table.xs[i] + 1) / norm;
+		distance = Math.max(distance, Math.abs(seen / n - model));
+	}
+	return distance;
+}
+
+function fitTable(table, { xmin = null, minTail = 10, maxCandidates = 100 } = {}) {
+	if (table.xs.length === 0) return null;
+
+	// Tail sizes for every candidate start
+	const tailCounts = new Array(table.xs.length);
+	let running = 0;
+	for (let i = table.xs.length - 1; i >= 0; i--) {
+		running += table.counts[i];
+		tailCounts[i] = running;
+	}
+
+	let candidates;
+	if (xmin !== null) {
+		const from = table.xs.findIndex((x) => x >= xmin);
+		candidates = from >= 0 ? [from] : [];
+	} else {
+		candidates = tailCounts
+			.map((_, i) => i)
+			.filter((i) => tailCounts[i] >= minTail && i < table.xs.length - 1);
+		if (candidates.length > maxCandidates) {
+			const stride = candidates.length / maxCandidates;
+			candidates = Array.from(
+				{ length: maxCandidates },
+				(_, k) => candidates[Math.floor(k * stride)]
+			);
+		}
+	}
+	if (candidates.length === 0) return null;
+
+	let best = null;
+	for (const from of candidates) {
+		const { alpha, n, logLikelihood } = fitAlpha(table, from);
+		const ks = ksDistance(table, from, alpha, n);
+		if (!best || ks < best.ks) {
+			best = { alpha, xmin: table.xs[from], n, ks, logLikelihood, from };
+		}
+	}
+	return best;
+}
+
+/**
+ * Fit a discrete power law to positive integer data
+ * @param {number[]} values - Observations; values below 1 are ignored
+ * @param {Object} options - xmin: fix xmin instead of searching; minTail:
+ *   smallest tail considered; bootstrap: synthetic data sets for the
+ *   p-value (0 skips it); random: source for the bootstrap
+ * @returns {Object|null} { alpha, sigma, xmin, n, total, ks, logLikelihood,
+ *   pValue, bootstrap }, or null if there is too little data
+ */
+export function fitPowerLaw(
+	values,
+	{ xmin = null, minTail = 10, bootstrap = 0, random = Math.random } = {}
+) {
+	const table = tabulate(values);
+	const fit = fitTable(table, { xmin, minTail });
+	if (!fit) return null;
+
+	const total = table.counts.reduce((sum, count) => sum + count, 0);
+	const result = {
+		alpha: fit.alpha,
+		sigma: (fit.alpha - 1) / Math.sqrt(fit.n), // Standard error of alpha
+		xmin: fit.xmin,
+		n: fit.n,
+		total,
+		ks: fit.ks,
+		logLikelihood: fit.logLikelihood,
+		pValue: null,
+		bootstrap: 0
+	};
+
+	if (bootstrap > 0) {
+		// Below xmin, resample the data; above it, sample the fitted model
+		const below = [];
+		table.xs.forEach((x, i) => {
+			if (x < fit.xmin) for (let c = 0; c < table.counts[i]; c++) below.push(x);
+		});
+		const tailShare = fit.n / total;
+
+		let atLeastAsFar = 0;
+		for (let b = 0; b < bootstrap; b++) {
+			const synthetic = new Array(total);
+			for (let i = 0; i < total; i++) {
+				synthetic[i] =
+					below.length === 0 || random() < tailShare
+						? samplePowerLaw(fit.alpha, fit.xmin, random)
+						: below[Math.floor(random() * below.length)];
+			}
+
+			const refit = fitTable(tabulate(synthetic), { xmin: xmin, minTail });
+			if (refit && refit.ks >= fit.ks) atLeastAsFar++;
+		}
+
+		result.pValue = atLeastAsFar / bootstrap;
+		result.bootstrap = bootstrap;
+	}
+
+	return result;
+}
+
+/**
+ * Draw from a discrete power law by inverting its CDF: the smallest x with
+ * P(X > x) = ζ(alpha, x + 1) / ζ(alpha, xmin) <= 1 - r. The continuous
+ * approximation (Clauset et al., eq. D.6) is biased near small x, so it is
+ * only used far out in the tail.
+ */
+export function samplePowerLaw(alpha, xmin, random = Math.random) {
+	const r = random();
+	const approximate = Math.floor((xmin - 0.5) * Math.pow(1 - r, -1 / (alpha - 1)) + 0.5);
+	if (approximate > 100) return approximate;
+
+	const target = (1 - r) * hurwitzZeta(alpha, xmin);
+	const tail = (x) => hurwitzZeta(alpha, x + 1);
+
+	// Bracket by doubling, then bisect
+	let lo = xmin - 1;
+	let hi = xmin;
+	while (tail(hi) > target && hi < Number.MAX_SAFE_INTEGER / 2) {
+		lo = hi;
+		hi *= 2;
+	}
+	while (hi - lo > 1) {
+		const mid = Math.floor((lo + hi) / 2);
+		if (tail(mid) > target) lo = mid;
+		else hi = mid;
+	}
+	return hi;
+}
+
+/**
+ * Probability of x under a fit, scaled by the share of data in the tail, so
+ * it can be drawn over a histogram of all the data
+ */
+export function powerLawDensity(fit, x) {
+	if (!fit || x < fit.xmin) return 0;
+	return ((fit.n / fit.total) * Math.pow(x, -fit.alpha)) / hurwitzZeta(fit.alpha, fit.xmin);
+}
+
+/**
+ * Histogram with logarithmically spaced bins for positive integers
+ * @param {number[]} values - Observations; values below 1 are ignored
+ * @param {number} binsPerDecade - Bin resolution
+ * @returns {Object[]} { lo, hi, center, count, density } with bins
+ *   [lo, hi), density per integer value, and empty bins left out
+ */
+export function logHistogram(values, binsPerDecade = 5) {
+	const data = values.filter((value) => value >= 1 && Number.isFinite(value));
+	if (data.length === 0) return [];
+
+	const max = data.reduce((a, b) => Math.max(a, b), 1);
+	const edges = [1];
+	for (let k = 1; edges[edges.length - 1] <= max; k++) {
+		// Integer edges; skip bins that would hold no integer
+		const edge = Math.ceil(Math.pow(10, k / binsPerDecade));
+		if (edge > edges[edges.length - 1]) edges.push(edge);
+	}
+
+	const counts = new Array(edges.length - 1).fill(0);
+	for (const value of data) {
+		let bin = 0;
+		while (bin < counts.length - 1 && value >= edges[bin + 1]) bin++;
+		counts[bin]++;
+	}
+
+	return counts
+		.map((count, bin) => {
+			const lo = edges[bin];
+			const hi = edges[bin + 1];
+			return {
+				lo,
+				hi,
+				center: Math.sqrt(lo * (hi - 1)),
+				count,
+				density: count / (data.length * (hi - lo))
+			};
+		})
+		.filter((bin) => bin.count > 0);
+}
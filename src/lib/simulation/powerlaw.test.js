@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { fitPowerLaw, samplePowerLaw, hurwitzZeta, logHistogram } from './powerlaw.js';
+import { createRandom } from '../utils/random.js';
+
+const ALPHA = 2.5;
+const XMIN = 5;
+
+const sample = (count, seed) => {
+	const random = createRandom(seed);
+	return Array.from({ length: count }, () => samplePowerLaw(ALPHA, XMIN, random));
+};
+
+describe('hurwitzZeta', () => {
+	it('matches ζ(s) at q = 1', () => {
+		expect(hurwitzZeta(2, 1)).toBeCloseTo(Math.PI ** 2 / 6, 10);
+		expect(hurwitzZeta(4, 1)).toBeCloseTo(Math.PI ** 4 / 90, 10);
+	});
+
+	it('drops the first term when q moves up by one', () => {
+		for (const [s, q] of [
+			[1.5, 1],
+			[2.5, 5],
+			[3.2, 0.4]
+		]) {
+			expect(hurwitzZeta(s, q) - hurwitzZeta(s, q + 1)).toBeCloseTo(Math.pow(q, -s), 10);
+		}
+	});
+});
+
+describe('samplePowerLaw', () => {
+	it('draws integers from xmin up, the same ones for the same seed', () => {
+		const values = sample(2000, 42);
+
+		expect(values.every((x) => Number.isInteger(x) && x >= XMIN)).toBe(true);
+		expect(sample(2000, 42)).toEqual(values);
+	});
+
+	it('puts the share of ζ(alpha, x) / ζ(alpha, xmin) at or above x', () => {
+		const values = sample(20000, 7);
+		const norm = hurwitzZeta(ALPHA, XMIN);
+
+		for (const x of [6, 10, 50]) {
+			const share = values.filter((value) => value >= x).length / values.length;
+			const expected = hurwitzZeta(ALPHA, x) / norm;
+
+			// Within three binomial standard errors
+			const error = Math.sqrt((expected * (1 - expected)) / values.length);
+			expect(Math.abs(share - expected)).toBeLessThan(3 * error);
+		}
+	});
+});
+
+describe('fitPowerLaw', () => {
+	it('recovers alpha within its standard error', () => {
+		const fit = fitPowerLaw(sample(5000, 42), { xmin: XMIN });
+
+		expect(fit.xmin).toBe(XMIN);
+		expect(fit.n).toBe(5000);
+		expect(Math.abs(fit.alpha - ALPHA)).toBeLessThan(fit.sigma);
+	});
+
+	it('finds xmin below which the data is not a power law', () => {
+		const random = createRandom(42);
+		const head = Array.from({ length: 3000 }, () => 1 + Math.floor(random() * (XMIN - 1)));
+		const fit = fitPowerLaw([...sample(5000, 42), ...head]);
+
+		expect(fit.xmin).toBe(XMIN);
+		expect(fit.total).toBe(8000);
+		expect(Math.abs(fit.alpha - ALPHA)).toBeLessThan(fit.sigma);
+	});
+
+	it('finds a power law plausible by the bootstrap', () => {
+		const fit = fitPowerLaw(sample(1000, 3), {
+			xmin: XMIN,
+			bootstrap: 50,
+			random: createRandom(3)
+		});
+
+		expect(fit.bootstrap).toBe(50);
+		expect(fit.pValue).toBeGreaterThan(0.1);
+	});
+
+	it('gives null without enough data', () => {
+		expect(fitPowerLaw([])).toBeNull();
+		expect(fitPowerLaw([0, -3, NaN])).toBeNull();
+		expect(fitPowerLaw([1, 2, 3])).toBeNull();
+	});
+});
+
+describe('logHistogram', () => {
+	it('bins every value once, with densities that integrate to one', () => {
+		const values = sample(5000, 42);
+		const bins = logHistogram(values);
+
+		expect(bins.reduce((sum, bin) => sum + bin.count, 0)).toBe(values.length);
+		expect(bins.reduce((sum, bin) => sum + bin.density * (bin.hi - bin.lo), 0)).toBeCloseTo(1, 10);
+		for (const bin of bins) {
+			expect(bin.hi).toBeGreaterThan(bin.lo);
+			expect(bin.count).toBe(values.filter((x) => x >= bin.lo && x < bin.hi).length);
+		}
+	});
+
+	it('ignores values below one', () => {
+		expect(logHistogram([0, -1, NaN])).toEqual([]);
+		expect(logHistogram([0, 1, 1]).map((bin) => bin.count)).toEqual([2]);
+	});
+});
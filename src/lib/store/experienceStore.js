@@ -1,38 +1,13 @@
 import { writable } from 'svelte/store';
+import { listExperiences, getExperienceDefinition } from '$lib/graphics/experiences/registry.js';
 
-// Define all experiences with their metadata
-const experienceData = [
-  {
-    id: 'flocking',
-    name: 'FLOCKING',
-    description: 'Simulation of collective motion in flocks using parallel compute shaders. Simple local rules generate complex global murmurations; cute emergent behavior in natural systems.',
-    color: '#00bfff'
-  },
-  {
-    id: 'wikiground',
-    name: 'WIKIGROUND',
-    description: 'Interactive 3D visualisation of the world\'s topography.',
-    color: '#FFDF00'
-  },
-  {
-    id: 'neuralnet',
-    name: 'NEURAL NET',
-    description: 'Interactive visualization of neural network training. No use yet. When I make NNs I will also visualise them. I like pretty pictures.',
-    color: '#ff3366'
-  },
-  {
-    id: 'riemann',
-    name: 'RIEMANN SURFACES',
-    description: 'Visualization of complex mathematical functions as 3D surfaces. Early steps to figuring out what Riemann was on about in his 1851 thesis.',
-    color: '#00ff99'
-  },
-  {
-    id: 'gridcode',
-    name: 'Θ-FUNCTION // GRID CODE',
-    description: 'Model of medial entorhinal grid cells using the Riemann theta function. Visualising how the brain encodes spatial information in a structured form..',
-    color: '#ff9900'
-  }
-];
+// Experience metadata comes from the registry - each experience declares its own
+const experienceData = listExperiences().map(({ id, name, description, color }) => ({
+  id,
+  name,
+  description,
+  color
+}));
 
 // Create a writable store with the experience data
 export const experiences = writable(experienceData);
@@ -44,6 +19,6 @@ export function getExperienceById(id) {
 
 // Helper function to get an experience's color by ID
 export function getExperienceColor(id) {
-  const experience = getExperienceById(id);
+  const experience = getExperienceDefinition(id);
   return experience ? experience.color : '#ffffff';
-} 
\ No newline at end of file
+} 
@@ -0,0 +1,84 @@
+/**
+ * Seeded pseudo-random numbers
+ *
+ * Simulations take a `random` function (same contract as Math.random) so a
+ * run can be replayed from its seed. createRandom() returns such a function
+ * backed by mulberry32, plus helpers and fork() for independent sub-streams:
+ * forking by label keeps e.g. the graph identical even if the code that
+ * draws initial chips starts consuming a different number of values.
+ */
+
+/**
+ * Make a fresh seed for runs that were not given one
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function randomSeed() {
+	return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashString(text) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+}
+
+/**
+ * Turn user or URL input into a 32-bit seed. Integers (or integer strings)
+ * are used as-is; any other text is hashed.
+ * @param {number|string|null|undefined} seed - Seed input
+ * @returns {number|null} Unsigned 32-bit seed, or null if none was given
+ */
+export function normalizeSeed(seed) {
+	if (seed === null || seed === undefined || seed === '') {
+		return null;
+	}
+
+	if (typeof seed === 'number') {
+		return Number.isFinite(seed) ? Math.trunc(seed) >>> 0 : null;
+	}
+
+	const text = String(seed).trim();
+	if (/^\d+$/.test(text) && Number(text) <= 0xffffffff) {
+		return Number(text);
+	}
+	return hashString(text);
+}
+
+/**
+ * Create a seeded generator
+ * @param {number|string} seed - Seed; see normalizeSeed()
+ * @returns {Function} random() in [0, 1) with seed, int, range and fork attached
+ */
+export function createRandom(seed) {
+	const initialSeed = normalizeSeed(seed) ?? randomSeed();
+	let state = initialSeed;
+
+	// mulberry32
+	const random = () => {
+		state = (state + 0x6d2b79f5) | 0;
+		let t = Math.imul(state ^ (state >>> 15), 1 | state);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+
+	random.seed = initialSeed;
+
+	// Float in [min, max)
+	random.range = (min, max) => min + random() * (max - min);
+
+	// Integer in [min, max], both inclusive
+	random.int = (min, max) => min + Math.floor(random() * (max - min + 1));
+
+	// Independent stream derived from this seed and a label
+	random.fork = (label) => createRandom(hashString(`${initialSeed}:${label}`));
+
+	return random;
+}
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { createRandom, hashString, normalizeSeed } from './random.js';
+
+// Golden values: shared links and saved runs replay these exact streams, so a
+// change here breaks every seed already handed out.
+describe('createRandom', () => {
+	it('replays the mulberry32 stream of a seed', () => {
+		const random = createRandom(42);
+		expect(random.seed).toBe(42);
+		expect([random(), random(), random(), random()]).toEqual([
+			0.6011037519201636, 0.44829055899754167, 0.8524657934904099, 0.6697340414393693
+		]);
+	});
+
+	it('forks the same sub-stream for the same seed and label', () => {
+		const birds = createRandom(42).fork('birds');
+		expect(birds.seed).toBe(4081954257);
+		expect([birds(), birds(), birds()]).toEqual([
+			0.6910458346828818, 0.06036486686207354, 0.9107650246005505
+		]);
+	});
+
+	it('forks independently of how much the parent has drawn', () => {
+		const parent = createRandom(42);
+		parent();
+		parent();
+		expect(parent.fork('birds')()).toBe(createRandom(42).fork('birds')());
+		expect(parent.fork('birds')()).not.toBe(parent.fork('graph')());
+	});
+
+	it('hashes text seeds', () => {
+		const random = createRandom('murmuration');
+		expect(random.seed).toBe(3621510362);
+		expect([random(), random()]).toEqual([0.14424548018723726, 0.7334361411631107]);
+	});
+
+	it('draws integers with both bounds inclusive', () => {
+		const random = createRandom(7);
+		expect(Array.from({ length: 6 }, () => random.int(1, 6))).toEqual([1, 1, 6, 5, 4, 3]);
+	});
+});
+
+describe('seeds', () => {
+	it('hashes strings with 32-bit FNV-1a', () => {
+		expect(hashString('')).toBe(2166136261);
+		expect(hashString('a')).toBe(3826002220);
+	});
+
+	it('normalizes user and URL input', () => {
+		expect(normalizeSeed('  123 ')).toBe(123);
+		expect(normalizeSeed(-1)).toBe(4294967295);
+		expect(normalizeSeed(12.9)).toBe(12);
+		expect(normalizeSeed('')).toBeNull();
+		expect(normalizeSeed(NaN)).toBeNull();
+	});
+});
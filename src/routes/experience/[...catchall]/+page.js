@@ -1,7 +1,14 @@
+import { loadExperience } from '$lib/graphics/experiences/registry.js';
+
 export const prerender = false;  // Disable prerendering for this route
+export const ssr = false; // Experiences need WebGPU, so render client-side only
+
+export async function load({ params }) {
+    // Resolves to null for ids that are not registered
+    const experience = await loadExperience(params.catchall);
 
-export function load({ params }) {
     return {
-        experience: params.catchall
+        id: params.catchall,
+        experience
     };
-} 
\ No newline at end of file
+}
@@ -1,2 +0,0 @@
-export const csr = true;  // Client-side rendering only
-export const ssr = false; // Disable server-side rendering 
\ No newline at end of file
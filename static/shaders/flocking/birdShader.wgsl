@@ -1,4 +1,10 @@
 // birdShader.wgsl
+//
+// Prefixed with WGSL_SPECIES (Flocking/species.js). One bird mesh drawn
+// instanced, everything per bird read from the compute buffers, sized and
+// coloured by its species. Birds further from the camera than
+// birdLOD.spriteDistance are drawn instead as flat sprites by sprite_vertex;
+// each pass collapses the birds the other one draws.
 
 @group(0) @binding(0) var<uniform> projectionMatrix: mat4x4<f32>;
 @group(0) @binding(1) var<uniform> viewMatrix: mat4x4<f32>;
@@ -7,6 +13,17 @@
 @group(0) @binding(4) var<storage, read> phases: array<f32>;
 @group(0) @binding(5) var<uniform> mousePosition: vec2<f32>;
 @group(0) @binding(6) var<storage, read> velocities: array<vec3<f32>>; // Velocity Buffer
+@group(0) @binding(7) var<storage, read> colors: array<vec4<f32>>; // Color Buffer
+@group(0) @binding(8) var<uniform> birdLOD: BirdLOD;
+@group(0) @binding(9) var<storage, read> species: array<u32>; // Tags, see species.js
+@group(0) @binding(10) var<uniform> speciesParams: SpeciesParams;
+
+struct BirdLOD {
+    spriteDistance: f32,
+    spritesOn: f32, // 1 to draw distant birds as sprites, 0 for meshes throughout
+    spriteSize: f32,
+    _pad: f32,
+};
 
 struct VertexOutput {
     @builtin(position) position: vec4<f32>,
@@ -14,6 +31,29 @@ struct VertexOutput {
     @location(1) vNormal: vec3<f32>,
 };
 
+struct SpriteOutput {
+    @builtin(position) position: vec4<f32>,
+    @location(0) color: vec3<f32>,
+    @location(1) corner: vec2<f32>,
+};
+
+// Outside the clip volume, so every triangle of the vertex's bird is dropped
+const CULLED = vec4<f32>(2.0, 2.0, 2.0, 1.0);
+
+// The bird's own shade of its species' color
+fn birdColor(instance: u32) -> vec3<f32> {
+    let kind = speciesParams.species[tagSpecies(species[instance])];
+    return speciesColor(kind.color) * colors[instance].rgb;
+}
+
+// Whether a bird is far enough from the camera to be a sprite
+fn isSprite(birdPosition: vec3<f32>) -> bool {
+    // The camera sits at -Rᵀt for a view matrix [R | t]
+    let rotation = mat3x3<f32>(viewMatrix[0].xyz, viewMatrix[1].xyz, viewMatrix[2].xyz);
+    let cameraPosition = -(transpose(rotation) * viewMatrix[3].xyz);
+    return birdLOD.spritesOn > 0.5 && distance(birdPosition, cameraPosition) > birdLOD.spriteDistance;
+}
+
 @vertex
 fn vertex_main(@location(0) vertexPosition: vec3<f32>, @builtin(instance_index) instance: u32) -> VertexOutput {
     var out: VertexOutput;
@@ -22,6 +62,12 @@ fn vertex_main(@location(0) vertexPosition: vec3<f32>, @builtin(instance_index)
     let birdPosition = positions[instance];
     let birdPhase = phases[instance];
     let birdVelocity = velocities[instance];
+    let birdSize = speciesParams.species[tagSpecies(species[instance])].size;
+
+    if (isSprite(birdPosition)) {
+        out.position = CULLED;
+        return out;
+    }
 
     // Calculate forward direction (negative velocity for correct orientation)
     let forward = normalize(-birdVelocity);
@@ -49,16 +95,12 @@ fn vertex_main(@location(0) vertexPosition: vec3<f32>, @builtin(instance_index)
         right.z, up.z, forward.z
     );
 
-    // Apply rotation to vertex position
-    var rotatedPosition = rotationMatrix * vertexPosition; // Changed to var
+    // Flap the wings: the tips move most, the body (x = 0) not at all
+    var localPosition = vertexPosition;
+    localPosition.y += sin(birdPhase) * abs(vertexPosition.x) * 0.4;
 
-    // // Animate wings based on phase and velocity
-    // let wingFlap = sin(birdPhase) * 5.0 + length(birdVelocity) * 0.1;
-    // if (rotatedPosition.x > 0.0) { // Right wing
-    //     rotatedPosition.y += wingFlap;
-    // } else if (rotatedPosition.x < 0.0) { // Left wing
-    //     rotatedPosition.y += wingFlap;
-    // }
+    // Apply rotation to vertex position
+    let rotatedPosition = rotationMatrix * (localPosition * birdSize);
 
     // Combine with bird's global position
     let worldPosition = rotatedPosition + birdPosition;
@@ -66,23 +108,7 @@ fn vertex_main(@location(0) vertexPosition: vec3<f32>, @builtin(instance_index)
     // Transform to clip space
     out.position = projectionMatrix * viewMatrix * vec4<f32>(worldPosition, 1.0);
 
-    out.color = vec3<f32>(0.0, 0.0, 0.0);
-
-    // // Assign colors based on vertex position
-    // if (vertexPosition.z > 15.0 || vertexPosition.z < -15.0) {
-    //     // Wings
-    //     out.color = vec3<f32>(1.0, 1.0, 1.0);
-    // } else {
-    //     // Body
-    //     out.color = vec3<f32>(0.0, 0.0, 0.0);
-    // }
-    
-    // // Add variation
-    // out.color += vec3<f32>(
-    //     fract(sin(birdVelocity.x) * 43758.5453123),
-    //     fract(sin(birdVelocity.y) * 43758.5453123),
-    //     fract(sin(birdVelocity.z) * 43758.5453123)
-    // );
+    out.color = birdColor(instance);
 
     // Set normal for potential lighting (optional)
     out.vNormal = normalize(rotationMatrix * vec3<f32>(0.0, 1.0, 0.0));
@@ -97,4 +123,43 @@ fn fragment_main(@location(0) color: vec3<f32>, @location(1) vNormal: vec3<f32>)
     let lightIntensity = max(dot(vNormal, lightDir), 0.0);
     let finalColor = color * lightIntensity;
     return vec4<f32>(finalColor, 1.0);
-}
\ No newline at end of file
+}
+
+// The six corners of a camera-facing quad
+const SPRITE_CORNERS = array<vec2<f32>, 6>(
+    vec2<f32>(-1.0, -1.0),
+    vec2<f32>(1.0, -1.0),
+    vec2<f32>(-1.0, 1.0),
+    vec2<f32>(-1.0, 1.0),
+    vec2<f32>(1.0, -1.0),
+    vec2<f32>(1.0, 1.0)
+);
+
+@vertex
+fn sprite_vertex(@builtin(vertex_index) vertexIndex: u32, @builtin(instance_index) instance: u32) -> SpriteOutput {
+    var out: SpriteOutput;
+    let birdPosition = positions[instance];
+
+    if (!isSprite(birdPosition)) {
+        out.position = CULLED;
+        return out;
+    }
+
+    // Offset in view space, so the sprite shrinks with distance as the mesh would
+    let corner = SPRITE_CORNERS[vertexIndex];
+    let center = viewMatrix * vec4<f32>(birdPosition, 1.0);
+    let size = birdLOD.spriteSize * speciesParams.species[tagSpecies(species[instance])].size;
+    out.position = projectionMatrix * (center + vec4<f32>(corner * size, 0.0, 0.0));
+    out.color = birdColor(instance);
+    out.corner = corner;
+    return out;
+}
+
+@fragment
+fn sprite_fragment(@location(0) color: vec3<f32>, @location(1) corner: vec2<f32>) -> @location(0) vec4<f32> {
+    // Round dots
+    if (dot(corner, corner) > 1.0) {
+        discard;
+    }
+    return vec4<f32>(color, 1.0);
+}
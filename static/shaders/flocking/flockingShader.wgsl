@@ -1,9 +1,16 @@
 // flockingShader.wgsl
+//
+// Prefixed with WGSL_SPATIAL_HASH (src/lib/graphics/utils/spatialHash.js),
+// WGSL_PREDATORS (Flocking/predatorStrategies.js), WGSL_SPECIES
+// (Flocking/species.js) and WGSL_WORLD (Flocking/world.js); neighbours are
+// read from the hash's sorted copies of the positions and velocities, so
+// birds see the flock as it was at the start of the frame.
 
 struct FlockingParams {
     separation: f32,
     alignment: f32,
     cohesion: f32,
+    escape: f32, // Scales the flight from predators
     centerGravity: vec4<f32>
 };
 
@@ -12,80 +19,147 @@ struct FlockingParams {
 @group(0) @binding(2) var<storage, read_write> velocities: array<vec3<f32>>;
 @group(0) @binding(3) var<storage, read_write> phases: array<f32>;
 @group(0) @binding(4) var<uniform> flockingParams: FlockingParams;
-@group(0) @binding(5) var<storage, read> predatorPosition: vec3<f32>;
-@group(0) @binding(6) var<storage, read> predatorVelocity: vec3<f32>;
+@group(0) @binding(5) var<storage, read> predators: array<Predator>;
+@group(0) @binding(6) var<uniform> huntParams: HuntParams;
+@group(0) @binding(7) var<uniform> spatialHash: SpatialHashParams;
+@group(0) @binding(8) var<storage, read> cellStarts: array<u32>;
+@group(0) @binding(9) var<storage, read> sortedPositions: array<vec4<f32>>; // w = bird index
+@group(0) @binding(10) var<storage, read> sortedVelocities: array<vec4<f32>>;
+@group(0) @binding(11) var<storage, read> species: array<u32>; // Tags, see species.js
+@group(0) @binding(12) var<uniform> speciesParams: SpeciesParams;
+@group(0) @binding(13) var<uniform> worldParams: WorldParams;
+@group(0) @binding(14) var<uniform> obstacles: Obstacles;
+@group(0) @binding(15) var windField: texture_3d<f32>; // Turbulence, tiling, rgba32float
 
-const SPEED_LIMIT: f32 = 100.0;
 const SEPARATION_DISTANCE: f32 = 250.0;
-const NEIGHBOR_RADIUS: f32 = 250.0;
+const NEIGHBOR_RADIUS: f32 = 250.0; // No more than spatialHash.cellSize
+
+// The turbulence texture at a point, trilinear between texels, wrapping round the tile
+fn turbulence(p: vec3<f32>) -> vec3<f32> {
+    let size = vec3<i32>(textureDimensions(windField));
+    let tile = max(worldParams.windScale * 2.0 * obstacles.halfSize, 1.0);
+    let texel = fract(p / tile) * vec3<f32>(size) - 0.5;
+    let base = floor(texel);
+    let t = texel - base;
+
+    var wind = vec3<f32>(0.0);
+    for (var corner = 0; corner < 8; corner = corner + 1) {
+        let offset = vec3<i32>(corner & 1, (corner >> 1) & 1, (corner >> 2) & 1);
+        let weights = mix(1.0 - t, t, vec3<f32>(offset));
+        let index = (vec3<i32>(base) + offset + size) % size;
+        wind = wind + textureLoad(windField, index, 0).xyz * weights.x * weights.y * weights.z;
+    }
+    return wind;
+}
+
+// Wind at a point, units per second
+fn windAt(p: vec3<f32>) -> vec3<f32> {
+    if (u32(worldParams.windMode) == 4u) {
+        return turbulence(p) * worldParams.windStrength;
+    }
+    return analyticWind(p);
+}
 
 @compute @workgroup_size(64)
 fn main(@builtin(global_invocation_id) GlobalInvocationID: vec3<u32>) {
     let index = GlobalInvocationID.x;
-    if (index >= arrayLength(&positions)) {
+    if (index >= spatialHash.pointCount) {
         return;
     }
 
     var velocity = velocities[index];
+    let tag = species[index];
+    let own = tagSpecies(tag);
+    let kind = speciesParams.species[own];
     var separationForce = vec3<f32>(0.0);
     var alignmentForce = vec3<f32>(0.0);
     var cohesionForce = vec3<f32>(0.0);
     var neighborCount: u32 = 0;
 
-    for (var i: u32 = 0; i < arrayLength(&positions); i = i + 1) {
-        if (i == index) { continue; }
+    // Only the buckets of the cells around this bird can hold its neighbors
+    var hashed = spatialHashBuckets(positions[index], spatialHash);
+    for (var b: u32 = 0; b < hashed.count; b = b + 1) {
+        let bucket = hashed.buckets[b];
+        for (var slot = cellStarts[bucket]; slot < cellStarts[bucket + 1u]; slot = slot + 1) {
+            let other = sortedPositions[slot];
+            if (u32(other.w) == index) { continue; }
 
-        let pos = positions[i];
-        let distance = length(pos - positions[index]);
+            let pos = other.xyz;
+            let distance = length(pos - positions[index]);
 
-        if (distance < NEIGHBOR_RADIUS) {
-            // Separation: Avoid crowding neighbors
-            if (distance < SEPARATION_DISTANCE) {
-                separationForce = separationForce - normalize(pos - positions[index]) / distance;
-            }
+            if (distance < NEIGHBOR_RADIUS) {
+                // Separation: Avoid crowding neighbors
+                if (distance < SEPARATION_DISTANCE) {
+                    separationForce = separationForce - normalize(pos - positions[index]) / distance;
+                }
 
-            // Alignment: Match velocity with neighbors
-            alignmentForce = alignmentForce + velocities[i];
+                // How this bird's species takes the neighbor's; negative turns the pull into a push
+                let affinity = speciesParams.affinities[own][tagSpecies(species[u32(other.w)])];
 
-            // Cohesion: Move towards the average position of neighbors
-            cohesionForce = cohesionForce + pos;
+                // Alignment: Match velocity with neighbors
+                alignmentForce = alignmentForce + sortedVelocities[slot].xyz * affinity;
 
-            neighborCount = neighborCount + 1;
+                // Cohesion: Move towards the average position of neighbors
+                cohesionForce = cohesionForce + (pos - positions[index]) * affinity;
+
+                neighborCount = neighborCount + 1;
+            }
         }
     }
 
     if (neighborCount > 0) {
         // Alignment: steer towards average velocity
         alignmentForce = alignmentForce / f32(neighborCount);
-        alignmentForce = normalize(alignmentForce) * flockingParams.alignment;
+        if (length(alignmentForce) > 0.0) {
+            alignmentForce = normalize(alignmentForce) * flockingParams.alignment * kind.alignment;
+        }
 
         // Cohesion: steer towards average position
-        cohesionForce = (cohesionForce / f32(neighborCount)) - positions[index];
-        cohesionForce = normalize(cohesionForce) * flockingParams.cohesion;
+        cohesionForce = cohesionForce / f32(neighborCount);
+        if (length(cohesionForce) > 0.0) {
+            cohesionForce = normalize(cohesionForce) * flockingParams.cohesion * kind.cohesion;
+        }
     }
 
     // Apply separation force
-    velocity = velocity + (separationForce * flockingParams.separation);
+    velocity = velocity + (separationForce * flockingParams.separation * kind.separation);
 
     // Apply alignment and cohesion forces
     velocity = velocity + alignmentForce + cohesionForce;
 
     // Apply center of gravity force
     let centerDirection = normalize(flockingParams.centerGravity.xyz - positions[index]);
-    velocity = velocity + centerDirection * 1.25;
+    velocity = velocity + centerDirection * flockingParams.centerGravity.w;
+
+    // Turn away from obstacles, ground and walls, harder the closer they are
+    let clearance = worldDistance(positions[index]);
+    if (clearance < worldParams.avoidDistance) {
+        let closeness = clamp(1.0 - clearance / max(worldParams.avoidDistance, 1.0), 0.0, 2.0);
+        velocity = velocity + worldNormal(positions[index]) * worldParams.avoidStrength * closeness * closeness;
+    }
 
-    // Predator Repulsion
+    // Informed birds lean towards their goal direction
+    let goal = tagGoal(tag);
+    if (goal > 0u) {
+        let azimuth = radians(select(speciesParams.goalB, speciesParams.goalA, goal == 1u));
+        velocity = velocity + vec3<f32>(cos(azimuth), 0.0, sin(azimuth)) * speciesParams.leaderWeight;
+    }
+
+    // Predator Repulsion, from every predator flying
     let birdPos = positions[index];
-    let toPredator = predatorPosition - birdPos;
-    let distance = length(toPredator);
 
     const PREDATOR_INFLUENCE_RADIUS: f32 = 100000.0; // Adjust as needed
     const REPULSION_CONSTANT: f32 = 2000000.0; // Adjust strength as needed
 
-    if (distance < PREDATOR_INFLUENCE_RADIUS && distance > 0.0) {
-        let repulsionDir = normalize(birdPos - predatorPosition);
-        let repulsionForce = repulsionDir * (REPULSION_CONSTANT / (distance * distance));
-        velocity += repulsionForce;
+    for (var p: u32 = 0; p < huntParams.predatorCount; p = p + 1) {
+        let predatorPosition = predators[p].position;
+        let distance = length(predatorPosition - birdPos);
+
+        if (distance < PREDATOR_INFLUENCE_RADIUS && distance > 0.0) {
+            let repulsionDir = normalize(birdPos - predatorPosition);
+            let repulsionForce = repulsionDir * (REPULSION_CONSTANT / (distance * distance));
+            velocity += repulsionForce * flockingParams.escape;
+        }
     }
 
     // Update velocity with accumulated forces
@@ -93,12 +167,12 @@ fn main(@builtin(global_invocation_id) GlobalInvocationID: vec3<u32>) {
 
     // Limit speed to prevent birds from accelerating indefinitely
     let speed = length(velocity);
-    if (speed > SPEED_LIMIT) {
-        velocity = normalize(velocity) * SPEED_LIMIT;
+    if (speed > kind.speedLimit) {
+        velocity = normalize(velocity) * kind.speedLimit;
     }
 
-    // Update position based on velocity
-    let newPosition = positions[index] + (velocity * 11.0) * deltaTime;
+    // Update position based on velocity, carried by the wind
+    let newPosition = positions[index] + (velocity * 11.0 + windAt(positions[index])) * deltaTime;
     positions[index] = newPosition;
 
     // Update velocity
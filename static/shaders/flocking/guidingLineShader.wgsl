@@ -1,4 +1,7 @@
 // guidingLineShader.wgsl
+//
+// Prefixed with WGSL_PREDATORS (Flocking/predatorStrategies.js); one line per
+// predator, from where it is to where it is heading.
 
 struct VertexOutput {
     @builtin(position) position: vec4<f32>,
@@ -6,14 +9,18 @@ struct VertexOutput {
 
 @group(0) @binding(0) var<uniform> projectionMatrix: mat4x4<f32>;
 @group(0) @binding(1) var<uniform> viewMatrix: mat4x4<f32>;
-@group(0) @binding(2) var<storage, read> guidingLine: array<vec4<f32>, 2>;
+@group(0) @binding(2) var<storage, read> predators: array<Predator>;
 
 @vertex
-fn vertex_main(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
+fn vertex_main(
+    @builtin(vertex_index) vertexIndex: u32,
+    @builtin(instance_index) instanceIndex: u32
+) -> VertexOutput {
     var out: VertexOutput;
 
-    // Fetch the corresponding position from the guidingLine buffer
-    let pos = guidingLine[vertexIndex].xyz; // Use only x, y, z
+    // The predator, then its aim
+    let predator = predators[instanceIndex];
+    let pos = select(predator.position, predator.aim, vertexIndex == 1u);
 
     // Transform to clip space
     out.position = projectionMatrix * viewMatrix * vec4<f32>(pos, 1.0);
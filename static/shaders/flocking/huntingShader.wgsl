@@ -1,60 +1,150 @@
 // huntingShader.wgsl
+//
+// Prefixed with WGSL_SPATIAL_HASH (src/lib/graphics/utils/spatialHash.js) and
+// WGSL_PREDATORS (Flocking/predatorStrategies.js). One workgroup per predator:
+// its threads sum up the flock into a Hunt, then the first thread asks the
+// predator's strategy where to go and steers there.
 
-// Bind Group Layout Bindings:
-// 0: positions (storage buffer, read-only)
-// 1: predatorPosition (storage buffer, read-write)
-// 2: predatorVelocity (storage buffer, read-write)
-// 3: targetIndex (uniform buffer, read-only)
-// 4: guidingLineBuffer (storage buffer, read_write)
-
-@group(0) @binding(0) var<storage, read_write> positions: array<vec3<f32>>;
-@group(0) @binding(1) var<storage, read_write> predatorPosition: vec3<f32>;
-@group(0) @binding(2) var<storage, read_write> predatorVelocity: vec3<f32>;
-@group(0) @binding(3) var<uniform> targetIndex: u32;
-@group(0) @binding(4) var<storage, read_write> guidingLine: array<vec3<f32>, 2>;
-
-@compute @workgroup_size(1)
-fn main(@builtin(global_invocation_id) GlobalInvocationID: vec3<u32>) {
-    // Ensure only one workgroup runs this shader
-    if (GlobalInvocationID.x > 0u) {
+@group(0) @binding(0) var<uniform> huntParams: HuntParams;
+@group(0) @binding(1) var<storage, read> positions: array<vec3<f32>>;
+@group(0) @binding(2) var<storage, read> velocities: array<vec3<f32>>;
+@group(0) @binding(3) var<storage, read_write> predators: array<Predator>;
+@group(0) @binding(4) var<uniform> spatialHash: SpatialHashParams;
+@group(0) @binding(5) var<storage, read> cellStarts: array<u32>;
+@group(0) @binding(6) var<storage, read> sortedPositions: array<vec4<f32>>; // w = bird index
+
+const WORKGROUP_SIZE: u32 = 256u;
+const STEERING_RATE: f32 = 1.5;     // Per second, about 0.025 per frame at 60 fps
+const ARRIVAL_RADIUS: f32 = 200.0;  // Predators slow down this close to their aim
+
+// Each thread's share of the flock, reduced to thread 0
+var<workgroup> nearestDistances: array<f32, 256>;
+var<workgroup> nearestIndices: array<u32, 256>;
+var<workgroup> offsetSums: array<vec3<f32>, 256>;
+var<workgroup> squareSums: array<f32, 256>;
+var<workgroup> fullestCounts: array<u32, 256>;
+var<workgroup> fullestBuckets: array<u32, 256>;
+
+@compute @workgroup_size(256)
+fn main(@builtin(workgroup_id) group: vec3<u32>, @builtin(local_invocation_index) local: u32) {
+    let index = group.x;
+    let birdCount = huntParams.birdCount;
+    if (index >= huntParams.predatorCount || birdCount == 0u) {
         return;
     }
 
-    // // Validate targetIndex
-    // if (targetIndex >= positions.length()) {
-    //     // Invalid index; do nothing
-    //     return;
-    // }
+    let predator = predators[index];
 
-    // Retrieve target bird's position
-    let targetBirdPos = positions[targetIndex];
+    // Offsets from the first bird keep the sums of squares within f32
+    let origin = positions[0];
 
-    // Calculate the desired direction towards the target bird
-    var desiredVelocity = targetBirdPos - predatorPosition;
+    var nearestDistance = 3.4e38;
+    var nearestIndex = 0u;
+    var offsetSum = vec3<f32>(0.0);
+    var squareSum = 0.0;
+    for (var i = local; i < birdCount; i = i + WORKGROUP_SIZE) {
+        let position = positions[i];
+        let distance = length(position - predator.position);
+        if (distance < nearestDistance) {
+            nearestDistance = distance;
+            nearestIndex = i;
+        }
+        let offset = position - origin;
+        offsetSum = offsetSum + offset;
+        squareSum = squareSum + dot(offset, offset);
+    }
 
-    // Calculate the distance to the target
-    let distance = length(desiredVelocity);
+    var fullestCount = 0u;
+    var fullestBucket = 0u;
+    for (var bucket = local; bucket < spatialHash.tableSize; bucket = bucket + WORKGROUP_SIZE) {
+        let count = cellStarts[bucket + 1u] - cellStarts[bucket];
+        if (count > fullestCount) {
+            fullestCount = count;
+            fullestBucket = bucket;
+        }
+    }
 
-    // Define desired speed
-    let DESIRED_SPEED: f32 = 10.0; // Adjust as needed
+    nearestDistances[local] = nearestDistance;
+    nearestIndices[local] = nearestIndex;
+    offsetSums[local] = offsetSum;
+    squareSums[local] = squareSum;
+    fullestCounts[local] = fullestCount;
+    fullestBuckets[local] = fullestBucket;
+    workgroupBarrier();
 
-    // Normalize and scale to desired speed if distance is significant
-    if (distance > 1.0) { // Prevent division by zero or negligible movements
-        desiredVelocity = normalize(desiredVelocity) * DESIRED_SPEED;
-    } else {
-        desiredVelocity = vec3<f32>(0.0, 0.0, 0.0);
+    for (var stride = WORKGROUP_SIZE / 2u; stride > 0u; stride = stride / 2u) {
+        if (local < stride) {
+            let other = local + stride;
+            if (nearestDistances[other] < nearestDistances[local]) {
+                nearestDistances[local] = nearestDistances[other];
+                nearestIndices[local] = nearestIndices[other];
+            }
+            offsetSums[local] = offsetSums[local] + offsetSums[other];
+            squareSums[local] = squareSums[local] + squareSums[other];
+            if (fullestCounts[other] > fullestCounts[local]) {
+                fullestCounts[local] = fullestCounts[other];
+                fullestBuckets[local] = fullestBuckets[other];
+            }
+        }
+        workgroupBarrier();
+    }
+
+    if (local != 0u) {
+        return;
     }
 
-    // Define steering factor for smooth acceleration/deceleration
-    let STEERING_FACTOR: f32 = 0.025; // Adjust for responsiveness
+    var hunt: Hunt;
+    hunt.index = index;
+    hunt.predator = predator;
 
-    // Smoothly adjust predator's velocity towards desired velocity
-    predatorVelocity = mix(predatorVelocity, desiredVelocity, STEERING_FACTOR);
+    let prey = min(predator.prey, birdCount - 1u);
+    hunt.prey = positions[prey];
+    hunt.preyVelocity = velocities[prey] * BIRD_VELOCITY_SCALE;
+    hunt.nearest = positions[nearestIndices[0]];
+
+    // Centroid, and RMS distance from it as E|x|² - |E x|²
+    let meanOffset = offsetSums[0] / f32(birdCount);
+    hunt.centroid = origin + meanOffset;
+    hunt.spread = sqrt(max(squareSums[0] / f32(birdCount) - dot(meanOffset, meanOffset), 0.0));
+
+    // The birds of the fullest bucket, as sorted at the start of the frame
+    let start = cellStarts[fullestBuckets[0]];
+    let end = cellStarts[fullestBuckets[0] + 1u];
+    var densest = vec3<f32>(0.0);
+    for (var slot = start; slot < end; slot = slot + 1u) {
+        densest = densest + sortedPositions[slot].xyz;
+    }
+    hunt.densest = densest / f32(max(end - start, 1u));
+
+    // Predators sharing this one's strategy, and its place among them
+    hunt.peers = 0u;
+    hunt.peerRank = 0u;
+    for (var p = 0u; p < huntParams.predatorCount; p = p + 1u) {
+        if (predators[p].strategy == predator.strategy) {
+            if (p < index) {
+                hunt.peerRank = hunt.peerRank + 1u;
+            }
+            hunt.peers = hunt.peers + 1u;
+        }
+    }
+
+    let aim = predatorAim(hunt);
+
+    // Head for the aim at the predator's speed, easing off on arrival
+    var desiredVelocity = aim - predator.position;
+    let distance = length(desiredVelocity);
+    if (distance > 1.0) {
+        desiredVelocity = desiredVelocity / distance * predator.speed * min(distance / ARRIVAL_RADIUS, 1.0);
+    } else {
+        desiredVelocity = vec3<f32>(0.0);
+    }
 
-    // Update predator's position based on new velocity
-    predatorPosition += predatorVelocity;
+    // Smoothly adjust the velocity towards it, at the same rate whatever the frame rate
+    let deltaTime = huntParams.deltaTime;
+    let velocity = mix(predator.velocity, desiredVelocity, 1.0 - exp(-STEERING_RATE * deltaTime));
 
-    // Update Guiding Line Buffer
-    guidingLine[0] = predatorPosition;
-    guidingLine[1] = targetBirdPos;
-}
\ No newline at end of file
+    // Only the fields the shader owns; strategy, prey and speed come from JavaScript
+    predators[index].position = predator.position + velocity * deltaTime;
+    predators[index].velocity = velocity;
+    predators[index].aim = aim;
+}
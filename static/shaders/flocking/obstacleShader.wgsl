@@ -0,0 +1,73 @@
+// obstacleShader.wgsl
+//
+// Prefixed with WGSL_WORLD (src/lib/graphics/experiences/Flocking/world.js).
+// The spheres and boxes are a unit mesh each, drawn instanced and placed from
+// the obstacles uniform; the ground is a flat grid lifted to the height field.
+
+@group(0) @binding(0) var<uniform> projectionMatrix: mat4x4<f32>;
+@group(0) @binding(1) var<uniform> viewMatrix: mat4x4<f32>;
+@group(0) @binding(2) var<uniform> worldParams: WorldParams;
+@group(0) @binding(3) var<uniform> obstacles: Obstacles;
+
+struct VertexOutput {
+    @builtin(position) position: vec4<f32>,
+    @location(0) color: vec3<f32>,
+    @location(1) vNormal: vec3<f32>,
+};
+
+const OBSTACLE_COLOR = vec3<f32>(0.45, 0.42, 0.4);
+const GROUND_COLOR = vec3<f32>(0.28, 0.34, 0.2);
+const GROUND_EXTENT: f32 = 4.0; // Half the width of the ground, in world half sizes
+
+fn shade(worldPosition: vec3<f32>, normal: vec3<f32>, color: vec3<f32>) -> VertexOutput {
+    var out: VertexOutput;
+    out.position = projectionMatrix * viewMatrix * vec4<f32>(worldPosition, 1.0);
+    out.color = color;
+    out.vNormal = normal;
+    return out;
+}
+
+@vertex
+fn sphere_vertex(
+    @location(0) vertexPosition: vec3<f32>,
+    @location(1) vertexNormal: vec3<f32>,
+    @builtin(instance_index) instance: u32
+) -> VertexOutput {
+    let sphere = obstacles.spheres[instance];
+    return shade(sphere.xyz + vertexPosition * sphere.w, vertexNormal, OBSTACLE_COLOR);
+}
+
+@vertex
+fn box_vertex(
+    @location(0) vertexPosition: vec3<f32>,
+    @location(1) vertexNormal: vec3<f32>,
+    @builtin(instance_index) instance: u32
+) -> VertexOutput {
+    let center = obstacles.boxCenters[instance];
+    let halfSize = obstacles.boxSizes[instance].xyz;
+    let worldPosition = center.xyz + turnY(vertexPosition * halfSize, center.w);
+    return shade(worldPosition, turnY(vertexNormal, center.w), OBSTACLE_COLOR);
+}
+
+@vertex
+fn ground_vertex(@location(0) vertexPosition: vec3<f32>, @location(1) vertexNormal: vec3<f32>) -> VertexOutput {
+    let extent = GROUND_EXTENT * obstacles.halfSize;
+    let x = vertexPosition.x * extent;
+    let z = vertexPosition.z * extent;
+
+    // Normal from the slopes of the height field
+    let h = 1.0;
+    let dx = groundHeight(x + h, z) - groundHeight(x - h, z);
+    let dz = groundHeight(x, z + h) - groundHeight(x, z - h);
+    let normal = normalize(vec3<f32>(-dx, 2.0 * h, -dz));
+
+    return shade(vec3<f32>(x, groundHeight(x, z), z), normal, GROUND_COLOR);
+}
+
+@fragment
+fn fragment_main(@location(0) color: vec3<f32>, @location(1) vNormal: vec3<f32>) -> @location(0) vec4<f32> {
+    // Light from above, with some ambient so the shadowed sides still read
+    let lightDir = normalize(vec3<f32>(0.4, 1.0, 0.3));
+    let lightIntensity = 0.35 + 0.65 * max(dot(normalize(vNormal), lightDir), 0.0);
+    return vec4<f32>(color * lightIntensity, 1.0);
+}
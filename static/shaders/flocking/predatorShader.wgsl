@@ -1,10 +1,12 @@
 // predatorShader.wgsl
+//
+// Prefixed with WGSL_PREDATORS (Flocking/predatorStrategies.js); one instance
+// per predator, coloured by its strategy.
 
 @group(0) @binding(0) var<uniform> projectionMatrix: mat4x4<f32>;
 @group(0) @binding(1) var<uniform> viewMatrix: mat4x4<f32>;
 @group(0) @binding(2) var<uniform> viewportSize: vec2<f32>;
-@group(0) @binding(3) var<storage, read> predatorPosition: vec3<f32>;
-@group(0) @binding(4) var<storage, read> predatorVelocity: vec3<f32>;
+@group(0) @binding(3) var<storage, read> predators: array<Predator>;
 
 struct VertexOutput {
     @builtin(position) position: vec4<f32>,
@@ -13,11 +15,15 @@ struct VertexOutput {
 };
 
 @vertex
-fn vertex_main(@location(0) vertexPosition: vec3<f32>) -> VertexOutput {
+fn vertex_main(
+    @builtin(instance_index) instanceIndex: u32,
+    @location(0) vertexPosition: vec3<f32>
+) -> VertexOutput {
     var out: VertexOutput;
+    let predator = predators[instanceIndex];
 
     // Retrieve predator's velocity
-    let velocity = predatorVelocity;
+    let velocity = predator.velocity;
     let speed = length(velocity);
 
     // Calculate forward direction (negative velocity for correct orientation)
@@ -43,13 +49,13 @@ fn vertex_main(@location(0) vertexPosition: vec3<f32>) -> VertexOutput {
     let rotatedPosition = rotationMatrix * vertexPosition;
 
     // Combine with predator's global position
-    let worldPosition = rotatedPosition + predatorPosition;
+    let worldPosition = rotatedPosition + predator.position;
 
     // Transform to clip space
     out.position = projectionMatrix * viewMatrix * vec4<f32>(worldPosition, 1.0);
 
-    // Assign a distinct red color for the predator
-    out.color = vec3<f32>(1.0, 0.0, 0.0);
+    // A distinct color for each strategy
+    out.color = strategyColor(predator.strategy);
 
     // Calculate normal for potential lighting (optional)
     out.vNormal = normalize(rotationMatrix * vec3<f32>(0.0, 1.0, 0.0));
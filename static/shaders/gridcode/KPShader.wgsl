@@ -17,15 +17,18 @@ struct KPParams {
     scaleIndex: f32,
     // Distortion amount (0.0 to 1.0)
     distortion: f32,
-    // Padding to ensure alignment
-    padding1: f32,
-    padding2: f32,
+    // Surface (0 grid cells, 1 KP theta wave, 2 or 3 solitons)
+    mode: f32,
+    // Height of u = 1 on the KP surfaces
+    heightScale: f32,
 }
 
 @group(0) @binding(0) var<uniform> projection: mat4x4<f32>;
 @group(0) @binding(1) var<uniform> view: mat4x4<f32>;
 @group(0) @binding(2) var<uniform> timeUniform: TimeUniform;
 @group(0) @binding(3) var<uniform> kpParams: KPParams;
+@group(0) @binding(4) var<uniform> theta: ThetaParams; // Period matrix and lattice points, see $lib/complex/theta.js
+@group(0) @binding(5) var<uniform> kpWave: KPWave; // KP solution, see $lib/complex/kp.js
 
 // Function to generate color based on height using a jet-like colormap (blue to red)
 // Now with distortion parameter to bias toward yellow/red
@@ -68,10 +71,32 @@ fn gridCellColormap(height: f32, distortion: f32) -> vec3<f32> {
     }
 }
 
+// The KP surfaces: height u = 2∂²ₓ log τ, unclipped as the wave has
+// troughs, and normals from its neighbours 0.01 away
+fn kpSurface(position: vec3<f32>, scaledPos: vec2<f32>, scaleFactor: f32, time: f32) -> VertexOutput {
+    var output: VertexOutput;
+    output.worldPos = position;
+
+    let height = kpWaveHeight(scaledPos, time) * kpParams.heightScale;
+    output.height = height;
+    output.position = projection * view * vec4<f32>(position.xy, height, 1.0);
+
+    let epsilon = 0.01;
+    let height1 = kpWaveHeight(scaledPos + vec2<f32>(epsilon * scaleFactor, 0.0), time) * kpParams.heightScale;
+    let height2 = kpWaveHeight(scaledPos + vec2<f32>(0.0, epsilon * scaleFactor), time) * kpParams.heightScale;
+    let tangent1 = vec3<f32>(epsilon, 0.0, height1 - height);
+    let tangent2 = vec3<f32>(0.0, epsilon, height2 - height);
+    output.normal = normalize(cross(tangent1, tangent2));
+
+    // Troughs stay blue, crests run up the colormap
+    output.color = gridCellColormap(0.02 + max(height, 0.0), 0.0);
+    return output;
+}
+
 // Function to get scale factor based on scale index
 fn getScaleFactor(scaleIndex: f32) -> f32 {
-    // Harmonic scaling ratio based on theta function properties
-    // Each step multiplies by sqrt(2) for a natural scaling progression
+    // Grid modules: each step multiplies by sqrt(2), close to the ratio
+    // measured between successive modules along the MEC
     let baseScale = 1.5;
     
     if (scaleIndex <= 0.5) {
@@ -89,333 +114,50 @@ fn getScaleFactor(scaleIndex: f32) -> f32 {
     }
 }
 
-// Function to create a hexagonal pattern with controlled irregularity
-fn createHexagonalPattern(position: vec2<f32>, time: f32, distortionAmount: f32) -> f32 {
-    // Time evolution
+// Share of the peak |θ| below which the cell is silent
+const FIRING_THRESHOLD = 0.4;
+
+// Firing of a grid cell at a point of the arena, in [0, 1]: |θ(z|Ω)| of the
+// point's phases z along the grid directions, relative to its peak. θ has
+// period 1 in every z, so the fields repeat on the lattice the directions
+// span, hexagonal from genus 2 on.
+fn gridField(position: vec2<f32>, time: f32, distortionAmount: f32) -> f32 {
     let t = time * 5.0;
-    
-    // At high distortion, use a completely different noise approach
-    if (distortionAmount > 0.6) {
-        // Calculate how far into the high distortion range we are (0.0 to 1.0)
-        let highDistortionFactor = min(1.0, (distortionAmount - 0.6) / 0.4);
-        
-        // Create a cellular/Voronoi-like noise pattern
-        // This creates a fundamentally different pattern than sine waves
-        
-        // Generate a set of random cell centers that move with time
-        // We'll use 8 cells with different movement patterns
-        var cellDistances: array<f32, 8>;
-        
-        // Cell 1
-        let cell1 = vec2<f32>(
-            sin(t * 0.31) * 2.5,
-            cos(t * 0.27) * 2.5
-        );
-        cellDistances[0] = distance(position, cell1);
-        
-        // Cell 2
-        let cell2 = vec2<f32>(
-            sin(t * 0.41 + 1.7) * 3.2,
-            cos(t * 0.37 + 2.3) * 3.2
-        );
-        cellDistances[1] = distance(position, cell2);
-        
-        // Cell 3
-        let cell3 = vec2<f32>(
-            sin(t * 0.23 + 3.1) * 4.1,
-            cos(t * 0.29 + 1.2) * 4.1
-        );
-        cellDistances[2] = distance(position, cell3);
-        
-        // Cell 4
-        let cell4 = vec2<f32>(
-            sin(t * 0.17 + 4.3) * 3.7,
-            cos(t * 0.19 + 5.1) * 3.7
-        );
-        cellDistances[3] = distance(position, cell4);
-        
-        // Cell 5
-        let cell5 = vec2<f32>(
-            sin(t * 0.13 + 2.5) * 5.3,
-            cos(t * 0.11 + 3.7) * 5.3
-        );
-        cellDistances[4] = distance(position, cell5);
-        
-        // Cell 6
-        let cell6 = vec2<f32>(
-            sin(t * 0.07 + 1.3) * 4.7,
-            cos(t * 0.05 + 2.9) * 4.7
-        );
-        cellDistances[5] = distance(position, cell6);
-        
-        // Cell 7
-        let cell7 = vec2<f32>(
-            sin(t * 0.03 + 5.7) * 6.1,
-            cos(t * 0.02 + 4.3) * 6.1
-        );
-        cellDistances[6] = distance(position, cell7);
-        
-        // Cell 8
-        let cell8 = vec2<f32>(
-            sin(t * 0.05 + 3.3) * 5.9,
-            cos(t * 0.03 + 1.7) * 5.9
-        );
-        cellDistances[7] = distance(position, cell8);
-        
-        // Sort distances (bubble sort - simple but works for small arrays)
-        for (var i = 0; i < 7; i++) {
-            for (var j = 0; j < 7 - i; j++) {
-                if (cellDistances[j] > cellDistances[j + 1]) {
-                    let temp = cellDistances[j];
-                    cellDistances[j] = cellDistances[j + 1];
-                    cellDistances[j + 1] = temp;
-                }
-            }
-        }
-        
-        // Create cellular noise based on difference between closest and second closest points
-        // This creates cell boundaries with no regular pattern
-        let cellNoise = (cellDistances[1] - cellDistances[0]) * 0.5;
-        
-        // Add turbulence by using the position itself
-        let turbulence = sin(position.x * 0.2 + position.y * 0.3 + t * 0.1) * 
-                         cos(position.x * 0.3 - position.y * 0.2 + t * 0.15);
-        
-        // Create a completely different type of noise using domain warping
-        // This distorts the coordinate space itself
-        let warpedPos = position + vec2<f32>(
-            sin(position.y * 0.4 + t * 0.2) * 2.0,
-            cos(position.x * 0.3 + t * 0.1) * 2.0
-        );
-        
-        let warpNoise = sin(warpedPos.x * 0.3 + warpedPos.y * 0.4 + t * 0.1) * 
-                        cos(warpedPos.x * 0.4 - warpedPos.y * 0.3 + t * 0.15);
-        
-        // Combine the different noise types with non-linear operations
-        // This ensures no regular patterns can form
-        let combinedNoise = cellNoise * 0.5 + 
-                           turbulence * 0.3 + 
-                           warpNoise * 0.2 + 
-                           (cellNoise * turbulence) * 0.3;
-        
-        // Apply final scaling and offset
-        let finalNoise = combinedNoise * 0.6;
-        
-        // If we're fully in high distortion range, return pure noise
-        if (highDistortionFactor >= 0.8) {
-            return finalNoise;
-        }
-        
-        // Otherwise, we'll blend with the regular pattern below
-        // Continue with regular pattern calculation and blend at the end
-    }
-    
-    // Create low-frequency noise fields
-    let noiseAmplitude = 0.15 + distortionAmount * 0.5;
-    
-    let regionNoise1 = sin(position.x * 0.15 + position.y * 0.13 + t * 0.07) * 
-                       cos(position.x * 0.11 - position.y * 0.17) * noiseAmplitude;
-    let regionNoise2 = cos(position.x * 0.12 - position.y * 0.14 + t * 0.05) * 
-                       sin(position.y * 0.19 + position.x * 0.08) * noiseAmplitude;
-    
-    // Base angles for hexagonal pattern - exactly 60° apart
-    let angles = array<f32, 6>(
-        0.0,                // 0°
-        3.14159 / 3.0,      // 60°
-        2.0 * 3.14159 / 3.0, // 120°
-        3.14159,            // 180°
-        4.0 * 3.14159 / 3.0, // 240°
-        5.0 * 3.14159 / 3.0  // 300°
-    );
-    
-    // Frequency variations
-    let freqVariationScale = 1.0 + distortionAmount * 2.0;
-    let freqVariations = array<f32, 6>(
-        1.0 + 0.15 * regionNoise1 * freqVariationScale,
-        1.0 - 0.1 * regionNoise2 * freqVariationScale,
-        1.0 + 0.12 * regionNoise1 * freqVariationScale,
-        1.0 - 0.08 * regionNoise2 * freqVariationScale,
-        1.0 + 0.1 * regionNoise1 * freqVariationScale,
-        1.0 - 0.12 * regionNoise2 * freqVariationScale
-    );
-    
-    // Amplitude variations
-    let ampVariationScale = 1.0 + distortionAmount * 1.5;
-    let ampVariations = array<f32, 6>(
-        1.0 + 0.2 * regionNoise2 * ampVariationScale,
-        0.9 - 0.15 * regionNoise1 * ampVariationScale,
-        0.95 + 0.18 * regionNoise2 * ampVariationScale,
-        0.92 - 0.12 * regionNoise1 * ampVariationScale,
-        0.97 + 0.14 * regionNoise2 * ampVariationScale,
-        0.93 - 0.16 * regionNoise1 * ampVariationScale
-    );
-    
-    // Add drift to the pattern
+
+    // Path integration: the whole pattern drifts as the animal moves
     let driftSpeed = 0.2 + distortionAmount * 0.3;
-    let drift_x = sin(t * driftSpeed) * (0.3 + distortionAmount * 0.4);
-    let drift_y = cos(t * (driftSpeed + 0.1)) * (0.3 + distortionAmount * 0.4);
-    let pos = position + vec2<f32>(drift_x, drift_y);
-    
-    // Generate waves with varying properties
-    var waves = array<f32, 6>();
-    var sumAmplitude = 0.0;
-    
-    for (var i = 0; i < 6; i++) {
-        // Create wave vector with angle perturbation
-        let anglePerturb = angles[i] + regionNoise1 * (0.2 + distortionAmount * 0.6) * sin(f32(i));
-        let k = vec2<f32>(cos(anglePerturb), sin(anglePerturb)) * freqVariations[i];
-        
-        // Phase with spatial and temporal variation
-        let phaseNoise = regionNoise2 * (1.0 + distortionAmount * 3.0) * cos(f32(i));
-        let phase = dot(k, pos) * 3.14159 + t * (0.1 + 0.03 * f32(i)) + phaseNoise;
-        
-        // Add additional phase distortion
-        let extraPhaseDistortion = distortionAmount * sin(position.x * 0.5 * f32(i+1) + position.y * 0.3 * f32(i)) * 2.0;
-        
-        // Store wave with amplitude variation
-        let amplitude = ampVariations[i] * (0.8 + 0.2 * sin(position.x * 0.15 * f32(i) + position.y * 0.2 * f32(i+1)));
-        waves[i] = amplitude * cos(phase + extraPhaseDistortion);
-        sumAmplitude += amplitude;
-    }
-    
-    // Create primary pattern from weighted sum of waves
-    var primaryPattern = 0.0;
-    for (var i = 0; i < 6; i++) {
-        primaryPattern += waves[i];
-    }
-    primaryPattern /= sumAmplitude; // Normalize
-    
-    // Create secondary interference pattern
-    var interferenceTerm = 1.0;
-    for (var i = 0; i < 3; i++) {
-        let waveBalance = 0.6 - distortionAmount * 0.3;
-        interferenceTerm *= (waveBalance + (1.0 - waveBalance) * waves[i]) * 
-                           (waveBalance + (1.0 - waveBalance) * waves[i+3]);
-    }
-    
-    // Mix patterns with position-dependent weights
-    let mixFactor = 0.3 + 0.2 * sin(position.x * 0.1 + position.y * 0.15);
-    let distortedMixFactor = mix(mixFactor, 0.8, distortionAmount);
-    let pattern = distortedMixFactor * primaryPattern + (1.0 - distortedMixFactor) * interferenceTerm;
-    
-    // Apply non-linear transformation
-    let powerFactor = 0.9 + 0.2 * regionNoise1 * (1.0 + distortionAmount);
-    let nonLinearPattern = sign(pattern) * pow(abs(pattern), powerFactor);
-    
-    // Apply soft threshold
-    let threshold = max(0.01, 0.08 - distortionAmount * 0.05);
-    let thresholdedPattern = max(0.0, nonLinearPattern - threshold) * (1.0 / (1.0 - threshold));
-    
-    // For high distortion (0.6-1.0), blend with cellular noise
-    if (distortionAmount > 0.6) {
-        let highDistortionFactor = min(1.0, (distortionAmount - 0.6) / 0.4);
-        
-        // Create a cellular/Voronoi-like noise pattern
-        var cellDistances: array<f32, 8>;
-        
-        // Cell 1
-        let cell1 = vec2<f32>(
-            sin(t * 0.31) * 2.5,
-            cos(t * 0.27) * 2.5
-        );
-        cellDistances[0] = distance(position, cell1);
-        
-        // Cell 2
-        let cell2 = vec2<f32>(
-            sin(t * 0.41 + 1.7) * 3.2,
-            cos(t * 0.37 + 2.3) * 3.2
-        );
-        cellDistances[1] = distance(position, cell2);
-        
-        // Cell 3
-        let cell3 = vec2<f32>(
-            sin(t * 0.23 + 3.1) * 4.1,
-            cos(t * 0.29 + 1.2) * 4.1
-        );
-        cellDistances[2] = distance(position, cell3);
-        
-        // Cell 4
-        let cell4 = vec2<f32>(
-            sin(t * 0.17 + 4.3) * 3.7,
-            cos(t * 0.19 + 5.1) * 3.7
-        );
-        cellDistances[3] = distance(position, cell4);
-        
-        // Cell 5
-        let cell5 = vec2<f32>(
-            sin(t * 0.13 + 2.5) * 5.3,
-            cos(t * 0.11 + 3.7) * 5.3
-        );
-        cellDistances[4] = distance(position, cell5);
-        
-        // Cell 6
-        let cell6 = vec2<f32>(
-            sin(t * 0.07 + 1.3) * 4.7,
-            cos(t * 0.05 + 2.9) * 4.7
-        );
-        cellDistances[5] = distance(position, cell6);
-        
-        // Cell 7
-        let cell7 = vec2<f32>(
-            sin(t * 0.03 + 5.7) * 6.1,
-            cos(t * 0.02 + 4.3) * 6.1
-        );
-        cellDistances[6] = distance(position, cell7);
-        
-        // Cell 8
-        let cell8 = vec2<f32>(
-            sin(t * 0.05 + 3.3) * 5.9,
-            cos(t * 0.03 + 1.7) * 5.9
-        );
-        cellDistances[7] = distance(position, cell8);
-        
-        // Sort distances (bubble sort - simple but works for small arrays)
-        for (var i = 0; i < 7; i++) {
-            for (var j = 0; j < 7 - i; j++) {
-                if (cellDistances[j] > cellDistances[j + 1]) {
-                    let temp = cellDistances[j];
-                    cellDistances[j] = cellDistances[j + 1];
-                    cellDistances[j + 1] = temp;
-                }
-            }
-        }
-        
-        // Create cellular noise based on difference between closest and second closest points
-        let cellNoise = (cellDistances[1] - cellDistances[0]) * 0.5;
-        
-        // Add turbulence by using the position itself
-        let turbulence = sin(position.x * 0.2 + position.y * 0.3 + t * 0.1) * 
-                         cos(position.x * 0.3 - position.y * 0.2 + t * 0.15);
-        
-        // Create a completely different type of noise using domain warping
-        let warpedPos = position + vec2<f32>(
-            sin(position.y * 0.4 + t * 0.2) * 2.0,
-            cos(position.x * 0.3 + t * 0.1) * 2.0
-        );
-        
-        let warpNoise = sin(warpedPos.x * 0.3 + warpedPos.y * 0.4 + t * 0.1) * 
-                        cos(warpedPos.x * 0.4 - warpedPos.y * 0.3 + t * 0.15);
-        
-        // Combine the different noise types with non-linear operations
-        let combinedNoise = cellNoise * 0.5 + 
-                           turbulence * 0.3 + 
-                           warpNoise * 0.2 + 
-                           (cellNoise * turbulence) * 0.3;
-        
-        // Apply final scaling
-        let finalNoise = combinedNoise * 0.6;
-        
-        // Blend between pattern and cellular noise based on how far into high distortion we are
-        return mix(thresholdedPattern, finalNoise, highDistortionFactor);
-    }
-    
-    return thresholdedPattern;
+    let drift = vec2<f32>(sin(t * driftSpeed), cos(t * (driftSpeed + 0.1))) * (0.3 + distortionAmount * 0.4);
+
+    // Noise in the input warps the phases, and the lattice with them
+    let warp = vec2<f32>(
+        sin(position.y * 0.4 + t * 0.2) * cos(position.x * 0.15 + t * 0.07),
+        cos(position.x * 0.3 + t * 0.1) * sin(position.y * 0.19 + t * 0.05)
+    ) * distortionAmount * 1.5;
+
+    // Phases along three directions 60° apart; θ reads the first genus of them
+    let pos = position + drift + warp;
+    let phases = vec3<f32>(
+        pos.x,
+        dot(vec2<f32>(0.5, 0.8660254), pos),
+        dot(vec2<f32>(-0.5, 0.8660254), pos)
+    );
+
+    let firing = length(c_theta_hat(phases, vec3<f32>(0.0))) / theta.header.z;
+    return max(0.0, firing - FIRING_THRESHOLD) / (1.0 - FIRING_THRESHOLD);
 }
 
 @vertex
-fn vertexMain(@location(0) position: vec3<f32>) -> VertexOutput {
+fn vertexMain(
+    @location(0) vertex: vec2<f32>,
+    @location(1) patchRect: vec4<f32>,
+    @location(2) patchInfo: vec4<f32>
+) -> VertexOutput {
     var output: VertexOutput;
     
+    // Point of the [-2, 2] grid from the quadtree patch (lodPatchUV comes with the shader)
+    let uv = lodPatchUV(vertex, LodPatch(patchRect, patchInfo));
+    let position = vec3<f32>(uv * 4.0 - 2.0, 0.0);
+    
     // Store original position
     output.worldPos = position;
     
@@ -425,11 +167,15 @@ fn vertexMain(@location(0) position: vec3<f32>) -> VertexOutput {
     // Get scale factor from uniform based on scale index
     let scaleFactor = getScaleFactor(kpParams.scaleIndex);
     
+    if (kpParams.mode > 0.5) {
+        return kpSurface(position, position.xy * scaleFactor, scaleFactor, time);
+    }
+    
     // Scale the position directly (no distortion applied to position)
     let scaledPos = vec2<f32>(position.x, position.y) * scaleFactor;
     
-    // Calculate height using hexagonal pattern with distortion parameter
-    let rawHeight = createHexagonalPattern(scaledPos, time, kpParams.distortion);
+    // Calculate height from the theta function, with the distortion parameter
+    let rawHeight = gridField(scaledPos, time, kpParams.distortion);
     
     // Add height offset based on distortion
     let heightOffset = kpParams.distortion * 0.1;
@@ -476,11 +222,11 @@ fn vertexMain(@location(0) position: vec3<f32>) -> VertexOutput {
         let pos1 = vec2<f32>(position.x + epsilon/scaleFactor, position.y) * scaleFactor;
         let pos2 = vec2<f32>(position.x, position.y + epsilon/scaleFactor) * scaleFactor;
         
-        let rawHeight1 = createHexagonalPattern(pos1, time, kpParams.distortion);
-        let rawHeight2 = createHexagonalPattern(pos2, time, kpParams.distortion);
+        let rawHeight1 = gridField(pos1, time, kpParams.distortion);
+        let rawHeight2 = gridField(pos2, time, kpParams.distortion);
         
-        var height1 = rawHeight1 * 0.2 + heightOffset;
-        var height2 = rawHeight2 * 0.2 + heightOffset;
+        var height1 = rawHeight1 * 0.25 + heightOffset;
+        var height2 = rawHeight2 * 0.25 + heightOffset;
         
         // Apply the same micro-noise to neighboring points
         if (kpParams.distortion > 0.5) {
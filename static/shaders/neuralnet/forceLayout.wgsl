@@ -0,0 +1,57 @@
+// forceLayout.wgsl
+// One Fruchterman-Reingold iteration per dispatch, one thread per node.
+// Mirrors forceLayout() in src/lib/simulation/layouts.js.
+
+struct LayoutParams {
+    nodeCount: u32,
+    spacing: f32,      // ideal edge length k
+    gravity: f32,
+    temperature: f32,  // largest step this iteration
+};
+
+@group(0) @binding(0) var<uniform> params: LayoutParams;
+@group(0) @binding(1) var<storage, read> positionsIn: array<vec4<f32>>;   // xyz, w = 1 free / 0 pinned
+@group(0) @binding(2) var<storage, read_write> positionsOut: array<vec4<f32>>;
+@group(0) @binding(3) var<storage, read> offsets: array<u32>;             // CSR, nodeCount + 1 entries
+@group(0) @binding(4) var<storage, read> neighbors: array<u32>;
+
+@compute @workgroup_size(64)
+fn main(@builtin(global_invocation_id) GlobalInvocationID: vec3<u32>) {
+    let index = GlobalInvocationID.x;
+    if (index >= params.nodeCount) {
+        return;
+    }
+
+    let node = positionsIn[index];
+    if (node.w == 0.0) {
+        positionsOut[index] = node;
+        return;
+    }
+
+    let k = params.spacing;
+    var force = -params.gravity * node.xyz;
+
+    // Every pair repels with k^2 / d
+    for (var j: u32 = 0u; j < params.nodeCount; j = j + 1u) {
+        let other = positionsIn[j];
+        if (j == index || other.w == 0.0) { continue; }
+
+        let delta = node.xyz - other.xyz;
+        let distance = max(length(delta), 1e-4);
+        force += delta * (k * k / (distance * distance));
+    }
+
+    // Edges attract with d^2 / k
+    for (var e = offsets[index]; e < offsets[index + 1u]; e = e + 1u) {
+        let delta = node.xyz - positionsIn[neighbors[e]].xyz;
+        force -= delta * (length(delta) / k);
+    }
+
+    let magnitude = length(force);
+    var step = vec3<f32>(0.0);
+    if (magnitude > 0.0) {
+        step = force * (min(magnitude, params.temperature) / magnitude);
+    }
+
+    positionsOut[index] = vec4<f32>(node.xyz + step, 1.0);
+}
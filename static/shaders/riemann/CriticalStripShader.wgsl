@@ -0,0 +1,104 @@
+// CriticalStripShader.wgsl - ζ(s) over a rectangle of the critical strip
+// The flat grid is mapped onto σ in [sigmaMin, sigmaMax], t in [tMin, tMin + tHeight];
+// c_zeta comes from the prelude (see $lib/complex/zeta.js).
+
+struct VertexOutput {
+    @builtin(position) position: vec4<f32>,
+    @location(0) worldPos: vec3<f32>,
+    @location(1) s: vec2<f32>,
+    @location(2) value: vec2<f32>,
+};
+
+struct TimeUniform {
+    coloring: vec2<f32>,   // mode (0 height, 1 domain), grid spacing
+    manualPhase: f32,
+    time: f32,
+}
+
+struct StripParams {
+    rect: vec4<f32>,      // sigmaMin, sigmaMax, tMin, tHeight
+    heightMode: f32,      // 0 |ζ|, 1 arg ζ, 2 Re ζ, 3 Im ζ
+    heightScale: f32,
+    heightLimit: f32,
+    markerT: f32,         // Marker on the critical line at 1/2 + i markerT
+}
+
+@group(0) @binding(0) var<uniform> projection: mat4x4<f32>;
+@group(0) @binding(1) var<uniform> view: mat4x4<f32>;
+@group(0) @binding(2) var<uniform> timeUniform: TimeUniform;
+@group(0) @binding(3) var<uniform> strip: StripParams;
+
+const GRID_HALF_SIZE = 2.0;
+const MARKER_RADIUS = 0.04; // In grid units
+
+fn toStrip(xy: vec2<f32>) -> vec2<f32> {
+    let uv = (xy + GRID_HALF_SIZE) / (2.0 * GRID_HALF_SIZE);
+    return vec2<f32>(mix(strip.rect.x, strip.rect.y, uv.x), strip.rect.z + uv.y * strip.rect.w);
+}
+
+// Grid units per unit of σ and of t
+fn gridScale() -> vec2<f32> {
+    return 2.0 * GRID_HALF_SIZE / vec2<f32>(strip.rect.y - strip.rect.x, strip.rect.w);
+}
+
+@vertex
+fn vertexMain(@location(0) position: vec3<f32>) -> VertexOutput {
+    var output: VertexOutput;
+
+    let s = toStrip(position.xy);
+    let w = c_zeta(s);
+
+    var h = length(w);
+    if (strip.heightMode > 2.5) {
+        h = w.y;
+    } else if (strip.heightMode > 1.5) {
+        h = w.x;
+    } else if (strip.heightMode > 0.5) {
+        h = atan2(w.y, w.x) / 3.14159265;
+    }
+
+    // The pole at s = 1 overflows; clamp keeps it at the limit
+    h = clamp(h * strip.heightScale, -strip.heightLimit, strip.heightLimit);
+
+    let world = vec3<f32>(position.xy, h);
+    output.position = projection * view * vec4<f32>(world, 1.0);
+    output.worldPos = world;
+    output.s = s;
+    output.value = w;
+    return output;
+}
+
+@fragment
+fn fragmentMain(input: VertexOutput) -> @location(0) vec4<f32> {
+    // Derivatives first, while control flow is still uniform
+    let normal = normalize(cross(dpdx(input.worldPos), dpdy(input.worldPos)));
+    let lineWidth = max(fwidth(input.s.x), 1e-6);
+
+    // Height relative to the limit, in [0, 1]
+    let t = clamp(input.worldPos.z / max(strip.heightLimit, 0.001) * 0.5 + 0.5, 0.0, 1.0);
+    let low = vec3<f32>(0.05, 0.1, 0.45);
+    let mid = vec3<f32>(0.0, 0.75, 0.55);
+    let high = vec3<f32>(0.85, 1.0, 0.6);
+    var color = select(mix(mid, high, t * 2.0 - 1.0), mix(low, mid, t * 2.0), t < 0.5);
+
+    if (timeUniform.coloring.x > 0.5) {
+        color = markDomain(domainColor(input.value, timeUniform.coloring.y), input.s);
+    }
+
+    // The critical line Re s = 1/2, and the marker walking along it
+    let line = 1.0 - clamp(abs(input.s.x - 0.5) / lineWidth - 0.5, 0.0, 1.0);
+    color = mix(color, vec3<f32>(1.0), 0.7 * line);
+
+    let offset = (input.s - vec2<f32>(0.5, strip.markerT)) * gridScale();
+    let marker = 1.0 - smoothstep(MARKER_RADIUS * 0.8, MARKER_RADIUS, length(offset));
+    color = mix(color, vec3<f32>(1.0, 0.85, 0.1), marker);
+
+    // Two-sided lighting, as the surface is drawn without culling
+    let light_dir = normalize(vec3<f32>(0.5, 0.5, 1.0));
+    let diffuse = abs(dot(normal, light_dir));
+    let half_dir = normalize(light_dir + vec3<f32>(0.0, 0.0, 1.0));
+    let specular = pow(abs(dot(normal, half_dir)), 32.0) * 0.3;
+    let lighting = 0.3 + diffuse * 0.6 + specular;
+
+    return vec4<f32>(color * lighting, 1.0);
+}
@@ -6,7 +6,8 @@ struct VertexOutput {
 };
 
 struct TimeUniform {
-    unused: vec3<f32>,
+    coloring: vec2<f32>,   // mode (0 height, 1 domain), grid spacing
+    manualPhase: f32,
     time: f32,
 }
 
@@ -14,6 +15,11 @@ struct TimeUniform {
 @group(0) @binding(1) var<uniform> view: mat4x4<f32>;
 @group(0) @binding(2) var<uniform> timeUniform: TimeUniform;
 
+// The plane z = 0; generated by computeMain
+fn surfacePosition(uv: vec2<f32>) -> vec3<f32> {
+    return vec3<f32>(gridPoint(uv, 2.0), 0.0);
+}
+
 @vertex
 fn vertexMain(@location(0) position: vec3<f32>) -> VertexOutput {
     var output: VertexOutput;
@@ -42,6 +48,12 @@ fn fragmentMain(
     @location(1) normal: vec3<f32>,
     @location(2) worldPos: vec3<f32>
 ) -> @location(0) vec4<f32> {
+    var base = color;
+
+    if (timeUniform.coloring.x > 0.5) {
+        base = surfaceDomainColor(worldPos.xy, timeUniform.time, timeUniform.coloring.y);
+    }
+
     // Just use the color with minimal lighting
-    return vec4<f32>(color, 1.0);
+    return vec4<f32>(base, 1.0);
 } 
\ No newline at end of file
@@ -6,7 +6,8 @@ struct VertexOutput {
 };
 
 struct TimeUniform {
-    unused: vec3<f32>,
+    coloring: vec2<f32>,   // mode (0 height, 1 domain), grid spacing
+    manualPhase: f32,
     time: f32,
 }
 
@@ -33,43 +34,27 @@ fn generateColor(position: vec3<f32>, height: f32, time: f32) -> vec3<f32> {
     return colorMix;
 }
 
+// Circular waves moving out from the center; generated by computeMain
+fn surfacePosition(uv: vec2<f32>) -> vec3<f32> {
+    let xy = gridPoint(uv, 2.0);
+    let frequency = 5.0;
+    let amplitude = 0.2;
+    let phase = timeUniform.time;
+    return vec3<f32>(xy, sin(length(xy) * frequency - phase) * amplitude);
+}
+
 @vertex
-fn vertexMain(@location(0) position: vec3<f32>) -> VertexOutput {
+fn vertexMain(@location(0) position: vec3<f32>, @location(1) normal: vec3<f32>) -> VertexOutput {
     var output: VertexOutput;
-    
-    // Store original position for coloring
+
+    // Position and normal come from computeMain
     output.worldPos = position;
-    
-    // Calculate ripple wave with animation
-    let time = timeUniform.time;
-    let frequency = 5.0;
-    let amplitude = 0.2;
-    let phase = time * 1.0;
-    
-    // Calculate distance from center
-    let distance = sqrt(position.x * position.x + position.y * position.y);
-    
-    // Create a modified position with ripple wave as z-coordinate
-    var modifiedPosition = position;
-    modifiedPosition.z = sin(distance * frequency - phase) * amplitude;
-    
-    // Transform position with view and projection matrices
-    output.position = projection * view * vec4<f32>(modifiedPosition, 1.0);
-    
-    // Calculate normal for lighting
-    // For a ripple wave, we need to calculate the gradient
-    let epsilon = 0.01;
-    let dx = (sin((distance + epsilon) * frequency - phase) - 
-             sin(distance * frequency - phase)) * amplitude / epsilon;
-    
-    // The normal points in the direction of the gradient
-    let nx = -position.x / distance * dx;
-    let ny = -position.y / distance * dx;
-    output.normal = normalize(vec3<f32>(nx, ny, 1.0));
-    
+    output.position = projection * view * vec4<f32>(position, 1.0);
+    output.normal = normal;
+
     // Generate color based on distance and height
-    output.color = generateColor(position, modifiedPosition.z, time);
-    
+    output.color = generateColor(position, position.z, timeUniform.time);
+
     return output;
 }
 
@@ -79,6 +64,12 @@ fn fragmentMain(
     @location(1) normal: vec3<f32>,
     @location(2) worldPos: vec3<f32>
 ) -> @location(0) vec4<f32> {
+    var base = color;
+
+    if (timeUniform.coloring.x > 0.5) {
+        base = surfaceDomainColor(worldPos.xy, timeUniform.time, timeUniform.coloring.y);
+    }
+
     // Enhanced lighting with fixed view direction
     let light_dir = normalize(vec3<f32>(0.5, 0.5, 1.0));
     let diffuse = max(dot(normal, light_dir), 0.0);
@@ -92,5 +83,5 @@ fn fragmentMain(
     // Combine lighting components
     let lighting = ambient + diffuse * 0.6 + specular;
     
-    return vec4<f32>(color * lighting, 1.0);
+    return vec4<f32>(base * lighting, 1.0);
 } 
\ No newline at end of file
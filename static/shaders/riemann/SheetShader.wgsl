@@ -0,0 +1,71 @@
+// SheetShader.wgsl - Multi-sheeted Riemann surfaces
+// Vertices come from SheetSurface.js: position, sheet index and the value w
+// of the function on that sheet. Sheet -1 is the analytic continuation path.
+
+struct VertexOutput {
+    @builtin(position) position: vec4<f32>,
+    @location(0) worldPos: vec3<f32>,
+    @location(1) @interpolate(flat) sheet: f32,
+    @location(2) value: vec2<f32>,
+};
+
+struct TimeUniform {
+    coloring: vec2<f32>,   // mode (0 height, 1 domain), grid spacing
+    manualPhase: f32,
+    time: f32,
+}
+
+@group(0) @binding(0) var<uniform> projection: mat4x4<f32>;
+@group(0) @binding(1) var<uniform> view: mat4x4<f32>;
+@group(0) @binding(2) var<uniform> timeUniform: TimeUniform;
+
+// One color per sheet, repeating after eight
+const SHEET_COLORS = array<vec3<f32>, 8>(
+    vec3<f32>(0.0, 0.6, 1.0),   // Blue
+    vec3<f32>(1.0, 0.45, 0.1),  // Orange
+    vec3<f32>(0.2, 0.85, 0.4),  // Green
+    vec3<f32>(0.85, 0.25, 0.75),// Magenta
+    vec3<f32>(1.0, 0.85, 0.1),  // Yellow
+    vec3<f32>(0.1, 0.85, 0.85), // Cyan
+    vec3<f32>(0.9, 0.2, 0.25),  // Red
+    vec3<f32>(0.6, 0.5, 1.0)    // Lavender
+);
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec3<f32>,
+    @location(1) sheet: f32,
+    @location(2) value: vec2<f32>
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.position = projection * view * vec4<f32>(position, 1.0);
+    output.worldPos = position;
+    output.sheet = sheet;
+    output.value = value;
+    return output;
+}
+
+@fragment
+fn fragmentMain(input: VertexOutput) -> @location(0) vec4<f32> {
+    // The mesh has no normals; take the face normal from screen-space derivatives
+    let normal = normalize(cross(dpdx(input.worldPos), dpdy(input.worldPos)));
+
+    var base = SHEET_COLORS[u32(max(input.sheet, 0.0)) % 8u];
+    if (timeUniform.coloring.x > 0.5) {
+        base = domainColor(input.value, timeUniform.coloring.y);
+    }
+
+    // The continuation path stays bright on every sheet
+    if (input.sheet < 0.0) {
+        return vec4<f32>(1.0, 1.0, 1.0, 1.0);
+    }
+
+    // Two-sided lighting, as the sheets are seen from both sides
+    let light_dir = normalize(vec3<f32>(0.5, 0.5, 1.0));
+    let diffuse = abs(dot(normal, light_dir));
+    let half_dir = normalize(light_dir + vec3<f32>(0.0, 0.0, 1.0));
+    let specular = pow(abs(dot(normal, half_dir)), 32.0) * 0.3;
+    let lighting = 0.3 + diffuse * 0.6 + specular;
+
+    return vec4<f32>(base * lighting, 1.0);
+}
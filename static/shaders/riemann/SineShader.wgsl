@@ -6,7 +6,8 @@ struct VertexOutput {
 };
 
 struct TimeUniform {
-    unused: vec3<f32>,
+    coloring: vec2<f32>,   // mode (0 height, 1 domain), grid spacing
+    manualPhase: f32,
     time: f32,
 }
 
@@ -30,34 +31,27 @@ fn generateColor(position: vec3<f32>, height: f32, time: f32) -> vec3<f32> {
     return colorMix;
 }
 
+// Sine wave along x, moving with time; generated by computeMain
+fn surfacePosition(uv: vec2<f32>) -> vec3<f32> {
+    let xy = gridPoint(uv, 2.0);
+    let frequency = 2.0;
+    let amplitude = 0.5;
+    let phase = timeUniform.time * 0.2;
+    return vec3<f32>(xy, sin(xy.x * frequency + phase) * amplitude);
+}
+
 @vertex
-fn vertexMain(@location(0) position: vec3<f32>) -> VertexOutput {
+fn vertexMain(@location(0) position: vec3<f32>, @location(1) normal: vec3<f32>) -> VertexOutput {
     var output: VertexOutput;
-    
-    // Store original position for coloring
+
+    // Position and normal come from computeMain
     output.worldPos = position;
-    
-    // Calculate sine wave with animation
-    let time = timeUniform.time;
-    let frequency = 2.0;
-    let amplitude = 0.5;
-    let phase = time * 0.2;
-    
-    // Create a modified position with sine wave as z-coordinate
-    var modifiedPosition = position;
-    modifiedPosition.z = sin(position.x * frequency + phase) * amplitude;
-    
-    // Transform position with view and projection matrices
-    output.position = projection * view * vec4<f32>(modifiedPosition, 1.0);
-    
-    // Calculate normal for lighting
-    // For a sine wave, the normal can be calculated analytically
-    let dx = frequency * cos(position.x * frequency + phase) * amplitude;
-    output.normal = normalize(vec3<f32>(-dx, 0.0, 1.0));
-    
+    output.position = projection * view * vec4<f32>(position, 1.0);
+    output.normal = normal;
+
     // Generate color based on height and position
-    output.color = generateColor(position, modifiedPosition.z, time);
-    
+    output.color = generateColor(position, position.z, timeUniform.time);
+
     return output;
 }
 
@@ -67,6 +61,12 @@ fn fragmentMain(
     @location(1) normal: vec3<f32>,
     @location(2) worldPos: vec3<f32>
 ) -> @location(0) vec4<f32> {
+    var base = color;
+
+    if (timeUniform.coloring.x > 0.5) {
+        base = surfaceDomainColor(worldPos.xy, timeUniform.time, timeUniform.coloring.y);
+    }
+
     // Enhanced lighting with fixed view direction
     let light_dir = normalize(vec3<f32>(0.5, 0.5, 1.0));
     let diffuse = max(dot(normal, light_dir), 0.0);
@@ -80,5 +80,5 @@ fn fragmentMain(
     // Combine lighting components
     let lighting = ambient + diffuse * 0.6 + specular;
     
-    return vec4<f32>(color * lighting, 1.0);
+    return vec4<f32>(base * lighting, 1.0);
 } 
\ No newline at end of file
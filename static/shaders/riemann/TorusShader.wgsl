@@ -6,7 +6,8 @@ struct VertexOutput {
 };
 
 struct TimeUniform {
-    unused: vec3<f32>,
+    coloring: vec2<f32>,   // mode (0 height, 1 domain), grid spacing
+    manualPhase: f32,
     time: f32,
 }
 
@@ -27,36 +28,27 @@ fn simpleTorusColor(position: vec3<f32>, time: f32) -> vec3<f32> {
     return mix(baseColor, topColor, normalizedHeight);
 }
 
+// Torus with major radius 1.3 and minor radius 0.7, uv running over the
+// angles theta and phi; generated by computeMain
+fn surfacePosition(uv: vec2<f32>) -> vec3<f32> {
+    let theta = uv.x * 6.2831853;
+    let phi = uv.y * 6.2831853;
+    let ring = 1.3 + 0.7 * cos(phi);
+    return vec3<f32>(ring * cos(theta), ring * sin(theta), 0.7 * sin(phi));
+}
+
 @vertex
-fn vertexMain(@location(0) position: vec3<f32>) -> VertexOutput {
+fn vertexMain(@location(0) position: vec3<f32>, @location(1) normal: vec3<f32>) -> VertexOutput {
     var output: VertexOutput;
-    
-    // Store original position for calculations
+
+    // Position and normal come from computeMain
     output.worldPos = position;
-    
-    // The position already contains a properly generated torus
-    // Just pass it through directly
-    
-    // Transform position with view and projection matrices
     output.position = projection * view * vec4<f32>(position, 1.0);
-    
-    // Calculate normal for lighting
-    // For a torus with parameters R=1.3 (0.65*2) and r=0.7 (0.35*2)
-    // Extract angles from position
-    let theta = atan2(position.y, position.x);
-    let r_xz = sqrt(position.x * position.x + position.y * position.y) - 1.3;
-    let phi = atan2(position.z, r_xz);
-    
-    // Normal vectors for a torus
-    let nx = cos(phi) * cos(theta);
-    let ny = cos(phi) * sin(theta);
-    let nz = sin(phi);
-    
-    output.normal = normalize(vec3<f32>(nx, ny, nz));
-    
+    output.normal = normal;
+
     // Generate color based on position
     output.color = simpleTorusColor(position, timeUniform.time);
-    
+
     return output;
 }
 
@@ -66,6 +58,16 @@ fn fragmentMain(
     @location(1) normal: vec3<f32>,
     @location(2) worldPos: vec3<f32>
 ) -> @location(0) vec4<f32> {
+    // Domain coloring runs over the torus angles (theta, phi)
+    let theta = atan2(worldPos.y, worldPos.x);
+    let phi = atan2(worldPos.z, length(worldPos.xy) - 1.3);
+
+    var base = color;
+
+    if (timeUniform.coloring.x > 0.5) {
+        base = surfaceDomainColor(vec2<f32>(theta, phi), timeUniform.time, timeUniform.coloring.y);
+    }
+
     // Enhanced lighting with fixed view direction
     let light_dir = normalize(vec3<f32>(0.5, 0.5, 1.0));
     let diffuse = max(dot(normal, light_dir), 0.0);
@@ -79,5 +81,5 @@ fn fragmentMain(
     // Combine lighting components
     let lighting = ambient + diffuse * 0.6 + specular;
     
-    return vec4<f32>(color * lighting, 1.0);
+    return vec4<f32>(base * lighting, 1.0);
 } 
\ No newline at end of file
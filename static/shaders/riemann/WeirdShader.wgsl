@@ -6,7 +6,8 @@ struct VertexOutput {
 };
 
 struct TimeUniform {
-    unused: vec3<f32>,
+    coloring: vec2<f32>,   // mode (0 height, 1 domain), grid spacing
+    manualPhase: f32,
     time: f32,
 }
 
@@ -84,55 +85,23 @@ fn surfaceFunction(x: f32, y: f32, time: f32) -> f32 {
     return height;
 }
 
+// Height field of surfaceFunction; generated by computeMain
+fn surfacePosition(uv: vec2<f32>) -> vec3<f32> {
+    let xy = gridPoint(uv, 2.0);
+    return vec3<f32>(xy, surfaceFunction(xy.x, xy.y, timeUniform.time));
+}
+
 @vertex
-fn vertexMain(@location(0) position: vec3<f32>) -> VertexOutput {
+fn vertexMain(@location(0) position: vec3<f32>, @location(1) normal: vec3<f32>) -> VertexOutput {
     var output: VertexOutput;
 
-    // Store original position for fragment calculations
+    // Position and normal come from computeMain
     output.worldPos = position;
-
-    // Use time with a reasonable scale
-    let time = timeUniform.time * 1.0;
-
-    // Calculate the new height using our surface function
-    let height = surfaceFunction(position.x, position.y, time);
-
-    // Adjust the vertex's z based on the calculated height
-    var modifiedPosition = position;
-    modifiedPosition.z = height;
-
-    // Transform position with view and projection
-    output.position = projection * view * vec4<f32>(modifiedPosition, 1.0);
-
-    // Calculate normals using central differences for better accuracy
-    let distFromOrigin = sqrt(position.x * position.x + position.y * position.y);
-    
-    // Adaptive epsilon based on distance from origin for better derivatives
-    let epsilon = max(0.05, 0.02 * distFromOrigin);
-    
-    // Central differences for more accurate normal calculation
-    let dx = (surfaceFunction(position.x + epsilon, position.y, time) - 
-              surfaceFunction(position.x - epsilon, position.y, time)) / (2.0 * epsilon);
-    
-    let dy = (surfaceFunction(position.x, position.y + epsilon, time) - 
-              surfaceFunction(position.x, position.y - epsilon, time)) / (2.0 * epsilon);
-    
-    // Normal vector (-df/dx, -df/dy, 1.0)
-    var normal = vec3<f32>(-dx, -dy, 1.0);
-    
-    // Normalize the normal vector
-    let len = length(normal);
-    if (len > 0.001) {
-        normal = normal / len;
-    } else {
-        // Fallback if we have a degenerate normal (extremely unlikely with our new function)
-        normal = vec3<f32>(0.0, 0.0, 1.0);
-    }
-    
+    output.position = projection * view * vec4<f32>(position, 1.0);
     output.normal = normal;
 
     // Generate color from height only (no time influence)
-    output.color = heightColor(height);
+    output.color = heightColor(position.z);
 
     return output;
 }
@@ -143,6 +112,12 @@ fn fragmentMain(
     @location(1) normal: vec3<f32>,
     @location(2) worldPos: vec3<f32>
 ) -> @location(0) vec4<f32> {
+    var base = color;
+
+    if (timeUniform.coloring.x > 0.5) {
+        base = surfaceDomainColor(worldPos.xy, timeUniform.time, timeUniform.coloring.y);
+    }
+
     // Enhanced lighting
     let light_dir = normalize(vec3<f32>(0.5, 0.5, 1.0));
     let diffuse = max(dot(normal, light_dir), 0.0);
@@ -156,5 +131,5 @@ fn fragmentMain(
     // Combine lighting with enhanced specular
     let lighting = ambient + diffuse * 0.7 + specular;
 
-    return vec4<f32>(color * lighting, 1.0);
+    return vec4<f32>(base * lighting, 1.0);
 }
@@ -19,7 +19,12 @@ const RAD2DEG : f32 = 57.29577951308232;
 const ROT_Y : f32 = 0.0;
 
 // --- Vertex I/O ---
-struct VSIn { @location(0) pos: vec3<f32>, };
+// A vertex of a quadtree patch over (lon, lat), see lodPatchUV
+struct VSIn {
+  @location(0) vertex: vec2<f32>,
+  @location(1) patchRect: vec4<f32>,
+  @location(2) patchInfo: vec4<f32>,
+};
 struct VSOut {
   @builtin(position) Position : vec4<f32>,
   @location(0) worldPos : vec3<f32>,
@@ -85,7 +90,9 @@ fn geodeticToECEF(lat: f32, lon: f32, h: f32, a: f32, f: f32) -> vec3<f32> {
 // --- Stages ---
 @vertex
 fn vertexMain(input: VSIn) -> VSOut {
-  let lonlat = cartesianToLonLat(input.pos);
+  // u runs east from lon = -ROT_Y, v south from the north pole
+  let uv = lodPatchUV(input.vertex, LodPatch(input.patchRect, input.patchInfo));
+  let lonlat = vec2<f32>(uv.x * 2.0 * PI - ROT_Y, (0.5 - uv.y) * PI);
 
   // Base elevation for contours (no exaggeration)
   let hBase = sampleHeightMeters(lonlat.x, lonlat.y);